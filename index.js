@@ -1,13 +1,28 @@
 // index.js
 
 const arithmetic = require('./src/arithmetic');
+const complex = require('./src/complex');
+const decimal = require('./src/decimal');
 const algebra = require('./src/algebra');
+const polynomial = require('./src/polynomial');
+const multivariate = require('./src/multivariate');
+const rationalFunction = require('./src/rationalFunction');
+const expression = require('./src/expression');
+const symbolic = require('./src/symbolic');
 const geometry = require('./src/geometry');
 const calculus = require('./src/calculus');
+const autodiff = require('./src/autodiff');
+const quadrature = require('./src/quadrature');
+const series = require('./src/series');
+const transforms = require('./src/transforms');
+const ode = require('./src/ode');
+const rootFinding = require('./src/rootFinding');
 const trigonometry = require('./src/trigonometry');
 const statistics = require('./src/statistics');
 const numberTheory = require('./src/numberTheory');
 const linearAlgebra = require('./src/linearAlgebra');
+const matrix = require('./src/matrix');
+const sparse = require('./src/sparse');
 const setTheory = require('./src/setTheory');
 const combinatorics = require('./src/combinatorics');
 const graphTheory = require('./src/graphTheory');
@@ -18,15 +33,54 @@ module.exports = {
     // Arithmetic Operations
     ...arithmetic,
 
+    // Complex Numbers
+    ...complex,
+
+    // Decimal Numbers
+    ...decimal,
+
     // Algebra
     ...algebra,
 
+    // Polynomials
+    ...polynomial,
+
+    // Multivariate Polynomials
+    ...multivariate,
+
+    // Rational Functions
+    ...rationalFunction,
+
+    // Expressions
+    ...expression,
+
+    // Symbolic Manipulation
+    ...symbolic,
+
     // Geometry
     ...geometry,
 
     // Calculus
     ...calculus,
 
+    // Automatic Differentiation
+    ...autodiff,
+
+    // Numerical Integration
+    ...quadrature,
+
+    // Series and Approximations
+    ...series,
+
+    // Fourier Transforms
+    ...transforms,
+
+    // Differential Equations
+    ...ode,
+
+    // Root Finding
+    ...rootFinding,
+
     // Trigonometry
     ...trigonometry,
 
@@ -39,6 +93,12 @@ module.exports = {
     // Linear Algebra
     ...linearAlgebra,
 
+    // Matrices and Vectors
+    ...matrix,
+
+    // Sparse Matrices and Iterative Solvers
+    ...sparse,
+
     // Set Theory
     ...setTheory,
 
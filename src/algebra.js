@@ -1,3 +1,8 @@
+const { parseExpression, evaluateExpression, freeVariables, formatExpression } = require('./expression');
+const { simplifyAst, substituteAst } = require('./symbolic');
+const { addComplex, subtractComplex, multiplyComplex, divideComplex } = require('./miscellaneous');
+const { Complex } = require('./complex');
+
 /**
  * Solves a linear equation of the form ax + b = 0.
  * @param {number} a - The coefficient of x.
@@ -12,25 +17,379 @@ function solveLinearEquation(a, b) {
     return -b / a;
 }
 
+/**
+ * Splits a product into its rounded value and the rounding error (Dekker's algorithm), so that a * b = p + e exactly.
+ * @param {number} a - The first factor.
+ * @param {number} b - The second factor.
+ * @returns {number[]} - [p, e].
+ */
+function twoProduct(a, b) {
+    const split = (x) => {
+        const c = 134217729 * x; // 2^27 + 1
+        const high = c - (c - x);
+        return [high, x - high];
+    };
+    const p = a * b;
+    const [aHigh, aLow] = split(a);
+    const [bHigh, bLow] = split(b);
+    return [p, ((aHigh * bHigh - p) + aHigh * bLow + aLow * bHigh) + aLow * bLow];
+}
+
+/**
+ * Calculates the discriminant b^2 - 4ac without the catastrophic cancellation of the naive formula
+ * when b^2 and 4ac are nearly equal.
+ * @param {number} a - The coefficient of x^2.
+ * @param {number} b - The coefficient of x.
+ * @param {number} c - The constant term.
+ * @returns {number} - The discriminant.
+ */
+function discriminantOf(a, b, c) {
+    const [square, squareError] = twoProduct(b, b);
+    const [product, productError] = twoProduct(4 * a, c);
+    return (square - product) + (squareError - productError);
+}
+
 /**
  * Solves a quadratic equation of the form ax^2 + bx + c = 0.
+ * The roots are computed with the numerically stable formulas q = -(b + sign(b) sqrt(b^2 - 4ac)) / 2,
+ * x1 = q / a and x2 = c / q, which avoid cancellation when b^2 is much larger than 4ac.
  * @param {number} a - The coefficient of x^2.
  * @param {number} b - The coefficient of x.
  * @param {number} c - The constant term.
- * @returns {number[]} - The two solutions for x.
- * @throws {Error} - If the coefficient 'a' is zero or if no real roots exist.
+ * @returns {Array<number|Complex>} - The two solutions for x: numbers when real, otherwise a conjugate pair of
+ *   Complex numbers (positive imaginary part first).
+ * @throws {Error} - If the coefficient 'a' is zero.
  */
 function solveQuadraticEquation(a, b, c) {
     if (a === 0) {
         throw new Error("Coefficient 'a' cannot be zero.");
     }
-    const discriminant = Math.pow(b, 2) - 4 * a * c;
+    const discriminant = discriminantOf(a, b, c);
     if (discriminant < 0) {
-        throw new Error("No real roots exist.");
+        const real = -b / (2 * a) || 0;
+        const imaginary = Math.abs(Math.sqrt(-discriminant) / (2 * a));
+        return [new Complex(real, imaginary), new Complex(real, -imaginary)];
     }
-    const root1 = (-b + Math.sqrt(discriminant)) / (2 * a);
-    const root2 = (-b - Math.sqrt(discriminant)) / (2 * a);
-    return [root1, root2];
+    const q = -(b + (b < 0 ? -1 : 1) * Math.sqrt(discriminant)) / 2;
+    if (q === 0) return [0, 0];
+    const root1 = q / a;
+    const root2 = c / q;
+    return root1 >= root2 ? [root1, root2] : [root2, root1];
+}
+
+/**
+ * Evaluates a polynomial and its derivative at a real or complex point with Horner's method.
+ * @param {number[]} coefficients - The coefficients, highest power first.
+ * @param {Object} z - The point { real, imaginary }.
+ * @returns {Object[]} - [p(z), p'(z)] as complex numbers.
+ */
+function hornerComplex(coefficients, z) {
+    let value = { real: coefficients[0], imaginary: 0 };
+    let slope = { real: 0, imaginary: 0 };
+    coefficients.slice(1).forEach((coefficient) => {
+        slope = addComplex(multiplyComplex(slope, z), value);
+        value = addComplex(multiplyComplex(value, z), { real: coefficient, imaginary: 0 });
+    });
+    return [value, slope];
+}
+
+/**
+ * Refines the roots of a polynomial with Newton's method, keeping each step only if it reduces the residual.
+ * Roots whose imaginary part is zero are kept real.
+ * @param {number[]} coefficients - The coefficients, highest power first.
+ * @param {Array<number|Object>} roots - The approximate roots.
+ * @returns {Array<number|Object>} - The refined roots.
+ */
+function polishRoots(coefficients, roots) {
+    const size = ({ real, imaginary }) => Math.hypot(real, imaginary);
+    return roots.map((root) => {
+        let z = typeof root === 'number' ? { real: root, imaginary: 0 } : root;
+        let [value, slope] = hornerComplex(coefficients, z);
+        for (let i = 0; i < 3 && size(value) > 0 && size(slope) > 0; i++) {
+            const next = subtractComplex(z, divideComplex(value, slope));
+            const [nextValue, nextSlope] = hornerComplex(coefficients, next);
+            if (!(size(nextValue) < size(value))) break;
+            [z, value, slope] = [next, nextValue, nextSlope];
+        }
+        return typeof root === 'number' ? z.real : z;
+    });
+}
+
+/**
+ * Compares two roots: real roots come first in ascending order, then complex roots by real part with the
+ * positive imaginary part first.
+ * @param {number|Object} x - The first root.
+ * @param {number|Object} y - The second root.
+ * @returns {number} - Negative, zero or positive, as for Array.prototype.sort.
+ */
+function compareRoots(x, y) {
+    if (typeof x === 'number' || typeof y === 'number') {
+        if (typeof x !== typeof y) return typeof x === 'number' ? -1 : 1;
+        return x - y;
+    }
+    return x.real - y.real || y.imaginary - x.imaginary;
+}
+
+/**
+ * Orders roots with compareRoots, converting complex roots to Complex and replacing their negative zeros by zeros.
+ * @param {Array<number|Object>} roots - The roots.
+ * @returns {Array<number|Complex>} - The sorted roots.
+ */
+function sortRoots(roots) {
+    return roots
+        .map(root => (typeof root === 'number' ? root : new Complex(root.real || 0, root.imaginary || 0)))
+        .sort(compareRoots);
+}
+
+/**
+ * Solves a cubic equation of the form ax^3 + bx^2 + cx + d = 0.
+ * One real root is found with Cardano's formula (or the trigonometric form when all three roots are real),
+ * refined with Newton's method, and divided out; the remaining quadratic is solved with the stable formulas.
+ * @param {number} a - The coefficient of x^3.
+ * @param {number} b - The coefficient of x^2.
+ * @param {number} c - The coefficient of x.
+ * @param {number} d - The constant term.
+ * @returns {Array<number|Complex>} - The three solutions (with multiplicity): real roots ascending, then
+ *   complex roots as Complex numbers.
+ * @throws {Error} - If the coefficient 'a' is zero.
+ */
+function solveCubicEquation(a, b, c, d) {
+    if (a === 0) {
+        throw new Error("Coefficient 'a' cannot be zero.");
+    }
+    if (d === 0) return sortRoots([0, ...solveQuadraticEquation(a, b, c)]);
+    // Depressed cubic t^3 + pt + q = 0 with x = t - b / 3a.
+    const [B, C, D] = [b / a, c / a, d / a];
+    const p = C - B * B / 3;
+    const q = 2 * B * B * B / 27 - B * C / 3 + D;
+    const halfDiscriminant = Math.pow(q / 2, 2) + Math.pow(p / 3, 3);
+    let t;
+    if (halfDiscriminant > 0) {
+        // Choose the sign that adds the two terms, so that they do not cancel.
+        const u = -Math.sign(q) * Math.cbrt(Math.abs(q) / 2 + Math.sqrt(halfDiscriminant));
+        t = u === 0 ? 0 : u - p / (3 * u);
+    } else if (p === 0) {
+        t = 0;
+    } else {
+        // Three real roots: take the largest in magnitude, which is the most stable one to divide out.
+        const radius = 2 * Math.sqrt(-p / 3);
+        const angle = Math.acos(Math.max(-1, Math.min(1, 3 * q / (p * radius)))) / 3;
+        t = [0, 1, 2].map(k => radius * Math.cos(angle - 2 * Math.PI * k / 3))
+            .reduce((best, root) => (Math.abs(root - B / 3) > Math.abs(best - B / 3) ? root : best));
+    }
+    const [root] = polishRoots([a, b, c, d], [t - B / 3]);
+    const e = b + a * root;
+    const f = c + e * root;
+    return sortRoots(polishRoots([a, b, c, d], [root, ...solveQuadraticEquation(a, e, f)]));
+}
+
+/**
+ * Calculates the principal square root of a complex number.
+ * @param {Object} z - The complex number { real, imaginary }.
+ * @returns {Object} - The square root with non-negative real part.
+ */
+function complexSqrt({ real, imaginary }) {
+    const modulus = Math.hypot(real, imaginary);
+    const root = Math.sqrt((modulus + Math.abs(real)) / 2);
+    if (root === 0) return { real: 0, imaginary: 0 };
+    if (real >= 0) return { real: root, imaginary: imaginary / (2 * root) };
+    return { real: Math.abs(imaginary) / (2 * root), imaginary: imaginary < 0 ? -root : root };
+}
+
+/**
+ * Solves a quartic equation of the form ax^4 + bx^3 + cx^2 + dx + e = 0 with Ferrari's method:
+ * the depressed quartic is split into two quadratics using a root of the resolvent cubic.
+ * @param {number} a - The coefficient of x^4.
+ * @param {number} b - The coefficient of x^3.
+ * @param {number} c - The coefficient of x^2.
+ * @param {number} d - The coefficient of x.
+ * @param {number} e - The constant term.
+ * @returns {Array<number|Complex>} - The four solutions (with multiplicity): real roots ascending, then
+ *   complex roots as Complex numbers.
+ * @throws {Error} - If the coefficient 'a' is zero.
+ */
+function solveQuarticEquation(a, b, c, d, e) {
+    if (a === 0) {
+        throw new Error("Coefficient 'a' cannot be zero.");
+    }
+    if (e === 0) return sortRoots([0, ...solveCubicEquation(a, b, c, d)]);
+    // Depressed quartic y^4 + py^2 + qy + r = 0 with x = y - b / 4a.
+    const [B, C, D, E] = [b / a, c / a, d / a, e / a];
+    const shift = -B / 4;
+    const p = C - 3 * B * B / 8;
+    const q = D - B * C / 2 + B * B * B / 8;
+    const r = E - B * D / 4 + B * B * C / 16 - 3 * Math.pow(B, 4) / 256;
+    const shifted = (root) => (typeof root === 'number' ? root + shift : { real: root.real + shift, imaginary: root.imaginary });
+    let roots;
+    if (Math.abs(q) <= 1e-14 * Math.max(1, Math.abs(p), Math.abs(r))) {
+        // Biquadratic: y^2 = z where z^2 + pz + r = 0.
+        roots = solveQuadraticEquation(1, p, r).flatMap((z) => {
+            const root = complexSqrt(typeof z === 'number' ? { real: z, imaginary: 0 } : z);
+            return [root, { real: -root.real, imaginary: -root.imaginary }];
+        }).map(root => (root.imaginary === 0 ? root.real : root));
+    } else {
+        // The resolvent cubic 8m^3 + 8pm^2 + (2p^2 - 8r)m - q^2 = 0 has a positive root m, giving
+        // y^4 + py^2 + qy + r = (y^2 - sy + p/2 + m + q/2s)(y^2 + sy + p/2 + m - q/2s) with s = sqrt(2m).
+        const m = Math.max(...solveCubicEquation(8, 8 * p, 2 * p * p - 8 * r, -q * q).filter(root => typeof root === 'number'));
+        const s = Math.sqrt(2 * m);
+        roots = [
+            ...solveQuadraticEquation(1, -s, p / 2 + m + q / (2 * s)),
+            ...solveQuadraticEquation(1, s, p / 2 + m - q / (2 * s))
+        ];
+    }
+    return sortRoots(polishRoots([a, b, c, d, e], roots.map(shifted)));
+}
+
+/**
+ * Calculates the coefficients of the derivative of a polynomial.
+ * @param {number[]} coefficients - The coefficients, highest power first.
+ * @returns {number[]} - The coefficients of the derivative, highest power first.
+ */
+function derivativeCoefficients(coefficients) {
+    const degree = coefficients.length - 1;
+    return coefficients.slice(0, -1).map((coefficient, i) => coefficient * (degree - i));
+}
+
+/**
+ * Finds all complex roots of a polynomial of any degree with the Aberth–Ehrlich method, which refines
+ * all the roots simultaneously and converges cubically to simple roots.
+ * Multiple roots are detected by grouping approximations whose inclusion disks overlap: the disk around
+ * z_i has radius n |p(z_i)| / |a_n prod_{j != i} (z_i - z_j)| and is guaranteed to contain a root.
+ * Each group is replaced by its centroid, which is far more accurate than the individual approximations,
+ * and (when polishing) refined with Newton's method on the derivative p^(m-1), where an m-fold root is simple.
+ * @param {number[]} coefficients - The polynomial represented as an array of coefficients, lowest power first
+ *   (as in addPolynomials), e.g. [-1, 0, 1] for x^2 - 1.
+ * @param {Object} [options={}] - Solver options.
+ * @param {number} [options.tolerance=1e-14] - Relative size of the last correction at which a root is accepted.
+ * @param {number} [options.maxIterations=500] - Maximum number of sweeps over all roots.
+ * @param {boolean} [options.polish=true] - Refine the roots with Newton's method after they have been grouped.
+ * @returns {{roots: Array<number|Complex>, multiplicities: Object[], iterations: number, converged: boolean}} - The roots
+ *   repeated according to multiplicity (real roots ascending as numbers, then complex roots as Complex numbers),
+ *   the distinct roots as { root, multiplicity }, the number of sweeps and whether every root converged.
+ * @throws {Error} - If the polynomial is constant.
+ */
+function polynomialRoots(coefficients, options = {}) {
+    const { tolerance = 1e-14, maxIterations = 500, polish = true } = options;
+    let last = coefficients.length - 1;
+    while (last >= 0 && coefficients[last] === 0) last--;
+    let zeros = 0;
+    while (zeros < last && coefficients[zeros] === 0) zeros++;
+    if (last - zeros < 1 && zeros === 0) {
+        throw new Error("The polynomial must have degree at least 1.");
+    }
+    // Highest power first, with the roots at zero divided out.
+    const p = coefficients.slice(zeros, last + 1).reverse();
+    const dp = derivativeCoefficients(p);
+    const n = p.length - 1;
+    const size = ({ real, imaginary }) => Math.hypot(real, imaginary);
+    const one = { real: 1, imaginary: 0 };
+    const roundingError = (point) => {
+        const modulus = size(point);
+        return Number.EPSILON * p.reduce((sum, coefficient) => sum * modulus + Math.abs(coefficient), 0);
+    };
+
+    // Start on a circle whose radius is the geometric mean of the root moduli, rotated off the real axis.
+    const radius = Math.pow(Math.abs(p[n] / p[0]), 1 / n);
+    let z = Array.from({ length: n }, (_, k) => {
+        const angle = 2 * Math.PI * k / n + 0.4;
+        return { real: radius * Math.cos(angle), imaginary: radius * Math.sin(angle) };
+    });
+    const done = Array(n).fill(false);
+    const previous = Array(n).fill(Infinity);
+    let iterations = 0;
+    while (iterations < maxIterations && done.some(flag => !flag)) {
+        iterations++;
+        for (let i = 0; i < n; i++) {
+            if (done[i]) continue;
+            const [value] = hornerComplex(p, z[i]);
+            if (size(value) === 0) {
+                done[i] = true;
+                continue;
+            }
+            const ratio = divideComplex(value, hornerComplex(dp, z[i])[0]);
+            let sum = { real: 0, imaginary: 0 };
+            z.forEach((other, j) => {
+                if (j !== i) sum = addComplex(sum, divideComplex(one, subtractComplex(z[i], other)));
+            });
+            const step = divideComplex(ratio, subtractComplex(one, multiplyComplex(ratio, sum)));
+            if (!Number.isFinite(step.real) || !Number.isFinite(step.imaginary)) {
+                done[i] = true;
+                continue;
+            }
+            z[i] = subtractComplex(z[i], step);
+            // Multiple roots only converge linearly and stall at the rounding error of evaluating p,
+            // so a root is also accepted once p(z) is at that level and the corrections stop shrinking.
+            const stalled = size(value) <= roundingError(z[i]) && size(step) >= previous[i];
+            if (size(step) <= tolerance * Math.max(size(z[i]), Number.MIN_VALUE) || stalled) done[i] = true;
+            previous[i] = size(step);
+        }
+    }
+    const converged = done.every(flag => flag);
+
+    // Inclusion radii, using at least the rounding error of evaluating p so that clustered roots overlap.
+    const radii = z.map((zi, i) => {
+        const distance = z.reduce((product, other, j) => (j === i ? product : product * size(subtractComplex(zi, other))), Math.abs(p[0]));
+        return n * size(hornerComplex(p, zi)[0]) / distance;
+    });
+    const group = z.map((_, i) => i);
+    const find = i => (group[i] === i ? i : (group[i] = find(group[i])));
+    z.forEach((zi, i) => z.forEach((zj, j) => {
+        if (j > i && size(subtractComplex(zi, zj)) <= radii[i] + radii[j]) group[find(i)] = find(j);
+    }));
+    const clusters = new Map();
+    z.forEach((_, i) => clusters.set(find(i), [...(clusters.get(find(i)) || []), i]));
+    const derivatives = [p];
+    const factorials = [1];
+    for (let k = 1; k <= n; k++) {
+        derivatives.push(derivativeCoefficients(derivatives[k - 1]));
+        factorials.push(factorials[k - 1] * k);
+    }
+    const centroid = members => ({
+        real: members.reduce((sum, i) => sum + z[i].real, 0) / members.length,
+        imaginary: members.reduce((sum, i) => sum + z[i].imaginary, 0) / members.length
+    });
+    // The approximations of an m-fold root c scatter over a radius of about (rounding / |p^(m)(c) / m!|)^(1/m);
+    // a group much wider than that is a set of distinct but ill-conditioned roots, not a multiple root.
+    const groups = [...clusters.values()].flatMap((members) => {
+        const m = members.length;
+        if (m === 1) return [members];
+        const center = centroid(members);
+        const leading = size(hornerComplex(derivatives[m], center)[0]) / factorials[m];
+        const expected = Math.pow(roundingError(center) / leading, 1 / m);
+        const width = Math.max(...members.map(i => size(subtractComplex(z[i], center))));
+        return width <= 2 * expected ? [members] : members.map(i => [i]);
+    });
+
+    const multiplicities = groups.map((members) => {
+        const m = members.length;
+        let root = centroid(members);
+        const spread = Math.max(...members.map(i => size(subtractComplex(z[i], root)) + radii[i]));
+        if (polish) {
+            const [polished] = polishRoots(derivatives[m - 1], [root]);
+            if (size(subtractComplex(polished, root)) <= spread) root = polished;
+        }
+        // Real coefficients: a root within its uncertainty of the real axis is real.
+        if (Math.abs(root.imaginary) <= Math.max(spread, 1e-15 * size(root))) {
+            return { root: root.real || 0, multiplicity: m };
+        }
+        return { root, multiplicity: m, spread };
+    });
+    // Complex roots of a polynomial with real coefficients come in conjugate pairs: make each pair exact.
+    multiplicities.forEach((lower) => {
+        if (typeof lower.root === 'number' || lower.root.imaginary > 0) return;
+        const partner = multiplicities.find(upper => typeof upper.root !== 'number' && upper.root.imaginary > 0
+            && upper.multiplicity === lower.multiplicity
+            && Math.hypot(upper.root.real - lower.root.real, upper.root.imaginary + lower.root.imaginary) <= upper.spread + lower.spread);
+        if (partner) lower.root = { real: partner.root.real, imaginary: -partner.root.imaginary };
+    });
+    multiplicities.forEach((entry) => {
+        delete entry.spread;
+        if (typeof entry.root !== 'number') entry.root = new Complex(entry.root.real || 0, entry.root.imaginary || 0);
+    });
+    if (zeros > 0) multiplicities.push({ root: 0, multiplicity: zeros });
+    multiplicities.sort((x, y) => compareRoots(x.root, y.root));
+    const roots = sortRoots(multiplicities.flatMap(({ root, multiplicity }) => Array(multiplicity).fill(root)));
+    return { roots, multiplicities, iterations, converged };
 }
 
 /**
@@ -40,7 +399,8 @@ function solveQuadraticEquation(a, b, c) {
  * @returns {number[]} - The resulting polynomial after addition.
  */
 function addPolynomials(p1, p2) {
-    return p1.map((coeff, index) => coeff + (p2[index] || 0));
+    const length = Math.max(p1.length, p2.length);
+    return Array.from({ length }, (_, index) => (p1[index] || 0) + (p2[index] || 0));
 }
 
 /**
@@ -50,7 +410,8 @@ function addPolynomials(p1, p2) {
  * @returns {number[]} - The resulting polynomial after subtraction.
  */
 function subtractPolynomials(p1, p2) {
-    return p1.map((coeff, index) => coeff - (p2[index] || 0));
+    const length = Math.max(p1.length, p2.length);
+    return Array.from({ length }, (_, index) => (p1[index] || 0) - (p2[index] || 0));
 }
 
 /**
@@ -69,18 +430,49 @@ function multiplyPolynomials(p1, p2) {
     return result;
 }
 
+// Option names recognised by simplifyExpression; an options object with any other key is a scope (the older form).
+const SIMPLIFY_OPTIONS = ['expand', 'factor', 'scope'];
+
 /**
- * Simplifies a mathematical expression.
+ * Simplifies a mathematical expression symbolically: folds constants, collects like terms
+ * and cancels common factors, e.g. "2x + 3x - x^2 + x^2" becomes "5x".
+ * The expression is parsed rather than passed to eval, so it is safe to use on user input.
+ * Given a scope that binds every variable, the expression is evaluated instead and a number is returned, as before
+ * symbolic simplification was added: simplifyExpression("2x^2 + sin(pi / 2)", { scope: { x: 1 } }) is 3. The scope
+ * may also be passed directly as the second argument, e.g. simplifyExpression("2x + 3x", { x: 1 }).
  * @param {string} expression - The mathematical expression to simplify.
- * @returns {number} - The simplified result.
+ * @param {Object} [options={}] - Simplification options, or a scope of variable values.
+ * @param {boolean} [options.expand=false] - Multiply out products and integer powers of sums.
+ * @param {boolean} [options.factor=false] - Factor the result, e.g. "x^2 - 1" becomes "(x + 1)(x - 1)"; polynomials are
+ *   split into rational linear and integer quadratic factors, and irreducible factors of higher degree are kept whole.
+ * @param {Object} [options.scope] - Values for variables; the variables it binds are substituted before simplifying.
+ * @returns {{expression: string, ast: Object}|number} - The simplified expression as a string and as a syntax tree,
+ *   or its value when the scope binds every variable.
+ * @throws {Error} - If the expression is invalid or divides by zero.
  */
-function simplifyExpression(expression) {
-    return eval(expression);
+function simplifyExpression(expression, options = {}) {
+    const isScope = Object.keys(options).some(key => !SIMPLIFY_OPTIONS.includes(key));
+    const { scope, ...rest } = isScope ? { scope: options } : options;
+    if (!scope) {
+        const ast = simplifyAst(expression, rest);
+        return { expression: formatExpression(ast), ast };
+    }
+    const parsed = parseExpression(expression);
+    const variables = freeVariables(parsed);
+    const bound = variables.filter(name =>
+        Object.prototype.hasOwnProperty.call(scope, name) && typeof scope[name] === 'number');
+    if (bound.length === variables.length) return evaluateExpression(parsed, scope);
+    const substituted = bound.reduce((node, name) => substituteAst(node, name, { type: 'number', value: scope[name] }), parsed);
+    const ast = simplifyAst(substituted, rest);
+    return { expression: formatExpression(ast), ast };
 }
 
 module.exports = {
     solveLinearEquation,
     solveQuadraticEquation,
+    solveCubicEquation,
+    solveQuarticEquation,
+    polynomialRoots,
     addPolynomials,
     subtractPolynomials,
     multiplyPolynomials,
@@ -1,41 +1,57 @@
+const { Decimal } = require('./decimal');
+
+/**
+ * Checks whether any operand is a Decimal, in which case the arithmetic functions compute with decimals.
+ * @param {...*} values - The operands.
+ * @returns {boolean} - True if at least one operand is a Decimal.
+ */
+function involvesDecimal(...values) {
+    return values.some(value => value instanceof Decimal);
+}
+
 /**
  * Performs addition of two numbers.
- * @param {number} a - The first number.
- * @param {number} b - The second number.
- * @returns {number} - The result of adding a and b.
+ * @param {number|Decimal} a - The first number.
+ * @param {number|Decimal} b - The second number.
+ * @returns {number|Decimal} - The result of adding a and b, an exact Decimal if either is one.
  */
 function add(a, b) {
+    if (involvesDecimal(a, b)) return Decimal.from(a).add(b);
     return a + b;
 }
 
 /**
  * Performs subtraction of two numbers.
- * @param {number} a - The minuend.
- * @param {number} b - The subtrahend.
- * @returns {number} - The result of subtracting b from a.
+ * @param {number|Decimal} a - The minuend.
+ * @param {number|Decimal} b - The subtrahend.
+ * @returns {number|Decimal} - The result of subtracting b from a, an exact Decimal if either is one.
  */
 function subtract(a, b) {
+    if (involvesDecimal(a, b)) return Decimal.from(a).subtract(b);
     return a - b;
 }
 
 /**
  * Performs multiplication of two numbers.
- * @param {number} a - The first number.
- * @param {number} b - The second number.
- * @returns {number} - The result of multiplying a and b.
+ * @param {number|Decimal} a - The first number.
+ * @param {number|Decimal} b - The second number.
+ * @returns {number|Decimal} - The result of multiplying a and b, an exact Decimal if either is one.
  */
 function multiply(a, b) {
+    if (involvesDecimal(a, b)) return Decimal.from(a).multiply(b);
     return a * b;
 }
 
 /**
  * Performs division of two numbers.
- * @param {number} a - The dividend.
- * @param {number} b - The divisor.
- * @returns {number} - The result of dividing a by b.
+ * @param {number|Decimal} a - The dividend.
+ * @param {number|Decimal} b - The divisor.
+ * @returns {number|Decimal} - The result of dividing a by b, a Decimal rounded to 34 significant digits
+ *   (half-even) if either is one.
  * @throws {Error} - If b is zero, throws an error to prevent division by zero.
  */
 function divide(a, b) {
+    if (involvesDecimal(a, b)) return Decimal.from(a).divide(b);
     if (b === 0) {
         throw new Error("Cannot divide by zero.");
     }
@@ -54,11 +70,13 @@ function remainder(a, b) {
 
 /**
  * Computes the exponentiation of a base number raised to a given exponent.
- * @param {number} base - The base number.
- * @param {number} exponent - The exponent to which the base number is raised.
- * @returns {number} - The result of raising base to the power of exponent.
+ * @param {number|Decimal} base - The base number.
+ * @param {number|Decimal} exponent - The exponent to which the base number is raised.
+ * @returns {number|Decimal} - The result of raising base to the power of exponent; a Decimal if either is one,
+ *   exact for non-negative integer exponents and rounded to 34 significant digits otherwise.
  */
 function exponentiate(base, exponent) {
+    if (involvesDecimal(base, exponent)) return Decimal.from(base).power(exponent);
     return Math.pow(base, exponent);
 }
 
@@ -0,0 +1,304 @@
+/**
+ * A dual number a + bε with ε² = 0, used for forward-mode automatic differentiation: evaluating
+ * f(new Dual(x, 1)) gives f(x) as the value and f'(x) as the derivative. The parts may themselves
+ * be dual numbers, which gives higher derivatives.
+ */
+class Dual {
+    /**
+     * Creates a dual number.
+     * @param {number|Dual} value - The real part.
+     * @param {number|Dual} [derivative=0] - The infinitesimal part.
+     */
+    constructor(value, derivative = 0) {
+        this.value = value;
+        this.derivative = derivative;
+    }
+}
+
+/**
+ * A node of a reverse-mode tape: a value together with the nodes it was computed from and the local
+ * partial derivatives with respect to them.
+ */
+class Variable {
+    /**
+     * Creates a node. Use Tape.variable to create inputs.
+     * @param {Tape} tape - The tape recording the computation.
+     * @param {number|Dual} value - The value.
+     * @param {Array[]} parents - Pairs [node, partial derivative of this node with respect to that node].
+     */
+    constructor(tape, value, parents) {
+        this.tape = tape;
+        this.value = value;
+        this.parents = parents;
+        this.index = tape.nodes.length;
+        tape.nodes.push(this);
+    }
+}
+
+/**
+ * Records a computation for reverse-mode automatic differentiation, so that the gradient of one output
+ * with respect to any number of inputs is found in a single backward sweep.
+ */
+class Tape {
+    constructor() {
+        this.nodes = [];
+    }
+
+    /**
+     * Creates an input variable on this tape.
+     * @param {number|Dual} value - The value of the input.
+     * @returns {Variable} - The input.
+     */
+    variable(value) {
+        return new Variable(this, value, []);
+    }
+
+    /**
+     * Propagates derivatives backwards from an output to the inputs.
+     * @param {Variable|number} output - The output of the computation.
+     * @param {Variable[]} inputs - The inputs.
+     * @returns {Array} - The partial derivative of the output with respect to each input.
+     */
+    gradient(output, inputs) {
+        if (!(output instanceof Variable)) return inputs.map(() => 0);
+        const adjoints = Array(this.nodes.length).fill(0);
+        adjoints[output.index] = 1;
+        for (let i = output.index; i >= 0; i--) {
+            if (adjoints[i] === 0) continue;
+            this.nodes[i].parents.forEach(([parent, partial]) => {
+                adjoints[parent.index] = add(adjoints[parent.index], multiply(adjoints[i], partial));
+            });
+        }
+        return inputs.map(input => adjoints[input.index]);
+    }
+}
+
+/**
+ * Applies a binary operation to numbers, dual numbers or tape variables.
+ * @param {*} a - The first operand.
+ * @param {*} b - The second operand.
+ * @param {Function} real - The operation on plain values.
+ * @param {Function} partials - Returns [∂/∂a, ∂/∂b] given the plain (or dual) values of the operands.
+ * @returns {*} - The result, of the most general type of the operands.
+ */
+function binaryOperation(a, b, real, partials) {
+    if (a instanceof Variable || b instanceof Variable) {
+        const tape = (a instanceof Variable ? a : b).tape;
+        const [x, y] = [a instanceof Variable ? a.value : a, b instanceof Variable ? b.value : b];
+        const [da, db] = partials(x, y);
+        const parents = [];
+        if (a instanceof Variable) parents.push([a, da]);
+        if (b instanceof Variable) parents.push([b, db]);
+        return new Variable(tape, binaryOperation(x, y, real, partials), parents);
+    }
+    if (a instanceof Dual || b instanceof Dual) {
+        const [x, y] = [a instanceof Dual ? a : new Dual(a), b instanceof Dual ? b : new Dual(b)];
+        const [da, db] = partials(x.value, y.value);
+        const derivative = add(multiply(x.derivative, da), multiply(y.derivative, db));
+        return new Dual(binaryOperation(x.value, y.value, real, partials), derivative);
+    }
+    return real(a, b);
+}
+
+/**
+ * Creates a function of one argument that works on numbers, dual numbers and tape variables.
+ * @param {Function} real - The function on plain numbers.
+ * @param {Function} slope - The derivative, expressed with the functions of this module so that it can be differentiated again.
+ * @returns {Function} - The differentiable function.
+ */
+function differentiable(real, slope) {
+    const func = (x) => {
+        if (x instanceof Variable) return new Variable(x.tape, func(x.value), [[x, slope(x.value)]]);
+        if (x instanceof Dual) return new Dual(func(x.value), multiply(x.derivative, slope(x.value)));
+        return real(x);
+    };
+    return func;
+}
+
+const isZero = value => value === 0;
+
+/**
+ * Adds two numbers, dual numbers or tape variables.
+ * @param {*} a - The first operand.
+ * @param {*} b - The second operand.
+ * @returns {*} - The sum.
+ */
+function add(a, b) {
+    if (isZero(a)) return b;
+    if (isZero(b)) return a;
+    return binaryOperation(a, b, (x, y) => x + y, () => [1, 1]);
+}
+
+/**
+ * Subtracts two numbers, dual numbers or tape variables.
+ * @param {*} a - The minuend.
+ * @param {*} b - The subtrahend.
+ * @returns {*} - The difference.
+ */
+function subtract(a, b) {
+    if (isZero(b)) return a;
+    return binaryOperation(a, b, (x, y) => x - y, () => [1, -1]);
+}
+
+/**
+ * Multiplies two numbers, dual numbers or tape variables.
+ * @param {*} a - The first factor.
+ * @param {*} b - The second factor.
+ * @returns {*} - The product.
+ */
+function multiply(a, b) {
+    if (isZero(a) || isZero(b)) return 0;
+    return binaryOperation(a, b, (x, y) => x * y, (x, y) => [y, x]);
+}
+
+/**
+ * Divides two numbers, dual numbers or tape variables.
+ * @param {*} a - The dividend.
+ * @param {*} b - The divisor.
+ * @returns {*} - The quotient.
+ */
+function divide(a, b) {
+    return binaryOperation(a, b, (x, y) => x / y, (x, y) => [divide(1, y), negate(divide(x, multiply(y, y)))]);
+}
+
+/**
+ * Raises a number, dual number or tape variable to a power.
+ * @param {*} a - The base.
+ * @param {*} b - The exponent.
+ * @returns {*} - a raised to the power b.
+ */
+function power(a, b) {
+    return binaryOperation(a, b, Math.pow, (x, y) => [
+        isZero(y) ? 0 : multiply(y, power(x, subtract(y, 1))),
+        typeof b === 'number' ? 0 : multiply(power(x, y), log(x))
+    ]);
+}
+
+/**
+ * Negates a number, dual number or tape variable.
+ * @param {*} a - The operand.
+ * @returns {*} - The negated operand.
+ */
+function negate(a) {
+    return subtract(0, a);
+}
+
+// Elementary functions, each with its derivative.
+const sin = differentiable(Math.sin, x => cos(x));
+const cos = differentiable(Math.cos, x => negate(sin(x)));
+const tan = differentiable(Math.tan, x => divide(1, multiply(cos(x), cos(x))));
+const asin = differentiable(Math.asin, x => divide(1, sqrt(subtract(1, multiply(x, x)))));
+const acos = differentiable(Math.acos, x => negate(divide(1, sqrt(subtract(1, multiply(x, x))))));
+const atan = differentiable(Math.atan, x => divide(1, add(1, multiply(x, x))));
+const sinh = differentiable(Math.sinh, x => cosh(x));
+const cosh = differentiable(Math.cosh, x => sinh(x));
+const tanh = differentiable(Math.tanh, x => subtract(1, multiply(tanh(x), tanh(x))));
+const exp = differentiable(Math.exp, x => exp(x));
+const log = differentiable(Math.log, x => divide(1, x));
+const sqrt = differentiable(Math.sqrt, x => divide(0.5, sqrt(x)));
+const abs = differentiable(Math.abs, x => Math.sign(realPart(x)));
+
+/**
+ * Returns the plain number underneath a dual number or tape variable.
+ * @param {*} x - A number, dual number or tape variable.
+ * @returns {number} - The real value.
+ */
+function realPart(x) {
+    while (x instanceof Dual || x instanceof Variable) x = x.value;
+    return x;
+}
+
+/**
+ * Differentiable versions of the arithmetic operators and elementary functions. Functions written with these
+ * (e.g. (x, y) => adMath.add(adMath.multiply(x, y), adMath.sin(x))) can be differentiated exactly; they also
+ * work on plain numbers. Dual numbers and tape variables have the same operations as methods, e.g. x.multiply(y).
+ */
+const adMath = {
+    add, subtract, multiply, divide, power, negate,
+    sin, cos, tan, asin, acos, atan, sinh, cosh, tanh, exp, log, sqrt, abs
+};
+
+['add', 'subtract', 'multiply', 'divide', 'power'].forEach((name) => {
+    Dual.prototype[name] = function(other) { return adMath[name](this, other); };
+    Variable.prototype[name] = function(other) { return adMath[name](this, other); };
+});
+Dual.prototype.negate = function() { return negate(this); };
+Variable.prototype.negate = function() { return negate(this); };
+
+/**
+ * Checks the result of a function evaluated on dual numbers or tape variables.
+ * @param {*} result - The result.
+ * @returns {*} - The result.
+ * @throws {Error} - If the function used operations that do not support automatic differentiation.
+ */
+function checkResult(result) {
+    if (typeof result === 'number' && Number.isNaN(result)) {
+        throw new Error("The function must be written with the adMath operations to be differentiated automatically.");
+    }
+    return result;
+}
+
+/**
+ * Calculates the exact derivative of a function of one variable with forward-mode automatic differentiation.
+ * @param {Function} func - The function, written with the adMath operations.
+ * @param {number} x - The point at which to evaluate the derivative.
+ * @returns {number} - The derivative f'(x).
+ */
+function autoDerivative(func, x) {
+    const result = checkResult(func(new Dual(x, 1)));
+    return result instanceof Dual ? result.derivative : 0;
+}
+
+/**
+ * Calculates the exact gradient of a function of several variables with reverse-mode automatic differentiation
+ * (one evaluation and one backward sweep, whatever the number of variables).
+ * @param {Function} func - The function, called as func(x1, x2, ...) and written with the adMath operations.
+ * @param {number[]} point - The point at which to evaluate the gradient.
+ * @returns {number[]} - The partial derivatives of the function at the point.
+ */
+function autoGradient(func, point) {
+    const tape = new Tape();
+    const inputs = point.map(value => tape.variable(value));
+    return tape.gradient(checkResult(func(...inputs)), inputs);
+}
+
+/**
+ * Calculates the exact Jacobian matrix of a vector-valued function with forward-mode automatic differentiation.
+ * @param {Function} func - The function, called as func(x1, x2, ...), returning an array and written with the adMath operations.
+ * @param {number[]} point - The point at which to evaluate the Jacobian.
+ * @returns {number[][]} - The matrix J[i][j] = ∂f_i/∂x_j.
+ */
+function autoJacobian(func, point) {
+    const columns = point.map((_, j) => {
+        const outputs = func(...point.map((value, k) => new Dual(value, k === j ? 1 : 0)));
+        return outputs.map(output => (checkResult(output) instanceof Dual ? output.derivative : 0));
+    });
+    return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+/**
+ * Calculates the exact Hessian matrix of a function of several variables by forward-over-reverse automatic
+ * differentiation: each column is the directional derivative of the reverse-mode gradient.
+ * @param {Function} func - The function, called as func(x1, x2, ...) and written with the adMath operations.
+ * @param {number[]} point - The point at which to evaluate the Hessian.
+ * @returns {number[][]} - The matrix H[i][j] = ∂²f/∂x_i∂x_j.
+ */
+function autoHessian(func, point) {
+    const columns = point.map((_, j) => {
+        const tape = new Tape();
+        const inputs = point.map((value, k) => tape.variable(new Dual(value, k === j ? 1 : 0)));
+        return tape.gradient(checkResult(func(...inputs)), inputs).map(entry => (entry instanceof Dual ? entry.derivative : 0));
+    });
+    return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+module.exports = {
+    Dual,
+    Variable,
+    Tape,
+    adMath,
+    autoDerivative,
+    autoGradient,
+    autoJacobian,
+    autoHessian
+};
@@ -1,23 +1,71 @@
+const { parseExpression, evaluateExpression, formatExpression } = require('./expression');
+const { simplifyAst, differentiateAst, substituteAst, integrateAst } = require('./symbolic');
+const { adaptiveSimpson, gaussLegendre, gaussKronrod, multipleQuadrature } = require('./quadrature');
+const { taylorSeries } = require('./series');
+const { solveInitialValueProblem } = require('./ode');
+const { autoDerivative, autoGradient, autoJacobian, autoHessian } = require('./autodiff');
+
 /**
- * Calculates the first derivative of a function using finite differences.
- * @param {Function} func - The function to differentiate.
- * @param {number} x - The point at which to evaluate the derivative.
- * @param {number} [h=1e-5] - The step size for finite differences (default is 1e-5).
- * @returns {number} - The value of the derivative at the given point.
+ * Packages a syntax tree as the result of a symbolic calculation.
+ * @param {Object} ast - The syntax tree.
+ * @returns {{expression: string, ast: Object}} - The expression as a string and as a syntax tree.
+ */
+function symbolicResult(ast) {
+    return { expression: formatExpression(ast), ast };
+}
+
+/**
+ * Calculates the first derivative of a function.
+ * A JS function is differentiated using finite differences. An expression string or syntax tree
+ * is differentiated exactly: pass a variable name to get the symbolic derivative, or a number to
+ * evaluate the exact derivative with respect to x at that point.
+ * @param {Function|string|Object} func - The function to differentiate, or an expression such as "x^2 sin(x)".
+ * @param {number|string} x - The point at which to evaluate the derivative, or the variable for a symbolic result.
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number|{expression: string, ast: Object}} - The value of the derivative, or the simplified symbolic derivative.
  */
 function derivative(func, x, h = 1e-5) {
+    if (typeof func !== 'function') {
+        if (typeof x === 'number') return evaluateExpression(differentiateAst(func, 'x'), { x });
+        return symbolicResult(differentiateAst(func, x));
+    }
+    if (h === 'ad') return autoDerivative(func, x);
     return (func(x + h) - func(x)) / h;
 }
 
 /**
- * Calculates the definite integral of a function using numerical integration (trapezoidal rule).
+ * Calculates the definite integral of a function using adaptive numerical integration.
+ * Infinite limits and integrable endpoint singularities are supported. Passing a number instead
+ * of options uses the trapezoidal rule with that many intervals.
  * @param {Function} func - The function to integrate.
- * @param {number} a - The lower limit of integration.
- * @param {number} b - The upper limit of integration.
- * @param {number} [n=1000] - The number of intervals for numerical integration (default is 1000).
- * @returns {number} - The value of the definite integral between the two limits.
+ * @param {number} a - The lower limit of integration (may be -Infinity).
+ * @param {number} b - The upper limit of integration (may be Infinity).
+ * @param {Object|number} [options={}] - The options, or the number of intervals for the trapezoidal rule.
+ * @param {string} [options.method='kronrod'] - The rule: 'kronrod' (Gauss–Kronrod G7/K15), 'legendre' (Gauss–Legendre) or 'simpson'.
+ * @param {number} [options.tolerance=1e-10] - The requested absolute error.
+ * @param {number} [options.points=5] - The number of points of the Gauss–Legendre rule.
+ * @param {boolean} [options.report=false] - Return the rule's report instead of the value alone.
+ * @returns {number|{value: number, error: number, evaluations: number, converged: boolean}} - The value of the integral;
+ *   with report, also its estimated error, the number of function evaluations and whether the tolerance was met.
+ * @throws {Error} - If the method is unknown.
  */
-function integralDefinite(func, a, b, n = 1000) {
+function integralDefinite(func, a, b, options = {}) {
+    if (typeof options !== 'number') {
+        const { method = 'kronrod', tolerance = 1e-10, points = 5, report = false } = options;
+        let result;
+        if (method === 'kronrod') {
+            result = gaussKronrod(func, a, b, tolerance);
+        } else if (method === 'legendre') {
+            result = gaussLegendre(func, a, b, points, tolerance);
+        } else if (method === 'simpson') {
+            result = adaptiveSimpson(func, a, b, tolerance);
+        } else {
+            throw new Error(`Unknown integration method '${method}'.`);
+        }
+        return report ? result : result.value;
+    }
+    const n = options;
     const h = (b - a) / n;
     let sum = 0.5 * (func(a) + func(b));
     for (let i = 1; i < n; i++) {
@@ -27,47 +75,196 @@ function integralDefinite(func, a, b, n = 1000) {
 }
 
 /**
- * Calculates the indefinite integral of a function using numerical integration.
- * @param {Function} func - The function to integrate.
- * @param {number} a - The lower limit of integration.
- * @param {number} b - The upper limit of integration.
- * @param {number} [n=1000] - The number of intervals for numerical integration (default is 1000).
- * @returns {Function} - A function representing the indefinite integral of the given function.
+ * Builds the antiderivative result for an expression: the symbolic antiderivative plus C when a
+ * closed form exists, otherwise a numeric integral from a fixed lower limit.
+ * @param {Object} node - The syntax tree of the integrand.
+ * @param {Object|null} antiderivative - The symbolic antiderivative, or null if there is no closed form.
+ * @param {string} variable - The variable of integration.
+ * @param {number} lower - The lower limit used by the numeric fallback.
+ * @param {number} n - The number of intervals used by the numeric fallback.
+ * @returns {{closedForm: boolean, expression: string|null, ast: Object|null, evaluate: Function}} - The antiderivative.
+ */
+function antiderivativeResult(node, antiderivative, variable, lower, n) {
+    if (!antiderivative) {
+        const integrand = (t) => evaluateExpression(node, { [variable]: t });
+        return {
+            closedForm: false,
+            expression: null,
+            ast: null,
+            evaluate: (x) => integralDefinite(integrand, lower, x, n)
+        };
+    }
+    const ast = { type: 'binary', operator: '+', left: antiderivative, right: { type: 'symbol', name: 'C' } };
+    return {
+        closedForm: true,
+        ...symbolicResult(ast),
+        evaluate: (x) => evaluateExpression(antiderivative, { [variable]: x })
+    };
+}
+
+/**
+ * Calculates the indefinite integral of a function.
+ * A JS function is integrated numerically. An expression string or syntax tree is integrated
+ * symbolically (polynomials, rational functions, basic trig/exp/log, substitution and integration
+ * by parts); when no closed form is found it falls back to numeric integration and `closedForm` is false.
+ * @param {Function|string|Object} func - The function to integrate, or an expression such as "x e^(x^2)".
+ * @param {number|Object} [a] - For a JS function, the lower limit of integration. For an expression, the options.
+ * @param {string} [a.variable='x'] - The variable of integration.
+ * @param {number} [a.lowerLimit=0] - The lower limit of the numeric fallback.
+ * @param {number} [a.intervals=1000] - The number of intervals of the numeric fallback.
+ * @param {number} [b] - The upper limit of integration (unused).
+ * @param {number} [n=1000] - The number of intervals for numerical integration of a JS function (default is 1000).
+ * @returns {Function|Object} - For a JS function, a function representing the indefinite integral. For an expression,
+ *   { closedForm, expression, ast, evaluate }: the antiderivative plus C (null without a closed form) and a function
+ *   computing the antiderivative (with C = 0) at a point.
  */
 function integralIndefinite(func, a, b, n = 1000) {
+    if (typeof func !== 'function') {
+        const { variable = 'x', lowerLimit = 0, intervals = 1000 } = a || {};
+        const node = typeof func === 'string' ? parseExpression(func) : func;
+        return antiderivativeResult(node, integrateAst(node, variable), variable, lowerLimit, intervals);
+    }
     return function(x) {
         return integralDefinite(func, a, x, n);
     };
 }
 
 /**
- * Calculates the limit of a function as x approaches a given value using numerical approximation.
- * @param {Function} func - The function to evaluate.
- * @param {number} point - The point at which to evaluate the limit.
- * @param {number} [epsilon=1e-5] - A small number to approximate the limit (default is 1e-5).
- * @returns {number} - The limit of the function as x approaches the given point.
+ * Samples a function ever closer to a point from one side, at point + side * h for h = h0, h0 / 2, h0 / 4, ...,
+ * or for an infinite point at ±1 / h. Sampling stops at the first value that is not a finite number.
+ * @param {Function} func - The function to sample.
+ * @param {number} point - The point being approached (may be ±Infinity).
+ * @param {number} side - -1 to approach from the left, 1 to approach from the right.
+ * @returns {{h: number, value: number}[]} - The samples, the last of which may be ±Infinity.
  */
-function limit(func, point, epsilon = 1e-5) {
-    return (func(point + epsilon) - func(point - epsilon)) / (2 * epsilon);
+function limitSamples(func, point, side) {
+    const h0 = Number.isFinite(point) ? 0.1 * Math.max(1, Math.abs(point)) : 0.5;
+    const samples = [];
+    for (let k = 0; k < 40; k++) {
+        const h = h0 / Math.pow(2, k);
+        const x = Number.isFinite(point) ? point + side * h : Math.sign(point) / h;
+        if (x === point) break;
+        let value;
+        try {
+            value = func(x);
+        } catch (error) {
+            value = NaN;
+        }
+        if (typeof value !== 'number' || Number.isNaN(value)) break;
+        samples.push({ h, value });
+        if (!Number.isFinite(value)) break;
+    }
+    return samples;
 }
 
 /**
- * Calculates the Taylor series expansion of a function around a point.
- * @param {Function} func - The function to expand.
- * @param {number} a - The point around which to expand.
- * @param {number} [n=5] - The number of terms in the series (default is 5).
- * @returns {Function} - A function representing the Taylor series expansion of the given function.
+ * Extrapolates samples f(h), f(h / 2), f(h / 4), ... to h = 0 with Richardson's method (Neville's table),
+ * stopping once rounding errors make the table diverge.
+ * @param {{h: number, value: number}[]} samples - The samples, with halving step sizes.
+ * @returns {{value: number, error: number}} - The extrapolated value with the smallest error estimate.
  */
-function taylorSeries(func, a, n = 5) {
-    return function(x) {
-        let sum = 0;
-        for (let k = 0; k < n; k++) {
-            const derivativeFunc = (h) => derivative(func, a, h);
-            const term = derivativeFunc(a) * Math.pow(x - a, k) / factorial(k);
-            sum += term;
+function richardsonExtrapolation(samples) {
+    let best = { value: NaN, error: Infinity };
+    let previous = [];
+    for (let k = 0; k < samples.length; k++) {
+        const row = [samples[k].value];
+        const top = Math.min(k, 6);
+        for (let j = 1; j <= top; j++) {
+            row.push(row[j - 1] + (row[j - 1] - previous[j - 1]) / (Math.pow(2, j) - 1));
+            const error = Math.max(Math.abs(row[j] - row[j - 1]), Math.abs(row[j] - previous[j - 1]));
+            if (error <= best.error) best = { value: row[j], error };
         }
-        return sum;
-    };
+        if (top > 0 && Math.abs(row[top] - previous[top - 1]) >= 2 * best.error) break;
+        previous = row;
+    }
+    return best;
+}
+
+/**
+ * Calculates a one-sided limit numerically.
+ * @param {Function} func - The function.
+ * @param {number} point - The point being approached (may be ±Infinity).
+ * @param {number} side - -1 for the limit from the left, 1 for the limit from the right.
+ * @param {number} tolerance - The requested relative accuracy.
+ * @returns {{value: number, exists: boolean, status: string, error: number}} - The limit (see limit).
+ */
+function oneSidedLimit(func, point, side, tolerance) {
+    const samples = limitSamples(func, point, side);
+    const finite = (value, error) => ({ value, exists: true, status: 'finite', error });
+    const values = samples.map(sample => sample.value);
+    const last = values[values.length - 1];
+    if (values.length > 0 && !Number.isFinite(last)) {
+        return { value: last, exists: false, status: 'infinite', error: 0 };
+    }
+    if (values.length < 6) return { value: NaN, exists: false, status: 'undefined', error: Infinity };
+    const scale = value => tolerance * Math.max(1, Math.abs(value));
+
+    const extrapolated = richardsonExtrapolation(samples);
+    if (extrapolated.error <= scale(extrapolated.value)) return finite(extrapolated.value, extrapolated.error);
+    const recent = values.slice(-5);
+    const spread = Math.max(...recent) - Math.min(...recent);
+    if (spread <= scale(last)) return finite(last, spread);
+
+    const tail = values.slice(-12);
+    const steps = tail.slice(1).map((value, i) => value - tail[i]);
+    const lastStep = steps[steps.length - 1];
+    if (steps.every(step => step !== 0 && Math.sign(step) === Math.sign(lastStep))) {
+        const ratios = steps.slice(1).map((step, i) => step / steps[i]);
+        if (Math.max(...ratios) < 0.95) {
+            // The steps shrink geometrically, so the remaining distance to the limit is their sum.
+            const ratio = ratios[ratios.length - 1];
+            const remainder = lastStep * ratio / (1 - ratio);
+            return finite(last + remainder, Math.abs(remainder));
+        }
+        if (Math.abs(last) > Math.abs(tail[0])) {
+            return { value: Math.sign(lastStep) * Infinity, exists: false, status: 'infinite', error: 0 };
+        }
+        return { value: last, exists: false, status: 'unknown', error: Math.abs(last - tail[0]) };
+    }
+    return { value: NaN, exists: false, status: 'oscillating', error: Infinity };
+}
+
+/**
+ * Calculates the limit of a function as x approaches a point, from the left, the right or both sides.
+ * The function is sampled ever closer to the point and the samples are extrapolated to the point
+ * (Richardson extrapolation); divergence to ±Infinity and oscillation are detected from their trend.
+ * For a two-sided limit, a side on which the function is undefined (e.g. sqrt(x) left of 0) is ignored.
+ * @param {Function|string|Object} func - The function, or an expression in x such as "sin(x)/x".
+ * @param {number} point - The point at which to evaluate the limit (may be Infinity or -Infinity).
+ * @param {string} [direction='both'] - 'left', 'right' or 'both' (ignored for infinite points).
+ * @param {number} [tolerance=1e-8] - The requested relative accuracy.
+ * @returns {{value: number, exists: boolean, status: string, error: number, left?: Object, right?: Object}} - The limit.
+ *   status is 'finite' (value is the limit, with estimated error), 'infinite' (value is ±Infinity), 'oscillating',
+ *   'divergent' (the one-sided limits differ; both are attached), 'undefined' (the function has no values near
+ *   the point) or 'unknown'. exists is true only for a finite limit.
+ * @throws {Error} - If the direction is not valid.
+ */
+function limit(func, point, direction = 'both', tolerance = 1e-8) {
+    if (!['left', 'right', 'both'].includes(direction)) {
+        throw new Error("Direction must be 'left', 'right' or 'both'.");
+    }
+    if (typeof func !== 'function') {
+        const node = typeof func === 'string' ? parseExpression(func) : func;
+        func = (x) => evaluateExpression(node, { x });
+    }
+    if (!Number.isFinite(point)) return oneSidedLimit(func, point, -Math.sign(point), tolerance);
+    if (direction !== 'both') return oneSidedLimit(func, point, direction === 'left' ? -1 : 1, tolerance);
+
+    const left = oneSidedLimit(func, point, -1, tolerance);
+    const right = oneSidedLimit(func, point, 1, tolerance);
+    if (left.status === 'undefined') return { ...right, left, right };
+    if (right.status === 'undefined') return { ...left, left, right };
+    if (left.status === 'finite' && right.status === 'finite') {
+        const gap = Math.abs(left.value - right.value);
+        if (gap <= left.error + right.error + tolerance * Math.max(1, Math.abs(left.value))) {
+            return { value: (left.value + right.value) / 2, exists: true, status: 'finite', error: Math.max(left.error, right.error, gap / 2), left, right };
+        }
+    }
+    if (left.status === 'infinite' && right.status === 'infinite' && left.value === right.value) {
+        return { value: left.value, exists: false, status: 'infinite', error: 0, left, right };
+    }
+    const status = left.status === 'oscillating' || right.status === 'oscillating' ? 'oscillating' : 'divergent';
+    return { value: NaN, exists: false, status, error: Infinity, left, right };
 }
 
 /**
@@ -85,15 +282,23 @@ function factorial(n) {
 }
 
 /**
- * Solves a differential equation using numerical methods (Euler's method).
+ * Solves a differential equation dy/dx = func(x, y) and returns the value of y at xn.
+ * Passing options instead of a step size uses solveInitialValueProblem, e.g. { method: 'rk45', tolerance: 1e-10 };
+ * y may then also be an array (a system of equations). Passing a step size uses Euler's method.
  * @param {Function} func - The differential equation in the form dy/dx = func(x, y).
- * @param {number} y0 - The initial value of y.
+ * @param {number|number[]} y0 - The initial value of y.
  * @param {number} x0 - The initial value of x.
  * @param {number} xn - The point at which to evaluate the solution.
- * @param {number} [h=0.01] - The step size for numerical approximation (default is 0.01).
- * @returns {number} - The value of y at x = xn.
+ * @param {number|Object} [h=0.01] - The step size for Euler's method (default is 0.01), or the options of solveInitialValueProblem.
+ * @returns {number|number[]} - The value of y at x = xn.
+ * @throws {Error} - If the solver fails before reaching xn.
  */
 function differentialEquation(func, y0, x0, xn, h = 0.01) {
+    if (typeof h !== 'number') {
+        const result = solveInitialValueProblem(func, y0, x0, xn, h);
+        if (result.status === 'failed') throw new Error(`The solver failed: ${result.message}`);
+        return result.y[result.y.length - 1];
+    }
     let y = y0;
     for (let x = x0; x < xn; x += h) {
         y += func(x, y) * h;
@@ -101,114 +306,338 @@ function differentialEquation(func, y0, x0, xn, h = 0.01) {
     return y;
 }
 
+/**
+ * Checks whether a value is a point given as an array of coordinates.
+ * @param {*} value - The value.
+ * @returns {boolean} - True for a non-empty array of numbers.
+ */
+function isPoint(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(coordinate => typeof coordinate === 'number');
+}
+
+/**
+ * Calculates the partial derivative of a function of n variables at a point with central differences.
+ * @param {Function} func - The function, called as func(x1, x2, ...).
+ * @param {number[]} point - The point.
+ * @param {number} index - The index of the variable to differentiate with respect to.
+ * @param {number|string} h - The step size, or 'ad' for automatic differentiation.
+ * @returns {number} - The partial derivative.
+ */
+function partialAt(func, point, index, h) {
+    if (h === 'ad') return autoGradient(func, point)[index];
+    const forward = point.slice();
+    const backward = point.slice();
+    forward[index] += h;
+    backward[index] -= h;
+    return (func(...forward) - func(...backward)) / (2 * h);
+}
+
 /**
  * Calculates the partial derivative of a function with respect to one variable.
- * @param {Function} func - The function to differentiate.
- * @param {number} x - The point at which to evaluate the partial derivative.
- * @param {number} y - The value of the other variable (if the function has more than one variable).
- * @param {number} [h=1e-5] - The step size for finite differences (default is 1e-5).
- * @returns {number} - The value of the partial derivative.
+ * Expressions are differentiated exactly: pass a variable name to get the symbolic partial
+ * derivative, or numbers to evaluate the exact partial derivative with respect to x at (x, y).
+ * For a function of n variables, pass the point as an array and the index of the variable instead of y,
+ * e.g. partialDerivative((x, y, z) => x * y * z, [1, 2, 3], 2); central differences are then used.
+ * @param {Function|string|Object} func - The function to differentiate, or an expression such as "x^2 y".
+ * @param {number|string|number[]} x - The point at which to evaluate the partial derivative, or the variable for a symbolic result.
+ * @param {number} y - The value of the other variable (if the function has more than one variable), or the index of the variable.
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number|{expression: string, ast: Object}} - The value of the partial derivative, or the symbolic partial derivative.
  */
 function partialDerivative(func, x, y, h = 1e-5) {
+    if (typeof func !== 'function') {
+        if (typeof x === 'number') return evaluateExpression(differentiateAst(func, 'x'), { x, y });
+        return symbolicResult(differentiateAst(func, x));
+    }
+    if (isPoint(x)) return partialAt(func, x, y || 0, h);
+    if (h === 'ad') return autoGradient(func, [x, y])[0];
     return (func(x + h, y) - func(x, y)) / h;
 }
 
 /**
  * Calculates the gradient of a function (a vector of partial derivatives).
- * @param {Function} func - The function to evaluate (must be a function of multiple variables).
- * @param {number} x - The x-coordinate of the point.
+ * Expressions are differentiated exactly: pass an array of variable names to get the symbolic
+ * gradient, or numbers to evaluate the exact gradient at (x, y).
+ * For a function of n variables, pass the point as an array and the step size in place of y.
+ * @param {Function|string|Object} func - The function to evaluate (must be a function of multiple variables), or an expression.
+ * @param {number|string[]|number[]} x - The x-coordinate of the point, the point as an array, or the variables for a symbolic
+ *   result (default is ['x', 'y']).
  * @param {number} y - The y-coordinate of the point.
- * @param {number} [h=1e-5] - The step size for finite differences (default is 1e-5).
- * @returns {number[]} - The gradient of the function at the given point.
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number[]|Object[]} - The gradient of the function at the given point, or its symbolic components.
  */
 function gradient(func, x, y, h = 1e-5) {
+    if (typeof func !== 'function') {
+        if (typeof x === 'number') return ['x', 'y'].map(variable => evaluateExpression(differentiateAst(func, variable), { x, y }));
+        return (x || ['x', 'y']).map(variable => symbolicResult(differentiateAst(func, variable)));
+    }
+    if (isPoint(x)) {
+        const step = y === undefined ? 1e-5 : y;
+        return step === 'ad' ? autoGradient(func, x) : x.map((_, i) => partialAt(func, x, i, step));
+    }
+    if (h === 'ad') return autoGradient(func, [x, y]);
     return [
-        partialDerivative(func, x, y, h),
-        partialDerivative((x, y) => func(x, y + h), x, y, h)
+        (func(x + h, y) - func(x, y)) / h,
+        (func(x, y + h) - func(x, y)) / h
     ];
 }
 
 /**
  * Calculates the divergence of a vector field.
- * @param {Function} F - The vector field (should return an array of two functions).
- * @param {number} x - The x-coordinate of the point.
+ * With a point array, F is a field of n variables returning n components, e.g.
+ * divergence((x, y, z) => [x, y, z], [1, 2, 3]) is 3, and the step size goes in place of y.
+ * @param {Function} F - The vector field (should return an array of two functions of (x, y), or with a point array, the components).
+ * @param {number|number[]} x - The x-coordinate of the point, or the point as an array.
  * @param {number} y - The y-coordinate of the point.
- * @param {number} [h=1e-5] - The step size for finite differences (default is 1e-5).
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
  * @returns {number} - The divergence of the vector field at the given point.
  */
 function divergence(F, x, y, h = 1e-5) {
+    if (isPoint(x)) {
+        const step = y === undefined ? 1e-5 : y;
+        return x.reduce((sum, _, i) => sum + partialAt((...point) => F(...point)[i], x, i, step), 0);
+    }
     const [F1, F2] = F(x, y);
-    return partialDerivative(F1, x, y, h) + partialDerivative(F2, x, y, h);
+    return gradient(F1, x, y, h)[0] + gradient(F2, x, y, h)[1];
 }
 
 /**
- * Calculates the curl of a vector field.
- * @param {Function} F - The vector field (should return an array of two functions).
- * @param {number} x - The x-coordinate of the point.
+ * Calculates the curl of a vector field: the scalar ∂F2/∂x - ∂F1/∂y in two dimensions, or the vector
+ * (∂F3/∂y - ∂F2/∂z, ∂F1/∂z - ∂F3/∂x, ∂F2/∂x - ∂F1/∂y) for a field of three variables given a point array
+ * (the step size then goes in place of y).
+ * @param {Function} F - The vector field (should return an array of two functions of (x, y), or with a point array, the components).
+ * @param {number|number[]} x - The x-coordinate of the point, or the point as an array of two or three coordinates.
  * @param {number} y - The y-coordinate of the point.
- * @param {number} [h=1e-5] - The step size for finite differences (default is 1e-5).
- * @returns {number} - The curl of the vector field at the given point.
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number|number[]} - The curl of the vector field at the given point.
+ * @throws {Error} - If the point does not have two or three coordinates.
  */
 function curl(F, x, y, h = 1e-5) {
+    if (isPoint(x)) {
+        const step = y === undefined ? 1e-5 : y;
+        const J = jacobian(F, x, step);
+        if (x.length === 2) return J[1][0] - J[0][1];
+        if (x.length === 3) return [J[2][1] - J[1][2], J[0][2] - J[2][0], J[1][0] - J[0][1]];
+        throw new Error("Curl is only defined in two or three dimensions.");
+    }
     const [F1, F2] = F(x, y);
-    return partialDerivative(F2, x, y, h) - partialDerivative(F1, x, y, h);
+    return gradient(F2, x, y, h)[0] - gradient(F1, x, y, h)[1];
+}
+
+/**
+ * Calculates the Jacobian matrix of a vector-valued function of n variables.
+ * @param {Function} func - The function, called as func(x1, x2, ...) and returning an array.
+ * @param {number[]} point - The point.
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number[][]} - The matrix J[i][j] = ∂f_i/∂x_j.
+ */
+function jacobian(func, point, h = 1e-5) {
+    if (h === 'ad') return autoJacobian(func, point);
+    const columns = point.map((_, j) => {
+        const forward = point.slice();
+        const backward = point.slice();
+        forward[j] += h;
+        backward[j] -= h;
+        const [high, low] = [func(...forward), func(...backward)];
+        return high.map((value, i) => (value - low[i]) / (2 * h));
+    });
+    return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+/**
+ * Calculates the Hessian matrix (the second partial derivatives) of a function of n variables.
+ * @param {Function} func - The function, called as func(x1, x2, ...).
+ * @param {number[]} point - The point.
+ * @param {number|string} [h=1e-4] - The step size for finite differences (default is 1e-4), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number[][]} - The matrix H[i][j] = ∂²f/∂x_i∂x_j.
+ */
+function hessian(func, point, h = 1e-4) {
+    if (h === 'ad') return autoHessian(func, point);
+    const at = (i, si, j, sj) => {
+        const shifted = point.slice();
+        shifted[i] += si * h;
+        shifted[j] += sj * h;
+        return func(...shifted);
+    };
+    const center = func(...point);
+    return point.map((_, i) => point.map((__, j) => {
+        if (i === j) return (at(i, 1, i, 0) - 2 * center + at(i, -1, i, 0)) / (h * h);
+        return (at(i, 1, j, 1) - at(i, 1, j, -1) - at(i, -1, j, 1) + at(i, -1, j, -1)) / (4 * h * h);
+    }));
 }
 
 /**
- * Applies L'Hopital's rule to evaluate limits of indeterminate forms.
- * @param {Function} func - The function to evaluate.
- * @param {number} x - The point at which to apply L'Hopital's rule.
- * @param {number} [epsilon=1e-5] - A small number to approximate the limit (default is 1e-5).
- * @returns {number} - The result of applying L'Hopital's rule.
+ * Calculates the Laplacian (the sum of the unmixed second partial derivatives) of a function of n variables.
+ * @param {Function} func - The function, called as func(x1, x2, ...).
+ * @param {number[]} point - The point.
+ * @param {number|string} [h=1e-4] - The step size for finite differences (default is 1e-4), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number} - The Laplacian at the point.
  */
-function lHopitalRule(func, x, epsilon = 1e-5) {
-    const numerator = func(x + epsilon) - func(x - epsilon);
-    const denominator = 2 * epsilon;
-    return numerator / denominator;
+function laplacian(func, point, h = 1e-4) {
+    if (h === 'ad') return autoHessian(func, point).reduce((sum, row, i) => sum + row[i], 0);
+    const center = func(...point);
+    return point.reduce((sum, value, i) => {
+        const forward = point.slice();
+        const backward = point.slice();
+        forward[i] += h;
+        backward[i] -= h;
+        return sum + (func(...forward) - 2 * center + func(...backward)) / (h * h);
+    }, 0);
+}
+
+/**
+ * Calculates the directional derivative of a function of n variables: the rate of change along a direction.
+ * @param {Function} func - The function, called as func(x1, x2, ...).
+ * @param {number[]} point - The point.
+ * @param {number[]} direction - The direction (normalized to a unit vector).
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number} - The directional derivative.
+ * @throws {Error} - If the direction is the zero vector or has the wrong length.
+ */
+function directionalDerivative(func, point, direction, h = 1e-5) {
+    if (direction.length !== point.length) throw new Error("The direction must have as many components as the point.");
+    const length = Math.hypot(...direction);
+    if (length === 0) throw new Error("The direction must not be the zero vector.");
+    return gradient(func, point, h).reduce((sum, value, i) => sum + value * direction[i] / length, 0);
+}
+
+/**
+ * Resolves the limit of numerator / denominator at a point where it has the indeterminate form 0/0 or ∞/∞,
+ * using L'Hopital's rule: the quotient of the derivatives has the same limit. Expressions are differentiated
+ * exactly, as many times as needed; JS functions are differentiated once with central differences.
+ * If the form is not indeterminate, the limit of the quotient is returned directly.
+ * @param {Function|string|Object} numerator - The numerator, or an expression in x such as "sin(x)".
+ * @param {Function|string|Object} denominator - The denominator, or an expression in x such as "x".
+ * @param {number} point - The point at which to evaluate the limit (may be Infinity or -Infinity).
+ * @param {string} [direction='both'] - 'left', 'right' or 'both' (ignored for infinite points).
+ * @param {number} [tolerance=1e-8] - The requested relative accuracy.
+ * @returns {Object} - The limit in the form returned by limit, together with form ('0/0', '∞/∞' or null if the
+ *   quotient is not indeterminate) and applications (the number of times the rule was applied).
+ */
+function lHopitalRule(numerator, denominator, point, direction = 'both', tolerance = 1e-8) {
+    const isZero = result => result.status === 'finite' && Math.abs(result.value) <= Math.max(10 * result.error, tolerance);
+    const isInfinite = result => result.status === 'infinite' ||
+        (result.status === 'divergent' && result.left.status === 'infinite' && result.right.status === 'infinite');
+    const formOf = (top, bottom) => {
+        const topLimit = limit(top, point, direction, tolerance);
+        const bottomLimit = limit(bottom, point, direction, tolerance);
+        if (isZero(topLimit) && isZero(bottomLimit)) return '0/0';
+        if (isInfinite(topLimit) && isInfinite(bottomLimit)) return '∞/∞';
+        return null;
+    };
+    const form = formOf(numerator, denominator);
+
+    if (typeof numerator !== 'function' && typeof denominator !== 'function') {
+        let top = typeof numerator === 'string' ? parseExpression(numerator) : numerator;
+        let bottom = typeof denominator === 'string' ? parseExpression(denominator) : denominator;
+        let applications = 0;
+        if (form) {
+            do {
+                top = differentiateAst(top);
+                bottom = differentiateAst(bottom);
+                applications++;
+            } while (formOf(top, bottom) && applications < 10);
+        }
+        const quotient = { type: 'binary', operator: '/', left: top, right: bottom };
+        return { ...limit(quotient, point, direction, tolerance), form, applications };
+    }
+
+    const f = typeof numerator === 'function' ? numerator : (x) => evaluateExpression(numerator, { x });
+    const g = typeof denominator === 'function' ? denominator : (x) => evaluateExpression(denominator, { x });
+    if (!form) return { ...limit(x => f(x) / g(x), point, direction, tolerance), form, applications: 0 };
+    const quotientOfDerivatives = (x) => {
+        const h = 1e-4 * (Number.isFinite(point) ? Math.abs(x - point) : Math.max(1, Math.abs(x)));
+        return (f(x + h) - f(x - h)) / (g(x + h) - g(x - h));
+    };
+    return { ...limit(quotientOfDerivatives, point, direction, tolerance), form, applications: 1 };
 }
 
 /**
  * Applies the chain rule to differentiate composite functions.
- * @param {Function} outerFunc - The outer function.
- * @param {Function} innerFunc - The inner function.
- * @param {number} x - The point at which to evaluate the derivative.
- * @param {number} [h=1e-5] - The step size for finite differences (default is 1e-5).
- * @returns {number} - The value of the derivative of the composite function.
+ * Expressions are composed by substituting the inner expression for the variable of the outer one
+ * and differentiated exactly, e.g. "sin(x)" and "x^2" give "2x*cos(x^2)".
+ * @param {Function|string|Object} outerFunc - The outer function, or an expression.
+ * @param {Function|string|Object} innerFunc - The inner function, or an expression.
+ * @param {number|string} x - The point at which to evaluate the derivative, or the variable for a symbolic result.
+ * @param {number|string} [h=1e-5] - The step size for finite differences (default is 1e-5), or 'ad' for exact automatic
+ *   differentiation of a JS function written with the adMath operations.
+ * @returns {number|{expression: string, ast: Object}} - The value of the derivative of the composite function, or its symbolic form.
  */
 function chainRule(outerFunc, innerFunc, x, h = 1e-5) {
+    if (typeof outerFunc !== 'function') {
+        const variable = typeof x === 'string' ? x : 'x';
+        const result = differentiateAst(substituteAst(outerFunc, variable, innerFunc), variable);
+        return typeof x === 'number' ? evaluateExpression(result, { x }) : symbolicResult(result);
+    }
     const outerDerivative = derivative(outerFunc, innerFunc(x), h);
     const innerDerivative = derivative(innerFunc, x, h);
     return outerDerivative * innerDerivative;
 }
 
 /**
- * Calculates the integral of a function by parts.
- * @param {Function} u - The first function.
- * @param {Function} v - The second function.
- * @param {number} a - The lower limit of integration.
- * @param {number} b - The upper limit of integration.
+ * Calculates the integral of u(x) v'(x) by parts, using ∫ u dv = uv - ∫ v du.
+ * For expressions in x, the remaining integral ∫ v du is found symbolically, falling back to numeric
+ * integration when it has no closed form. Without limits, the symbolic antiderivative is returned.
+ * @param {Function|string|Object} u - The first function, or an expression.
+ * @param {Function|string|Object} v - The second function (the antiderivative of dv), or an expression.
+ * @param {number} [a] - The lower limit of integration.
+ * @param {number} [b] - The upper limit of integration.
  * @param {number} [n=1000] - The number of intervals for numerical integration (default is 1000).
- * @returns {number} - The result of the integration by parts.
+ * @returns {number|Object} - The result of the integration by parts, or for expressions without limits
+ *   the antiderivative in the form returned by integralIndefinite.
  */
 function integrationByParts(u, v, a, b, n = 1000) {
-    const du = derivative(u, a);
-    const dv = derivative(v, a);
-    const uv = integralDefinite((x) => u(x) * dv(x), a, b, n);
-    const vdu = integralDefinite((x) => v(x) * du(x), a, b, n);
-    return uv - vdu;
+    if (typeof u !== 'function') {
+        const uNode = typeof u === 'string' ? parseExpression(u) : u;
+        const vNode = typeof v === 'string' ? parseExpression(v) : v;
+        const uv = { type: 'binary', operator: '*', left: uNode, right: vNode };
+        const vdu = { type: 'binary', operator: '*', left: vNode, right: differentiateAst(uNode) };
+        const rest = integrateAst(vdu);
+        if (typeof a !== 'number') {
+            const integrand = { type: 'binary', operator: '*', left: uNode, right: differentiateAst(vNode) };
+            const antiderivative = rest && simplifyAst({ type: 'binary', operator: '-', left: uv, right: rest });
+            return antiderivativeResult(integrand, antiderivative, 'x', 0, n);
+        }
+        const at = (node, x) => evaluateExpression(node, { x });
+        const restValue = rest ? at(rest, b) - at(rest, a) : integralDefinite((x) => at(vdu, x), a, b, n);
+        return at(uv, b) - at(uv, a) - restValue;
+    }
+    const du = (x) => derivative(u, x);
+    return u(b) * v(b) - u(a) * v(a) - integralDefinite((x) => v(x) * du(x), a, b, n);
 }
 
 /**
- * Calculates multiple integrals for functions of two variables.
- * @param {Function} func - The function to integrate (must be a function of two variables).
- * @param {number} a - The lower limit for x.
- * @param {number} b - The upper limit for x.
+ * Calculates multiple integrals for functions of two or three variables.
+ * Called with an array of bounds, e.g. multipleIntegrals((x, y, z) => x * y * z, [[0, 1], [0, 1], [0, 1]]),
+ * the integral is computed adaptively with nested Gauss–Kronrod rules; inner limits may be functions
+ * of the outer variables and any limit may be infinite. Called with four limits, a fixed rectangle sum is used.
+ * @param {Function} func - The function to integrate (a function of two or three variables).
+ * @param {number|Array[]} a - The lower limit for x, or the [lower, upper] limits for each variable.
+ * @param {number|Object} b - The upper limit for x, or the options for the adaptive form.
+ * @param {number} [b.tolerance=1e-10] - The requested absolute error of each one-dimensional integral.
  * @param {number} c - The lower limit for y.
  * @param {number} d - The upper limit for y.
  * @param {number} [n=1000] - The number of intervals for numerical integration (default is 1000).
- * @returns {number} - The result of the multiple integral.
+ * @returns {number|{value: number, error: number, evaluations: number, converged: boolean}} - The result of the multiple
+ *   integral; for the adaptive form, together with its estimated error.
+ * @throws {Error} - If the adaptive form is not given two or three pairs of bounds.
  */
 function multipleIntegrals(func, a, b, c, d, n = 1000) {
+    if (Array.isArray(a)) {
+        if (a.length !== 2 && a.length !== 3) {
+            throw new Error("Multiple integrals require bounds for two or three variables.");
+        }
+        const { tolerance = 1e-10 } = b || {};
+        return multipleQuadrature(func, a, tolerance);
+    }
     const h = (b - a) / n;
     const k = (d - c) / n;
     let sum = 0;
@@ -222,6 +651,116 @@ function multipleIntegrals(func, a, b, c, d, n = 1000) {
     return sum;
 }
 
+/**
+ * Calculates the derivative of a parametrised curve or surface along one parameter by Richardson extrapolation of
+ * difference quotients with shrinking steps (Ridders' method), keeping the extrapolate with the smallest error
+ * estimate. Every evaluation stays inside [lower, upper]: near an end, forward or backward quotients are used.
+ * @param {Function} param - The parametrisation, returning a point array.
+ * @param {number[]} args - The parameter values.
+ * @param {number} index - The index of the parameter to differentiate with respect to.
+ * @param {number} lower - The smallest allowed value of the parameter.
+ * @param {number} upper - The largest allowed value of the parameter.
+ * @returns {number[]} - The tangent vector.
+ */
+function tangentVector(param, args, index, lower, upper) {
+    const t = args[index];
+    const at = (s) => param(...args.map((value, i) => (i === index ? s : value)));
+    const width = Number.isFinite(upper - lower) ? upper - lower : Math.max(1, Math.abs(t));
+    let h = 0.1 * width;
+    const central = t - h >= lower && t + h <= upper;
+    // Central quotients have errors in even powers of h only; one-sided ones in every power.
+    const direction = upper - t >= t - lower ? 1 : -1;
+    const errorPower = central ? 2 : 1;
+    const origin = central ? null : at(t);
+    const quotient = (step) => {
+        if (central) {
+            const [plus, minus] = [at(t + step), at(t - step)];
+            return plus.map((value, i) => (value - minus[i]) / (2 * step));
+        }
+        return at(t + direction * step).map((value, i) => (value - origin[i]) / (direction * step));
+    };
+    const ratio = 1.4;
+    const difference = (u, v) => Math.max(...u.map((value, i) => Math.abs(value - v[i])));
+    let previous = [quotient(h)];
+    let best = previous[0];
+    let error = Infinity;
+    for (let i = 1; i < 10; i++) {
+        h /= ratio;
+        const row = [quotient(h)];
+        let factor = Math.pow(ratio, errorPower);
+        for (let j = 1; j <= i; j++) {
+            row.push(row[j - 1].map((value, k) => (value * factor - previous[j - 1][k]) / (factor - 1)));
+            factor *= Math.pow(ratio, errorPower);
+            const estimate = Math.max(difference(row[j], row[j - 1]), difference(row[j], previous[j - 1]));
+            if (estimate <= error) {
+                error = estimate;
+                best = row[j];
+            }
+        }
+        // Stop once rounding makes the highest extrapolate worse than the best one so far.
+        if (difference(row[i], previous[i - 1]) >= 2 * error) break;
+        previous = row;
+    }
+    return best;
+}
+
+/**
+ * Calculates the line integral of a field along a parametrised curve r(t), a <= t <= b.
+ * For a scalar field f this is ∫ f(r(t)) |r'(t)| dt (e.g. the length of the curve when f = 1);
+ * for a vector field F it is the work ∫ F(r(t)) · r'(t) dt.
+ * @param {Function} field - The field, called as field(x1, x2, ...) and returning a number or an array.
+ * @param {Function} curve - The curve, returning a point array for each t.
+ * @param {number} a - The starting parameter value.
+ * @param {number} b - The final parameter value.
+ * @param {Object|number} [options={}] - The options, or the tolerance.
+ * @param {number} [options.tolerance=1e-10] - The requested absolute error.
+ * @param {Function} [options.derivative] - The velocity r'(t) as a point array; differentiated numerically inside
+ *   [a, b] if omitted.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The integral and its estimated error.
+ */
+function lineIntegral(field, curve, a, b, options = {}) {
+    const { tolerance = 1e-10, derivative: velocityOf } = typeof options === 'number' ? { tolerance: options } : options;
+    const [lower, upper] = [Math.min(a, b), Math.max(a, b)];
+    return gaussKronrod((t) => {
+        const value = field(...curve(t));
+        const velocity = velocityOf ? velocityOf(t) : tangentVector(curve, [t], 0, lower, upper);
+        if (typeof value === 'number') return value * Math.hypot(...velocity);
+        return value.reduce((sum, component, i) => sum + component * velocity[i], 0);
+    }, a, b, tolerance);
+}
+
+/**
+ * Calculates the surface integral of a field over a parametrised surface r(u, v) in three dimensions.
+ * For a scalar field f this is ∫∫ f(r) |r_u × r_v| du dv (e.g. the area when f = 1);
+ * for a vector field F it is the flux ∫∫ F(r) · (r_u × r_v) du dv.
+ * @param {Function} field - The field, called as field(x, y, z) and returning a number or an array of three components.
+ * @param {Function} surface - The surface, returning [x, y, z] for each (u, v).
+ * @param {number[]} uBounds - The [lower, upper] limits of u.
+ * @param {Array<number|Function>} vBounds - The [lower, upper] limits of v (which may be functions of u).
+ * @param {Object|number} [options={}] - The options, or the tolerance.
+ * @param {number} [options.tolerance=1e-8] - The requested absolute error of each one-dimensional integral.
+ * @param {Function} [options.partials] - Called with (u, v), returns [r_u, r_v], the partial derivatives as point
+ *   arrays; differentiated numerically inside the bounds if omitted.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The integral and its estimated error.
+ */
+function surfaceIntegral(field, surface, uBounds, vBounds, options = {}) {
+    const { tolerance = 1e-8, partials } = typeof options === 'number' ? { tolerance: options } : options;
+    const limits = (bounds, u) => {
+        const [first, second] = bounds.map(bound => (typeof bound === 'function' ? bound(u) : bound));
+        return [Math.min(first, second), Math.max(first, second)];
+    };
+    return multipleQuadrature((u, v) => {
+        const value = field(...surface(u, v));
+        const [ru, rv] = partials ? partials(u, v) : [
+            tangentVector(surface, [u, v], 0, ...limits(uBounds)),
+            tangentVector(surface, [u, v], 1, ...limits(vBounds, u))
+        ];
+        const normal = [ru[1] * rv[2] - ru[2] * rv[1], ru[2] * rv[0] - ru[0] * rv[2], ru[0] * rv[1] - ru[1] * rv[0]];
+        if (typeof value === 'number') return value * Math.hypot(...normal);
+        return value.reduce((sum, component, i) => sum + component * normal[i], 0);
+    }, [uBounds, vBounds], tolerance);
+}
+
 module.exports = {
     derivative,
     integralDefinite,
@@ -234,8 +773,14 @@ module.exports = {
     gradient,
     divergence,
     curl,
+    jacobian,
+    hessian,
+    laplacian,
+    directionalDerivative,
     lHopitalRule,
     chainRule,
     integrationByParts,
-    multipleIntegrals
+    multipleIntegrals,
+    lineIntegral,
+    surfaceIntegral
 };
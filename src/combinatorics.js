@@ -1,18 +1,23 @@
 /**
  * Computes the factorial of a number.
- * @param {number} n - The number.
- * @returns {number} - The factorial of the number.
+ * @param {number|bigint} n - The number; if it is a BigInt, the factorial is exact.
+ * @returns {number|bigint} - The factorial of the number.
  */
 function factorial(n) {
     if (n < 0) throw new Error('Negative numbers are not allowed.');
+    if (typeof n === 'bigint') {
+        let result = 1n;
+        for (let i = 2n; i <= n; i++) result *= i;
+        return result;
+    }
     return n === 0 ? 1 : n * factorial(n - 1);
 }
 
 /**
  * Computes the number of permutations of n items taken r at a time.
- * @param {number} n - The total number of items.
- * @param {number} r - The number of items to arrange.
- * @returns {number} - The number of permutations.
+ * @param {number|bigint} n - The total number of items.
+ * @param {number|bigint} r - The number of items to arrange.
+ * @returns {number|bigint} - The number of permutations.
  */
 function permutations(n, r) {
     return factorial(n) / factorial(n - r);
@@ -20,9 +25,9 @@ function permutations(n, r) {
 
 /**
  * Computes the number of combinations of n items taken r at a time.
- * @param {number} n - The total number of items.
- * @param {number} r - The number of items to choose.
- * @returns {number} - The number of combinations.
+ * @param {number|bigint} n - The total number of items.
+ * @param {number|bigint} r - The number of items to choose.
+ * @returns {number|bigint} - The number of combinations.
  */
 function combinations(n, r) {
     return factorial(n) / (factorial(r) * factorial(n - r));
@@ -30,9 +35,9 @@ function combinations(n, r) {
 
 /**
  * Computes the value of a binomial coefficient (n choose k).
- * @param {number} n - The total number of items.
- * @param {number} k - The number of items to choose.
- * @returns {number} - The binomial coefficient.
+ * @param {number|bigint} n - The total number of items.
+ * @param {number|bigint} k - The number of items to choose.
+ * @returns {number|bigint} - The binomial coefficient.
  */
 function binomialCoefficient(n, k) {
     return combinations(n, k);
@@ -74,11 +79,12 @@ function inclusionExclusion(...sets) {
 
 /**
  * Computes the nth Catalan number.
- * @param {number} n - The index of the Catalan number.
- * @returns {number} - The nth Catalan number.
+ * @param {number|bigint} n - The index of the Catalan number.
+ * @returns {number|bigint} - The nth Catalan number.
  */
 function catalanNumber(n) {
-    return combinations(2 * n, n) / (n + 1);
+    const [one, two] = typeof n === 'bigint' ? [1n, 2n] : [1, 2];
+    return combinations(two * n, n) / (n + one);
 }
 
 /**
@@ -0,0 +1,392 @@
+/**
+ * A complex number real + imaginary·i. Complex numbers are immutable; every operation accepts numbers, other
+ * complex numbers, plain { real, imaginary } objects and strings such as "3-4i" as operands. Elementary functions
+ * return principal values, with branch cuts along the negative real axis (log, sqrt, pow) or the matching parts of
+ * the axes (inverse trigonometric and hyperbolic functions).
+ */
+class Complex {
+    /**
+     * Creates a complex number.
+     * @param {number} [real=0] - The real part.
+     * @param {number} [imaginary=0] - The imaginary part.
+     */
+    constructor(real = 0, imaginary = 0) {
+        this.real = real;
+        this.imaginary = imaginary;
+    }
+
+    /**
+     * Converts a number, string, { real, imaginary } object or complex number to a complex number.
+     * @param {number|string|Object|Complex} value - The value to convert.
+     * @returns {Complex} - The complex number (the value itself if it already is one).
+     * @throws {Error} - If the value cannot be converted.
+     */
+    static from(value) {
+        if (value instanceof Complex) return value;
+        if (typeof value === 'number') return new Complex(value, 0);
+        if (typeof value === 'string') return Complex.parse(value);
+        if (value && typeof value.real === 'number' && typeof value.imaginary === 'number') {
+            return new Complex(value.real, value.imaginary);
+        }
+        throw new Error(`Cannot convert ${value} to a complex number.`);
+    }
+
+    /**
+     * Creates a complex number from its polar form r e^(iθ).
+     * @param {number} modulus - The modulus r.
+     * @param {number} argument - The argument θ in radians.
+     * @returns {Complex} - The complex number.
+     */
+    static fromPolar(modulus, argument) {
+        return new Complex(modulus * Math.cos(argument), modulus * Math.sin(argument));
+    }
+
+    /**
+     * Parses a complex number written as a + bi, a - bi, a, bi, i or -i, with optional spaces around the sign and
+     * numbers in any JS notation (e.g. "3-4i", "-2.5e-3 + i", "7i").
+     * @param {string} text - The text.
+     * @returns {Complex} - The complex number.
+     * @throws {Error} - If the text is not a complex number.
+     */
+    static parse(text) {
+        const number = '(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][+-]?\\d+)?';
+        const compact = String(text).replace(/\s+/g, '');
+        const imaginaryPart = (sign, magnitude) => (sign === '-' ? -1 : 1) * (magnitude === undefined ? 1 : Number(magnitude));
+        let match = compact.match(new RegExp(`^[+-]?${number}$`));
+        if (match) return new Complex(Number(compact), 0);
+        match = compact.match(new RegExp(`^([+-]?)(${number})?\\*?i$`));
+        if (match) return new Complex(0, imaginaryPart(match[1], match[2]));
+        match = compact.match(new RegExp(`^([+-]?${number})([+-])(${number})?\\*?i$`));
+        if (match) return new Complex(Number(match[1]), imaginaryPart(match[2], match[3]));
+        throw new Error(`Cannot parse "${text}" as a complex number.`);
+    }
+
+    /**
+     * Calculates the modulus |z|, without overflow for large parts.
+     * @returns {number} - The modulus.
+     */
+    abs() {
+        return Math.hypot(this.real, this.imaginary);
+    }
+
+    /**
+     * Calculates the principal argument.
+     * @returns {number} - The argument in (-π, π].
+     */
+    arg() {
+        return Math.atan2(this.imaginary, this.real);
+    }
+
+    /**
+     * Calculates the polar form.
+     * @returns {{modulus: number, argument: number}} - The modulus and the principal argument.
+     */
+    toPolar() {
+        return { modulus: this.abs(), argument: this.arg() };
+    }
+
+    /**
+     * Calculates the complex conjugate.
+     * @returns {Complex} - The conjugate real - imaginary·i.
+     */
+    conjugate() {
+        return new Complex(this.real, -this.imaginary);
+    }
+
+    /**
+     * Negates the number.
+     * @returns {Complex} - The negated number.
+     */
+    negate() {
+        return new Complex(-this.real, -this.imaginary);
+    }
+
+    /**
+     * Adds a number.
+     * @param {number|string|Object|Complex} other - The other term.
+     * @returns {Complex} - The sum.
+     */
+    add(other) {
+        const w = Complex.from(other);
+        return new Complex(this.real + w.real, this.imaginary + w.imaginary);
+    }
+
+    /**
+     * Subtracts a number.
+     * @param {number|string|Object|Complex} other - The subtrahend.
+     * @returns {Complex} - The difference.
+     */
+    subtract(other) {
+        const w = Complex.from(other);
+        return new Complex(this.real - w.real, this.imaginary - w.imaginary);
+    }
+
+    /**
+     * Multiplies by a number.
+     * @param {number|string|Object|Complex} other - The other factor.
+     * @returns {Complex} - The product.
+     */
+    multiply(other) {
+        const w = Complex.from(other);
+        return new Complex(
+            this.real * w.real - this.imaginary * w.imaginary,
+            this.real * w.imaginary + this.imaginary * w.real
+        );
+    }
+
+    /**
+     * Divides by a number. When |w|^2 would overflow or underflow, Smith's algorithm is used instead of the
+     * textbook formula.
+     * @param {number|string|Object|Complex} other - The divisor.
+     * @returns {Complex} - The quotient; both parts are NaN if the divisor is zero.
+     */
+    divide(other) {
+        const w = Complex.from(other);
+        const denominator = w.real * w.real + w.imaginary * w.imaginary;
+        if (denominator === 0 || !Number.isFinite(denominator)) {
+            if (w.real === 0 && w.imaginary === 0) return new Complex(NaN, NaN);
+            const ratio = Math.abs(w.real) >= Math.abs(w.imaginary) ? w.imaginary / w.real : w.real / w.imaginary;
+            if (Math.abs(w.real) >= Math.abs(w.imaginary)) {
+                const scale = w.real + w.imaginary * ratio;
+                return new Complex((this.real + this.imaginary * ratio) / scale, (this.imaginary - this.real * ratio) / scale);
+            }
+            const scale = w.real * ratio + w.imaginary;
+            return new Complex((this.real * ratio + this.imaginary) / scale, (this.imaginary * ratio - this.real) / scale);
+        }
+        return new Complex(
+            (this.real * w.real + this.imaginary * w.imaginary) / denominator,
+            (this.imaginary * w.real - this.real * w.imaginary) / denominator
+        );
+    }
+
+    /**
+     * Calculates the reciprocal.
+     * @returns {Complex} - 1 / z (NaN parts for zero).
+     */
+    reciprocal() {
+        return new Complex(1).divide(this);
+    }
+
+    /**
+     * Calculates the exponential e^z = e^a (cos b + i sin b).
+     * @returns {Complex} - The exponential.
+     */
+    exp() {
+        return Complex.fromPolar(Math.exp(this.real), this.imaginary);
+    }
+
+    /**
+     * Calculates the principal natural logarithm ln|z| + i arg z.
+     * @returns {Complex} - The logarithm, with imaginary part in (-π, π].
+     * @throws {Error} - If the number is zero.
+     */
+    log() {
+        if (this.isZero()) throw new Error('The logarithm of zero is undefined.');
+        return new Complex(Math.log(this.abs()), this.arg());
+    }
+
+    /**
+     * Raises the number to a power. Integer exponents use binary exponentiation, so e.g. i^2 is exactly -1;
+     * other exponents give the principal value e^(w log z). z^0 is 1, also for z = 0.
+     * @param {number|string|Object|Complex} exponent - The exponent w.
+     * @returns {Complex} - The power.
+     * @throws {Error} - If zero is raised to a power with non-positive real part.
+     */
+    pow(exponent) {
+        const w = Complex.from(exponent);
+        if (this.isZero() && !w.isZero()) {
+            if (w.real > 0) return new Complex(0);
+            throw new Error('Zero cannot be raised to a power with non-positive real part.');
+        }
+        if (w.imaginary === 0 && Number.isInteger(w.real)) {
+            let base = w.real < 0 ? this.reciprocal() : this;
+            let result = new Complex(1);
+            for (let k = Math.abs(w.real); k > 0; k = Math.floor(k / 2)) {
+                if (k % 2 === 1) result = result.multiply(base);
+                if (k > 1) base = base.multiply(base);
+            }
+            return result;
+        }
+        return this.log().multiply(w).exp();
+    }
+
+    /**
+     * Calculates the principal square root, the one with non-negative real part, without cancellation.
+     * @returns {Complex} - The square root.
+     */
+    sqrt() {
+        if (this.isZero()) return new Complex(0);
+        const root = Math.sqrt((Math.abs(this.real) + this.abs()) / 2);
+        if (this.real >= 0) return new Complex(root, this.imaginary / (2 * root));
+        return new Complex(Math.abs(this.imaginary) / (2 * root), this.imaginary < 0 ? -root : root);
+    }
+
+    /**
+     * Calculates all n-th roots, r^(1/n) e^(i(θ + 2πk)/n) for k = 0, ..., n - 1.
+     * @param {number} n - The degree, a positive integer.
+     * @returns {Complex[]} - The n roots, starting with the principal root and going counterclockwise.
+     * @throws {Error} - If n is not a positive integer.
+     */
+    roots(n) {
+        if (!Number.isInteger(n) || n < 1) throw new Error('The degree of a root must be a positive integer.');
+        const modulus = Math.pow(this.abs(), 1 / n);
+        const argument = this.arg();
+        return Array.from({ length: n }, (_, k) => Complex.fromPolar(modulus, (argument + 2 * Math.PI * k) / n));
+    }
+
+    /**
+     * Calculates the sine, sin a cosh b + i cos a sinh b.
+     * @returns {Complex} - The sine.
+     */
+    sin() {
+        return new Complex(Math.sin(this.real) * Math.cosh(this.imaginary), Math.cos(this.real) * Math.sinh(this.imaginary));
+    }
+
+    /**
+     * Calculates the cosine, cos a cosh b - i sin a sinh b.
+     * @returns {Complex} - The cosine.
+     */
+    cos() {
+        return new Complex(Math.cos(this.real) * Math.cosh(this.imaginary), -Math.sin(this.real) * Math.sinh(this.imaginary));
+    }
+
+    /**
+     * Calculates the tangent, (sin 2a + i sinh 2b) / (cos 2a + cosh 2b), which stays accurate for large |b|.
+     * @returns {Complex} - The tangent.
+     */
+    tan() {
+        if (Math.abs(this.imaginary) > 20) return new Complex(0, Math.sign(this.imaginary));
+        const denominator = Math.cos(2 * this.real) + Math.cosh(2 * this.imaginary);
+        return new Complex(Math.sin(2 * this.real) / denominator, Math.sinh(2 * this.imaginary) / denominator);
+    }
+
+    /**
+     * Calculates the hyperbolic sine, sinh z = -i sin(iz).
+     * @returns {Complex} - The hyperbolic sine.
+     */
+    sinh() {
+        return new Complex(Math.sinh(this.real) * Math.cos(this.imaginary), Math.cosh(this.real) * Math.sin(this.imaginary));
+    }
+
+    /**
+     * Calculates the hyperbolic cosine, cosh z = cos(iz).
+     * @returns {Complex} - The hyperbolic cosine.
+     */
+    cosh() {
+        return new Complex(Math.cosh(this.real) * Math.cos(this.imaginary), Math.sinh(this.real) * Math.sin(this.imaginary));
+    }
+
+    /**
+     * Calculates the hyperbolic tangent, tanh z = -i tan(iz).
+     * @returns {Complex} - The hyperbolic tangent.
+     */
+    tanh() {
+        const t = new Complex(-this.imaginary, this.real).tan();
+        return new Complex(t.imaginary, -t.real);
+    }
+
+    /**
+     * Calculates the principal inverse sine, -i log(iz + sqrt(1 - z^2)).
+     * @returns {Complex} - The inverse sine.
+     */
+    asin() {
+        const w = new Complex(-this.imaginary, this.real).add(new Complex(1).subtract(this.multiply(this)).sqrt()).log();
+        return new Complex(w.imaginary, -w.real);
+    }
+
+    /**
+     * Calculates the principal inverse cosine, π/2 - asin z.
+     * @returns {Complex} - The inverse cosine.
+     */
+    acos() {
+        return new Complex(Math.PI / 2).subtract(this.asin());
+    }
+
+    /**
+     * Calculates the principal inverse tangent, (i/2) log((i + z) / (i - z)).
+     * @returns {Complex} - The inverse tangent.
+     * @throws {Error} - At the branch points ±i.
+     */
+    atan() {
+        const i = new Complex(0, 1);
+        if (this.equals(i) || this.equals(i.negate())) throw new Error('The inverse tangent is undefined at ±i.');
+        const w = i.add(this).divide(i.subtract(this)).log();
+        return new Complex(-w.imaginary / 2, w.real / 2);
+    }
+
+    /**
+     * Calculates the principal inverse hyperbolic sine, log(z + sqrt(z^2 + 1)).
+     * @returns {Complex} - The inverse hyperbolic sine.
+     */
+    asinh() {
+        // asinh z = -i asin(iz).
+        const w = new Complex(-this.imaginary, this.real).asin();
+        return new Complex(w.imaginary, -w.real);
+    }
+
+    /**
+     * Calculates the principal inverse hyperbolic cosine, log(z + sqrt(z + 1) sqrt(z - 1)).
+     * @returns {Complex} - The inverse hyperbolic cosine.
+     */
+    acosh() {
+        return this.add(this.add(1).sqrt().multiply(this.subtract(1).sqrt())).log();
+    }
+
+    /**
+     * Calculates the principal inverse hyperbolic tangent, (1/2) log((1 + z) / (1 - z)).
+     * @returns {Complex} - The inverse hyperbolic tangent.
+     * @throws {Error} - At the branch points ±1.
+     */
+    atanh() {
+        if (this.equals(1) || this.equals(-1)) throw new Error('The inverse hyperbolic tangent is undefined at ±1.');
+        const w = new Complex(1).add(this).divide(new Complex(1).subtract(this)).log();
+        return new Complex(w.real / 2, w.imaginary / 2);
+    }
+
+    /**
+     * Checks whether the number is zero.
+     * @returns {boolean} - True if both parts are zero.
+     */
+    isZero() {
+        return this.real === 0 && this.imaginary === 0;
+    }
+
+    /**
+     * Checks whether the number is real.
+     * @param {number} [tolerance=0] - The largest allowed absolute imaginary part.
+     * @returns {boolean} - True if the imaginary part is negligible.
+     */
+    isReal(tolerance = 0) {
+        return Math.abs(this.imaginary) <= tolerance;
+    }
+
+    /**
+     * Checks whether two numbers are equal.
+     * @param {number|string|Object|Complex} other - The other number.
+     * @param {number} [tolerance=0] - The largest allowed distance |z - w|.
+     * @returns {boolean} - True if the numbers are equal.
+     */
+    equals(other, tolerance = 0) {
+        const w = Complex.from(other);
+        if (tolerance === 0) return this.real === w.real && this.imaginary === w.imaginary;
+        return Math.hypot(this.real - w.real, this.imaginary - w.imaginary) <= tolerance;
+    }
+
+    /**
+     * Formats the number in the form accepted by parse, e.g. "3-4i", "2.5", "-i".
+     * @param {number} [digits] - If given, the number of significant digits of each part.
+     * @returns {string} - The formatted number.
+     */
+    toString(digits) {
+        const format = value => String(digits === undefined ? value : Number(value.toPrecision(digits)));
+        const [real, imaginary] = [this.real || 0, this.imaginary || 0];
+        if (imaginary === 0) return format(real);
+        const magnitude = Math.abs(imaginary) === 1 ? '' : format(Math.abs(imaginary));
+        if (real === 0) return `${imaginary < 0 ? '-' : ''}${magnitude}i`;
+        return `${format(real)}${imaginary < 0 ? '-' : '+'}${magnitude}i`;
+    }
+}
+
+module.exports = {
+    Complex
+};
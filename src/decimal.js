@@ -0,0 +1,576 @@
+/**
+ * The number of significant digits that divide, sqrt, exp, ln and non-integer powers round to by default
+ * (the precision of the IEEE 754 decimal128 format).
+ */
+const DEFAULT_PRECISION = 34;
+
+/**
+ * The rounding mode used when none is given.
+ */
+const DEFAULT_ROUNDING = 'half-even';
+
+/**
+ * The supported rounding modes: half-even (banker's rounding), half-up (ties away from zero), floor (towards
+ * -Infinity), ceil (towards +Infinity) and truncate (towards zero).
+ */
+const ROUNDING_MODES = ['half-even', 'half-up', 'floor', 'ceil', 'truncate'];
+
+/**
+ * The extra digits carried by the series behind exp, ln and non-integer powers before the final rounding.
+ */
+const GUARD_DIGITS = 10;
+
+/**
+ * An arbitrary-precision decimal number coefficient · 10^exponent, with a BigInt coefficient, so that decimal
+ * fractions such as 0.1 are represented exactly. Decimals are immutable and kept without trailing zeros in the
+ * coefficient, so equal values have equal fields. Addition, subtraction, multiplication and integer powers are
+ * exact unless a precision is requested; division, square roots, exp, ln and non-integer powers round to
+ * options.precision significant digits (34 by default). Every operation accepts decimals, numbers (converted
+ * through their shortest decimal representation, so 0.1 becomes exactly 0.1), BigInts and strings as operands.
+ */
+class Decimal {
+    /**
+     * Creates the decimal coefficient · 10^exponent.
+     * @param {bigint} [coefficient=0n] - The coefficient.
+     * @param {number} [exponent=0] - The power of ten.
+     * @throws {Error} - If the coefficient is not a BigInt or the exponent is not an integer.
+     */
+    constructor(coefficient = 0n, exponent = 0) {
+        if (typeof coefficient !== 'bigint' || !Number.isInteger(exponent)) {
+            throw new Error('A decimal needs a BigInt coefficient and an integer exponent.');
+        }
+        if (coefficient === 0n) {
+            exponent = 0;
+        } else {
+            while (coefficient % 10n === 0n) {
+                coefficient /= 10n;
+                exponent++;
+            }
+        }
+        this.coefficient = coefficient;
+        this.exponent = exponent;
+    }
+
+    /**
+     * Converts a number, BigInt, string or decimal to a decimal.
+     * @param {number|bigint|string|Decimal} value - The value to convert.
+     * @returns {Decimal} - The decimal (the value itself if it already is one).
+     * @throws {Error} - If the value is not finite or cannot be converted.
+     */
+    static from(value) {
+        if (value instanceof Decimal) return value;
+        if (typeof value === 'bigint') return new Decimal(value);
+        if (typeof value === 'number' && Number.isFinite(value)) return Decimal.parse(String(value));
+        if (typeof value === 'string') return Decimal.parse(value);
+        throw new Error(`Cannot convert ${value} to a decimal.`);
+    }
+
+    /**
+     * Parses a decimal string such as "12.50", "-.5" or "1.2e-7" exactly.
+     * @param {string} text - The string to parse.
+     * @returns {Decimal} - The decimal.
+     * @throws {Error} - If the string is not a decimal number.
+     */
+    static parse(text) {
+        const match = /^\s*([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(text);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Cannot parse "${text}" as a decimal number.`);
+        }
+        const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+        const coefficient = BigInt(`${whole}${fraction}` || '0');
+        return new Decimal(sign === '-' ? -coefficient : coefficient, Number(exponent) - fraction.length);
+    }
+
+    /**
+     * Gives the sign of the decimal.
+     * @returns {number} - -1, 0 or 1.
+     */
+    sign() {
+        return this.coefficient > 0n ? 1 : this.coefficient < 0n ? -1 : 0;
+    }
+
+    /**
+     * Checks whether the decimal is zero.
+     * @returns {boolean} - True if the decimal is zero.
+     */
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    /**
+     * Checks whether the decimal is negative.
+     * @returns {boolean} - True if the decimal is less than zero.
+     */
+    isNegative() {
+        return this.coefficient < 0n;
+    }
+
+    /**
+     * Checks whether the decimal is an integer.
+     * @returns {boolean} - True if the decimal has no fractional part.
+     */
+    isInteger() {
+        return this.exponent >= 0;
+    }
+
+    /**
+     * Compares with another value.
+     * @param {number|bigint|string|Decimal} other - The other value.
+     * @returns {number} - -1, 0 or 1 as this decimal is less than, equal to or greater than the other.
+     */
+    compare(other) {
+        const d = Decimal.from(other);
+        const [a, b] = [this.sign(), d.sign()];
+        if (a !== b || a === 0) return Math.sign(a - b);
+        const order = adjustedExponent(this) - adjustedExponent(d);
+        if (order !== 0) return Math.sign(order) * a;
+        const exponent = Math.min(this.exponent, d.exponent);
+        const difference = this.coefficient * powerOfTen(this.exponent - exponent)
+            - d.coefficient * powerOfTen(d.exponent - exponent);
+        return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+    }
+
+    /**
+     * Checks whether the decimal equals another value exactly.
+     * @param {number|bigint|string|Decimal} other - The other value.
+     * @returns {boolean} - True if the values are equal.
+     */
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    /**
+     * Calculates the absolute value.
+     * @returns {Decimal} - |this|.
+     */
+    abs() {
+        return this.isNegative() ? this.negate() : this;
+    }
+
+    /**
+     * Negates the decimal.
+     * @returns {Decimal} - -this.
+     */
+    negate() {
+        return new Decimal(-this.coefficient, this.exponent);
+    }
+
+    /**
+     * Adds a value.
+     * @param {number|bigint|string|Decimal} other - The other term.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.precision] - Significant digits to round the sum to; exact if omitted.
+     * @param {string} [options.rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The sum.
+     */
+    add(other, options = {}) {
+        const d = Decimal.from(other);
+        const exponent = Math.min(this.exponent, d.exponent);
+        const coefficient = this.coefficient * powerOfTen(this.exponent - exponent)
+            + d.coefficient * powerOfTen(d.exponent - exponent);
+        return finish(new Decimal(coefficient, exponent), options);
+    }
+
+    /**
+     * Subtracts a value.
+     * @param {number|bigint|string|Decimal} other - The subtrahend.
+     * @param {Object} [options={}] - Options, as for add.
+     * @returns {Decimal} - The difference.
+     */
+    subtract(other, options = {}) {
+        return this.add(Decimal.from(other).negate(), options);
+    }
+
+    /**
+     * Multiplies by a value.
+     * @param {number|bigint|string|Decimal} other - The other factor.
+     * @param {Object} [options={}] - Options, as for add.
+     * @returns {Decimal} - The product.
+     */
+    multiply(other, options = {}) {
+        const d = Decimal.from(other);
+        return finish(new Decimal(this.coefficient * d.coefficient, this.exponent + d.exponent), options);
+    }
+
+    /**
+     * Divides by a value, rounding the quotient to the requested number of significant digits.
+     * @param {number|bigint|string|Decimal} other - The divisor.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.precision=34] - Significant digits of the quotient.
+     * @param {string} [options.rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The quotient.
+     * @throws {Error} - If the divisor is zero.
+     */
+    divide(other, options = {}) {
+        const d = Decimal.from(other);
+        if (d.isZero()) {
+            throw new Error("Cannot divide by zero.");
+        }
+        const { precision, rounding } = readOptions(options);
+        const [a, b] = [this.abs().coefficient, d.abs().coefficient];
+        // Scale the dividend so the integer quotient has more digits than the precision.
+        const shift = Math.max(0, precision + 1 + digitCount(b) - digitCount(a));
+        const dividend = a * powerOfTen(shift);
+        const quotient = this.sign() * d.sign() < 0 ? -(dividend / b) : dividend / b;
+        return roundToPrecision(quotient, this.exponent - d.exponent - shift, precision, rounding, dividend % b !== 0n);
+    }
+
+    /**
+     * Raises the decimal to a power. Integer powers are exact unless a precision is requested (negative ones are
+     * divisions and round); other powers are computed as exp(exponent · ln this).
+     * @param {number|bigint|string|Decimal} exponent - The exponent.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.precision] - Significant digits of the result; 34 if the result cannot be exact.
+     * @param {string} [options.rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The power.
+     * @throws {Error} - If zero is raised to a negative power or a negative decimal to a non-integer power.
+     */
+    power(exponent, options = {}) {
+        const y = Decimal.from(exponent);
+        if (y.isInteger()) {
+            const n = y.coefficient * powerOfTen(y.exponent);
+            if (n < 0n && this.isZero()) {
+                throw new Error("Cannot divide by zero.");
+            }
+            const exact = n >= 0n && options.precision === undefined;
+            const working = exact ? {} : workingOptions(readOptions(options).precision + GUARD_DIGITS);
+            let result = new Decimal(1n);
+            let base = this;
+            for (let m = n < 0n ? -n : n; m > 0n; m >>= 1n) {
+                if (m & 1n) result = result.multiply(base, working);
+                if (m > 1n) base = base.multiply(base, working);
+            }
+            if (n < 0n) result = new Decimal(1n).divide(result, working);
+            return exact ? result : finish(result, readOptions(options));
+        }
+        if (this.isNegative()) {
+            throw new Error("A negative decimal has no real power with a non-integer exponent.");
+        }
+        if (this.isZero()) {
+            if (y.isNegative()) throw new Error("Cannot divide by zero.");
+            return this;
+        }
+        const { precision, rounding } = readOptions(options);
+        // The absolute error of the exponent becomes the relative error of the power, so carry its integer digits.
+        const estimate = y.multiply(this.ln({ precision: 20 }));
+        const extra = estimate.isZero() ? 0 : Math.max(0, adjustedExponent(estimate) + 1);
+        const working = workingOptions(precision + GUARD_DIGITS + extra);
+        return y.multiply(this.ln(working), working).exp({ precision, rounding });
+    }
+
+    /**
+     * Calculates the square root to the requested number of significant digits.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.precision=34] - Significant digits of the root.
+     * @param {string} [options.rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The square root.
+     * @throws {Error} - If the decimal is negative.
+     */
+    sqrt(options = {}) {
+        if (this.isNegative()) {
+            throw new Error("Cannot take the square root of a negative decimal.");
+        }
+        const { precision, rounding } = readOptions(options);
+        if (this.isZero()) return this;
+        // Scale the radicand to an even power of ten with at least twice as many digits as the precision.
+        let shift = Math.max(0, 2 * (precision + 1) - digitCount(this.coefficient));
+        if ((this.exponent - shift) % 2 !== 0) shift++;
+        const radicand = this.coefficient * powerOfTen(shift);
+        const root = integerSqrt(radicand);
+        return roundToPrecision(root, (this.exponent - shift) / 2, precision, rounding, root * root !== radicand);
+    }
+
+    /**
+     * Calculates e^this to the requested number of significant digits: the argument is halved until it is below
+     * 1/16, the Taylor series is summed and the result squared back.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.precision=34] - Significant digits of the result.
+     * @param {string} [options.rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The exponential.
+     * @throws {Error} - If |this| is 10^10 or more, whose exponential has an exponent beyond any integer.
+     */
+    exp(options = {}) {
+        const { precision, rounding } = readOptions(options);
+        if (this.isZero()) return new Decimal(1n);
+        if (adjustedExponent(this) >= 10) {
+            throw new Error("The argument of exp is too large.");
+        }
+        const halvings = Math.max(0, Math.ceil((adjustedExponent(this) + 1) * Math.log2(10)) + 4);
+        const working = workingOptions(precision + GUARD_DIGITS + Math.ceil(halvings * Math.log10(2)));
+        const x = this.abs().divide(2n ** BigInt(halvings), working);
+        let sum = new Decimal(1n);
+        let term = sum;
+        for (let n = 1n; ; n++) {
+            term = term.multiply(x, working).divide(n, working);
+            sum = sum.add(term, working);
+            if (term.isZero() || adjustedExponent(term) < adjustedExponent(sum) - working.precision - 1) break;
+        }
+        for (let i = 0; i < halvings; i++) {
+            sum = sum.multiply(sum, working);
+        }
+        if (this.isNegative()) sum = new Decimal(1n).divide(sum, working);
+        return sum.roundSignificant(precision, rounding);
+    }
+
+    /**
+     * Calculates the natural logarithm to the requested number of significant digits. The decimal is split into
+     * m · 10^k with 1 <= m < 10 (unless it lies in [0.1, 10)), and ln m and ln 10 are found from the series
+     * ln y = 2 atanh((y - 1) / (y + 1)) after taking square roots until y is within 0.01 of 1.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.precision=34] - Significant digits of the result.
+     * @param {string} [options.rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The logarithm.
+     * @throws {Error} - If the decimal is not positive.
+     */
+    ln(options = {}) {
+        if (this.sign() <= 0) {
+            throw new Error("The logarithm is only defined for positive decimals.");
+        }
+        const { precision, rounding } = readOptions(options);
+        const working = workingOptions(precision + GUARD_DIGITS);
+        const k = adjustedExponent(this);
+        if (k === 0 || k === -1) return logarithm(this, working).roundSignificant(precision, rounding);
+        const mantissa = new Decimal(this.coefficient, this.exponent - k);
+        return logarithm(mantissa, working)
+            .add(logarithm(new Decimal(10n), working).multiply(BigInt(k), working), working)
+            .roundSignificant(precision, rounding);
+    }
+
+    /**
+     * Rounds to a number of decimal places, e.g. to cents with places = 2.
+     * @param {number} [places=0] - The decimal places to keep (negative values round to tens, hundreds, ...).
+     * @param {string} [rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The rounded decimal.
+     * @throws {Error} - If the rounding mode is unknown.
+     */
+    round(places = 0, rounding = DEFAULT_ROUNDING) {
+        requireRounding(rounding);
+        return roundCoefficient(this.coefficient, this.exponent, -places - this.exponent, rounding, false);
+    }
+
+    /**
+     * Rounds to a number of significant digits.
+     * @param {number} digits - The significant digits to keep.
+     * @param {string} [rounding='half-even'] - The rounding mode.
+     * @returns {Decimal} - The rounded decimal.
+     * @throws {Error} - If the number of digits is not a positive integer or the rounding mode is unknown.
+     */
+    roundSignificant(digits, rounding = DEFAULT_ROUNDING) {
+        const { precision } = readOptions({ precision: digits, rounding });
+        return roundToPrecision(this.coefficient, this.exponent, precision, rounding, false);
+    }
+
+    /**
+     * Converts to the nearest double.
+     * @returns {number} - The number.
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    /**
+     * Formats the decimal exactly, in plain notation for magnitudes from 10^-6 to below 10^21 and in scientific
+     * notation otherwise, like numbers: "0.3", "-12.5", "1.5e-9".
+     * @returns {string} - The formatted decimal.
+     */
+    toString() {
+        const sign = this.isNegative() ? '-' : '';
+        const digits = this.abs().coefficient.toString();
+        const adjusted = adjustedExponent(this);
+        if (adjusted < -6 || adjusted >= 21) {
+            const fraction = digits.length > 1 ? `.${digits.slice(1)}` : '';
+            return `${sign}${digits[0]}${fraction}e${adjusted < 0 ? '-' : '+'}${Math.abs(adjusted)}`;
+        }
+        if (this.exponent >= 0) return `${sign}${digits}${'0'.repeat(this.exponent)}`;
+        if (adjusted >= 0) return `${sign}${digits.slice(0, adjusted + 1)}.${digits.slice(adjusted + 1)}`;
+        return `${sign}0.${'0'.repeat(-adjusted - 1)}${digits}`;
+    }
+
+    /**
+     * Formats the decimal in plain notation with a fixed number of decimal places, e.g. "12.50".
+     * @param {number} [places=0] - The number of decimal places.
+     * @param {string} [rounding='half-even'] - The rounding mode used to drop further digits.
+     * @returns {string} - The formatted decimal.
+     */
+    toFixed(places = 0, rounding = DEFAULT_ROUNDING) {
+        const rounded = this.round(places, rounding);
+        const scaled = rounded.abs().coefficient * powerOfTen(rounded.exponent + places);
+        const digits = scaled.toString().padStart(places + 1, '0');
+        const sign = rounded.isNegative() ? '-' : '';
+        if (places <= 0) return `${sign}${digits}${'0'.repeat(-places)}`;
+        return `${sign}${digits.slice(0, -places)}.${digits.slice(-places)}`;
+    }
+}
+
+/**
+ * Calculates 10^n as a BigInt.
+ * @param {number} n - The non-negative power.
+ * @returns {bigint} - 10^n.
+ */
+function powerOfTen(n) {
+    return 10n ** BigInt(n);
+}
+
+/**
+ * Counts the decimal digits of a BigInt.
+ * @param {bigint} n - The number.
+ * @returns {number} - The number of digits of |n|.
+ */
+function digitCount(n) {
+    return (n < 0n ? -n : n).toString().length;
+}
+
+/**
+ * Finds the power of ten of the leading digit, so that 10^e <= |d| < 10^(e + 1).
+ * @param {Decimal} d - A non-zero decimal.
+ * @returns {number} - The adjusted exponent.
+ */
+function adjustedExponent(d) {
+    return d.exponent + digitCount(d.coefficient) - 1;
+}
+
+/**
+ * Calculates the integer part of the square root of a BigInt with Newton's method, started above the root.
+ * @param {bigint} n - The non-negative radicand.
+ * @returns {bigint} - The largest r with r^2 <= n.
+ */
+function integerSqrt(n) {
+    if (n < 2n) return n;
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+    while (true) {
+        const y = (x + n / x) / 2n;
+        if (y >= x) return x;
+        x = y;
+    }
+}
+
+/**
+ * Checks that a rounding mode is supported.
+ * @param {string} rounding - The rounding mode.
+ * @throws {Error} - If it is not one of ROUNDING_MODES.
+ */
+function requireRounding(rounding) {
+    if (!ROUNDING_MODES.includes(rounding)) {
+        throw new Error(`Unknown rounding mode "${rounding}"; use one of ${ROUNDING_MODES.join(', ')}.`);
+    }
+}
+
+/**
+ * Fills in and checks the precision and rounding options.
+ * @param {Object} options - The options.
+ * @returns {{precision: number, rounding: string}} - The precision and rounding mode.
+ * @throws {Error} - If the precision is not a positive integer or the rounding mode is unknown.
+ */
+function readOptions(options) {
+    const { precision = DEFAULT_PRECISION, rounding = DEFAULT_ROUNDING } = options;
+    if (!Number.isInteger(precision) || precision < 1) {
+        throw new Error("The precision must be a positive integer.");
+    }
+    requireRounding(rounding);
+    return { precision, rounding };
+}
+
+/**
+ * Creates the options for the intermediate steps of a computation.
+ * @param {number} precision - The working precision.
+ * @returns {{precision: number, rounding: string}} - Options rounding half-even to that precision.
+ */
+function workingOptions(precision) {
+    return { precision, rounding: DEFAULT_ROUNDING };
+}
+
+/**
+ * Rounds the result of an exact operation if a precision was requested.
+ * @param {Decimal} d - The exact result.
+ * @param {Object} options - The options of the operation.
+ * @returns {Decimal} - The result, rounded to options.precision significant digits if given.
+ */
+function finish(d, options) {
+    if (options.precision === undefined) return d;
+    const { precision, rounding } = readOptions(options);
+    return roundToPrecision(d.coefficient, d.exponent, precision, rounding, false);
+}
+
+/**
+ * Rounds coefficient · 10^exponent to a number of significant digits.
+ * @param {bigint} coefficient - The coefficient.
+ * @param {number} exponent - The exponent.
+ * @param {number} precision - The significant digits to keep.
+ * @param {string} rounding - The rounding mode.
+ * @param {boolean} inexact - True if the exact value lies strictly beyond the coefficient (away from zero)
+ *   by less than one unit in its last digit.
+ * @returns {Decimal} - The rounded decimal.
+ */
+function roundToPrecision(coefficient, exponent, precision, rounding, inexact) {
+    let drop = digitCount(coefficient) - precision;
+    if (drop < 0 && inexact) {
+        coefficient *= powerOfTen(-drop);
+        exponent += drop;
+        drop = 0;
+    }
+    return roundCoefficient(coefficient, exponent, drop, rounding, inexact);
+}
+
+/**
+ * Removes the last digits of coefficient · 10^exponent, rounding the rest.
+ * @param {bigint} coefficient - The coefficient.
+ * @param {number} exponent - The exponent.
+ * @param {number} drop - The number of digits to remove; nothing changes if it is not positive and the value
+ *   is exact.
+ * @param {string} rounding - The rounding mode.
+ * @param {boolean} inexact - True if the exact value lies strictly beyond the coefficient (away from zero)
+ *   by less than one unit in its last digit.
+ * @returns {Decimal} - The rounded decimal.
+ */
+function roundCoefficient(coefficient, exponent, drop, rounding, inexact) {
+    if (drop <= 0 && !inexact) return new Decimal(coefficient, exponent);
+    const negative = coefficient < 0n;
+    const divisor = powerOfTen(Math.max(drop, 0));
+    const magnitude = negative ? -coefficient : coefficient;
+    const quotient = magnitude / divisor;
+    const rest = magnitude % divisor;
+    const discarded = rest !== 0n || inexact;
+    // Compare the discarded part with half a unit of the last kept digit.
+    const half = rest * 2n === divisor ? (inexact ? 1 : 0) : rest * 2n > divisor ? 1 : -1;
+    const roundUp = {
+        'half-even': half > 0 || (half === 0 && quotient % 2n === 1n),
+        'half-up': half >= 0,
+        floor: negative && discarded,
+        ceil: !negative && discarded,
+        truncate: false
+    }[rounding];
+    const rounded = roundUp ? quotient + 1n : quotient;
+    return new Decimal(negative ? -rounded : rounded, exponent + Math.max(drop, 0));
+}
+
+/**
+ * Calculates a natural logarithm with the working precision: y is replaced by its square root until it is
+ * within 0.01 of 1, and ln y = 2 atanh(z) with z = (y - 1) / (y + 1) is summed as z + z^3/3 + z^5/5 + ...
+ * @param {Decimal} y - The positive argument.
+ * @param {{precision: number, rounding: string}} working - The working precision.
+ * @returns {Decimal} - ln y.
+ */
+function logarithm(y, working) {
+    const closeness = new Decimal(1n, -2);
+    let roots = 0;
+    while (y.subtract(1n).abs().compare(closeness) > 0) {
+        y = y.sqrt(working);
+        roots++;
+    }
+    const z = y.subtract(1n).divide(y.add(1n), working);
+    if (z.isZero()) return z;
+    const zSquared = z.multiply(z, working);
+    let power = z;
+    let sum = z;
+    for (let n = 3n; ; n += 2n) {
+        power = power.multiply(zSquared, working);
+        const term = power.divide(n, working);
+        sum = sum.add(term, working);
+        if (term.isZero() || adjustedExponent(term) < adjustedExponent(sum) - working.precision - 1) break;
+    }
+    return sum.multiply(2n ** BigInt(roots + 1), working);
+}
+
+module.exports = {
+    Decimal
+};
@@ -0,0 +1,363 @@
+const { add, subtract, multiply, divide, remainder, exponentiate } = require('./arithmetic');
+const { sine, cosine, tangent, cosecant, secant, cotangent, arcsin, arccos, arctan } = require('./trigonometry');
+const { naturalLog, commonLog, arbitraryBaseLog } = require('./miscellaneous');
+
+// Built-in functions available to expressions, keyed by name.
+const FUNCTIONS = {
+    sin: { evaluate: sine, arity: [1, 1] },
+    cos: { evaluate: cosine, arity: [1, 1] },
+    tan: { evaluate: tangent, arity: [1, 1] },
+    csc: { evaluate: cosecant, arity: [1, 1] },
+    sec: { evaluate: secant, arity: [1, 1] },
+    cot: { evaluate: cotangent, arity: [1, 1] },
+    asin: { evaluate: arcsin, arity: [1, 1] },
+    acos: { evaluate: arccos, arity: [1, 1] },
+    atan: { evaluate: arctan, arity: [1, 1] },
+    arcsin: { evaluate: arcsin, arity: [1, 1] },
+    arccos: { evaluate: arccos, arity: [1, 1] },
+    arctan: { evaluate: arctan, arity: [1, 1] },
+    sinh: { evaluate: Math.sinh, arity: [1, 1] },
+    cosh: { evaluate: Math.cosh, arity: [1, 1] },
+    tanh: { evaluate: Math.tanh, arity: [1, 1] },
+    ln: { evaluate: naturalLog, arity: [1, 1] },
+    log: { evaluate: (num, base) => base === undefined ? commonLog(num) : arbitraryBaseLog(num, base), arity: [1, 2] },
+    exp: { evaluate: Math.exp, arity: [1, 1] },
+    sqrt: { evaluate: Math.sqrt, arity: [1, 1] },
+    abs: { evaluate: Math.abs, arity: [1, 1] }
+};
+
+// Named constants available to expressions unless the scope overrides them.
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+// Binary operators mapped to the arithmetic functions that implement them.
+const OPERATORS = {
+    '+': add,
+    '-': subtract,
+    '*': multiply,
+    '/': divide,
+    '%': remainder,
+    '^': exponentiate
+};
+
+/**
+ * Checks whether an object has its own entry for a name, so that names inherited from Object.prototype
+ * ("constructor", "toString", ...) are not mistaken for functions, constants or variables.
+ * @param {Object} table - The lookup table or scope.
+ * @param {string} name - The name.
+ * @returns {boolean} - True if the name is an own property of the table.
+ */
+function hasOwn(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+/**
+ * Creates an error describing invalid expression syntax.
+ * @param {string} message - The description of the problem.
+ * @param {number} position - The character position at which the problem was found.
+ * @returns {Error} - The error, with the position attached as `error.position`.
+ */
+function syntaxError(message, position) {
+    const error = new Error(`${message} at position ${position}.`);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Splits a mathematical expression into tokens.
+ * @param {string} expression - The mathematical expression.
+ * @returns {Object[]} - The tokens, each with a type, value and position.
+ * @throws {Error} - If the expression contains an unexpected character.
+ */
+function tokenizeExpression(expression) {
+    const tokens = [];
+    let i = 0;
+    while (i < expression.length) {
+        const char = expression[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+        const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i));
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], position: i });
+            i += identifier[0].length;
+            continue;
+        }
+        if (expression.startsWith('**', i)) {
+            tokens.push({ type: 'operator', value: '^', position: i });
+            i += 2;
+            continue;
+        }
+        if ('+-*/%^'.includes(char)) {
+            tokens.push({ type: 'operator', value: char, position: i });
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: 'paren', value: char, position: i });
+        } else if (char === ',') {
+            tokens.push({ type: 'comma', value: char, position: i });
+        } else {
+            throw syntaxError(`Unexpected character '${char}'`, i);
+        }
+        i++;
+    }
+    tokens.push({ type: 'end', value: null, position: expression.length });
+    return tokens;
+}
+
+/**
+ * Parses a mathematical expression into an abstract syntax tree.
+ * Supports +, -, *, /, % and ^ (or **), parentheses, implicit multiplication
+ * such as "2x" or "3(x + 1)", and calls to the built-in functions.
+ * @param {string} expression - The mathematical expression.
+ * @returns {Object} - The root node of the syntax tree.
+ * @throws {Error} - If the expression is not valid, with the offending position attached.
+ */
+function parseExpression(expression) {
+    const tokens = tokenizeExpression(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isToken = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+
+    function expect(type, value) {
+        if (!isToken(type, value)) {
+            throw unexpected(peek());
+        }
+        return next();
+    }
+
+    function unexpected(token) {
+        if (token.type === 'end') return syntaxError('Unexpected end of expression', token.position);
+        return syntaxError(`Unexpected token '${token.value}'`, token.position);
+    }
+
+    function parseAdditive() {
+        let node = parseMultiplicative();
+        while (isToken('operator', '+') || isToken('operator', '-')) {
+            const operator = next();
+            const right = parseMultiplicative();
+            node = { type: 'binary', operator: operator.value, left: node, right, position: operator.position };
+        }
+        return node;
+    }
+
+    function parseMultiplicative() {
+        let node = parseUnary();
+        for (;;) {
+            if (isToken('operator', '*') || isToken('operator', '/') || isToken('operator', '%')) {
+                const operator = next();
+                const right = parseUnary();
+                node = { type: 'binary', operator: operator.value, left: node, right, position: operator.position };
+            } else if (isToken('identifier') || isToken('paren', '(')) {
+                const position = peek().position;
+                const right = parsePower();
+                node = { type: 'binary', operator: '*', left: node, right, position };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    function parseUnary() {
+        if (isToken('operator', '-') || isToken('operator', '+')) {
+            const operator = next();
+            const argument = parseUnary();
+            if (operator.value === '+') return argument;
+            return { type: 'unary', operator: '-', argument, position: operator.position };
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (isToken('operator', '^')) {
+            const operator = next();
+            const exponent = parseUnary();
+            return { type: 'binary', operator: '^', left: base, right: exponent, position: operator.position };
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (token.type === 'number') {
+            next();
+            return { type: 'number', value: token.value, position: token.position };
+        }
+        if (token.type === 'identifier') {
+            next();
+            if (hasOwn(FUNCTIONS, token.value) && isToken('paren', '(')) {
+                return parseCall(token);
+            }
+            return { type: 'symbol', name: token.value, position: token.position };
+        }
+        if (token.type === 'paren' && token.value === '(') {
+            next();
+            const node = parseAdditive();
+            expect('paren', ')');
+            return node;
+        }
+        throw unexpected(token);
+    }
+
+    function parseCall(token) {
+        expect('paren', '(');
+        const args = [];
+        if (!isToken('paren', ')')) {
+            args.push(parseAdditive());
+            while (isToken('comma')) {
+                next();
+                args.push(parseAdditive());
+            }
+        }
+        expect('paren', ')');
+        const [min, max] = FUNCTIONS[token.value].arity;
+        if (args.length < min || args.length > max) {
+            const expected = min === max ? `${min}` : `${min} to ${max}`;
+            throw syntaxError(`Function '${token.value}' expects ${expected} argument(s) but got ${args.length}`, token.position);
+        }
+        return { type: 'call', name: token.value, args, position: token.position };
+    }
+
+    const root = parseAdditive();
+    if (!isToken('end')) {
+        throw unexpected(peek());
+    }
+    return root;
+}
+
+/**
+ * Evaluates a mathematical expression against a scope of variable values.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree from parseExpression.
+ * @param {Object} [scope={}] - Variable values (and optionally extra functions) keyed by name.
+ * @returns {number} - The value of the expression.
+ * @throws {Error} - If the expression is invalid or uses an undefined variable.
+ */
+function evaluateExpression(expression, scope = {}) {
+    const node = typeof expression === 'string' ? parseExpression(expression) : expression;
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'symbol':
+            if (hasOwn(scope, node.name) && typeof scope[node.name] === 'number') return scope[node.name];
+            if (hasOwn(CONSTANTS, node.name)) return CONSTANTS[node.name];
+            throw new Error(`Undefined variable '${node.name}' at position ${node.position}.`);
+        case 'unary':
+            return -evaluateExpression(node.argument, scope);
+        case 'binary':
+            return OPERATORS[node.operator](evaluateExpression(node.left, scope), evaluateExpression(node.right, scope));
+        case 'call': {
+            const args = node.args.map(arg => evaluateExpression(arg, scope));
+            const func = hasOwn(scope, node.name) && typeof scope[node.name] === 'function'
+                ? scope[node.name]
+                : FUNCTIONS[node.name].evaluate;
+            return func(...args);
+        }
+        default:
+            throw new Error(`Unknown node type '${node.type}'.`);
+    }
+}
+
+/**
+ * Lists the variables an expression refers to, i.e. its symbols other than the named constants.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree from parseExpression.
+ * @returns {string[]} - The variable names in order of first appearance.
+ * @throws {Error} - If the expression is invalid.
+ */
+function freeVariables(expression) {
+    const node = typeof expression === 'string' ? parseExpression(expression) : expression;
+    switch (node.type) {
+        case 'symbol':
+            return hasOwn(CONSTANTS, node.name) ? [] : [node.name];
+        case 'unary':
+            return freeVariables(node.argument);
+        case 'binary':
+            return [...new Set([...freeVariables(node.left), ...freeVariables(node.right)])];
+        case 'call':
+            return [...new Set(node.args.flatMap(freeVariables))];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Returns the binding precedence of a syntax tree node, used to decide where parentheses are needed.
+ * @param {Object} node - The syntax tree node.
+ * @returns {number} - The precedence (higher binds tighter).
+ */
+function precedence(node) {
+    if (node.type === 'binary') return { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, '^': 4 }[node.operator];
+    if (node.type === 'unary' || (node.type === 'number' && node.value < 0)) return 3;
+    return 5;
+}
+
+/**
+ * Formats a syntax tree as a readable expression string, e.g. "x^2 + 3x - 1".
+ * The output can be parsed back with parseExpression.
+ * @param {Object} node - The root node of the syntax tree.
+ * @returns {string} - The formatted expression.
+ */
+function formatExpression(node) {
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'symbol':
+            return node.name;
+        case 'call':
+            return `${node.name}(${node.args.map(formatExpression).join(', ')})`;
+        case 'unary': {
+            const argument = formatExpression(node.argument);
+            const inner = precedence(node.argument);
+            return inner < 2 || inner === 3 ? `-(${argument})` : `-${argument}`;
+        }
+        case 'binary': {
+            const own = precedence(node);
+            let left = formatExpression(node.left);
+            let right = formatExpression(node.right);
+            if (precedence(node.left) < own || (node.operator === '^' && precedence(node.left) === own)) {
+                left = `(${left})`;
+            }
+            if (precedence(node.right) < own || (precedence(node.right) === own && '-/%^'.includes(node.operator))) {
+                right = `(${right})`;
+            }
+            if (node.operator === '+' || node.operator === '-') return `${left} ${node.operator} ${right}`;
+            if (node.operator === '*' && canJuxtapose(node.left, left, right)) return `${left}${right}`;
+            return `${left}${node.operator}${right}`;
+        }
+        default:
+            throw new Error(`Unknown node type '${node.type}'.`);
+    }
+}
+
+/**
+ * Checks whether a product can be written as implicit multiplication ("2x", "x(x + 1)")
+ * without changing how the result parses.
+ * @param {Object} leftNode - The left operand.
+ * @param {string} left - The formatted left operand.
+ * @param {string} right - The formatted right operand.
+ * @returns {boolean} - True if the operands can be written side by side.
+ */
+function canJuxtapose(leftNode, left, right) {
+    if (right.startsWith('(')) {
+        const trailing = /[A-Za-z_][A-Za-z0-9_]*$/.exec(left);
+        return !(trailing && hasOwn(FUNCTIONS, trailing[0]));
+    }
+    return leftNode.type === 'number' && leftNode.value >= 0 && /^[A-Za-z_]/.test(right) && !/^[eE][+-]?\d/.test(right);
+}
+
+module.exports = {
+    tokenizeExpression,
+    parseExpression,
+    evaluateExpression,
+    freeVariables,
+    formatExpression
+};
@@ -1,3 +1,7 @@
+const { Matrix, Vector } = require('./matrix');
+const { Complex } = require('./complex');
+const { orthogonalizeColumns } = require('./oneSidedJacobi');
+
 /**
  * Adds two vectors.
  * @param {number[]} v1 - The first vector.
@@ -58,15 +62,18 @@ function addMatrices(m1, m2) {
 }
 
 /**
- * Multiplies two matrices.
+ * Multiplies two matrices. Matrices of numbers use the blocked product of Matrix; entries of other types are
+ * multiplied entry by entry as before, with the coercions of the * and + operators.
  * @param {number[][]} m1 - The first matrix.
  * @param {number[][]} m2 - The second matrix.
  * @returns {number[][]} - The resulting matrix after multiplication.
  */
 function multiplyMatrices(m1, m2) {
+    const numeric = [m1, m2].every(m => m.every(row => row.every(value => typeof value === 'number')));
+    if (numeric) return Matrix.from(m1).multiply(Matrix.from(m2)).toArray();
     if (m1[0].length !== m2.length) throw new Error('Number of columns in the first matrix must be equal to the number of rows in the second matrix.');
-    return m1.map(row => 
-        m2[0].map((_, j) => 
+    return m1.map(row =>
+        m2[0].map((_, j) =>
             row.reduce((sum, val, k) => sum + val * m2[k][j], 0)
         )
     );
@@ -148,51 +155,484 @@ function eigenvalues2x2(matrix) {
 }
 
 /**
- * Solves a system of linear equations using matrix inversion.
- * @param {number[][]} A - Coefficient matrix.
+ * Checks that a matrix is a non-empty rectangular array of rows.
+ * @param {number[][]} matrix - The matrix.
+ * @returns {number[]} - The number of rows and columns.
+ * @throws {Error} - If the rows have different lengths.
+ */
+function shapeOf(matrix) {
+    if (!Array.isArray(matrix) || matrix.length === 0 || !Array.isArray(matrix[0])) {
+        throw new Error('Matrix must be a non-empty array of rows.');
+    }
+    const cols = matrix[0].length;
+    if (matrix.some(row => row.length !== cols)) throw new Error('All rows of the matrix must have the same length.');
+    return [matrix.length, cols];
+}
+
+/**
+ * Finds the largest absolute entry of a matrix.
+ * @param {number[][]} matrix - The matrix.
+ * @returns {number} - The largest absolute entry.
+ */
+function maxAbs(matrix) {
+    return matrix.reduce((max, row) => row.reduce((m, val) => Math.max(m, Math.abs(val)), max), 0);
+}
+
+/**
+ * Factors a square matrix as P A = L U with Gaussian elimination and partial pivoting.
+ * L (unit lower triangular) and U are stored together in one matrix.
+ * @param {number[][]} A - The square matrix (not modified).
+ * @param {number} [tolerance] - Pivots at most this large count as zero; defaults to n ε max |a_ij|.
+ * @returns {{lu: number[][], permutation: number[], sign: number, singular: boolean}} - The combined factors, the row
+ *   order (row i of P A is row permutation[i] of A), the sign of the permutation and whether a zero pivot was met.
+ * @throws {Error} - If the matrix is not square.
+ */
+function luFactor(A, tolerance) {
+    const [n, cols] = shapeOf(A);
+    if (n !== cols) throw new Error('Matrix must be square.');
+    const threshold = tolerance === undefined ? n * Number.EPSILON * maxAbs(A) : tolerance;
+    const lu = A.map(row => [...row]);
+    const permutation = lu.map((_, i) => i);
+    let sign = 1;
+    let singular = false;
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(lu[row][col]) > Math.abs(lu[pivot][col])) pivot = row;
+        }
+        if (pivot !== col) {
+            [lu[col], lu[pivot]] = [lu[pivot], lu[col]];
+            [permutation[col], permutation[pivot]] = [permutation[pivot], permutation[col]];
+            sign = -sign;
+        }
+        if (Math.abs(lu[col][col]) <= threshold) {
+            singular = true;
+            continue;
+        }
+        for (let row = col + 1; row < n; row++) {
+            const factor = lu[row][col] / lu[col][col];
+            lu[row][col] = factor;
+            for (let k = col + 1; k < n; k++) lu[row][k] -= factor * lu[col][k];
+        }
+    }
+    return { lu, permutation, sign, singular };
+}
+
+/**
+ * Solves L U x = P b by forward and back substitution.
+ * @param {Object} factors - The result of luFactor for a non-singular matrix.
+ * @param {number[]} b - The right-hand side.
+ * @returns {number[]} - The solution.
+ */
+function luSolve({ lu, permutation }, b) {
+    const n = lu.length;
+    const x = permutation.map(i => b[i]);
+    for (let row = 0; row < n; row++) {
+        for (let k = 0; k < row; k++) x[row] -= lu[row][k] * x[k];
+    }
+    for (let row = n - 1; row >= 0; row--) {
+        for (let k = row + 1; k < n; k++) x[row] -= lu[row][k] * x[k];
+        x[row] /= lu[row][row];
+    }
+    return x;
+}
+
+/**
+ * Calculates the 1-norm of a matrix, the largest absolute column sum.
+ * @param {number[][]} matrix - The matrix.
+ * @returns {number} - The norm.
+ */
+function oneNorm(matrix) {
+    return Math.max(...matrix[0].map((_, j) => matrix.reduce((sum, row) => sum + Math.abs(row[j]), 0)));
+}
+
+/**
+ * Solves a square system of linear equations A x = b of any size by Gaussian elimination with partial pivoting.
+ * Use linearSystemSolution for singular, underdetermined or overdetermined systems and leastSquares for
+ * systems without an exact solution.
+ * @param {number[][]} A - Coefficient matrix (n x n).
  * @param {number[]} b - Constants vector.
+ * @param {number} [tolerance] - Pivots at most this large count as zero; defaults to n ε max |a_ij|.
  * @returns {number[]} - Solution vector.
+ * @throws {Error} - If the matrix is not square, the sizes do not match or the matrix is singular.
  */
-function solveLinearSystem(A, b) {
-    const inverseA = inverse3x3(A);
-    return multiplyMatrices(inverseA, [b]).flat();
+function solveLinearSystem(A, b, tolerance) {
+    const [n] = shapeOf(A);
+    if (b.length !== n) throw new Error('The constants vector must have one entry per row of the matrix.');
+    const factors = luFactor(A, tolerance);
+    if (factors.singular) {
+        throw new Error('Matrix is singular; use linearSystemSolution for singular and underdetermined systems.');
+    }
+    return luSolve(factors, b);
 }
 
 /**
- * Calculates the rank of a matrix.
- * @param {number[][]} matrix - The matrix.
- * @returns {number} - The rank of the matrix.
+ * Solves a system of linear equations A x = b of any shape by Gauss–Jordan elimination with partial pivoting and
+ * reports how well the solution is determined. A consistent system whose matrix has rank r < n has infinitely many
+ * solutions x = particular + t1 v1 + ... + tk vk, where the v's span the null space of A and k = n - r.
+ * @param {number[][]} A - Coefficient matrix (m x n).
+ * @param {number[]} b - Constants vector (m entries).
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.tolerance] - Entries at most this large count as zero during elimination;
+ *   defaults to max(m, n) ε max |a_ij|.
+ * @returns {Object} - The report:
+ *   status ('unique', 'infinite' or 'inconsistent'), rank, solution (the particular solution with all free variables
+ *   zero, or null when inconsistent), freeVariables (their indices), nullSpace (basis vectors), parametric (a function
+ *   of the free parameters returning a solution), residual (b - A x, for the best candidate when inconsistent) and
+ *   residualNorm, and for square matrices conditionNumber (in the 1-norm, Infinity when singular).
+ * @throws {Error} - If the sizes do not match.
  */
-function rankOfMatrix(matrix) {
-    const rows = matrix.length;
-    const cols = matrix[0].length;
-    const augmentedMatrix = matrix.map(row => [...row, ...Array(cols).fill(0)]);
-    const n = Math.min(rows, cols);
+function linearSystemSolution(A, b, options = {}) {
+    const [m, n] = shapeOf(A);
+    if (b.length !== m) throw new Error('The constants vector must have one entry per row of the matrix.');
+    const tolerance = options.tolerance === undefined ? Math.max(m, n) * Number.EPSILON * maxAbs(A) : options.tolerance;
+    const rows = A.map((row, i) => [...row, b[i]]);
+    const pivots = [];
+    for (let col = 0; col < n && pivots.length < m; col++) {
+        const top = pivots.length;
+        let pivot = top;
+        for (let row = top + 1; row < m; row++) {
+            if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][col]) <= tolerance) {
+            for (let row = top; row < m; row++) rows[row][col] = 0;
+            continue;
+        }
+        [rows[top], rows[pivot]] = [rows[pivot], rows[top]];
+        const scale = rows[top][col];
+        for (let k = col; k <= n; k++) rows[top][k] /= scale;
+        for (let row = 0; row < m; row++) {
+            if (row === top || rows[row][col] === 0) continue;
+            const factor = rows[row][col];
+            for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[top][k];
+        }
+        pivots.push(col);
+    }
+    const rank = pivots.length;
+    const freeVariables = Array.from({ length: n }, (_, j) => j).filter(j => !pivots.includes(j));
+    const nullSpace = freeVariables.map((free) => {
+        const vector = Array(n).fill(0);
+        vector[free] = 1;
+        pivots.forEach((col, i) => { vector[col] = -rows[i][free]; });
+        return vector;
+    });
+    const candidate = Array(n).fill(0);
+    pivots.forEach((col, i) => { candidate[col] = rows[i][n]; });
+    const residual = b.map((val, i) => val - A[i].reduce((sum, a, j) => sum + a * candidate[j], 0));
+    const residualNorm = Math.hypot(...residual);
+    // The equations are consistent when the residual is no larger than rounding errors explain (backward error test).
+    const size = maxAbs(A) * candidate.reduce((sum, val) => sum + Math.abs(val), 0) + maxAbs([b]);
+    const consistent = residualNorm <= 100 * Math.max(m, n) * Number.EPSILON * size;
+    const solution = consistent ? candidate : null;
+    const report = {
+        status: !consistent ? 'inconsistent' : (rank < n ? 'infinite' : 'unique'),
+        rank,
+        solution,
+        freeVariables,
+        nullSpace,
+        parametric: (...parameters) => {
+            if (!solution) throw new Error('The system is inconsistent; use leastSquares for an approximate solution.');
+            return solution.map((val, j) => nullSpace.reduce((sum, vector, k) => sum + (parameters[k] || 0) * vector[j], val));
+        },
+        residual,
+        residualNorm
+    };
+    if (m === n) {
+        const factors = luFactor(A, tolerance);
+        report.conditionNumber = factors.singular ? Infinity
+            : oneNorm(A) * oneNorm(transposeMatrix(A.map((_, j) => luSolve(factors, A.map((__, i) => (i === j ? 1 : 0))))));
+    }
+    return report;
+}
+
+/**
+ * Computes a QR factorization, optionally with column pivoting (A P = Q R), using Householder reflections.
+ * The reflections are stored below the diagonal of the returned matrix, with R on and above it.
+ * @param {number[][]} A - The matrix (m x n, not modified).
+ * @param {boolean} [pivoting=true] - Bring the remaining column with the largest norm forward at each step.
+ * @returns {{qr: number[][], betas: number[], permutation: number[]}} - The packed factors, the reflection
+ *   coefficients (H = I - beta v vᵀ with v_k = 1) and the column order.
+ */
+function householderFactor(A, pivoting = true) {
+    const [m, n] = shapeOf(A);
+    const qr = A.map(row => [...row]);
+    const permutation = Array.from({ length: n }, (_, j) => j);
+    const norms = permutation.map(j => qr.reduce((sum, row) => sum + row[j] * row[j], 0));
+    const betas = [];
+    for (let k = 0; k < Math.min(m, n); k++) {
+        // Bring the remaining column with the largest norm to position k.
+        let best = k;
+        for (let j = k + 1; pivoting && j < n; j++) if (norms[j] > norms[best]) best = j;
+        if (best !== k) {
+            qr.forEach((row) => { [row[k], row[best]] = [row[best], row[k]]; });
+            [permutation[k], permutation[best]] = [permutation[best], permutation[k]];
+            [norms[k], norms[best]] = [norms[best], norms[k]];
+        }
+        let alpha = 0;
+        for (let i = k; i < m; i++) alpha += qr[i][k] * qr[i][k];
+        alpha = Math.sqrt(alpha);
+        if (alpha === 0) {
+            betas.push(0);
+            continue;
+        }
+        if (qr[k][k] > 0) alpha = -alpha;
+        const v0 = qr[k][k] - alpha;
+        for (let i = k + 1; i < m; i++) qr[i][k] /= v0;
+        const beta = -v0 / alpha;
+        qr[k][k] = alpha;
+        for (let j = k + 1; j < n; j++) {
+            let s = qr[k][j];
+            for (let i = k + 1; i < m; i++) s += qr[i][k] * qr[i][j];
+            s *= beta;
+            qr[k][j] -= s;
+            for (let i = k + 1; i < m; i++) qr[i][j] -= s * qr[i][k];
+            norms[j] -= qr[k][j] * qr[k][j];
+        }
+        betas.push(beta);
+    }
+    return { qr, betas, permutation };
+}
+
+/**
+ * Applies Qᵀ from householderFactor to a vector.
+ * @param {Object} factors - The result of householderFactor.
+ * @param {number[]} b - The vector.
+ * @returns {number[]} - Qᵀ b.
+ */
+function applyQTranspose({ qr, betas }, b) {
+    const y = [...b];
+    betas.forEach((beta, k) => {
+        if (beta === 0) return;
+        let s = y[k];
+        for (let i = k + 1; i < y.length; i++) s += qr[i][k] * y[i];
+        s *= beta;
+        y[k] -= s;
+        for (let i = k + 1; i < y.length; i++) y[i] -= s * qr[i][k];
+    });
+    return y;
+}
+
+/**
+ * Solves a linear least-squares problem, minimizing |A x - b|, with a Householder QR factorization with column
+ * pivoting. This avoids the squared condition number of the normal equations AᵀA x = Aᵀb. When A does not have full
+ * column rank the basic solution is returned, with the variables of the dependent columns set to zero.
+ * @param {number[][]} A - Coefficient matrix (m x n).
+ * @param {number[]} b - Constants vector (m entries).
+ * @param {number} [tolerance] - Diagonal entries of R at most this large relative to the first count as zero;
+ *   defaults to max(m, n) ε.
+ * @returns {{solution: number[], residual: number[], residualNorm: number, rank: number}} - The solution, the residual
+ *   b - A x and its norm, and the numerical rank of A.
+ * @throws {Error} - If the sizes do not match.
+ */
+function leastSquares(A, b, tolerance) {
+    const [m, n] = shapeOf(A);
+    if (b.length !== m) throw new Error('The constants vector must have one entry per row of the matrix.');
+    const factors = householderFactor(A);
+    const { qr, permutation } = factors;
+    const threshold = (tolerance === undefined ? Math.max(m, n) * Number.EPSILON : tolerance) * Math.abs(qr[0][0]);
     let rank = 0;
-    
-    for (let i = 0; i < n; i++) {
-        let pivot = augmentedMatrix[i][i];
-        if (pivot === 0) {
-            for (let k = i + 1; k < rows; k++) {
-                if (augmentedMatrix[k][i] !== 0) {
-                    [augmentedMatrix[i], augmentedMatrix[k]] = [augmentedMatrix[k], augmentedMatrix[i]];
-                    pivot = augmentedMatrix[i][i];
-                    break;
-                }
-            }
+    while (rank < Math.min(m, n) && Math.abs(qr[rank][rank]) > threshold) rank++;
+    const y = applyQTranspose(factors, b);
+    const z = Array(n).fill(0);
+    for (let row = rank - 1; row >= 0; row--) {
+        let sum = y[row];
+        for (let k = row + 1; k < rank; k++) sum -= qr[row][k] * z[k];
+        z[row] = sum / qr[row][row];
+    }
+    const solution = Array(n).fill(0);
+    permutation.forEach((col, k) => { solution[col] = z[k]; });
+    const residual = b.map((val, i) => val - A[i].reduce((sum, a, j) => sum + a * solution[j], 0));
+    return { solution, residual, residualNorm: Math.hypot(...residual), rank };
+}
+
+/**
+ * Creates an identity matrix.
+ * @param {number} n - The size.
+ * @returns {number[][]} - The n x n identity matrix.
+ */
+function identityMatrix(n) {
+    return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0)));
+}
+
+/**
+ * Computes the LU decomposition with partial pivoting, P A = L U.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {{L: number[][], U: number[][], P: number[][], permutation: number[], singular: boolean}} - The unit lower
+ *   triangular L, the upper triangular U, the permutation matrix P (and the row order it encodes) and whether U has
+ *   a zero pivot.
+ * @throws {Error} - If the matrix is not square.
+ */
+function luDecomposition(matrix) {
+    const { lu, permutation, singular } = luFactor(matrix);
+    const n = lu.length;
+    return {
+        L: lu.map((row, i) => row.map((val, j) => (j < i ? val : (i === j ? 1 : 0)))),
+        U: lu.map((row, i) => row.map((val, j) => (j >= i ? val : 0))),
+        P: permutation.map(p => Array.from({ length: n }, (_, j) => (j === p ? 1 : 0))),
+        permutation,
+        singular
+    };
+}
+
+/**
+ * Computes the QR decomposition A = Q R (or A P = Q R with column pivoting) with Householder reflections.
+ * @param {number[][]} matrix - The matrix (m x n).
+ * @param {Object} [options={}] - Options.
+ * @param {boolean} [options.pivoting=false] - Reorder the columns by decreasing norm, which reveals the rank.
+ * @returns {{Q: number[][], R: number[][], permutation: number[]}} - The orthogonal m x m matrix Q, the upper
+ *   triangular m x n matrix R and the column order (column k of A P is column permutation[k] of A).
+ */
+function qrDecomposition(matrix, options = {}) {
+    const [m, n] = shapeOf(matrix);
+    const factors = householderFactor(matrix, options.pivoting === true);
+    // Qᵀ e_i is column i of Qᵀ, i.e. row i of Q.
+    return {
+        Q: identityMatrix(m).map(column => applyQTranspose(factors, column)),
+        R: factors.qr.map((row, i) => row.map((val, j) => (j >= i ? val : 0))),
+        permutation: factors.permutation
+    };
+}
+
+/**
+ * Computes the Cholesky decomposition A = L Lᵀ of a symmetric positive definite matrix.
+ * @param {number[][]} matrix - The symmetric positive definite matrix.
+ * @returns {number[][]} - The lower triangular factor L.
+ * @throws {Error} - If the matrix is not square, not symmetric or not positive definite.
+ */
+function choleskyDecomposition(matrix) {
+    const [n, cols] = shapeOf(matrix);
+    if (n !== cols) throw new Error('Matrix must be square.');
+    const tolerance = n * Number.EPSILON * maxAbs(matrix);
+    if (matrix.some((row, i) => row.some((val, j) => Math.abs(val - matrix[j][i]) > tolerance))) {
+        throw new Error('Matrix must be symmetric.');
+    }
+    const L = matrix.map(() => Array(n).fill(0));
+    for (let j = 0; j < n; j++) {
+        let diagonal = matrix[j][j];
+        for (let k = 0; k < j; k++) diagonal -= L[j][k] * L[j][k];
+        if (diagonal <= 0) throw new Error('Matrix is not positive definite.');
+        L[j][j] = Math.sqrt(diagonal);
+        for (let i = j + 1; i < n; i++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            L[i][j] = sum / L[j][j];
         }
-        if (pivot === 0) continue;
-        rank++;
-        for (let j = 0; j < rows; j++) {
-            if (j !== i) {
-                const factor = augmentedMatrix[j][i] / pivot;
-                for (let k = i; k < cols; k++) {
-                    augmentedMatrix[j][k] -= factor * augmentedMatrix[i][k];
-                }
+    }
+    return L;
+}
+
+/**
+ * Computes the thin singular value decomposition A = U diag(S) Vᵀ with the one-sided Jacobi method, which rotates
+ * pairs of columns until they are orthogonal and computes even tiny singular values to high relative accuracy.
+ * @param {number[][]} matrix - The matrix (m x n).
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.maxSweeps=60] - Maximum number of sweeps over all column pairs.
+ * @returns {{U: number[][], S: number[], V: number[][]}} - U (m x k) and V (n x k) with orthonormal columns and the
+ *   singular values S in decreasing order, where k = min(m, n).
+ * @throws {Error} - If the iteration does not converge.
+ */
+function singularValueDecomposition(matrix, options = {}) {
+    const [m, n] = shapeOf(matrix);
+    if (m < n) {
+        const { U, S, V } = singularValueDecomposition(transposeMatrix(matrix), options);
+        return { U: V, S, V: U };
+    }
+    const { maxSweeps = 60 } = options;
+    // Work with columns: W[j] is column j of A, R[j] is column j of V.
+    const W = transposeMatrix(matrix);
+    const R = identityMatrix(n);
+    if (!orthogonalizeColumns(W, R, maxSweeps)) throw new Error('The singular value decomposition did not converge.');
+    const order = W.map((column, j) => [Math.hypot(...column), j]).sort((a, b) => b[0] - a[0]);
+    const S = order.map(([sigma]) => sigma);
+    const columns = [];
+    order.forEach(([sigma, j]) => {
+        if (sigma > S[0] * m * Number.EPSILON) {
+            columns.push(W[j].map(val => val / sigma));
+            return;
+        }
+        // Complete U with a unit vector orthogonal to the columns found so far.
+        for (let e = 0; e < m; e++) {
+            let v = Array.from({ length: m }, (_, i) => (i === e ? 1 : 0));
+            columns.forEach((u) => { v = subtractVectors(v, u.map(val => val * dotProduct(u, v))); });
+            const length = Math.hypot(...v);
+            if (length > 0.5) {
+                columns.push(v.map(val => val / length));
+                return;
             }
         }
-    }
-    return rank;
+    });
+    return { U: transposeMatrix(columns), S, V: transposeMatrix(order.map(([, j]) => R[j])) };
+}
+
+/**
+ * Calculates the determinant of a square matrix of any size from its LU decomposition.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {number} - The determinant.
+ * @throws {Error} - If the matrix is not square.
+ */
+function determinant(matrix) {
+    const { lu, sign, singular } = luFactor(matrix, 0);
+    return singular ? 0 : lu.reduce((product, row, i) => product * row[i], sign);
+}
+
+/**
+ * Calculates the inverse of a square matrix of any size from its LU decomposition.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {number[][]} - The inverse of the matrix.
+ * @throws {Error} - If the matrix is not square or is singular.
+ */
+function inverseMatrix(matrix) {
+    const factors = luFactor(matrix);
+    if (factors.singular) throw new Error('Matrix is singular and cannot be inverted.');
+    const n = matrix.length;
+    return transposeMatrix(identityMatrix(n).map(column => luSolve(factors, column)));
+}
+
+/**
+ * The default threshold below which singular values count as zero: max(m, n) ε σ_max.
+ * @param {number[]} S - The singular values, largest first.
+ * @param {number[][]} matrix - The matrix.
+ * @returns {number} - The threshold.
+ */
+function singularThreshold(S, matrix) {
+    return Math.max(matrix.length, matrix[0].length) * Number.EPSILON * (S[0] || 0);
+}
+
+/**
+ * Calculates the Moore–Penrose pseudoinverse A⁺ = V diag(1/S) Uᵀ from the singular value decomposition.
+ * A⁺ b is the least-squares solution of A x = b with the smallest norm.
+ * @param {number[][]} matrix - The matrix (m x n).
+ * @param {number} [tolerance] - Singular values at most this large are treated as zero; defaults to max(m, n) ε σ_max.
+ * @returns {number[][]} - The n x m pseudoinverse.
+ */
+function pseudoinverse(matrix, tolerance) {
+    const { U, S, V } = singularValueDecomposition(matrix);
+    const threshold = tolerance === undefined ? singularThreshold(S, matrix) : tolerance;
+    return V.map(row => U.map(uRow => S.reduce((sum, sigma, k) => (sigma > threshold ? sum + row[k] * uRow[k] / sigma : sum), 0)));
+}
+
+/**
+ * Calculates the condition number in the 2-norm, the ratio of the largest to the smallest singular value.
+ * The relative error of a solution of A x = b can be this many times the relative error of the data.
+ * @param {number[][]} matrix - The matrix.
+ * @returns {number} - The condition number (Infinity for a rank-deficient matrix).
+ */
+function conditionNumber(matrix) {
+    const { S } = singularValueDecomposition(matrix);
+    const smallest = S[S.length - 1];
+    return smallest === 0 ? Infinity : S[0] / smallest;
+}
+
+/**
+ * Calculates the rank of a matrix: the number of singular values above the tolerance.
+ * @param {number[][]} matrix - The matrix.
+ * @param {number} [tolerance] - Singular values at most this large are treated as zero; defaults to max(m, n) ε σ_max.
+ * @returns {number} - The rank of the matrix.
+ */
+function rankOfMatrix(matrix, tolerance) {
+    const { S } = singularValueDecomposition(matrix);
+    const threshold = tolerance === undefined ? singularThreshold(S, matrix) : tolerance;
+    return S.filter(sigma => sigma > threshold).length;
 }
 
 /**
@@ -205,13 +645,663 @@ function transposeMatrix(matrix) {
 }
 
 /**
- * Diagonalizes a matrix if possible.
+ * Checks whether a square matrix is symmetric up to rounding.
+ * @param {number[][]} matrix - The matrix.
+ * @returns {boolean} - True if a_ij = a_ji for all i, j.
+ */
+function isSymmetric(matrix) {
+    const tolerance = matrix.length * Number.EPSILON * maxAbs(matrix);
+    return matrix.every((row, i) => row.every((val, j) => Math.abs(val - matrix[j][i]) <= tolerance));
+}
+
+/**
+ * Checks that a matrix is square.
  * @param {number[][]} matrix - The matrix.
- * @returns {number[][]} - The diagonal matrix.
+ * @returns {number} - The size n.
+ * @throws {Error} - If the matrix is not square.
+ */
+function squareSize(matrix) {
+    const [n, cols] = shapeOf(matrix);
+    if (n !== cols) throw new Error('Matrix must be square.');
+    return n;
+}
+
+/**
+ * Reduces a square matrix to upper Hessenberg form (zero below the first subdiagonal) with Householder
+ * reflections, A = Q H Qᵀ. This is the first step of the QR algorithm, as QR steps preserve the form and cost
+ * O(n^2) instead of O(n^3) on it.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {{H: number[][], Q: number[][]}} - The Hessenberg matrix and the orthogonal matrix Q.
+ * @throws {Error} - If the matrix is not square.
  */
-function diagonalizeMatrix(matrix) {
-    // Placeholder for actual diagonalization logic.
-    throw new Error('Matrix diagonalization not implemented.');
+function hessenbergReduction(matrix) {
+    const n = squareSize(matrix);
+    const H = matrix.map(row => [...row]);
+    const Q = identityMatrix(n);
+    for (let k = 0; k < n - 2; k++) {
+        let alpha = 0;
+        for (let i = k + 1; i < n; i++) alpha += H[i][k] * H[i][k];
+        alpha = Math.sqrt(alpha);
+        if (alpha === 0) continue;
+        if (H[k + 1][k] > 0) alpha = -alpha;
+        const v = Array(n).fill(0);
+        v[k + 1] = H[k + 1][k] - alpha;
+        for (let i = k + 2; i < n; i++) v[i] = H[i][k];
+        const vv = dotProduct(v, v);
+        if (vv === 0) continue;
+        // H <- (I - 2vvᵀ/vᵀv) H (I - 2vvᵀ/vᵀv), Q <- Q (I - 2vvᵀ/vᵀv).
+        for (let j = 0; j < n; j++) {
+            let s = 0;
+            for (let i = k + 1; i < n; i++) s += v[i] * H[i][j];
+            s *= 2 / vv;
+            for (let i = k + 1; i < n; i++) H[i][j] -= s * v[i];
+        }
+        [H, Q].forEach((M) => {
+            M.forEach((row) => {
+                let s = 0;
+                for (let j = k + 1; j < n; j++) s += row[j] * v[j];
+                s *= 2 / vv;
+                for (let j = k + 1; j < n; j++) row[j] -= s * v[j];
+            });
+        });
+        for (let i = k + 2; i < n; i++) H[i][k] = 0;
+    }
+    return { H, Q };
+}
+
+/**
+ * Finds the eigenvalues of an upper Hessenberg matrix with the Francis double-shift QR algorithm, which keeps the
+ * arithmetic real by treating complex conjugate shifts in pairs, deflating 1x1 and 2x2 blocks as the subdiagonal
+ * vanishes and using exceptional shifts to break cycles (after the EISPACK routine hqr).
+ * @param {number[][]} H - The Hessenberg matrix (overwritten).
+ * @returns {Array<number|Complex>} - The eigenvalues; complex ones as Complex numbers.
+ * @throws {Error} - If an eigenvalue does not converge within 30 iterations.
+ */
+function francisQR(H) {
+    const n = H.length;
+    const values = [];
+    const norm = H.reduce((sum, row, i) => sum + row.reduce((s, val, j) => (j >= i - 1 ? s + Math.abs(val) : s), 0), 0);
+    let nn = n - 1;
+    let shift = 0;
+    let its = 0;
+    while (nn >= 0) {
+        let l = nn;
+        for (; l > 0; l--) {
+            let s = Math.abs(H[l - 1][l - 1]) + Math.abs(H[l][l]);
+            if (s === 0) s = norm;
+            if (Math.abs(H[l][l - 1]) <= Number.EPSILON * s) {
+                H[l][l - 1] = 0;
+                break;
+            }
+        }
+        let x = H[nn][nn];
+        if (l === nn) {
+            values.push(x + shift);
+            nn--;
+            its = 0;
+            continue;
+        }
+        let y = H[nn - 1][nn - 1];
+        let w = H[nn][nn - 1] * H[nn - 1][nn];
+        if (l === nn - 1) {
+            // A 2x2 block: its eigenvalues are a real pair or a complex conjugate pair.
+            const p = 0.5 * (y - x);
+            const q = p * p + w;
+            const z = Math.sqrt(Math.abs(q));
+            x += shift;
+            if (q >= 0) {
+                const root = p + (p >= 0 ? z : -z);
+                values.push(x + root, root !== 0 ? x - w / root : x + root);
+            } else {
+                values.push(new Complex(x + p, z), new Complex(x + p, -z));
+            }
+            nn -= 2;
+            its = 0;
+            continue;
+        }
+        if (its === 30) throw new Error('The QR algorithm did not converge.');
+        if (its === 10 || its === 20) {
+            // Exceptional shift.
+            shift += x;
+            for (let i = 0; i <= nn; i++) H[i][i] -= x;
+            const s = Math.abs(H[nn][nn - 1]) + Math.abs(H[nn - 1][nn - 2]);
+            x = 0.75 * s;
+            y = x;
+            w = -0.4375 * s * s;
+        }
+        its++;
+        // Look for two consecutive small subdiagonal elements and form the first column of the double-shift matrix.
+        let m = nn - 2;
+        let p = 0;
+        let q = 0;
+        let r = 0;
+        let z = 0;
+        for (; m >= l; m--) {
+            z = H[m][m];
+            r = x - z;
+            const s0 = y - z;
+            p = (r * s0 - w) / H[m + 1][m] + H[m][m + 1];
+            q = H[m + 1][m + 1] - z - r - s0;
+            r = H[m + 2][m + 1];
+            const s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+            p /= s;
+            q /= s;
+            r /= s;
+            if (m === l) break;
+            const u = Math.abs(H[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+            const v = Math.abs(p) * (Math.abs(H[m - 1][m - 1]) + Math.abs(z) + Math.abs(H[m + 1][m + 1]));
+            if (u <= Number.EPSILON * v) break;
+        }
+        for (let i = m + 2; i <= nn; i++) {
+            H[i][i - 2] = 0;
+            if (i !== m + 2) H[i][i - 3] = 0;
+        }
+        // Chase the bulge down the matrix with 3x3 Householder reflections.
+        for (let k = m; k <= nn - 1; k++) {
+            if (k !== m) {
+                p = H[k][k - 1];
+                q = H[k + 1][k - 1];
+                r = k !== nn - 1 ? H[k + 2][k - 1] : 0;
+                x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                if (x !== 0) {
+                    p /= x;
+                    q /= x;
+                    r /= x;
+                }
+            }
+            const s = (p >= 0 ? 1 : -1) * Math.sqrt(p * p + q * q + r * r);
+            if (s === 0) continue;
+            if (k === m) {
+                if (l !== m) H[k][k - 1] = -H[k][k - 1];
+            } else {
+                H[k][k - 1] = -s * x;
+            }
+            p += s;
+            x = p / s;
+            y = q / s;
+            z = r / s;
+            q /= p;
+            r /= p;
+            for (let j = k; j <= nn; j++) {
+                p = H[k][j] + q * H[k + 1][j];
+                if (k !== nn - 1) {
+                    p += r * H[k + 2][j];
+                    H[k + 2][j] -= p * z;
+                }
+                H[k + 1][j] -= p * y;
+                H[k][j] -= p * x;
+            }
+            for (let i = l; i <= Math.min(nn, k + 3); i++) {
+                p = x * H[i][k] + y * H[i][k + 1];
+                if (k !== nn - 1) {
+                    p += z * H[i][k + 2];
+                    H[i][k + 2] -= p * r;
+                }
+                H[i][k + 1] -= p * q;
+                H[i][k] -= p;
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Computes the eigenvalues and eigenvectors of a symmetric matrix with the cyclic Jacobi method, which annihilates
+ * the off-diagonal entries with plane rotations. It is slower than the QR algorithm but very accurate, and the
+ * eigenvectors come out exactly orthogonal.
+ * @param {number[][]} matrix - The symmetric matrix.
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.maxSweeps=100] - Maximum number of sweeps over the off-diagonal entries.
+ * @returns {{values: number[], vectors: number[][]}} - The eigenvalues in ascending order and the matching unit
+ *   eigenvectors (vectors[i] belongs to values[i]).
+ * @throws {Error} - If the matrix is not symmetric or the iteration does not converge.
+ */
+function jacobiEigenvalues(matrix, options = {}) {
+    const n = squareSize(matrix);
+    if (!isSymmetric(matrix)) throw new Error('Matrix must be symmetric.');
+    const { maxSweeps = 100 } = options;
+    const A = matrix.map(row => [...row]);
+    const V = identityMatrix(n);
+    const offDiagonal = () => A.reduce((sum, row, i) => row.reduce((s, val, j) => (i !== j ? s + val * val : s), sum), 0);
+    const scale = A.reduce((sum, row) => row.reduce((s, val) => s + val * val, sum), 0);
+    let sweep = 0;
+    while (offDiagonal() > Math.pow(Number.EPSILON, 2) * scale) {
+        if (sweep++ === maxSweeps) throw new Error('The Jacobi method did not converge.');
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (A[p][q] === 0) continue;
+                const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    [A[k][p], A[k][q]] = [c * A[k][p] - s * A[k][q], s * A[k][p] + c * A[k][q]];
+                }
+                for (let k = 0; k < n; k++) {
+                    [A[p][k], A[q][k]] = [c * A[p][k] - s * A[q][k], s * A[p][k] + c * A[q][k]];
+                    [V[k][p], V[k][q]] = [c * V[k][p] - s * V[k][q], s * V[k][p] + c * V[k][q]];
+                }
+            }
+        }
+    }
+    const order = A.map((row, i) => i).sort((i, j) => A[i][i] - A[j][j]);
+    return { values: order.map(i => A[i][i]), vectors: order.map(i => V.map(row => row[i])) };
+}
+
+/**
+ * Orders eigenvalues: real ones ascending, then complex ones by real part with the positive imaginary part first.
+ * @param {number|Object} a - The first eigenvalue.
+ * @param {number|Object} b - The second eigenvalue.
+ * @returns {number} - Negative, zero or positive, as for Array.prototype.sort.
+ */
+function compareEigenvalues(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') {
+        if (typeof a !== typeof b) return typeof a === 'number' ? -1 : 1;
+        return a - b;
+    }
+    return a.real - b.real || b.imaginary - a.imaginary;
+}
+
+/**
+ * Calculates all eigenvalues of a square matrix of any size. Symmetric matrices use the Jacobi method; other
+ * matrices are reduced to Hessenberg form and solved with the shifted (Francis double-shift) QR algorithm, which
+ * also finds complex eigenvalues.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {Array<number|Complex>} - The eigenvalues repeated according to multiplicity: real ones ascending as
+ *   numbers, then complex conjugate pairs as Complex numbers.
+ * @throws {Error} - If the matrix is not square or the iteration does not converge.
+ */
+function eigenvalues(matrix) {
+    squareSize(matrix);
+    if (isSymmetric(matrix)) return jacobiEigenvalues(matrix).values;
+    return francisQR(hessenbergReduction(matrix).H).sort(compareEigenvalues);
+}
+
+/**
+ * Groups eigenvalues that agree to within a tolerance and replaces each group by its mean, which is much more
+ * accurate than the individual approximations of a multiple eigenvalue.
+ * @param {Array<number|Object>} values - The eigenvalues.
+ * @param {number} tolerance - The largest distance between members of a group.
+ * @returns {Object[]} - The distinct eigenvalues { value, multiplicity }.
+ */
+function groupEigenvalues(values, tolerance) {
+    const groups = [];
+    values.forEach((value) => {
+        const [re, im] = typeof value === 'number' ? [value, 0] : [value.real, value.imaginary];
+        const group = groups.find(g => Math.hypot(g.re - re, g.im - im) <= tolerance);
+        if (group) {
+            group.re = (group.re * group.multiplicity + re) / (group.multiplicity + 1);
+            group.im = (group.im * group.multiplicity + im) / (group.multiplicity + 1);
+            group.multiplicity++;
+        } else {
+            groups.push({ re, im, multiplicity: 1 });
+        }
+    });
+    return groups.map(({ re, im, multiplicity }) => ({
+        value: im === 0 ? re : new Complex(re, im),
+        multiplicity
+    }));
+}
+
+/**
+ * Finds a basis of the null space of a real matrix: the right singular vectors whose singular values are at most
+ * the tolerance times the largest one. At least one vector is returned.
+ * @param {number[][]} matrix - The matrix.
+ * @param {number} tolerance - The relative threshold.
+ * @param {number} maxDimension - The largest number of vectors to return.
+ * @returns {number[][]} - The basis vectors.
+ */
+function nullSpaceBasis(matrix, tolerance, maxDimension) {
+    const { S, V } = singularValueDecomposition(matrix);
+    const columns = S.map((_, k) => V.map(row => row[k]));
+    const threshold = tolerance * Math.max(S[0], 1);
+    const basis = [];
+    for (let k = S.length - 1; k >= 0 && basis.length < maxDimension; k--) {
+        if (basis.length > 0 && S[k] > threshold) break;
+        basis.push(columns[k]);
+    }
+    return basis;
+}
+
+/**
+ * Calculates the eigenvectors of a square matrix. Eigenvalues within the tolerance of each other are treated as
+ * one multiple eigenvalue, and its eigenvectors span the null space of A - λI (found with the SVD); complex
+ * eigenvectors are found from the real form [[A - aI, bI], [-bI, A - aI]] of A - (a + bi)I.
+ * @param {number[][]} matrix - The square matrix.
+ * @param {Object} [options={}] - Options.
+ * @param {number} [options.tolerance=1e-6] - Relative distance within which eigenvalues are considered equal, and
+ *   relative size below which a singular value of A - λI counts as zero.
+ * @returns {Object[]} - One entry { value, multiplicity, vectors } per distinct eigenvalue, in the order of
+ *   eigenvalues, where multiplicity is the algebraic multiplicity and vectors holds unit eigenvectors (complex
+ *   entries as Complex numbers); fewer vectors than the multiplicity means the eigenvalue is defective.
+ * @throws {Error} - If the matrix is not square or the iteration does not converge.
+ */
+function eigenvectors(matrix, options = {}) {
+    const n = squareSize(matrix);
+    const { tolerance = 1e-6 } = options;
+    const scale = Math.max(1, maxAbs(matrix));
+    if (isSymmetric(matrix)) {
+        const { values, vectors } = jacobiEigenvalues(matrix);
+        return groupEigenvalues(values, tolerance * scale).map(({ value, multiplicity }) => ({
+            value,
+            multiplicity,
+            vectors: vectors.filter((_, i) => Math.abs(values[i] - value) <= tolerance * scale)
+        }));
+    }
+    return groupEigenvalues(eigenvalues(matrix), tolerance * scale).map(({ value, multiplicity }) => {
+        if (typeof value === 'number') {
+            const shifted = matrix.map((row, i) => row.map((val, j) => (i === j ? val - value : val)));
+            const vectors = nullSpaceBasis(shifted, tolerance, multiplicity).map(normalizeRealVector);
+            return { value, multiplicity, vectors };
+        }
+        const { real: a, imaginary: b } = value;
+        const embedded = Array.from({ length: 2 * n }, (_, i) => Array.from({ length: 2 * n }, (__, j) => {
+            const [bi, bj, ii, jj] = [Math.floor(i / n), Math.floor(j / n), i % n, j % n];
+            if (bi === bj) return matrix[ii][jj] - (ii === jj ? a : 0);
+            return ii === jj ? (bi === 0 ? b : -b) : 0;
+        }));
+        // Each complex eigenvector z = x + iy gives two real null vectors, (x, y) and (-y, x); keep the
+        // independent ones over the complex numbers.
+        const vectors = [];
+        nullSpaceBasis(embedded, tolerance, 2 * multiplicity).forEach((v) => {
+            let z = Array.from({ length: n }, (_, i) => ({ real: v[i], imaginary: v[n + i] }));
+            vectors.forEach((u) => {
+                const projection = complexDot(u, z);
+                z = z.map((entry, i) => ({
+                    real: entry.real - (projection.real * u[i].real - projection.imaginary * u[i].imaginary),
+                    imaginary: entry.imaginary - (projection.real * u[i].imaginary + projection.imaginary * u[i].real)
+                }));
+            });
+            const length = Math.sqrt(complexDot(z, z).real);
+            if (length > 0.5 && vectors.length < multiplicity) vectors.push(normalizeComplexVector(z));
+        });
+        return { value, multiplicity, vectors };
+    });
+}
+
+/**
+ * Scales a real vector to unit length with its largest entry positive.
+ * @param {number[]} v - The vector.
+ * @returns {number[]} - The normalized vector.
+ */
+function normalizeRealVector(v) {
+    const largest = v.reduce((best, val) => (Math.abs(val) > Math.abs(best) ? val : best), 0);
+    const length = Math.hypot(...v) * (largest < 0 ? -1 : 1);
+    return v.map(val => val / length || 0);
+}
+
+/**
+ * Calculates the Hermitian inner product uᴴ v of two complex vectors.
+ * @param {Object[]} u - The first vector.
+ * @param {Object[]} v - The second vector.
+ * @returns {Object} - The inner product { real, imaginary }.
+ */
+function complexDot(u, v) {
+    return u.reduce((sum, a, i) => ({
+        real: sum.real + a.real * v[i].real + a.imaginary * v[i].imaginary,
+        imaginary: sum.imaginary + a.real * v[i].imaginary - a.imaginary * v[i].real
+    }), { real: 0, imaginary: 0 });
+}
+
+/**
+ * Scales a complex vector to unit length with its largest entry real and positive.
+ * @param {Object[]} z - The vector.
+ * @returns {Object[]} - The normalized vector.
+ */
+function normalizeComplexVector(z) {
+    const largest = z.reduce((best, c) => (Math.hypot(c.real, c.imaginary) > Math.hypot(best.real, best.imaginary) ? c : best));
+    const modulus = Math.hypot(largest.real, largest.imaginary);
+    const length = Math.sqrt(complexDot(z, z).real);
+    // Multiply by conj(largest) / (|largest| |z|).
+    const [cr, ci] = [largest.real / (modulus * length), -largest.imaginary / (modulus * length)];
+    return z.map(c => new Complex(c.real * cr - c.imaginary * ci, c.real * ci + c.imaginary * cr));
+}
+
+/**
+ * Diagonalizes a square matrix, A = P D P⁻¹, where D holds the eigenvalues and the columns of P the matching
+ * eigenvectors. Symmetric matrices give an orthogonal P. When some eigenvalues are complex, P and D are complex and
+ * every entry is a Complex number.
+ * @param {number[][]} matrix - The square matrix.
+ * @param {Object} [options={}] - The options of eigenvectors.
+ * @returns {{P: Array[], D: Array[], eigenvalues: Array<number|Complex>}} - The eigenvector matrix, the diagonal matrix
+ *   and the eigenvalues on its diagonal.
+ * @throws {Error} - If the matrix is not diagonalizable, naming the eigenvalue that lacks independent eigenvectors.
+ */
+function diagonalizeMatrix(matrix, options = {}) {
+    const n = squareSize(matrix);
+    const groups = eigenvectors(matrix, options);
+    groups.forEach(({ value, multiplicity, vectors }) => {
+        if (vectors.length < multiplicity) {
+            const name = typeof value === 'number' ? `${value}` : `${value.real} ${value.imaginary < 0 ? '-' : '+'} ${Math.abs(value.imaginary)}i`;
+            throw new Error(`Matrix is not diagonalizable: the eigenvalue ${name} has algebraic multiplicity ${multiplicity} `
+                + `but only ${vectors.length} independent eigenvector${vectors.length === 1 ? '' : 's'}.`);
+        }
+    });
+    const values = groups.flatMap(({ value, vectors }) => vectors.map(() => value));
+    const columns = groups.flatMap(({ vectors }) => vectors);
+    const complex = values.some(value => typeof value !== 'number');
+    const asComplex = value => Complex.from(value);
+    const zero = complex ? new Complex(0, 0) : 0;
+    const P = Array.from({ length: n }, (_, i) => columns.map(column => (complex ? asComplex(column[i]) : column[i])));
+    const D = values.map((value, i) => values.map((__, j) => (i === j ? (complex ? asComplex(value) : value) : zero)));
+    return { P, D, eigenvalues: values };
+}
+
+/**
+ * The degrees of the diagonal Padé approximants used by expm and the largest 1-norm for which each is accurate to
+ * double precision (Higham, "The scaling and squaring method for the matrix exponential revisited", 2005).
+ */
+const PADE_THRESHOLDS = [
+    [3, 1.495585217958292e-2],
+    [5, 2.539398330063230e-1],
+    [7, 9.504178996162932e-1],
+    [9, 2.097847961257068],
+    [13, 5.371920351148152]
+];
+
+/**
+ * Forms the linear combination sum of c_k M_k of matrices of equal shape.
+ * @param {Array[]} terms - Pairs [c_k, M_k].
+ * @returns {number[][]} - The combination.
+ */
+function combineMatrices(terms) {
+    const [, first] = terms[0];
+    return first.map((row, i) => row.map((_, j) => terms.reduce((sum, [c, M]) => sum + c * M[i][j], 0)));
+}
+
+/**
+ * Solves A X = B for a square matrix A and a matrix B.
+ * @param {number[][]} A - The square coefficient matrix.
+ * @param {number[][]} B - The right-hand sides, one per column.
+ * @returns {number[][]} - The solution X.
+ * @throws {Error} - If A is singular.
+ */
+function solveMatrixEquation(A, B) {
+    const factors = luFactor(A);
+    if (factors.singular) throw new Error('Matrix is singular and cannot be inverted.');
+    return transposeMatrix(transposeMatrix(B).map(column => luSolve(factors, column)));
+}
+
+/**
+ * Calculates the matrix exponential e^A = I + A + A^2/2! + ... by scaling and squaring: A is divided by 2^s so
+ * that a diagonal Padé approximant of degree 3 to 13 is accurate to double precision, and the result is squared
+ * s times.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {number[][]} - The exponential e^A.
+ * @throws {Error} - If the matrix is not square.
+ */
+function expm(matrix) {
+    const n = squareSize(matrix);
+    const norm = oneNorm(matrix);
+    const [degree, theta] = PADE_THRESHOLDS.find(([, bound]) => norm <= bound) || PADE_THRESHOLDS[PADE_THRESHOLDS.length - 1];
+    const squarings = norm > theta ? Math.ceil(Math.log2(norm / theta)) : 0;
+    const A = matrix.map(row => row.map(val => val / Math.pow(2, squarings)));
+    // The Padé approximant is (V - U)⁻¹ (V + U), with U the odd and V the even part of the numerator.
+    const coefficients = [1];
+    for (let j = 1; j <= degree; j++) {
+        coefficients.push(coefficients[j - 1] * (degree - j + 1) / (j * (2 * degree - j + 1)));
+    }
+    const A2 = multiplyMatrices(A, A);
+    const evenPowers = [identityMatrix(n)];
+    for (let j = 2; j <= degree; j += 2) evenPowers.push(multiplyMatrices(evenPowers[evenPowers.length - 1], A2));
+    const V = combineMatrices(evenPowers.map((P, k) => [coefficients[2 * k], P]));
+    const U = multiplyMatrices(A, combineMatrices(evenPowers.slice(0, (degree + 1) / 2).map((P, k) => [coefficients[2 * k + 1], P])));
+    let result = solveMatrixEquation(combineMatrices([[1, V], [-1, U]]), combineMatrices([[1, V], [1, U]]));
+    for (let k = 0; k < squarings; k++) result = multiplyMatrices(result, result);
+    return result;
+}
+
+/**
+ * Applies a scalar function to a symmetric matrix through its eigendecomposition, f(A) = V f(Λ) Vᵀ.
+ * @param {number[][]} matrix - The symmetric matrix.
+ * @param {Function} func - The function, applied to each eigenvalue.
+ * @returns {number[][]} - The matrix f(A).
+ */
+function symmetricMatrixFunction(matrix, func) {
+    const { values, vectors } = jacobiEigenvalues(matrix);
+    const mapped = values.map(func);
+    return matrix.map((_, i) => matrix.map((__, j) => vectors.reduce((sum, v, k) => sum + mapped[k] * v[i] * v[j], 0)));
+}
+
+/**
+ * Checks that a matrix has no eigenvalues on the closed negative real axis, where the principal logarithm,
+ * square root and fractional powers are not defined as real matrices.
+ * @param {number[][]} matrix - The square matrix.
+ * @param {string} name - The name of the function, for the error message.
+ * @throws {Error} - If such an eigenvalue exists.
+ */
+function requirePrincipalBranch(matrix, name) {
+    const scale = maxAbs(matrix) * matrix.length * Number.EPSILON;
+    const offending = eigenvalues(matrix).find(value => typeof value === 'number' && value <= scale);
+    if (offending !== undefined) {
+        throw new Error(`${name} needs a matrix without eigenvalues on the closed negative real axis, but ${offending} is one.`);
+    }
+}
+
+/**
+ * Calculates the principal square root with the scaled Denman–Beavers iteration
+ * Y <- (μY + (μZ)⁻¹)/2, Z <- (μZ + (μY)⁻¹)/2 from Y = A, Z = I, which converges quadratically to Y = A^(1/2) and
+ * Z = A^(-1/2); the determinant scaling μ shortens the initial phase for badly scaled matrices.
+ * @param {number[][]} A - The square matrix, without eigenvalues on the closed negative real axis.
+ * @returns {number[][]} - The square root.
+ * @throws {Error} - If the iteration does not converge in 100 steps.
+ */
+function denmanBeavers(A) {
+    const n = A.length;
+    let Y = A;
+    let Z = identityMatrix(n);
+    let previous = Infinity;
+    let scaling = true;
+    for (let k = 0; k < 100; k++) {
+        let mu = 1;
+        if (scaling) {
+            mu = Math.pow(Math.abs(determinant(Y) * determinant(Z)), -1 / (2 * n));
+            if (!Number.isFinite(mu) || mu === 0) mu = 1;
+        }
+        const [Yi, Zi] = [inverseMatrix(Y), inverseMatrix(Z)];
+        const next = combineMatrices([[mu / 2, Y], [1 / (2 * mu), Zi]]);
+        Z = combineMatrices([[mu / 2, Z], [1 / (2 * mu), Yi]]);
+        const difference = oneNorm(combineMatrices([[1, next], [-1, Y]]));
+        const size = oneNorm(next);
+        Y = next;
+        if (difference <= 1e-2 * size) scaling = false;
+        if (difference <= n * Number.EPSILON * size || (difference <= 1e-8 * size && difference >= previous)) return Y;
+        previous = difference;
+    }
+    throw new Error('The Denman–Beavers iteration did not converge.');
+}
+
+/**
+ * Calculates the principal square root of a matrix, the unique square root whose eigenvalues have positive real
+ * parts. Symmetric matrices use their eigendecomposition (positive semidefinite ones may be singular); other
+ * matrices use the Denman–Beavers iteration.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {number[][]} - The matrix X with X X = A.
+ * @throws {Error} - If the matrix is not square or has an eigenvalue on the closed negative real axis (symmetric
+ *   matrices: a negative eigenvalue).
+ */
+function sqrtm(matrix) {
+    squareSize(matrix);
+    if (isSymmetric(matrix)) {
+        const scale = maxAbs(matrix) * matrix.length * Number.EPSILON;
+        return symmetricMatrixFunction(matrix, (value) => {
+            if (value < -scale) throw new Error(`sqrtm needs a positive semidefinite symmetric matrix, but ${value} is an eigenvalue.`);
+            return Math.sqrt(Math.max(value, 0));
+        });
+    }
+    requirePrincipalBranch(matrix, 'sqrtm');
+    return denmanBeavers(matrix);
+}
+
+/**
+ * Calculates the principal logarithm of a matrix, the unique logarithm whose eigenvalues have imaginary parts in
+ * (-π, π), by inverse scaling and squaring: square roots are taken until A^(1/2^k) is close to I, its logarithm
+ * is summed from log X = 2 atanh((X - I)(X + I)⁻¹), and the result is multiplied by 2^k.
+ * @param {number[][]} matrix - The square matrix.
+ * @returns {number[][]} - The matrix L with e^L = A.
+ * @throws {Error} - If the matrix is not square or has an eigenvalue on the closed negative real axis.
+ */
+function logm(matrix) {
+    const n = squareSize(matrix);
+    if (isSymmetric(matrix)) {
+        return symmetricMatrixFunction(matrix, (value) => {
+            if (value <= 0) throw new Error(`logm needs a positive definite symmetric matrix, but ${value} is an eigenvalue.`);
+            return Math.log(value);
+        });
+    }
+    requirePrincipalBranch(matrix, 'logm');
+    const I = identityMatrix(n);
+    let X = matrix;
+    let roots = 0;
+    while (oneNorm(combineMatrices([[1, X], [-1, I]])) > 0.25) {
+        if (roots === 64) throw new Error('logm could not bring the matrix close to the identity.');
+        X = denmanBeavers(X);
+        roots++;
+    }
+    const Y = solveMatrixEquation(combineMatrices([[1, X], [1, I]]), combineMatrices([[1, X], [-1, I]]));
+    const Y2 = multiplyMatrices(Y, Y);
+    let term = Y;
+    let sum = Y;
+    for (let k = 1; k < 100; k++) {
+        term = multiplyMatrices(term, Y2);
+        const contribution = oneNorm(term) / (2 * k + 1);
+        sum = combineMatrices([[1, sum], [1 / (2 * k + 1), term]]);
+        if (contribution <= Number.EPSILON * oneNorm(sum)) break;
+    }
+    return sum.map(row => row.map(val => val * Math.pow(2, roots + 1)));
+}
+
+/**
+ * Raises a square matrix to a power. Integer powers use binary exponentiation (about 2 log2|p| products, with the
+ * inverse for negative powers); other powers are the principal powers A^p = e^(p log A), found from the
+ * eigendecomposition for symmetric matrices.
+ * @param {number[][]} matrix - The square matrix.
+ * @param {number} exponent - The power p.
+ * @returns {number[][]} - The matrix A^p.
+ * @throws {Error} - If the matrix is not square, a negative power of a singular matrix is requested, or a
+ *   fractional power of a matrix with an eigenvalue on the closed negative real axis.
+ */
+function matrixPower(matrix, exponent) {
+    const n = squareSize(matrix);
+    if (Number.isInteger(exponent)) {
+        let base = exponent < 0 ? inverseMatrix(matrix) : matrix;
+        let result = identityMatrix(n);
+        for (let k = Math.abs(exponent); k > 0; k = Math.floor(k / 2)) {
+            if (k % 2 === 1) result = multiplyMatrices(result, base);
+            if (k > 1) base = multiplyMatrices(base, base);
+        }
+        return result;
+    }
+    if (isSymmetric(matrix)) {
+        return symmetricMatrixFunction(matrix, (value) => {
+            if (value < 0 || (value === 0 && exponent < 0)) {
+                throw new Error(`A fractional power needs a positive ${exponent < 0 ? '' : 'semi'}definite symmetric matrix, but ${value} is an eigenvalue.`);
+            }
+            return Math.pow(value, exponent);
+        });
+    }
+    requirePrincipalBranch(matrix, 'matrixPower');
+    return expm(logm(matrix).map(row => row.map(val => val * exponent)));
 }
 
 /**
@@ -232,7 +1322,29 @@ function gramSchmidt(vectors) {
     return orthogonalized;
 }
 
-module.exports = {
+/**
+ * Converts Matrix and Vector arguments to plain arrays, including vectors inside an array (as passed to
+ * gramSchmidt); other values are returned unchanged.
+ * @param {*} value - The argument.
+ * @returns {*} - The argument with matrices and vectors replaced by arrays.
+ */
+function toPlain(value) {
+    if (value instanceof Matrix || value instanceof Vector) return value.toArray();
+    if (Array.isArray(value) && value.some(entry => entry instanceof Vector)) return value.map(toPlain);
+    return value;
+}
+
+/**
+ * Wraps a function of this module so that it accepts Matrix and Vector arguments as well as plain arrays.
+ * Results are plain arrays either way.
+ * @param {Function} func - The function.
+ * @returns {Function} - The wrapped function.
+ */
+function acceptingMatrices(func) {
+    return (...args) => func(...args.map(toPlain));
+}
+
+module.exports = Object.fromEntries(Object.entries({
     addVectors,
     subtractVectors,
     dotProduct,
@@ -244,9 +1356,28 @@ module.exports = {
     inverse2x2,
     inverse3x3,
     eigenvalues2x2,
+    eigenvalues,
+    eigenvectors,
+    hessenbergReduction,
+    jacobiEigenvalues,
     solveLinearSystem,
+    linearSystemSolution,
+    leastSquares,
     rankOfMatrix,
+    luDecomposition,
+    qrDecomposition,
+    choleskyDecomposition,
+    singularValueDecomposition,
+    determinant,
+    inverseMatrix,
+    pseudoinverse,
+    conditionNumber,
+    identityMatrix,
     transposeMatrix,
     diagonalizeMatrix,
+    expm,
+    logm,
+    sqrtm,
+    matrixPower,
     gramSchmidt
-};
+}).map(([name, func]) => [name, acceptingMatrices(func)]));
@@ -0,0 +1,756 @@
+const { requireSize, requireIndex } = require('./matrixValidation');
+const { orthogonalizeColumns } = require('./oneSidedJacobi');
+
+/**
+ * Rows and columns of the blocks used by Matrix.multiply. Three 64x64 blocks of doubles (96 KB) fit in a typical
+ * L2 cache.
+ */
+const BLOCK_SIZE = 64;
+
+/**
+ * A dense vector of doubles stored in a Float64Array. Operations return new vectors; get and set access entries.
+ */
+class Vector {
+    /**
+     * Creates a vector. The values are copied.
+     * @param {number[]|Float64Array|Vector} values - The entries.
+     * @throws {Error} - If an entry is not a number.
+     */
+    constructor(values) {
+        if (values instanceof Vector) values = values.data;
+        if (!Array.isArray(values) && !(values instanceof Float64Array)) {
+            throw new Error('A vector must be created from an array of numbers.');
+        }
+        requireNumbers(values);
+        this.data = Float64Array.from(values);
+    }
+
+    /**
+     * Converts an array or vector to a vector.
+     * @param {number[]|Float64Array|Vector} value - The value to convert.
+     * @returns {Vector} - The vector (the value itself if it already is one).
+     */
+    static from(value) {
+        return value instanceof Vector ? value : new Vector(value);
+    }
+
+    /**
+     * Creates a vector of zeros.
+     * @param {number} length - The number of entries.
+     * @returns {Vector} - The zero vector.
+     */
+    static zeros(length) {
+        return Vector.fill(length, 0);
+    }
+
+    /**
+     * Creates a vector with all entries equal.
+     * @param {number} length - The number of entries.
+     * @param {number} value - The value of every entry.
+     * @returns {Vector} - The vector.
+     */
+    static fill(length, value) {
+        requireSize(length);
+        return new Vector(new Float64Array(length).fill(value));
+    }
+
+    /**
+     * The number of entries.
+     * @returns {number} - The length.
+     */
+    get length() {
+        return this.data.length;
+    }
+
+    /**
+     * Reads an entry.
+     * @param {number} i - The index.
+     * @returns {number} - The entry.
+     * @throws {Error} - If the index is out of range.
+     */
+    get(i) {
+        requireIndex(i, this.length);
+        return this.data[i];
+    }
+
+    /**
+     * Writes an entry in place.
+     * @param {number} i - The index.
+     * @param {number} value - The new value.
+     * @returns {Vector} - This vector.
+     * @throws {Error} - If the index is out of range.
+     */
+    set(i, value) {
+        requireIndex(i, this.length);
+        this.data[i] = value;
+        return this;
+    }
+
+    /**
+     * Copies a range of entries, with the semantics of Array.prototype.slice (negative indices count from the end).
+     * @param {number} [start=0] - The first index.
+     * @param {number} [end=length] - The index after the last.
+     * @returns {Vector} - The slice.
+     */
+    slice(start, end) {
+        return new Vector(this.data.slice(start, end));
+    }
+
+    /**
+     * Applies a function to every entry.
+     * @param {Function} func - Called as func(value, index).
+     * @returns {Vector} - The vector of results.
+     */
+    map(func) {
+        return new Vector(Array.from(this.data, func));
+    }
+
+    /**
+     * Adds element-wise. A number or a vector of length 1 is broadcast to every entry.
+     * @param {number|number[]|Vector} other - The other operand.
+     * @returns {Vector} - The sum.
+     */
+    add(other) {
+        return this.elementwise(other, (a, b) => a + b);
+    }
+
+    /**
+     * Subtracts element-wise, with broadcasting as in add.
+     * @param {number|number[]|Vector} other - The subtrahend.
+     * @returns {Vector} - The difference.
+     */
+    subtract(other) {
+        return this.elementwise(other, (a, b) => a - b);
+    }
+
+    /**
+     * Multiplies element-wise, with broadcasting as in add.
+     * @param {number|number[]|Vector} other - The other factor.
+     * @returns {Vector} - The product.
+     */
+    multiplyElementwise(other) {
+        return this.elementwise(other, (a, b) => a * b);
+    }
+
+    /**
+     * Divides element-wise, with broadcasting as in add.
+     * @param {number|number[]|Vector} other - The divisor.
+     * @returns {Vector} - The quotient.
+     */
+    divideElementwise(other) {
+        return this.elementwise(other, (a, b) => a / b);
+    }
+
+    /**
+     * Multiplies by a number.
+     * @param {number} factor - The factor.
+     * @returns {Vector} - The scaled vector.
+     */
+    scale(factor) {
+        return this.map(value => value * factor);
+    }
+
+    /**
+     * Combines the entries of two vectors of equal length, or of a vector and a broadcast number.
+     * @param {number|number[]|Vector} other - The other operand.
+     * @param {Function} operation - The operation on a pair of entries.
+     * @returns {Vector} - The vector of results.
+     * @throws {Error} - If the lengths differ and neither is 1.
+     */
+    elementwise(other, operation) {
+        const b = typeof other === 'number' ? new Float64Array([other]) : Vector.from(other).data;
+        const a = this.data;
+        if (a.length !== b.length && a.length !== 1 && b.length !== 1) {
+            throw new Error(`Cannot broadcast vectors of lengths ${a.length} and ${b.length}.`);
+        }
+        const length = Math.max(a.length, b.length);
+        const result = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            result[i] = operation(a[a.length === 1 ? 0 : i], b[b.length === 1 ? 0 : i]);
+        }
+        return new Vector(result);
+    }
+
+    /**
+     * Calculates the dot product.
+     * @param {number[]|Vector} other - The other vector.
+     * @returns {number} - The dot product.
+     * @throws {Error} - If the lengths differ.
+     */
+    dot(other) {
+        const b = Vector.from(other).data;
+        if (b.length !== this.length) throw new Error('Vectors must be of the same length.');
+        let sum = 0;
+        for (let i = 0; i < b.length; i++) sum += this.data[i] * b[i];
+        return sum;
+    }
+
+    /**
+     * Calculates the outer product u vᵀ.
+     * @param {number[]|Vector} other - The vector v.
+     * @returns {Matrix} - The length(u) x length(v) matrix.
+     */
+    outer(other) {
+        const b = Vector.from(other).data;
+        const result = new Float64Array(this.length * b.length);
+        for (let i = 0; i < this.length; i++) {
+            for (let j = 0; j < b.length; j++) result[i * b.length + j] = this.data[i] * b[j];
+        }
+        return new Matrix(this.length, b.length, result);
+    }
+
+    /**
+     * Calculates the Kronecker product, the vector of all products u_i v_j in row-major order.
+     * @param {number[]|Vector} other - The vector v.
+     * @returns {Vector} - The vector of length length(u) * length(v).
+     */
+    kronecker(other) {
+        return new Vector(this.outer(other).data);
+    }
+
+    /**
+     * Calculates a p-norm: the Euclidean norm by default, the sum of absolute values for p = 1 and the largest
+     * absolute value for p = Infinity. The 2-norm is scaled to avoid overflow and underflow.
+     * @param {number} [p=2] - The order, at least 1.
+     * @returns {number} - The norm.
+     * @throws {Error} - If p is less than 1.
+     */
+    norm(p = 2) {
+        if (!(p >= 1)) throw new Error('The order of a norm must be at least 1.');
+        const largest = this.data.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        if (p === Infinity || largest === 0) return largest;
+        if (p === 1) return this.data.reduce((sum, value) => sum + Math.abs(value), 0);
+        const sum = this.data.reduce((total, value) => total + Math.pow(Math.abs(value) / largest, p), 0);
+        return largest * Math.pow(sum, 1 / p);
+    }
+
+    /**
+     * Scales the vector to unit Euclidean length.
+     * @returns {Vector} - The unit vector.
+     * @throws {Error} - If the vector is zero.
+     */
+    normalize() {
+        const length = this.norm();
+        if (length === 0) throw new Error('Cannot normalize the zero vector.');
+        return this.scale(1 / length);
+    }
+
+    /**
+     * Checks whether two vectors have the same length and entries.
+     * @param {number[]|Vector} other - The other vector.
+     * @param {number} [tolerance=0] - The largest allowed difference between entries.
+     * @returns {boolean} - True if the vectors are equal.
+     */
+    equals(other, tolerance = 0) {
+        const b = Vector.from(other).data;
+        return b.length === this.length && b.every((value, i) => Math.abs(value - this.data[i]) <= tolerance);
+    }
+
+    /**
+     * Converts the vector to a plain array.
+     * @returns {number[]} - The entries.
+     */
+    toArray() {
+        return Array.from(this.data);
+    }
+
+    /**
+     * Formats the vector, e.g. "[1, 2, 3]".
+     * @returns {string} - The formatted vector.
+     */
+    toString() {
+        return `[${this.toArray().join(', ')}]`;
+    }
+}
+
+/**
+ * A dense matrix of doubles stored row by row in a Float64Array. Operations return new matrices; get and set
+ * access entries.
+ */
+class Matrix {
+    /**
+     * Creates a matrix from its shape and its entries in row-major order.
+     * @param {number} rows - The number of rows.
+     * @param {number} columns - The number of columns.
+     * @param {number[]|Float64Array} [data] - The rows * columns entries (copied); zeros if omitted.
+     * @throws {Error} - If the shape is invalid or does not match the number of entries.
+     */
+    constructor(rows, columns, data) {
+        requireSize(rows);
+        requireSize(columns);
+        if (data === undefined) {
+            this.data = new Float64Array(rows * columns);
+        } else {
+            if (data.length !== rows * columns) {
+                throw new Error(`A ${rows}x${columns} matrix needs ${rows * columns} entries, got ${data.length}.`);
+            }
+            requireNumbers(data);
+            this.data = Float64Array.from(data);
+        }
+        this.rows = rows;
+        this.columns = columns;
+    }
+
+    /**
+     * Converts an array of rows, a vector (as a column) or a matrix to a matrix.
+     * @param {number[][]|Vector|Matrix} value - The value to convert.
+     * @returns {Matrix} - The matrix (the value itself if it already is one).
+     * @throws {Error} - If the rows are not all of the same length or an entry is not a number.
+     */
+    static from(value) {
+        if (value instanceof Matrix) return value;
+        if (value instanceof Vector) return new Matrix(value.length, 1, value.data);
+        if (!Array.isArray(value) || !value.every(Array.isArray)) {
+            throw new Error('A matrix must be created from an array of rows.');
+        }
+        const columns = value.length > 0 ? value[0].length : 0;
+        if (value.some(row => row.length !== columns)) throw new Error('All rows must have the same length.');
+        const data = new Float64Array(value.length * columns);
+        value.forEach((row, i) => {
+            requireNumbers(row);
+            data.set(row, i * columns);
+        });
+        return new Matrix(value.length, columns, data);
+    }
+
+    /**
+     * Creates a matrix of zeros.
+     * @param {number} rows - The number of rows.
+     * @param {number} columns - The number of columns.
+     * @returns {Matrix} - The zero matrix.
+     */
+    static zeros(rows, columns) {
+        return new Matrix(rows, columns);
+    }
+
+    /**
+     * Creates a matrix with all entries equal.
+     * @param {number} rows - The number of rows.
+     * @param {number} columns - The number of columns.
+     * @param {number} value - The value of every entry.
+     * @returns {Matrix} - The matrix.
+     */
+    static fill(rows, columns, value) {
+        const matrix = new Matrix(rows, columns);
+        matrix.data.fill(value);
+        return matrix;
+    }
+
+    /**
+     * Creates an identity matrix.
+     * @param {number} n - The size.
+     * @returns {Matrix} - The n x n identity matrix.
+     */
+    static identity(n) {
+        const matrix = new Matrix(n, n);
+        for (let i = 0; i < n; i++) matrix.data[i * n + i] = 1;
+        return matrix;
+    }
+
+    /**
+     * Creates a diagonal matrix.
+     * @param {number[]|Vector} values - The diagonal entries.
+     * @returns {Matrix} - The square diagonal matrix.
+     */
+    static diagonal(values) {
+        const entries = Vector.from(values).data;
+        const n = entries.length;
+        const matrix = new Matrix(n, n);
+        for (let i = 0; i < n; i++) matrix.data[i * n + i] = entries[i];
+        return matrix;
+    }
+
+    /**
+     * The number of rows and columns.
+     * @returns {number[]} - [rows, columns].
+     */
+    get shape() {
+        return [this.rows, this.columns];
+    }
+
+    /**
+     * Reads an entry.
+     * @param {number} i - The row index.
+     * @param {number} j - The column index.
+     * @returns {number} - The entry.
+     * @throws {Error} - If an index is out of range.
+     */
+    get(i, j) {
+        requireIndex(i, this.rows);
+        requireIndex(j, this.columns);
+        return this.data[i * this.columns + j];
+    }
+
+    /**
+     * Writes an entry in place.
+     * @param {number} i - The row index.
+     * @param {number} j - The column index.
+     * @param {number} value - The new value.
+     * @returns {Matrix} - This matrix.
+     * @throws {Error} - If an index is out of range.
+     */
+    set(i, j, value) {
+        requireIndex(i, this.rows);
+        requireIndex(j, this.columns);
+        this.data[i * this.columns + j] = value;
+        return this;
+    }
+
+    /**
+     * Copies a row.
+     * @param {number} i - The row index.
+     * @returns {Vector} - The row.
+     */
+    row(i) {
+        requireIndex(i, this.rows);
+        return new Vector(this.data.subarray(i * this.columns, (i + 1) * this.columns));
+    }
+
+    /**
+     * Copies a column.
+     * @param {number} j - The column index.
+     * @returns {Vector} - The column.
+     */
+    column(j) {
+        requireIndex(j, this.columns);
+        return new Vector(Array.from({ length: this.rows }, (_, i) => this.data[i * this.columns + j]));
+    }
+
+    /**
+     * Copies the diagonal.
+     * @returns {Vector} - The entries a_ii.
+     */
+    diagonal() {
+        return new Vector(Array.from({ length: Math.min(this.rows, this.columns) }, (_, i) => this.data[i * this.columns + i]));
+    }
+
+    /**
+     * Copies a block of rows and columns. Each range has the semantics of Array.prototype.slice: the end is
+     * exclusive and negative indices count from the end.
+     * @param {number} [rowStart=0] - The first row.
+     * @param {number} [rowEnd=rows] - The row after the last.
+     * @param {number} [columnStart=0] - The first column.
+     * @param {number} [columnEnd=columns] - The column after the last.
+     * @returns {Matrix} - The block.
+     */
+    slice(rowStart, rowEnd, columnStart, columnEnd) {
+        const [r0, r1] = sliceBounds(this.rows, rowStart, rowEnd);
+        const [c0, c1] = sliceBounds(this.columns, columnStart, columnEnd);
+        const result = new Matrix(r1 - r0, c1 - c0);
+        for (let i = r0; i < r1; i++) {
+            result.data.set(this.data.subarray(i * this.columns + c0, i * this.columns + c1), (i - r0) * (c1 - c0));
+        }
+        return result;
+    }
+
+    /**
+     * Reads the same entries with a different shape.
+     * @param {number} rows - The new number of rows.
+     * @param {number} columns - The new number of columns.
+     * @returns {Matrix} - The reshaped matrix.
+     * @throws {Error} - If the number of entries changes.
+     */
+    reshape(rows, columns) {
+        return new Matrix(rows, columns, this.data);
+    }
+
+    /**
+     * Transposes the matrix.
+     * @returns {Matrix} - The transpose.
+     */
+    transpose() {
+        const result = new Matrix(this.columns, this.rows);
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.columns; j++) result.data[j * this.rows + i] = this.data[i * this.columns + j];
+        }
+        return result;
+    }
+
+    /**
+     * Applies a function to every entry.
+     * @param {Function} func - Called as func(value, i, j).
+     * @returns {Matrix} - The matrix of results.
+     */
+    map(func) {
+        const result = new Matrix(this.rows, this.columns);
+        for (let k = 0; k < this.data.length; k++) {
+            result.data[k] = func(this.data[k], Math.floor(k / this.columns), k % this.columns);
+        }
+        return result;
+    }
+
+    /**
+     * Adds element-wise with broadcasting: two shapes are compatible when, for rows and for columns, the sizes are
+     * equal or one of them is 1, and a size of 1 is repeated to match. Numbers act as 1x1 matrices and vectors as
+     * single rows, so subtracting a vector of column means centers every row.
+     * @param {number|number[][]|Vector|Matrix} other - The other operand.
+     * @returns {Matrix} - The sum.
+     */
+    add(other) {
+        return this.elementwise(other, (a, b) => a + b);
+    }
+
+    /**
+     * Subtracts element-wise, with broadcasting as in add.
+     * @param {number|number[][]|Vector|Matrix} other - The subtrahend.
+     * @returns {Matrix} - The difference.
+     */
+    subtract(other) {
+        return this.elementwise(other, (a, b) => a - b);
+    }
+
+    /**
+     * Multiplies element-wise (the Hadamard product), with broadcasting as in add.
+     * @param {number|number[][]|Vector|Matrix} other - The other factor.
+     * @returns {Matrix} - The product.
+     */
+    multiplyElementwise(other) {
+        return this.elementwise(other, (a, b) => a * b);
+    }
+
+    /**
+     * Divides element-wise, with broadcasting as in add.
+     * @param {number|number[][]|Vector|Matrix} other - The divisor.
+     * @returns {Matrix} - The quotient.
+     */
+    divideElementwise(other) {
+        return this.elementwise(other, (a, b) => a / b);
+    }
+
+    /**
+     * Multiplies by a number.
+     * @param {number} factor - The factor.
+     * @returns {Matrix} - The scaled matrix.
+     */
+    scale(factor) {
+        return this.map(value => value * factor);
+    }
+
+    /**
+     * Combines the entries of two matrices with broadcasting (see add).
+     * @param {number|number[][]|Vector|Matrix} other - The other operand.
+     * @param {Function} operation - The operation on a pair of entries.
+     * @returns {Matrix} - The matrix of results.
+     * @throws {Error} - If the shapes cannot be broadcast together.
+     */
+    elementwise(other, operation) {
+        let b;
+        if (typeof other === 'number') b = new Matrix(1, 1, [other]);
+        else if (other instanceof Vector) b = new Matrix(1, other.length, other.data);
+        else b = Matrix.from(other);
+        const broadcast = (m, n) => {
+            if (m !== n && m !== 1 && n !== 1) {
+                throw new Error(`Cannot broadcast shapes ${this.rows}x${this.columns} and ${b.rows}x${b.columns}.`);
+            }
+            return Math.max(m, n);
+        };
+        const rows = broadcast(this.rows, b.rows);
+        const columns = broadcast(this.columns, b.columns);
+        const result = new Matrix(rows, columns);
+        for (let i = 0; i < rows; i++) {
+            const rowA = (this.rows === 1 ? 0 : i) * this.columns;
+            const rowB = (b.rows === 1 ? 0 : i) * b.columns;
+            for (let j = 0; j < columns; j++) {
+                result.data[i * columns + j] = operation(
+                    this.data[rowA + (this.columns === 1 ? 0 : j)],
+                    b.data[rowB + (b.columns === 1 ? 0 : j)]
+                );
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Multiplies by a matrix or a vector. The product of matrices is computed block by block (see BLOCK_SIZE), with
+     * the innermost loop running along rows of both the second factor and the result, so that the data stays in
+     * cache for large matrices.
+     * @param {number[][]|Matrix|number[]|Vector} other - The right factor; a vector is treated as a column.
+     * @returns {Matrix|Vector} - The product, a vector if the right factor is one.
+     * @throws {Error} - If the inner dimensions differ.
+     */
+    multiply(other) {
+        if (other instanceof Vector || (Array.isArray(other) && !other.every(Array.isArray))) {
+            const x = Vector.from(other).data;
+            if (x.length !== this.columns) {
+                throw new Error('Number of columns in the matrix must be equal to the length of the vector.');
+            }
+            const result = new Float64Array(this.rows);
+            for (let i = 0; i < this.rows; i++) {
+                let sum = 0;
+                for (let j = 0; j < this.columns; j++) sum += this.data[i * this.columns + j] * x[j];
+                result[i] = sum;
+            }
+            return new Vector(result);
+        }
+        const b = Matrix.from(other);
+        if (this.columns !== b.rows) {
+            throw new Error('Number of columns in the first matrix must be equal to the number of rows in the second matrix.');
+        }
+        const [n, m, p] = [this.rows, this.columns, b.columns];
+        const [A, B] = [this.data, b.data];
+        const C = new Float64Array(n * p);
+        for (let ii = 0; ii < n; ii += BLOCK_SIZE) {
+            const iEnd = Math.min(ii + BLOCK_SIZE, n);
+            for (let kk = 0; kk < m; kk += BLOCK_SIZE) {
+                const kEnd = Math.min(kk + BLOCK_SIZE, m);
+                for (let jj = 0; jj < p; jj += BLOCK_SIZE) {
+                    const jEnd = Math.min(jj + BLOCK_SIZE, p);
+                    for (let i = ii; i < iEnd; i++) {
+                        for (let k = kk; k < kEnd; k++) {
+                            const a = A[i * m + k];
+                            const rowB = k * p;
+                            const rowC = i * p;
+                            for (let j = jj; j < jEnd; j++) C[rowC + j] += a * B[rowB + j];
+                        }
+                    }
+                }
+            }
+        }
+        const result = new Matrix(n, p);
+        result.data = C;
+        return result;
+    }
+
+    /**
+     * Calculates the Kronecker product A ⊗ B, the block matrix whose (i, j) block is a_ij B.
+     * @param {number[][]|Matrix} other - The matrix B.
+     * @returns {Matrix} - The (rows(A) rows(B)) x (columns(A) columns(B)) product.
+     */
+    kronecker(other) {
+        const b = Matrix.from(other);
+        const rows = this.rows * b.rows;
+        const columns = this.columns * b.columns;
+        const result = new Matrix(rows, columns);
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.columns; j++) {
+                const a = this.data[i * this.columns + j];
+                for (let k = 0; k < b.rows; k++) {
+                    for (let l = 0; l < b.columns; l++) {
+                        result.data[(i * b.rows + k) * columns + j * b.columns + l] = a * b.data[k * b.columns + l];
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Calculates a matrix norm: 'fro' (Frobenius, the Euclidean norm of all entries), 1 (largest absolute column
+     * sum), 2 (spectral norm, the largest singular value), Infinity (largest absolute row sum) or 'max' (largest
+     * absolute entry).
+     * @param {string|number} [type='fro'] - The norm: 'fro', 1, 2, Infinity or 'max'.
+     * @returns {number} - The norm.
+     * @throws {Error} - If the norm is not supported.
+     */
+    norm(type = 'fro') {
+        const sums = (outer, inner, index) => {
+            let max = 0;
+            for (let a = 0; a < outer; a++) {
+                let sum = 0;
+                for (let b = 0; b < inner; b++) sum += Math.abs(this.data[index(a, b)]);
+                max = Math.max(max, sum);
+            }
+            return max;
+        };
+        switch (type) {
+            case 'fro':
+                return new Vector(this.data).norm();
+            case 'max':
+                return new Vector(this.data).norm(Infinity);
+            case 1:
+                return sums(this.columns, this.rows, (j, i) => i * this.columns + j);
+            case 2: {
+                const [largest = 0] = singularValues(this);
+                return largest;
+            }
+            case Infinity:
+                return sums(this.rows, this.columns, (i, j) => i * this.columns + j);
+            default:
+                throw new Error(`Unsupported matrix norm: ${type}; use 'fro', 1, 2, Infinity or 'max'.`);
+        }
+    }
+
+    /**
+     * Calculates the trace.
+     * @returns {number} - The sum of the diagonal entries.
+     * @throws {Error} - If the matrix is not square.
+     */
+    trace() {
+        if (this.rows !== this.columns) throw new Error('Matrix must be square.');
+        return this.diagonal().data.reduce((sum, value) => sum + value, 0);
+    }
+
+    /**
+     * Checks whether two matrices have the same shape and entries.
+     * @param {number[][]|Matrix} other - The other matrix.
+     * @param {number} [tolerance=0] - The largest allowed difference between entries.
+     * @returns {boolean} - True if the matrices are equal.
+     */
+    equals(other, tolerance = 0) {
+        const b = Matrix.from(other);
+        return b.rows === this.rows && b.columns === this.columns
+            && b.data.every((value, k) => Math.abs(value - this.data[k]) <= tolerance);
+    }
+
+    /**
+     * Converts the matrix to an array of rows.
+     * @returns {number[][]} - The rows.
+     */
+    toArray() {
+        return Array.from({ length: this.rows }, (_, i) => Array.from(this.data.subarray(i * this.columns, (i + 1) * this.columns)));
+    }
+
+    /**
+     * Formats the matrix, e.g. "[[1, 2], [3, 4]]".
+     * @returns {string} - The formatted matrix.
+     */
+    toString() {
+        return `[${this.toArray().map(row => `[${row.join(', ')}]`).join(', ')}]`;
+    }
+}
+
+/**
+ * Checks that every entry is a number.
+ * @param {ArrayLike<number>} values - The entries.
+ * @throws {Error} - If an entry is not a number.
+ */
+function requireNumbers(values) {
+    if (values instanceof Float64Array) return;
+    for (let i = 0; i < values.length; i++) {
+        if (typeof values[i] !== 'number') throw new Error(`Entries must be numbers, got ${values[i]}.`);
+    }
+}
+
+/**
+ * Resolves slice bounds like Array.prototype.slice.
+ * @param {number} length - The size of the dimension.
+ * @param {number} [start=0] - The first index (negative counts from the end).
+ * @param {number} [end=length] - The index after the last (negative counts from the end).
+ * @returns {number[]} - [start, end] with 0 <= start <= end <= length.
+ */
+function sliceBounds(length, start = 0, end = length) {
+    const resolve = index => Math.min(length, Math.max(0, index < 0 ? length + index : index));
+    const from = resolve(Math.trunc(start));
+    return [from, Math.max(from, resolve(Math.trunc(end)))];
+}
+
+/**
+ * Computes the singular values with the one-sided Jacobi method, applied to the columns of the taller orientation of
+ * the matrix.
+ * @param {Matrix} matrix - The matrix.
+ * @returns {number[]} - The singular values in decreasing order.
+ * @throws {Error} - If the iteration does not converge.
+ */
+function singularValues(matrix) {
+    // Rows of the wide orientation are the columns of the tall one.
+    const wide = matrix.rows < matrix.columns ? matrix : matrix.transpose();
+    const length = wide.columns;
+    const W = Array.from({ length: wide.rows }, (_, j) => wide.data.slice(j * length, (j + 1) * length));
+    if (!orthogonalizeColumns(W, null, 60)) throw new Error('The singular value iteration did not converge.');
+    return W.map(column => Math.hypot(...column)).sort((a, b) => b - a);
+}
+
+module.exports = {
+    Matrix,
+    Vector
+};
@@ -0,0 +1,27 @@
+// Argument checks shared by the dense and sparse matrix classes. This module is internal: index.js does not export it.
+
+/**
+ * Checks that a dimension is a non-negative integer.
+ * @param {number} size - The dimension.
+ * @throws {Error} - If it is not.
+ */
+function requireSize(size) {
+    if (!Number.isInteger(size) || size < 0) throw new Error(`Dimensions must be non-negative integers, got ${size}.`);
+}
+
+/**
+ * Checks that an index lies in [0, length).
+ * @param {number} index - The index.
+ * @param {number} length - The size of the dimension.
+ * @throws {Error} - If it does not.
+ */
+function requireIndex(index, length) {
+    if (!Number.isInteger(index) || index < 0 || index >= length) {
+        throw new Error(`Index ${index} is out of range for a dimension of size ${length}.`);
+    }
+}
+
+module.exports = {
+    requireSize,
+    requireIndex
+};
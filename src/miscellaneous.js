@@ -1,3 +1,5 @@
+const { Complex } = require('./complex');
+
 /**
  * Performs ascending sort on an array of numbers.
  * @param {number[]} arr - The array of numbers to sort.
@@ -62,53 +64,40 @@ function randomInt(min, max) {
  * Performs addition on complex numbers.
  * @param {Object} c1 - The first complex number (e.g., { real: 1, imaginary: 2 }).
  * @param {Object} c2 - The second complex number (e.g., { real: 3, imaginary: 4 }).
- * @returns {Object} - The sum of the two complex numbers.
+ * @returns {Complex} - The sum of the two complex numbers.
  */
 function addComplex(c1, c2) {
-    return {
-        real: c1.real + c2.real,
-        imaginary: c1.imaginary + c2.imaginary
-    };
+    return Complex.from(c1).add(c2);
 }
 
 /**
  * Performs subtraction on complex numbers.
  * @param {Object} c1 - The first complex number.
  * @param {Object} c2 - The second complex number.
- * @returns {Object} - The difference of the two complex numbers.
+ * @returns {Complex} - The difference of the two complex numbers.
  */
 function subtractComplex(c1, c2) {
-    return {
-        real: c1.real - c2.real,
-        imaginary: c1.imaginary - c2.imaginary
-    };
+    return Complex.from(c1).subtract(c2);
 }
 
 /**
  * Performs multiplication on complex numbers.
  * @param {Object} c1 - The first complex number.
  * @param {Object} c2 - The second complex number.
- * @returns {Object} - The product of the two complex numbers.
+ * @returns {Complex} - The product of the two complex numbers.
  */
 function multiplyComplex(c1, c2) {
-    return {
-        real: c1.real * c2.real - c1.imaginary * c2.imaginary,
-        imaginary: c1.real * c2.imaginary + c1.imaginary * c2.real
-    };
+    return Complex.from(c1).multiply(c2);
 }
 
 /**
  * Performs division on complex numbers.
  * @param {Object} c1 - The first complex number.
  * @param {Object} c2 - The second complex number.
- * @returns {Object} - The quotient of the two complex numbers.
+ * @returns {Complex} - The quotient of the two complex numbers.
  */
 function divideComplex(c1, c2) {
-    const denominator = c2.real * c2.real + c2.imaginary * c2.imaginary;
-    return {
-        real: (c1.real * c2.real + c1.imaginary * c2.imaginary) / denominator,
-        imaginary: (c1.imaginary * c2.real - c1.real * c2.imaginary) / denominator
-    };
+    return Complex.from(c1).divide(c2);
 }
 
 /**
@@ -0,0 +1,533 @@
+const { parseExpression } = require('./expression');
+
+/**
+ * Monomial orderings, as comparators on exponent vectors: a positive result means the first monomial is larger.
+ * lex compares exponents from the first variable on; grlex compares total degree first and breaks ties with lex;
+ * grevlex compares total degree first and then prefers the smaller exponent in the last variable that differs.
+ */
+const monomialOrders = {
+    lex(a, b) {
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return 0;
+    },
+    grlex(a, b) {
+        return totalDegree(a) - totalDegree(b) || monomialOrders.lex(a, b);
+    },
+    grevlex(a, b) {
+        const difference = totalDegree(a) - totalDegree(b);
+        if (difference !== 0) return difference;
+        for (let i = a.length - 1; i >= 0; i--) {
+            if (a[i] !== b[i]) return b[i] - a[i];
+        }
+        return 0;
+    }
+};
+
+/**
+ * Calculates the total degree of a monomial.
+ * @param {number[]} exponents - The exponent vector.
+ * @returns {number} - The sum of the exponents.
+ */
+function totalDegree(exponents) {
+    return exponents.reduce((sum, e) => sum + e, 0);
+}
+
+/**
+ * Looks up a monomial ordering by name.
+ * @param {string|Function} order - 'lex', 'grlex', 'grevlex' or a comparator.
+ * @returns {Function} - The comparator.
+ * @throws {Error} - If the ordering is unknown.
+ */
+function orderOf(order) {
+    if (typeof order === 'function') return order;
+    if (!monomialOrders[order]) {
+        throw new Error(`Unknown monomial order '${order}'. Use 'lex', 'grlex' or 'grevlex'.`);
+    }
+    return monomialOrders[order];
+}
+
+/**
+ * A sparse polynomial in several variables. Each term is stored once, keyed by its exponent vector, so
+ * polynomials with many variables and few terms stay small. Polynomials are immutable.
+ */
+class MultivariatePolynomial {
+    /**
+     * Creates a polynomial. Terms with equal exponents are combined and zero terms are dropped.
+     * @param {string[]} variables - The names of the variables, e.g. ['x', 'y'].
+     * @param {Object[]} [terms=[]] - The terms { coefficient, exponents }, with one exponent per variable.
+     * @throws {Error} - If a term has the wrong number of exponents or a negative or non-integer exponent.
+     */
+    constructor(variables, terms = []) {
+        this.variables = [...variables];
+        this.terms = new Map();
+        terms.forEach(({ coefficient, exponents }) => {
+            if (exponents.length !== variables.length || exponents.some(e => !Number.isInteger(e) || e < 0)) {
+                throw new Error("Each term needs one non-negative integer exponent per variable.");
+            }
+            const key = exponents.join(',');
+            this.terms.set(key, (this.terms.get(key) || 0) + coefficient);
+        });
+        this.terms.forEach((coefficient, key) => {
+            if (coefficient === 0) this.terms.delete(key);
+        });
+    }
+
+    /**
+     * Parses a polynomial from an expression such as "x^2*y - 3y + 1/2". Only sums, differences, products,
+     * division by constants and non-negative integer powers are allowed.
+     * @param {string} expression - The expression.
+     * @param {string[]} [variables] - The variables, in order; by default the symbols of the expression, sorted.
+     * @returns {MultivariatePolynomial} - The polynomial.
+     * @throws {Error} - If the expression is not a polynomial.
+     */
+    static parse(expression, variables) {
+        const ast = parseExpression(expression);
+        const names = variables || [...collectSymbols(ast, new Set())].sort();
+        return fromAst(ast, names);
+    }
+
+    /**
+     * Creates a constant polynomial.
+     * @param {number} value - The constant.
+     * @param {string[]} variables - The variables.
+     * @returns {MultivariatePolynomial} - The polynomial.
+     */
+    static constant(value, variables) {
+        return new MultivariatePolynomial(variables, [{ coefficient: value, exponents: variables.map(() => 0) }]);
+    }
+
+    /**
+     * Creates the polynomial consisting of one variable.
+     * @param {string} name - The variable.
+     * @param {string[]} variables - The variables, which must include the name.
+     * @returns {MultivariatePolynomial} - The polynomial.
+     * @throws {Error} - If the variable is not in the list.
+     */
+    static variable(name, variables) {
+        if (!variables.includes(name)) {
+            throw new Error(`Unknown variable '${name}'.`);
+        }
+        return new MultivariatePolynomial(variables, [{ coefficient: 1, exponents: variables.map(v => (v === name ? 1 : 0)) }]);
+    }
+
+    /**
+     * Checks whether this is the zero polynomial.
+     * @returns {boolean} - True if there are no terms.
+     */
+    isZero() {
+        return this.terms.size === 0;
+    }
+
+    /**
+     * Lists the terms from the largest monomial to the smallest.
+     * @param {string|Function} [order='grevlex'] - The monomial ordering.
+     * @returns {Object[]} - The terms { coefficient, exponents }.
+     */
+    sortedTerms(order = 'grevlex') {
+        const compare = orderOf(order);
+        return [...this.terms].map(([key, coefficient]) => ({ coefficient, exponents: key.split(',').map(Number) }))
+            .sort((a, b) => compare(b.exponents, a.exponents));
+    }
+
+    /**
+     * The leading term with respect to a monomial ordering.
+     * @param {string|Function} [order='grevlex'] - The monomial ordering.
+     * @returns {Object|null} - The term { coefficient, exponents }, or null for the zero polynomial.
+     */
+    leadingTerm(order = 'grevlex') {
+        const compare = orderOf(order);
+        let best = null;
+        this.terms.forEach((coefficient, key) => {
+            const exponents = key.split(',').map(Number);
+            if (best === null || compare(exponents, best.exponents) > 0) best = { coefficient, exponents };
+        });
+        return best;
+    }
+
+    /**
+     * The total degree, the largest sum of exponents of a term (-Infinity for the zero polynomial).
+     * @returns {number} - The total degree.
+     */
+    degree() {
+        return Math.max(...[...this.terms.keys()].map(key => totalDegree(key.split(',').map(Number))));
+    }
+
+    /**
+     * Adds another polynomial or a number. Polynomials in different variables are first written over the
+     * union of their variables.
+     * @param {number|MultivariatePolynomial} other - The other term.
+     * @returns {MultivariatePolynomial} - The sum.
+     */
+    add(other) {
+        const [p, q] = align(this, other);
+        return new MultivariatePolynomial(p.variables, [...termList(p), ...termList(q)]);
+    }
+
+    /**
+     * Subtracts another polynomial or a number.
+     * @param {number|MultivariatePolynomial} other - The subtrahend.
+     * @returns {MultivariatePolynomial} - The difference.
+     */
+    subtract(other) {
+        const [p, q] = align(this, other);
+        return p.add(q.negate());
+    }
+
+    /**
+     * Negates the polynomial.
+     * @returns {MultivariatePolynomial} - The negated polynomial.
+     */
+    negate() {
+        return this.scale(-1);
+    }
+
+    /**
+     * Multiplies every coefficient by a number.
+     * @param {number} factor - The factor.
+     * @returns {MultivariatePolynomial} - The scaled polynomial.
+     */
+    scale(factor) {
+        return new MultivariatePolynomial(this.variables, termList(this).map(({ coefficient, exponents }) => ({
+            coefficient: coefficient * factor, exponents
+        })));
+    }
+
+    /**
+     * Multiplies by another polynomial or a number.
+     * @param {number|MultivariatePolynomial} other - The other factor.
+     * @returns {MultivariatePolynomial} - The product.
+     */
+    multiply(other) {
+        const [p, q] = align(this, other);
+        const terms = [];
+        termList(p).forEach((a) => {
+            termList(q).forEach((b) => {
+                terms.push({ coefficient: a.coefficient * b.coefficient, exponents: a.exponents.map((e, i) => e + b.exponents[i]) });
+            });
+        });
+        return new MultivariatePolynomial(p.variables, terms);
+    }
+
+    /**
+     * Raises the polynomial to a non-negative integer power.
+     * @param {number} exponent - The exponent.
+     * @returns {MultivariatePolynomial} - The power.
+     * @throws {Error} - If the exponent is not a non-negative integer.
+     */
+    power(exponent) {
+        if (!Number.isInteger(exponent) || exponent < 0) {
+            throw new Error("The exponent must be a non-negative integer.");
+        }
+        let result = MultivariatePolynomial.constant(1, this.variables);
+        for (let k = 0; k < exponent; k++) result = result.multiply(this);
+        return result;
+    }
+
+    /**
+     * Evaluates the polynomial.
+     * @param {number[]|Object} point - The values of the variables, in order or keyed by name.
+     * @returns {number} - The value.
+     */
+    evaluate(point) {
+        const values = Array.isArray(point) ? point : this.variables.map(name => point[name]);
+        return termList(this).reduce((sum, { coefficient, exponents }) => (
+            sum + coefficient * exponents.reduce((product, e, i) => product * Math.pow(values[i], e), 1)
+        ), 0);
+    }
+
+    /**
+     * Checks whether two polynomials are equal.
+     * @param {number|MultivariatePolynomial} other - The other polynomial.
+     * @param {number} [tolerance=0] - The largest allowed difference between coefficients.
+     * @returns {boolean} - True if the polynomials are equal.
+     */
+    equals(other, tolerance = 0) {
+        return [...this.subtract(other).terms.values()].every(coefficient => Math.abs(coefficient) <= tolerance);
+    }
+
+    /**
+     * Divides the leading coefficient out.
+     * @param {string|Function} [order='grevlex'] - The monomial ordering that selects the leading term.
+     * @returns {MultivariatePolynomial} - The monic polynomial (the zero polynomial stays zero).
+     */
+    monic(order = 'grevlex') {
+        return this.isZero() ? this : this.scale(1 / this.leadingTerm(order).coefficient);
+    }
+
+    /**
+     * Divides by an ordered list of polynomials with the multivariate division algorithm, so that
+     * this = sum of quotients[i] * divisors[i] + remainder and no term of the remainder is divisible by the
+     * leading term of any divisor. The remainder depends on the order of the divisors unless they form a
+     * Gröbner basis.
+     * @param {MultivariatePolynomial[]} divisors - The divisors.
+     * @param {string|Function} [order='grevlex'] - The monomial ordering.
+     * @param {number} [tolerance=1e-10] - Coefficients smaller than this, relative to the largest coefficient
+     *   met during the division, are treated as zero.
+     * @returns {{quotients: MultivariatePolynomial[], remainder: MultivariatePolynomial}} - The quotients and the remainder.
+     * @throws {Error} - If a divisor is the zero polynomial.
+     */
+    divide(divisors, order = 'grevlex', tolerance = 1e-10) {
+        const compare = orderOf(order);
+        const aligned = alignAll([this, ...divisors]);
+        const variables = aligned[0].variables;
+        const fs = aligned.slice(1);
+        if (fs.some(f => f.isZero())) {
+            throw new Error("Cannot divide by the zero polynomial.");
+        }
+        const leads = fs.map(f => f.leadingTerm(compare));
+        const quotients = fs.map(() => []);
+        const remainder = [];
+        let p = aligned[0];
+        let scale = maxCoefficient(p);
+        while (!p.isZero()) {
+            const lead = p.leadingTerm(compare);
+            const i = leads.findIndex(l => divides(l.exponents, lead.exponents));
+            if (i === -1) {
+                remainder.push(lead);
+                p = new MultivariatePolynomial(variables, termList(p).filter(t => t.exponents.join(',') !== lead.exponents.join(',')));
+                continue;
+            }
+            const factor = {
+                coefficient: lead.coefficient / leads[i].coefficient,
+                exponents: lead.exponents.map((e, k) => e - leads[i].exponents[k])
+            };
+            quotients[i].push(factor);
+            const subtrahend = termList(fs[i]).map(({ coefficient, exponents }) => ({
+                coefficient: -coefficient * factor.coefficient,
+                exponents: exponents.map((e, k) => e + factor.exponents[k])
+            }));
+            const next = new MultivariatePolynomial(variables, [...termList(p), ...subtrahend]);
+            next.terms.delete(lead.exponents.join(','));
+            scale = Math.max(scale, maxCoefficient(next));
+            p = dropSmall(next, tolerance * scale);
+        }
+        return {
+            quotients: quotients.map(terms => new MultivariatePolynomial(variables, terms)),
+            remainder: dropSmall(new MultivariatePolynomial(variables, remainder), tolerance * scale)
+        };
+    }
+
+    /**
+     * Formats the polynomial, largest monomial first, e.g. "2*x^2*y - 3*y + 1".
+     * @param {string|Function} [order='grevlex'] - The monomial ordering used to arrange the terms.
+     * @returns {string} - The formatted polynomial.
+     */
+    toString(order = 'grevlex') {
+        const terms = this.sortedTerms(order).map(({ coefficient, exponents }, index) => {
+            const factors = exponents.map((e, i) => (e === 0 ? null : (e === 1 ? this.variables[i] : `${this.variables[i]}^${e}`)))
+                .filter(Boolean);
+            const magnitude = Math.abs(coefficient);
+            const body = factors.length === 0 ? `${magnitude}` : [...(magnitude === 1 ? [] : [magnitude]), ...factors].join('*');
+            if (index === 0) return coefficient < 0 ? `-${body}` : body;
+            return coefficient < 0 ? `- ${body}` : `+ ${body}`;
+        });
+        return terms.length === 0 ? '0' : terms.join(' ');
+    }
+}
+
+/**
+ * Lists the terms of a polynomial in no particular order.
+ * @param {MultivariatePolynomial} p - The polynomial.
+ * @returns {Object[]} - The terms { coefficient, exponents }.
+ */
+function termList(p) {
+    return [...p.terms].map(([key, coefficient]) => ({ coefficient, exponents: key.split(',').map(Number) }));
+}
+
+/**
+ * Finds the largest coefficient in absolute value.
+ * @param {MultivariatePolynomial} p - The polynomial.
+ * @returns {number} - The largest magnitude (0 for the zero polynomial).
+ */
+function maxCoefficient(p) {
+    return Math.max(0, ...[...p.terms.values()].map(Math.abs));
+}
+
+/**
+ * Removes the terms whose coefficients are at most a threshold in absolute value.
+ * @param {MultivariatePolynomial} p - The polynomial.
+ * @param {number} threshold - The threshold.
+ * @returns {MultivariatePolynomial} - The polynomial without the small terms.
+ */
+function dropSmall(p, threshold) {
+    return new MultivariatePolynomial(p.variables, termList(p).filter(({ coefficient }) => Math.abs(coefficient) > threshold));
+}
+
+/**
+ * Checks whether one monomial divides another.
+ * @param {number[]} a - The exponents of the divisor.
+ * @param {number[]} b - The exponents of the dividend.
+ * @returns {boolean} - True if every exponent of a is at most that of b.
+ */
+function divides(a, b) {
+    return a.every((e, i) => e <= b[i]);
+}
+
+/**
+ * Rewrites a polynomial over a larger list of variables.
+ * @param {MultivariatePolynomial} p - The polynomial.
+ * @param {string[]} variables - The new variables, which include those of p.
+ * @returns {MultivariatePolynomial} - The same polynomial over the new variables.
+ */
+function extend(p, variables) {
+    if (p.variables.length === variables.length && p.variables.every((v, i) => v === variables[i])) return p;
+    return new MultivariatePolynomial(variables, termList(p).map(({ coefficient, exponents }) => ({
+        coefficient,
+        exponents: variables.map((name) => {
+            const index = p.variables.indexOf(name);
+            return index === -1 ? 0 : exponents[index];
+        })
+    })));
+}
+
+/**
+ * Writes polynomials (or numbers) over the union of their variables, keeping the order in which the
+ * variables first appear.
+ * @param {Array<number|MultivariatePolynomial>} values - The polynomials.
+ * @returns {MultivariatePolynomial[]} - The polynomials over common variables.
+ */
+function alignAll(values) {
+    const variables = [];
+    values.forEach((value) => {
+        if (value instanceof MultivariatePolynomial) {
+            value.variables.forEach((name) => {
+                if (!variables.includes(name)) variables.push(name);
+            });
+        }
+    });
+    return values.map(value => (value instanceof MultivariatePolynomial
+        ? extend(value, variables)
+        : MultivariatePolynomial.constant(value, variables)));
+}
+
+/**
+ * Writes two operands over the union of their variables.
+ * @param {MultivariatePolynomial} p - The first operand.
+ * @param {number|MultivariatePolynomial} q - The second operand.
+ * @returns {MultivariatePolynomial[]} - [p, q] over common variables.
+ */
+function align(p, q) {
+    return alignAll([p, q]);
+}
+
+/**
+ * Collects the symbols of a syntax tree.
+ * @param {Object} node - The syntax tree.
+ * @param {Set} names - The set to add the names to.
+ * @returns {Set} - The names.
+ */
+function collectSymbols(node, names) {
+    if (node.type === 'symbol') names.add(node.name);
+    if (node.type === 'unary') collectSymbols(node.argument, names);
+    if (node.type === 'binary') {
+        collectSymbols(node.left, names);
+        collectSymbols(node.right, names);
+    }
+    return names;
+}
+
+/**
+ * Converts a syntax tree to a polynomial.
+ * @param {Object} node - The syntax tree.
+ * @param {string[]} variables - The variables.
+ * @returns {MultivariatePolynomial} - The polynomial.
+ * @throws {Error} - If the expression is not a polynomial in the variables.
+ */
+function fromAst(node, variables) {
+    switch (node.type) {
+        case 'number':
+            return MultivariatePolynomial.constant(node.value, variables);
+        case 'symbol':
+            return MultivariatePolynomial.variable(node.name, variables);
+        case 'unary':
+            return node.operator === '-' ? fromAst(node.argument, variables).negate() : fromAst(node.argument, variables);
+        case 'binary': {
+            const left = fromAst(node.left, variables);
+            if (node.operator === '^') {
+                if (node.right.type !== 'number' || !Number.isInteger(node.right.value) || node.right.value < 0) {
+                    throw new Error("Polynomial exponents must be non-negative integers.");
+                }
+                return left.power(node.right.value);
+            }
+            const right = fromAst(node.right, variables);
+            if (node.operator === '+') return left.add(right);
+            if (node.operator === '-') return left.subtract(right);
+            if (node.operator === '*') return left.multiply(right);
+            if (node.operator === '/' && right.degree() === 0) {
+                return left.scale(1 / right.terms.values().next().value);
+            }
+            throw new Error(`The operator '${node.operator}' is not allowed in a polynomial.`);
+        }
+        default:
+            throw new Error("The expression is not a polynomial.");
+    }
+}
+
+/**
+ * Calculates the S-polynomial of two polynomials, which cancels their leading terms.
+ * @param {MultivariatePolynomial} f - The first polynomial.
+ * @param {MultivariatePolynomial} g - The second polynomial.
+ * @param {Function} compare - The monomial ordering.
+ * @returns {MultivariatePolynomial} - The S-polynomial.
+ */
+function sPolynomial(f, g, compare) {
+    const [a, b] = [f.leadingTerm(compare), g.leadingTerm(compare)];
+    const lcm = a.exponents.map((e, i) => Math.max(e, b.exponents[i]));
+    const shift = (p, lead) => new MultivariatePolynomial(p.variables, termList(p).map(({ coefficient, exponents }) => ({
+        coefficient: coefficient / lead.coefficient,
+        exponents: exponents.map((e, i) => e + lcm[i] - lead.exponents[i])
+    })));
+    return shift(f, a).subtract(shift(g, b));
+}
+
+/**
+ * Computes the reduced Gröbner basis of the ideal generated by a set of polynomials with Buchberger's algorithm,
+ * skipping pairs whose leading monomials are coprime (Buchberger's first criterion). The reduced basis is unique
+ * for a given ordering: its polynomials are monic and no term of one is divisible by the leading term of another.
+ * With the 'lex' ordering the basis is triangular (elimination theorem): the polynomials that involve only the
+ * last variables generate the elimination ideal, so a system of equations can be solved by back substitution.
+ * A basis of [1] means the equations have no common solution.
+ * @param {Array<string|MultivariatePolynomial>} polynomials - The generators, as polynomials or expressions.
+ * @param {string|Function} [order='grevlex'] - The monomial ordering.
+ * @param {Object} [options={}] - Options.
+ * @param {string[]} [options.variables] - The variable order when the generators are expressions.
+ * @param {number} [options.tolerance=1e-10] - Relative size below which a coefficient counts as zero.
+ * @returns {MultivariatePolynomial[]} - The reduced Gröbner basis, sorted by decreasing leading monomial.
+ */
+function groebnerBasis(polynomials, order = 'grevlex', options = {}) {
+    const { tolerance = 1e-10 } = options;
+    const compare = orderOf(order);
+    const parsed = polynomials.map(p => (typeof p === 'string' ? MultivariatePolynomial.parse(p, options.variables) : p));
+    const basis = alignAll(parsed).filter(p => !p.isZero()).map(p => p.monic(compare));
+    const pairs = [];
+    basis.forEach((_, j) => {
+        for (let i = 0; i < j; i++) pairs.push([i, j]);
+    });
+    while (pairs.length > 0) {
+        const [i, j] = pairs.shift();
+        const [a, b] = [basis[i].leadingTerm(compare).exponents, basis[j].leadingTerm(compare).exponents];
+        if (a.every((e, k) => e === 0 || b[k] === 0)) continue;
+        const { remainder } = sPolynomial(basis[i], basis[j], compare).divide(basis, compare, tolerance);
+        if (!remainder.isZero()) {
+            basis.push(remainder.monic(compare));
+            for (let k = 0; k < basis.length - 1; k++) pairs.push([k, basis.length - 1]);
+        }
+    }
+    // Keep only polynomials whose leading monomial is not divisible by another's, then reduce each by the rest.
+    const leads = basis.map(p => p.leadingTerm(compare).exponents);
+    const minimal = basis.filter((_, i) => !leads.some((lead, j) => j !== i && divides(lead, leads[i])
+        && (leads[i].some((e, k) => e !== lead[k]) || j < i)));
+    const reduced = minimal.map((p, i) => {
+        const others = minimal.filter((_, j) => j !== i);
+        return others.length === 0 ? p : p.divide(others, compare, tolerance).remainder.monic(compare);
+    });
+    return reduced.sort((p, q) => compare(q.leadingTerm(compare).exponents, p.leadingTerm(compare).exponents));
+}
+
+module.exports = {
+    MultivariatePolynomial,
+    monomialOrders,
+    groebnerBasis
+};
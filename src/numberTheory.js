@@ -1,9 +1,165 @@
+const { randomBytes } = require('crypto');
+
+/**
+ * The bases of the Miller–Rabin test: together they give exact answers for every number below 3.3 * 10^24.
+ */
+const MILLER_RABIN_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+
+/**
+ * Checks whether the integer arguments of a function are BigInts.
+ * @param {...(number|bigint)} values - The arguments.
+ * @returns {boolean} - True if all of them are BigInts, false if none is.
+ * @throws {Error} - If BigInts and numbers are mixed.
+ */
+function usesBigInt(...values) {
+    const count = values.filter(value => typeof value === 'bigint').length;
+    if (count > 0 && count < values.length) {
+        throw new Error('Cannot mix BigInt and Number arguments.');
+    }
+    return count > 0;
+}
+
+/**
+ * Calculates base^exponent mod modulus by repeated squaring.
+ * @param {bigint} base - The base.
+ * @param {bigint} exponent - The non-negative exponent.
+ * @param {bigint} modulus - The positive modulus.
+ * @returns {bigint} - The power, reduced to [0, modulus).
+ */
+function modPow(base, exponent, modulus) {
+    let result = 1n % modulus;
+    base = ((base % modulus) + modulus) % modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+/**
+ * Calculates the integer part of the k-th root of a BigInt with Newton's method, started above the root.
+ * @param {bigint} n - The non-negative radicand.
+ * @param {number} k - The degree of the root.
+ * @returns {bigint} - The largest r with r^k <= n.
+ */
+function integerRoot(n, k) {
+    if (n < 2n) return n;
+    const degree = BigInt(k);
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / k));
+    while (true) {
+        const y = ((degree - 1n) * x + n / x ** (degree - 1n)) / degree;
+        if (y >= x) return x;
+        x = y;
+    }
+}
+
+/**
+ * Tests a BigInt for primality with the Miller–Rabin test on MILLER_RABIN_BASES.
+ * @param {bigint} n - The number to test.
+ * @returns {boolean} - True if n is prime (exact below 3.3 * 10^24, a strong probable prime above).
+ */
+function millerRabin(n) {
+    if (n < 2n) return false;
+    for (const p of MILLER_RABIN_BASES) {
+        if (n === p) return true;
+        if (n % p === 0n) return false;
+    }
+    let d = n - 1n;
+    let s = 0;
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        s++;
+    }
+    return MILLER_RABIN_BASES.every(a => {
+        let x = modPow(a, d, n);
+        if (x === 1n || x === n - 1n) return true;
+        for (let r = 1; r < s; r++) {
+            x = (x * x) % n;
+            if (x === n - 1n) return true;
+        }
+        return false;
+    });
+}
+
+/**
+ * Finds a non-trivial factor of an odd composite BigInt with Pollard's rho method.
+ * @param {bigint} n - The composite number.
+ * @returns {bigint} - A divisor strictly between 1 and n.
+ */
+function pollardRho(n) {
+    for (let c = 1n; ; c++) {
+        const step = x => (x * x + c) % n;
+        let [x, y, d] = [2n, 2n, 1n];
+        while (d === 1n) {
+            x = step(x);
+            y = step(step(y));
+            d = gcd(x > y ? x - y : y - x, n);
+        }
+        if (d !== n) return d;
+    }
+}
+
+/**
+ * Factorizes a BigInt: small factors by trial division, the rest by Pollard's rho method.
+ * @param {bigint} n - The positive number to factorize.
+ * @returns {bigint[]} - The prime factors in ascending order, with repetition (none for 1n).
+ * @throws {Error} - If n is zero or negative.
+ */
+function factorizeBigInt(n) {
+    if (n < 1n) {
+        throw new Error('Only positive integers can be factorized.');
+    }
+    const factors = [];
+    const divideOut = p => {
+        while (n % p === 0n) {
+            factors.push(p);
+            n /= p;
+        }
+    };
+    divideOut(2n);
+    divideOut(3n);
+    for (let i = 5n; i <= 1000n && i * i <= n; i += 6n) {
+        divideOut(i);
+        divideOut(i + 2n);
+    }
+    const pending = n > 1n ? [n] : [];
+    while (pending.length > 0) {
+        const m = pending.pop();
+        if (millerRabin(m)) {
+            factors.push(m);
+        } else {
+            const d = pollardRho(m);
+            pending.push(d, m / d);
+        }
+    }
+    return factors.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Draws a uniformly distributed BigInt from [0, limit) with cryptographically secure random bytes,
+ * rejecting draws that fall outside the range.
+ * @param {bigint} limit - The positive upper bound.
+ * @returns {bigint} - The random number.
+ */
+function randomBigIntBelow(limit) {
+    const bits = (limit - 1n).toString(2).length;
+    const bytes = Math.ceil(bits / 8);
+    while (true) {
+        const value = BigInt(`0x${randomBytes(bytes).toString('hex')}`) >> BigInt(bytes * 8 - bits);
+        if (value < limit) return value;
+    }
+}
+
 /**
  * Checks if a number is prime.
- * @param {number} num - The number to check.
+ * Numbers are tested by trial division; BigInts with the Miller–Rabin test, which is exact below 3.3 * 10^24
+ * and a strong probable-prime test with thirteen bases above.
+ * @param {number|bigint} num - The number to check.
  * @returns {boolean} - True if the number is prime, otherwise false.
  */
 function isPrime(num) {
+    if (typeof num === 'bigint') return millerRabin(num);
     if (num <= 1) return false;
     if (num <= 3) return true;
     if (num % 2 === 0 || num % 3 === 0) return false;
@@ -15,10 +171,16 @@ function isPrime(num) {
 
 /**
  * Performs prime factorization of a number.
- * @param {number} num - The number to factorize.
- * @returns {number[]} - Array of prime factors.
+ * BigInts are factorized with trial division followed by Pollard's rho method.
+ * @param {number|bigint} num - The positive number to factorize.
+ * @returns {Array<number|bigint>} - Array of prime factors, of the same type as the input (empty for 1).
+ * @throws {Error} - If the number is zero or negative.
  */
 function primeFactorization(num) {
+    if (typeof num === 'bigint') return factorizeBigInt(num);
+    if (num < 1) {
+        throw new Error('Only positive integers can be factorized.');
+    }
     const factors = [];
     while (num % 2 === 0) {
         factors.push(2);
@@ -36,12 +198,14 @@ function primeFactorization(num) {
 
 /**
  * Calculates the greatest common divisor (GCD) of two numbers.
- * @param {number} a - The first number.
- * @param {number} b - The second number.
- * @returns {number} - The GCD of the two numbers.
+ * @param {number|bigint} a - The first number.
+ * @param {number|bigint} b - The second number.
+ * @returns {number|bigint} - The GCD of the two numbers.
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function gcd(a, b) {
-    while (b !== 0) {
+    const zero = usesBigInt(a, b) ? 0n : 0;
+    while (b !== zero) {
         [a, b] = [b, a % b];
     }
     return a;
@@ -49,30 +213,39 @@ function gcd(a, b) {
 
 /**
  * Calculates the least common multiple (LCM) of two numbers.
- * @param {number} a - The first number.
- * @param {number} b - The second number.
- * @returns {number} - The LCM of the two numbers.
+ * @param {number|bigint} a - The first number.
+ * @param {number|bigint} b - The second number.
+ * @returns {number|bigint} - The LCM of the two numbers.
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function lcm(a, b) {
-    return (a * b) / gcd(a, b);
+    const divisor = gcd(a, b);
+    if (divisor === 0n) return 0n;
+    return (a * b) / divisor;
 }
 
 /**
  * Performs modular arithmetic.
- * @param {number} a - The base.
- * @param {number} b - The modulus.
- * @returns {number} - The result of (a % b).
+ * @param {number|bigint} a - The base.
+ * @param {number|bigint} b - The modulus.
+ * @returns {number|bigint} - The result of (a % b).
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function modularArithmetic(a, b) {
+    usesBigInt(a, b);
     return ((a % b) + b) % b;
 }
 
 /**
  * Calculates Euler's totient function for a number.
- * @param {number} n - The number.
- * @returns {number} - The value of Euler's totient function.
+ * @param {number|bigint} n - The number.
+ * @returns {number|bigint} - The value of Euler's totient function.
  */
 function eulerTotient(n) {
+    if (typeof n === 'bigint') {
+        if (n < 1n) return 0n;
+        return [...new Set(factorizeBigInt(n))].reduce((result, p) => result - result / p, n);
+    }
     let result = n;
     for (let p = 2; p * p <= n; p++) {
         if (n % p === 0) {
@@ -86,24 +259,30 @@ function eulerTotient(n) {
 
 /**
  * Applies Fermat's Little Theorem.
- * @param {number} a - The base.
- * @param {number} p - The prime.
+ * For BigInts the power is reduced modulo p while it is computed, so large primes are checked exactly.
+ * @param {number|bigint} a - The base.
+ * @param {number|bigint} p - The prime.
  * @returns {boolean} - True if a^p ≡ a (mod p), otherwise false.
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function fermatLittleTheorem(a, p) {
+    const big = usesBigInt(a, p);
     if (p <= 1 || !isPrime(p)) return false;
+    if (big) return modPow(a, p, p) === modularArithmetic(a, p);
     return modularArithmetic(Math.pow(a, p), p) === modularArithmetic(a, p);
 }
 
 /**
  * Solves the Chinese Remainder Theorem for a system of congruences.
- * @param {number[]} a - Array of remainders.
- * @param {number[]} n - Array of moduli.
- * @returns {number} - The solution to the system of congruences.
+ * @param {Array<number|bigint>} a - Array of remainders.
+ * @param {Array<number|bigint>} n - Array of moduli.
+ * @returns {number|bigint} - The solution to the system of congruences.
+ * @throws {Error} - If BigInts are mixed with numbers.
  */
 function chineseRemainder(a, n) {
-    const prod = n.reduce((acc, val) => acc * val, 1);
-    let sum = 0;
+    const [zero, one] = usesBigInt(...a, ...n) ? [0n, 1n] : [0, 1];
+    const prod = n.reduce((acc, val) => acc * val, one);
+    let sum = zero;
     for (let i = 0; i < n.length; i++) {
         const p = prod / n[i];
         sum += a[i] * modInverse(p, n[i]) * p;
@@ -113,28 +292,42 @@ function chineseRemainder(a, n) {
 
 /**
  * Finds the modular multiplicative inverse.
- * @param {number} a - The number.
- * @param {number} m - The modulus.
- * @returns {number} - The modular multiplicative inverse.
+ * @param {number|bigint} a - The number.
+ * @param {number|bigint} m - The modulus.
+ * @returns {number|bigint} - The modular multiplicative inverse.
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function modInverse(a, m) {
-    let [m0, x0, x1] = [m, 0, 1];
-    if (m === 1) return 0;
-    while (a > 1) {
-        const q = Math.floor(a / m);
+    const big = usesBigInt(a, m);
+    const [zero, one] = big ? [0n, 1n] : [0, 1];
+    let [m0, x0, x1] = [m, zero, one];
+    if (m === one) return zero;
+    while (a > one) {
+        const q = big ? a / m : Math.floor(a / m);
         [m, a] = [a % m, m];
         [x0, x1] = [x1 - q * x0, x0];
     }
-    if (x1 < 0) x1 += m0;
+    if (x1 < zero) x1 += m0;
     return x1;
 }
 
 /**
  * Checks if a number is perfect.
- * @param {number} num - The number to check.
+ * BigInts are checked through the divisor sum of their prime factorization.
+ * @param {number|bigint} num - The number to check.
  * @returns {boolean} - True if the number is perfect, otherwise false.
  */
 function isPerfectNumber(num) {
+    if (typeof num === 'bigint') {
+        if (num < 2n) return false;
+        const exponents = new Map();
+        factorizeBigInt(num).forEach(p => exponents.set(p, (exponents.get(p) || 0n) + 1n));
+        let divisorSum = 1n;
+        exponents.forEach((e, p) => {
+            divisorSum *= (p ** (e + 1n) - 1n) / (p - 1n);
+        });
+        return divisorSum === 2n * num;
+    }
     const sum = Array.from({ length: num / 2 }, (_, i) => i + 1)
                      .filter(i => num % i === 0)
                      .reduce((acc, val) => acc + val, 0);
@@ -143,11 +336,11 @@ function isPerfectNumber(num) {
 
 /**
  * Generates the Fibonacci sequence up to n terms.
- * @param {number} n - The number of terms.
- * @returns {number[]} - Array containing the Fibonacci sequence.
+ * @param {number|bigint} n - The number of terms; if it is a BigInt, the terms are BigInts.
+ * @returns {Array<number|bigint>} - Array containing the Fibonacci sequence.
  */
 function fibonacciSequence(n) {
-    const sequence = [0, 1];
+    const sequence = typeof n === 'bigint' ? [0n, 1n] : [0, 1];
     for (let i = 2; i < n; i++) {
         sequence.push(sequence[i - 1] + sequence[i - 2]);
     }
@@ -156,35 +349,50 @@ function fibonacciSequence(n) {
 
 /**
  * Calculates the factorial of a number.
- * @param {number} num - The number.
- * @returns {number} - The factorial of the number.
+ * @param {number|bigint} num - The number.
+ * @returns {number|bigint} - The factorial of the number.
+ * @throws {Error} - If a BigInt argument is negative.
  */
 function factorial(num) {
+    if (typeof num === 'bigint') {
+        if (num < 0n) throw new Error('Negative numbers are not allowed.');
+        let result = 1n;
+        for (let i = 2n; i <= num; i++) result *= i;
+        return result;
+    }
     if (num === 0 || num === 1) return 1;
     return num * factorial(num - 1);
 }
 
 /**
  * Applies divisibility rules for numbers.
- * @param {number} num - The number to check.
- * @param {number} divisor - The divisor.
+ * @param {number|bigint} num - The number to check.
+ * @param {number|bigint} divisor - The divisor.
  * @returns {boolean} - True if num is divisible by divisor, otherwise false.
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function isDivisible(num, divisor) {
-    return num % divisor === 0;
+    return num % divisor === (usesBigInt(num, divisor) ? 0n : 0);
 }
 
 /**
  * Identifies patterns in a sequence. Work in progress
- * @param {number[]} sequence - The sequence of numbers.
+ * A BigInt sequence is geometric when every term t_i satisfies t_i t_0 = t_(i-1) t_1, which avoids inexact ratios.
+ * @param {Array<number|bigint>} sequence - The sequence of numbers.
  * @returns {string} - Description of the pattern if detected.
+ * @throws {Error} - If BigInts are mixed with numbers.
  */
 function identifyPattern(sequence) {
     if (sequence.length < 2) return 'Insufficient data';
     const differences = sequence.slice(1).map((val, i) => val - sequence[i]);
     const isArithmetic = differences.every(diff => diff === differences[0]);
     if (isArithmetic) return 'Arithmetic sequence';
-    
+
+    if (usesBigInt(...sequence)) {
+        const isGeometric = sequence[0] !== 0n &&
+            sequence.slice(1).every((val, i) => val * sequence[0] === sequence[i] * sequence[1]);
+        return isGeometric ? 'Geometric sequence' : 'No recognizable pattern';
+    }
     const ratios = sequence.slice(1).map((val, i) => val / sequence[i]);
     const isGeometric = ratios.every(ratio => ratio === ratios[0]);
     if (isGeometric) return 'Geometric sequence';
@@ -194,48 +402,60 @@ function identifyPattern(sequence) {
 
 /**
  * Generates random numbers within a specified range.
- * @param {number} min - The minimum value.
- * @param {number} max - The maximum value.
- * @returns {number} - A random number between min and max.
+ * BigInt ranges are sampled uniformly from cryptographically secure random bytes.
+ * @param {number|bigint} min - The minimum value.
+ * @param {number|bigint} max - The maximum value.
+ * @returns {number|bigint} - A random number between min and max.
+ * @throws {Error} - If a BigInt is mixed with a number, or a BigInt maximum is less than the minimum.
  */
 function generateRandomNumber(min, max) {
+    if (usesBigInt(min, max)) {
+        if (max < min) throw new Error('The maximum must not be less than the minimum.');
+        return min + randomBigIntBelow(max - min + 1n);
+    }
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
 /**
  * Identifies square numbers.
- * @param {number} num - The number to check.
+ * @param {number|bigint} num - The number to check.
  * @returns {boolean} - True if the number is a square number, otherwise false.
  */
 function isSquareNumber(num) {
+    if (typeof num === 'bigint') return num >= 0n && integerRoot(num, 2) ** 2n === num;
     return Number.isInteger(Math.sqrt(num));
 }
 
 /**
  * Identifies cube numbers.
- * @param {number} num - The number to check.
+ * @param {number|bigint} num - The number to check.
  * @returns {boolean} - True if the number is a cube number, otherwise false.
  */
 function isCubeNumber(num) {
+    if (typeof num === 'bigint') {
+        const magnitude = num < 0n ? -num : num;
+        return integerRoot(magnitude, 3) ** 3n === magnitude;
+    }
     return Number.isInteger(Math.cbrt(num));
 }
 
 /**
  * Generates triangular numbers up to n terms.
- * @param {number} n - The number of terms.
- * @returns {number[]} - Array containing the triangular numbers.
+ * @param {number|bigint} n - The number of terms; if it is a BigInt, the terms are BigInts.
+ * @returns {Array<number|bigint>} - Array containing the triangular numbers.
  */
 function triangularNumbers(n) {
+    const [one, two] = typeof n === 'bigint' ? [1n, 2n] : [1, 2];
     const numbers = [];
-    for (let i = 1; i <= n; i++) {
-        numbers.push((i * (i + 1)) / 2);
+    for (let i = one; i <= n; i++) {
+        numbers.push((i * (i + one)) / two);
     }
     return numbers;
 }
 
 /**
  * Identifies palindromic numbers.
- * @param {number} num - The number to check.
+ * @param {number|bigint} num - The number to check.
  * @returns {boolean} - True if the number is a palindromic number, otherwise false.
  */
 function isPalindromicNumber(num) {
@@ -245,42 +465,54 @@ function isPalindromicNumber(num) {
 
 /**
  * Generates Catalan numbers up to n terms.
- * @param {number} n - The number of terms.
- * @returns {number[]} - Array containing the Catalan numbers.
+ * @param {number|bigint} n - The number of terms; if it is a BigInt, the terms are exact BigInts.
+ * @returns {Array<number|bigint>} - Array containing the Catalan numbers.
  */
 function catalanNumbers(n) {
+    const [zero, one, two] = typeof n === 'bigint' ? [0n, 1n, 2n] : [0, 1, 2];
     const numbers = [];
-    for (let i = 0; i < n; i++) {
-        numbers.push(binomialCoefficient(2 * i, i) / (i + 1));
+    for (let i = zero; i < n; i++) {
+        numbers.push(binomialCoefficient(two * i, i) / (i + one));
     }
     return numbers;
 }
 
 /**
  * Calculates binomial coefficient.
- * @param {number} n - The number of trials.
- * @param {number} k - The number of successes.
- * @returns {number} - The binomial coefficient.
+ * For BigInts every step of the product is an exact division, since res is C(n, i) before step i.
+ * @param {number|bigint} n - The number of trials.
+ * @param {number|bigint} k - The number of successes.
+ * @returns {number|bigint} - The binomial coefficient.
+ * @throws {Error} - If a BigInt is mixed with a number.
  */
 function binomialCoefficient(n, k) {
-    if (k > n) return 0;
-    if (k === 0 || k === n) return 1;
-    let res = 1;
-    for (let i = 0; i < k; i++) {
-        res = res * (n - i) / (i + 1);
+    const [zero, one] = usesBigInt(n, k) ? [0n, 1n] : [0, 1];
+    if (k > n) return zero;
+    if (k === zero || k === n) return one;
+    let res = one;
+    for (let i = zero; i < k; i++) {
+        res = res * (n - i) / (i + one);
     }
     return res;
 }
 
 /**
- * Identifies Mersenne primes.
- * @param {number} p - The exponent.
+ * Identifies Mersenne primes with the Lucas–Lehmer test, which works on the exact BigInt 2^p - 1
+ * so that it also holds for exponents beyond the range of numbers.
+ * @param {number|bigint} p - The exponent.
  * @returns {boolean} - True if 2^p - 1 is a Mersenne prime, otherwise false.
  */
 function isMersennePrime(p) {
+    if (typeof p === 'number' && !Number.isInteger(p)) return false;
     if (!isPrime(p)) return false;
-    const num = Math.pow(2, p) - 1;
-    return isPrime(num);
+    const exponent = BigInt(p);
+    if (exponent === 2n) return true;
+    const mersenne = (1n << exponent) - 1n;
+    let s = 4n;
+    for (let i = 2n; i < exponent; i++) {
+        s = (s * s - 2n) % mersenne;
+    }
+    return s === 0n;
 }
 
 module.exports = {
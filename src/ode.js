@@ -0,0 +1,459 @@
+const { solveLinearSystem } = require('./linearAlgebra');
+
+// Dormand–Prince 5(4) coefficients: nodes, stage weights, fifth-order weights and the error weights (fifth minus fourth order).
+const DP_NODES = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_STAGES = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_ERROR = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+/**
+ * Returns y + h * (c_1 k_1 + c_2 k_2 + ...) for state vectors.
+ * @param {number[]} y - The state.
+ * @param {number} h - The step size.
+ * @param {number[][]} ks - The slopes.
+ * @param {number[]} coefficients - The weight of each slope.
+ * @returns {number[]} - The combined state.
+ */
+function combine(y, h, ks, coefficients) {
+    return y.map((value, i) => value + h * coefficients.reduce((sum, c, j) => (c === 0 ? sum : sum + c * ks[j][i]), 0));
+}
+
+/**
+ * Interpolates the solution between two steps with the cubic Hermite polynomial matching the values and slopes at both ends.
+ * @param {number} x0 - The start of the step.
+ * @param {number[]} y0 - The state at x0.
+ * @param {number[]} f0 - The slope at x0.
+ * @param {number} x1 - The end of the step.
+ * @param {number[]} y1 - The state at x1.
+ * @param {number[]} f1 - The slope at x1.
+ * @param {number} x - The point, between x0 and x1.
+ * @returns {number[]} - The interpolated state.
+ */
+function hermite(x0, y0, f0, x1, y1, f1, x) {
+    const h = x1 - x0;
+    const t = (x - x0) / h;
+    const h00 = (1 + 2 * t) * (1 - t) * (1 - t);
+    const h10 = t * (1 - t) * (1 - t);
+    const h01 = t * t * (3 - 2 * t);
+    const h11 = t * t * (t - 1);
+    return y0.map((value, i) => h00 * value + h10 * h * f0[i] + h01 * y1[i] + h11 * h * f1[i]);
+}
+
+/**
+ * Normalizes the events option to a list of { func, terminal, direction }.
+ * @param {Function|Object|Array} [events=[]] - An event function g(x, y), an object { func, terminal, direction }, or an array of them.
+ * @returns {Object[]} - The events.
+ */
+function normalizeEvents(events = []) {
+    return (Array.isArray(events) ? events : [events]).map(event =>
+        typeof event === 'function' ? { func: event, terminal: false, direction: 0 } : { terminal: false, direction: 0, ...event });
+}
+
+/**
+ * Finds the root of g between a and b, where g(a) and g(b) have opposite signs, with the Illinois method.
+ * @param {Function} g - The function.
+ * @param {number} a - One end of the bracket.
+ * @param {number} b - The other end of the bracket.
+ * @param {number} ga - g(a).
+ * @param {number} gb - g(b).
+ * @returns {number} - The root.
+ */
+function illinois(g, a, b, ga, gb) {
+    let side = 0;
+    for (let i = 0; i < 100 && Math.abs(b - a) > 1e-14 * Math.max(1, Math.abs(a), Math.abs(b)); i++) {
+        const c = b - gb * (b - a) / (gb - ga);
+        const gc = g(c);
+        if (gc === 0) return c;
+        if (gc * gb < 0) {
+            [a, ga] = [b, gb];
+            side = 0;
+        } else if (side === 1) {
+            ga /= 2;
+        } else {
+            side = 1;
+        }
+        [b, gb] = [c, gc];
+    }
+    return b;
+}
+
+/**
+ * Runs a step-by-step solver over [x0, xn], recording the trajectory and detecting events.
+ * @param {Function} func - The right-hand side dy/dx = func(x, y).
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x (may be less than x0).
+ * @param {Object} options - The solver options (see solveInitialValueProblem).
+ * @param {Function} createStepper - Called with (system, x0, y0, f0) and returns step(x, y, f), which advances towards
+ *   xn and returns { x, y, f } or { error } if the step fails.
+ * @returns {Object} - The solution (see solveInitialValueProblem).
+ */
+function runSolver(func, y0, x0, xn, options, createStepper) {
+    const scalar = typeof y0 === 'number';
+    const output = y => (scalar ? y[0] : y);
+    const system = {
+        evaluations: 0,
+        f(x, y) {
+            this.evaluations++;
+            const slope = func(x, output(y));
+            const vector = scalar ? [slope] : slope;
+            if (!Array.isArray(vector) || vector.length !== y.length) {
+                throw new Error("The derivative must have the same length as the state.");
+            }
+            return vector;
+        }
+    };
+    const start = scalar ? [y0] : y0.slice();
+    const xs = [x0];
+    const ys = [start];
+    const fs = [system.f(x0, start)];
+    const events = normalizeEvents(options.events);
+    let eventValues = events.map(event => event.func(x0, output(start)));
+    const found = [];
+    const direction = Math.sign(xn - x0);
+    const step = createStepper(system, x0, start, fs[0]);
+    let status = 'success';
+    let message = null;
+
+    while (direction !== 0 && (xn - xs[xs.length - 1]) * direction > 0) {
+        const [x, y, f] = [xs[xs.length - 1], ys[ys.length - 1], fs[fs.length - 1]];
+        const next = step(x, y, f);
+        if (next.error) {
+            status = 'failed';
+            message = next.error;
+            break;
+        }
+        const interpolate = t => hermite(x, y, f, next.x, next.y, next.f, t);
+        const crossings = [];
+        eventValues = events.map((event, index) => {
+            const before = eventValues[index];
+            const after = event.func(next.x, output(next.y));
+            const rising = before < 0 && after >= 0;
+            const falling = before > 0 && after <= 0;
+            if ((rising && event.direction >= 0) || (falling && event.direction <= 0)) {
+                const g = t => event.func(t, output(interpolate(t)));
+                const at = after === 0 ? next.x : illinois(g, x, next.x, before, after);
+                crossings.push({ index, x: at, y: interpolate(at), terminal: event.terminal });
+            }
+            return after;
+        });
+        crossings.sort((p, q) => (p.x - q.x) * direction);
+        const terminal = crossings.find(crossing => crossing.terminal);
+        crossings
+            .filter(crossing => !terminal || (crossing.x - terminal.x) * direction <= 0)
+            .forEach(({ index, x: at, y: state }) => found.push({ index, x: at, y: output(state) }));
+        if (terminal) {
+            xs.push(terminal.x);
+            ys.push(terminal.y);
+            fs.push(system.f(terminal.x, terminal.y));
+            status = 'event';
+            break;
+        }
+        xs.push(next.x);
+        ys.push(next.y);
+        fs.push(next.f);
+    }
+
+    return {
+        x: xs,
+        y: ys.map(output),
+        status,
+        message,
+        evaluations: system.evaluations,
+        steps: xs.length - 1,
+        events: found,
+        solution(x) {
+            const last = xs.length - 1;
+            if ((x - xs[0]) * direction < 0 || (x - xs[last]) * direction > 0) {
+                throw new Error(`${x} is outside the solved interval.`);
+            }
+            let low = 0;
+            let high = last;
+            while (high - low > 1) {
+                const middle = (low + high) >> 1;
+                if ((x - xs[middle]) * direction >= 0) low = middle; else high = middle;
+            }
+            if (last === 0) return output(ys[0]);
+            return output(hermite(xs[low], ys[low], fs[low], xs[high], ys[high], fs[high], x));
+        }
+    };
+}
+
+/**
+ * Creates a stepper that takes equal steps of about h, landing exactly on xn.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {number} h - The requested step size.
+ * @param {Function} advance - Called with (x, y, f, step) and returns { y, f } or { error }.
+ * @returns {Function} - The stepper.
+ */
+function fixedSteps(x0, xn, h, advance) {
+    const count = Math.max(1, Math.ceil(Math.abs(xn - x0) / Math.abs(h) - 1e-9));
+    const size = (xn - x0) / count;
+    let taken = 0;
+    return (x, y, f) => {
+        taken++;
+        const next = taken === count ? xn : x0 + taken * size;
+        const result = advance(x, y, f, next - x);
+        return result.error ? result : { x: next, ...result };
+    };
+}
+
+/**
+ * Solves an initial value problem with the explicit (forward) Euler method.
+ * @param {Function} func - The right-hand side dy/dx = func(x, y); for a system, y and the result are arrays.
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {Object} [options={}] - { h: step size (default 0.01), events } (see solveInitialValueProblem).
+ * @returns {Object} - The solution (see solveInitialValueProblem).
+ */
+function eulerMethod(func, y0, x0, xn, options = {}) {
+    const { h = 0.01 } = options;
+    return runSolver(func, y0, x0, xn, options, (system) => fixedSteps(x0, xn, h, (x, y, f, step) => {
+        const next = combine(y, step, [f], [1]);
+        return { y: next, f: system.f(x + step, next) };
+    }));
+}
+
+/**
+ * Solves an initial value problem with the classical fourth-order Runge–Kutta method.
+ * @param {Function} func - The right-hand side dy/dx = func(x, y); for a system, y and the result are arrays.
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {Object} [options={}] - { h: step size (default 0.01), events } (see solveInitialValueProblem).
+ * @returns {Object} - The solution (see solveInitialValueProblem).
+ */
+function rungeKutta4(func, y0, x0, xn, options = {}) {
+    const { h = 0.01 } = options;
+    return runSolver(func, y0, x0, xn, options, (system) => fixedSteps(x0, xn, h, (x, y, f, step) => {
+        const k2 = system.f(x + step / 2, combine(y, step / 2, [f], [1]));
+        const k3 = system.f(x + step / 2, combine(y, step / 2, [k2], [1]));
+        const k4 = system.f(x + step, combine(y, step, [k3], [1]));
+        const next = combine(y, step, [f, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6]);
+        return { y: next, f: system.f(x + step, next) };
+    }));
+}
+
+/**
+ * Solves an initial value problem with the adaptive Dormand–Prince 5(4) method, choosing each step so that
+ * the estimated local error stays within the tolerance (applied as both absolute and relative tolerance).
+ * @param {Function} func - The right-hand side dy/dx = func(x, y); for a system, y and the result are arrays.
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {Object} [options={}] - { tolerance (default 1e-8), h: initial step, maxSteps (default 100000), events }.
+ * @returns {Object} - The solution (see solveInitialValueProblem).
+ */
+function dormandPrince(func, y0, x0, xn, options = {}) {
+    const { tolerance = 1e-8, maxSteps = 100000 } = options;
+    return runSolver(func, y0, x0, xn, options, (system, xStart, yStart, fStart) => {
+        const direction = Math.sign(xn - x0);
+        const scale = (a, b) => a.map((value, i) => tolerance + tolerance * Math.max(Math.abs(value), Math.abs(b[i])));
+        const norm = (v, weights) => Math.sqrt(v.reduce((sum, value, i) => sum + Math.pow(value / weights[i], 2), 0) / v.length);
+        let h = options.h;
+        if (h === undefined) {
+            const weights = scale(yStart, yStart);
+            const d0 = norm(yStart, weights);
+            const d1 = norm(fStart, weights);
+            h = d0 > 1e-5 && d1 > 1e-5 ? 0.01 * d0 / d1 : 1e-6;
+        }
+        h = Math.min(Math.abs(h), Math.abs(xn - x0));
+        let steps = 0;
+        return (x, y, f) => {
+            for (;;) {
+                if (++steps > maxSteps) return { error: `Exceeded ${maxSteps} steps.` };
+                const size = direction * Math.min(h, Math.abs(xn - x));
+                if (Math.abs(size) <= 1e-14 * Math.max(1, Math.abs(x))) return { error: 'Step size became too small.' };
+                const ks = [f];
+                for (let stage = 1; stage < 7; stage++) {
+                    ks.push(system.f(x + DP_NODES[stage] * size, combine(y, size, ks, DP_STAGES[stage])));
+                }
+                const next = combine(y, size, ks, DP_STAGES[6]);
+                const error = norm(combine(y.map(() => 0), size, ks, DP_ERROR), scale(y, next));
+                const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(error, -1 / 5)));
+                if (error <= 1 && next.every(Number.isFinite)) {
+                    h = Math.abs(size) * factor;
+                    const end = Math.abs(xn - x - size) <= 1e-14 * Math.max(1, Math.abs(xn)) ? xn : x + size;
+                    return { x: end, y: next, f: ks[6] };
+                }
+                h = Math.abs(size) * (Number.isFinite(error) ? Math.min(factor, 0.9) : 0.2);
+            }
+        };
+    });
+}
+
+/**
+ * Creates a stepper for a backward differentiation formula, solving the implicit equation at each step
+ * with Newton's method (using options.jacobian(x, y) or a finite-difference Jacobian).
+ * @param {Object} system - The system being solved.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {Object} options - The solver options.
+ * @param {number} order - 1 for backward Euler, 2 for BDF2.
+ * @returns {Function} - The stepper.
+ */
+function bdfStepper(system, x0, xn, options, order) {
+    const { h = 0.01, jacobian } = options;
+    let previous = null;
+    return fixedSteps(x0, xn, h, (x, y, f, step) => {
+        // BDF2: y_(n+1) - 4/3 y_n + 1/3 y_(n-1) = 2/3 h f(x_(n+1), y_(n+1)); BDF1 (backward Euler): y_(n+1) - y_n = h f(x_(n+1), y_(n+1)).
+        const useTwo = order === 2 && previous !== null;
+        const beta = useTwo ? 2 / 3 : 1;
+        const base = useTwo ? y.map((value, i) => 4 / 3 * value - previous[i] / 3) : y;
+        const xNext = x + step;
+        let guess = combine(y, step, [f], [1]);
+        let slope = system.f(xNext, guess);
+        for (let iteration = 0; ; iteration++) {
+            if (iteration === 50) return { error: `Newton's method did not converge at x = ${xNext}.` };
+            const residual = guess.map((value, i) => value - base[i] - beta * step * slope[i]);
+            const J = jacobian ? jacobian(xNext, guess) : guess.map((_, j) => {
+                const delta = 1e-7 * Math.max(1, Math.abs(guess[j]));
+                const shifted = guess.slice();
+                shifted[j] += delta;
+                return system.f(xNext, shifted).map((value, i) => (value - slope[i]) / delta);
+            });
+            // The finite-difference Jacobian above is built column by column, i.e. transposed.
+            const entry = jacobian ? (i, j) => J[i][j] : (i, j) => J[j][i];
+            const matrix = guess.map((_, i) => guess.map((__, j) => (i === j ? 1 : 0) - beta * step * entry(i, j)));
+            let correction;
+            try {
+                correction = solveLinearSystem(matrix, residual);
+            } catch (error) {
+                return { error: `Singular Newton matrix at x = ${xNext}.` };
+            }
+            guess = guess.map((value, i) => value - correction[i]);
+            slope = system.f(xNext, guess);
+            const size = Math.sqrt(correction.reduce((sum, value) => sum + value * value, 0));
+            const magnitude = Math.sqrt(guess.reduce((sum, value) => sum + value * value, 0));
+            if (!Number.isFinite(size)) return { error: `Newton's method diverged at x = ${xNext}.` };
+            if (size <= 1e-10 * Math.max(1, magnitude)) break;
+        }
+        previous = y;
+        return { y: guess, f: slope };
+    });
+}
+
+/**
+ * Solves a (possibly stiff) initial value problem with the implicit backward Euler method.
+ * @param {Function} func - The right-hand side dy/dx = func(x, y); for a system, y and the result are arrays.
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {Object} [options={}] - { h: step size (default 0.01), jacobian(x, y): the matrix ∂f_i/∂y_j, events }.
+ * @returns {Object} - The solution (see solveInitialValueProblem).
+ */
+function backwardEuler(func, y0, x0, xn, options = {}) {
+    return runSolver(func, y0, x0, xn, options, system => bdfStepper(system, x0, xn, options, 1));
+}
+
+/**
+ * Solves a (possibly stiff) initial value problem with the implicit second-order backward differentiation formula
+ * (BDF2), starting with one backward Euler step.
+ * @param {Function} func - The right-hand side dy/dx = func(x, y); for a system, y and the result are arrays.
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x.
+ * @param {Object} [options={}] - { h: step size (default 0.01), jacobian(x, y): the matrix ∂f_i/∂y_j, events }.
+ * @returns {Object} - The solution (see solveInitialValueProblem).
+ */
+function bdf2(func, y0, x0, xn, options = {}) {
+    return runSolver(func, y0, x0, xn, options, system => bdfStepper(system, x0, xn, options, 2));
+}
+
+const ODE_METHODS = {
+    euler: eulerMethod,
+    rk4: rungeKutta4,
+    rk45: dormandPrince,
+    backwardEuler,
+    bdf2
+};
+
+/**
+ * Solves the initial value problem dy/dx = func(x, y), y(x0) = y0 on [x0, xn].
+ * y may be a number or an array (a system of equations). Events are functions g(x, y): each sign change
+ * of g is located and reported, and a terminal event stops the integration there, e.g.
+ * { func: (x, y) => y - 10, terminal: true } stops when y crosses 10.
+ * @param {Function} func - The right-hand side dy/dx = func(x, y); for a system, y and the result are arrays.
+ * @param {number|number[]} y0 - The initial state.
+ * @param {number} x0 - The initial value of x.
+ * @param {number} xn - The final value of x (may be less than x0 to integrate backwards).
+ * @param {Object} [options={}] - The options.
+ * @param {string} [options.method='rk45'] - 'rk45' (adaptive Dormand–Prince), 'rk4', 'euler', 'backwardEuler' or 'bdf2' (for stiff problems).
+ * @param {number} [options.tolerance=1e-8] - The local error tolerance of 'rk45'.
+ * @param {number} [options.h] - The step size of the fixed-step methods (default 0.01), or the initial step of 'rk45'.
+ * @param {Function} [options.jacobian] - The Jacobian ∂f_i/∂y_j for the implicit methods (finite differences if omitted).
+ * @param {Function|Object|Array} [options.events] - Event functions g(x, y), or objects { func, terminal, direction }
+ *   where direction 1 or -1 only detects rising or falling crossings.
+ * @returns {{x: number[], y: Array, status: string, message: string|null, evaluations: number, steps: number,
+ *   events: Object[], solution: Function}} - The trajectory at every step, status ('success', 'event' or 'failed'),
+ *   the number of evaluations of func, the events found ({ index, x, y }) and solution(x), a dense (cubic Hermite)
+ *   interpolant of the trajectory.
+ * @throws {Error} - If the method is unknown.
+ */
+function solveInitialValueProblem(func, y0, x0, xn, options = {}) {
+    const { method = 'rk45' } = options;
+    if (!ODE_METHODS[method]) throw new Error(`Unknown ODE method '${method}'.`);
+    return ODE_METHODS[method](func, y0, x0, xn, options);
+}
+
+/**
+ * Solves the boundary value problem y'' = func(x, y, y'), y(a) = alpha, y(b) = beta with the shooting method:
+ * the initial slope is found with the secant method so that the solution of the initial value problem hits beta.
+ * @param {Function} func - The second derivative y'' = func(x, y, dy).
+ * @param {number} a - The left end of the interval.
+ * @param {number} b - The right end of the interval.
+ * @param {number} alpha - The value of y at a.
+ * @param {number} beta - The value of y at b.
+ * @param {Object} [options={}] - { guesses: two initial slopes (default [0, 1]), tolerance (default 1e-10),
+ *   maxIterations (default 50), plus the options of solveInitialValueProblem }.
+ * @returns {{x: number[], y: number[], dy: number[], slope: number, iterations: number, converged: boolean,
+ *   residual: number, solution: Function}} - The trajectory of y and y', the initial slope found, the number of
+ *   secant iterations, whether |y(b) - beta| met the tolerance, that residual, and solution(x), an interpolant of y.
+ */
+function shootingMethod(func, a, b, alpha, beta, options = {}) {
+    const { guesses = [0, 1], tolerance = 1e-10, maxIterations = 50 } = options;
+    const ivpOptions = { ...options, events: undefined };
+    const shoot = slope => solveInitialValueProblem((x, [y, dy]) => [dy, func(x, y, dy)], [alpha, slope], a, b, ivpOptions);
+    const miss = result => result.y[result.y.length - 1][0] - beta;
+    let [s0, s1] = guesses;
+    let r0 = shoot(s0);
+    let r1 = shoot(s1);
+    let iterations = 0;
+    while (Math.abs(miss(r1)) > tolerance && iterations < maxIterations) {
+        const denominator = miss(r1) - miss(r0);
+        if (denominator === 0) break;
+        [s0, r0, s1] = [s1, r1, s1 - miss(r1) * (s1 - s0) / denominator];
+        r1 = shoot(s1);
+        iterations++;
+    }
+    const residual = Math.abs(miss(r1));
+    return {
+        x: r1.x,
+        y: r1.y.map(state => state[0]),
+        dy: r1.y.map(state => state[1]),
+        slope: s1,
+        iterations,
+        converged: residual <= tolerance,
+        residual,
+        solution: x => r1.solution(x)[0]
+    };
+}
+
+module.exports = {
+    eulerMethod,
+    rungeKutta4,
+    dormandPrince,
+    backwardEuler,
+    bdf2,
+    solveInitialValueProblem,
+    shootingMethod
+};
@@ -0,0 +1,46 @@
+// The one-sided Jacobi kernel shared by Matrix#norm and singularValueDecomposition. This module is internal:
+// index.js does not export it.
+
+/**
+ * Rotates pairs of columns with the one-sided Jacobi method until they are mutually orthogonal, so that their lengths
+ * are the singular values of the matrix they form. Even tiny singular values come out to high relative accuracy.
+ * @param {Array<number[]|Float64Array>} W - The columns, rotated in place.
+ * @param {Array<number[]|Float64Array>|null} R - Columns given the same rotations (the identity yields V of the
+ *   SVD), or null.
+ * @param {number} maxSweeps - The maximum number of sweeps over all column pairs.
+ * @returns {boolean} - True if the columns became orthogonal within maxSweeps sweeps.
+ */
+function orthogonalizeColumns(W, R, maxSweeps) {
+    const dot = (u, v) => u.reduce((sum, value, i) => sum + value * v[i], 0);
+    // Columns shorter than this are numerically zero and are not rotated.
+    const negligible = Math.pow(Number.EPSILON, 2) * W.reduce((sum, column) => sum + dot(column, column), 0);
+    const rotated = R ? [W, R] : [W];
+    let converged = false;
+    for (let sweep = 0; sweep < maxSweeps && !converged; sweep++) {
+        converged = true;
+        for (let p = 0; p < W.length - 1; p++) {
+            for (let q = p + 1; q < W.length; q++) {
+                const alpha = dot(W[p], W[p]);
+                const beta = dot(W[q], W[q]);
+                const gamma = dot(W[p], W[q]);
+                if (Math.min(alpha, beta) <= negligible || Math.abs(gamma) <= Number.EPSILON * Math.sqrt(alpha * beta)) continue;
+                converged = false;
+                const zeta = (beta - alpha) / (2 * gamma);
+                const t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+                const c = 1 / Math.sqrt(1 + t * t);
+                const s = c * t;
+                rotated.forEach((columns) => {
+                    const [u, v] = [columns[p], columns[q]];
+                    for (let i = 0; i < u.length; i++) {
+                        [u[i], v[i]] = [c * u[i] - s * v[i], s * u[i] + c * v[i]];
+                    }
+                });
+            }
+        }
+    }
+    return converged;
+}
+
+module.exports = {
+    orthogonalizeColumns
+};
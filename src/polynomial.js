@@ -0,0 +1,511 @@
+const { gcd } = require('./numberTheory');
+const { polynomialRoots } = require('./algebra');
+
+/**
+ * A polynomial in one variable with real coefficients, stored lowest power first
+ * (the same order as addPolynomials and multiplyPolynomials), e.g. new Polynomial([-1, 0, 1]) is x^2 - 1.
+ * Polynomials are immutable: every operation returns a new polynomial.
+ */
+class Polynomial {
+    /**
+     * Creates a polynomial. Trailing zero coefficients are removed.
+     * @param {number[]} [coefficients=[]] - The coefficients, lowest power first.
+     * @throws {Error} - If a coefficient is not a finite number.
+     */
+    constructor(coefficients = []) {
+        if (coefficients.some(coefficient => typeof coefficient !== 'number' || !Number.isFinite(coefficient))) {
+            throw new Error("Polynomial coefficients must be finite numbers.");
+        }
+        let last = coefficients.length - 1;
+        while (last >= 0 && coefficients[last] === 0) last--;
+        this.coefficients = coefficients.slice(0, last + 1);
+    }
+
+    /**
+     * Converts a number, an array of coefficients or a polynomial to a polynomial.
+     * @param {number|number[]|Polynomial} value - The value to convert.
+     * @returns {Polynomial} - The polynomial.
+     */
+    static from(value) {
+        if (value instanceof Polynomial) return value;
+        if (Array.isArray(value)) return new Polynomial(value);
+        if (typeof value === 'number') return new Polynomial([value]);
+        throw new Error("Cannot convert the value to a polynomial.");
+    }
+
+    /**
+     * Creates the monic polynomial with the given real roots, (x - r1)(x - r2)...
+     * @param {number[]} roots - The roots, repeated according to multiplicity.
+     * @returns {Polynomial} - The polynomial.
+     */
+    static fromRoots(roots) {
+        return roots.reduce((product, root) => product.multiply([-root, 1]), new Polynomial([1]));
+    }
+
+    /**
+     * The degree of the polynomial; the zero polynomial has degree -Infinity.
+     * @returns {number} - The degree.
+     */
+    degree() {
+        return this.coefficients.length === 0 ? -Infinity : this.coefficients.length - 1;
+    }
+
+    /**
+     * Checks whether this is the zero polynomial.
+     * @returns {boolean} - True if every coefficient is zero.
+     */
+    isZero() {
+        return this.coefficients.length === 0;
+    }
+
+    /**
+     * The coefficient of the highest power (0 for the zero polynomial).
+     * @returns {number} - The leading coefficient.
+     */
+    leadingCoefficient() {
+        return this.isZero() ? 0 : this.coefficients[this.coefficients.length - 1];
+    }
+
+    /**
+     * The coefficient of x^power.
+     * @param {number} power - The power.
+     * @returns {number} - The coefficient (0 beyond the degree).
+     */
+    coefficient(power) {
+        return this.coefficients[power] || 0;
+    }
+
+    /**
+     * Checks whether two polynomials are equal, coefficient by coefficient.
+     * @param {number|number[]|Polynomial} other - The other polynomial.
+     * @param {number} [tolerance=0] - The largest allowed difference between coefficients.
+     * @returns {boolean} - True if the polynomials are equal.
+     */
+    equals(other, tolerance = 0) {
+        const q = Polynomial.from(other);
+        const length = Math.max(this.coefficients.length, q.coefficients.length);
+        for (let i = 0; i < length; i++) {
+            if (Math.abs(this.coefficient(i) - q.coefficient(i)) > tolerance) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Adds a polynomial or a number.
+     * @param {number|number[]|Polynomial} other - The other term.
+     * @returns {Polynomial} - The sum.
+     */
+    add(other) {
+        const q = Polynomial.from(other);
+        const length = Math.max(this.coefficients.length, q.coefficients.length);
+        return new Polynomial(Array.from({ length }, (_, i) => this.coefficient(i) + q.coefficient(i)));
+    }
+
+    /**
+     * Subtracts a polynomial or a number.
+     * @param {number|number[]|Polynomial} other - The subtrahend.
+     * @returns {Polynomial} - The difference.
+     */
+    subtract(other) {
+        return this.add(Polynomial.from(other).negate());
+    }
+
+    /**
+     * Negates the polynomial.
+     * @returns {Polynomial} - The negated polynomial.
+     */
+    negate() {
+        return this.scale(-1);
+    }
+
+    /**
+     * Multiplies every coefficient by a number.
+     * @param {number} factor - The factor.
+     * @returns {Polynomial} - The scaled polynomial.
+     */
+    scale(factor) {
+        return new Polynomial(this.coefficients.map(coefficient => coefficient * factor));
+    }
+
+    /**
+     * Multiplies by a polynomial or a number.
+     * @param {number|number[]|Polynomial} other - The other factor.
+     * @returns {Polynomial} - The product.
+     */
+    multiply(other) {
+        const q = Polynomial.from(other);
+        if (this.isZero() || q.isZero()) return new Polynomial([]);
+        const result = Array(this.coefficients.length + q.coefficients.length - 1).fill(0);
+        this.coefficients.forEach((a, i) => {
+            q.coefficients.forEach((b, j) => {
+                result[i + j] += a * b;
+            });
+        });
+        return new Polynomial(result);
+    }
+
+    /**
+     * Raises the polynomial to a non-negative integer power by repeated squaring.
+     * @param {number} exponent - The exponent.
+     * @returns {Polynomial} - The power.
+     * @throws {Error} - If the exponent is not a non-negative integer.
+     */
+    power(exponent) {
+        if (!Number.isInteger(exponent) || exponent < 0) {
+            throw new Error("The exponent must be a non-negative integer.");
+        }
+        let result = new Polynomial([1]);
+        let base = this;
+        for (let e = exponent; e > 0; e = Math.floor(e / 2)) {
+            if (e % 2 === 1) result = result.multiply(base);
+            if (e > 1) base = base.multiply(base);
+        }
+        return result;
+    }
+
+    /**
+     * Divides by another polynomial with long division, so that this = quotient * divisor + remainder
+     * and the remainder has a lower degree than the divisor.
+     * @param {number|number[]|Polynomial} divisor - The divisor.
+     * @returns {{quotient: Polynomial, remainder: Polynomial}} - The quotient and the remainder.
+     * @throws {Error} - If the divisor is the zero polynomial.
+     */
+    divide(divisor) {
+        const d = Polynomial.from(divisor);
+        if (d.isZero()) {
+            throw new Error("Cannot divide by the zero polynomial.");
+        }
+        const remainder = [...this.coefficients];
+        const m = d.coefficients.length - 1;
+        const quotient = Array(Math.max(remainder.length - m, 0)).fill(0);
+        for (let k = quotient.length - 1; k >= 0; k--) {
+            const factor = remainder[k + m] / d.leadingCoefficient();
+            quotient[k] = factor;
+            d.coefficients.forEach((coefficient, j) => {
+                remainder[k + j] -= factor * coefficient;
+            });
+            remainder[k + m] = 0;
+        }
+        return { quotient: new Polynomial(quotient), remainder: new Polynomial(remainder.slice(0, m)) };
+    }
+
+    /**
+     * Divides by (x - r) with synthetic division (Ruffini's rule).
+     * @param {number} r - The root of the linear divisor.
+     * @returns {{quotient: Polynomial, remainder: number}} - The quotient and the remainder, which equals p(r).
+     */
+    syntheticDivision(r) {
+        const n = this.coefficients.length;
+        if (n === 0) return { quotient: new Polynomial([]), remainder: 0 };
+        const quotient = Array(n - 1).fill(0);
+        let carry = this.coefficients[n - 1];
+        for (let k = n - 2; k >= 0; k--) {
+            quotient[k] = carry;
+            carry = this.coefficients[k] + carry * r;
+        }
+        return { quotient: new Polynomial(quotient), remainder: carry };
+    }
+
+    /**
+     * Calculates the greatest common divisor with the Euclidean algorithm. Remainder coefficients smaller than
+     * the tolerance (relative to the largest coefficient of the dividend) are treated as zero, so that
+     * floating-point rounding does not hide a common factor.
+     * @param {number|number[]|Polynomial} other - The other polynomial.
+     * @param {number} [tolerance=1e-10] - The relative size below which a coefficient counts as zero.
+     * @returns {Polynomial} - The monic GCD (the zero polynomial if both are zero).
+     */
+    gcd(other, tolerance = 1e-10) {
+        let a = this;
+        let b = Polynomial.from(other);
+        while (!b.isZero()) {
+            const scale = Math.max(...a.coefficients.map(Math.abs));
+            const { remainder } = a.divide(b);
+            [a, b] = [b, new Polynomial(remainder.coefficients.map(c => (Math.abs(c) <= tolerance * scale ? 0 : c)))];
+        }
+        return a.isZero() ? a : a.scale(1 / a.leadingCoefficient());
+    }
+
+    /**
+     * Calculates a derivative.
+     * @param {number} [order=1] - The order of the derivative.
+     * @returns {Polynomial} - The derivative.
+     */
+    derivative(order = 1) {
+        let coefficients = this.coefficients;
+        for (let k = 0; k < order; k++) {
+            coefficients = coefficients.slice(1).map((coefficient, i) => coefficient * (i + 1));
+        }
+        return new Polynomial(coefficients);
+    }
+
+    /**
+     * Calculates the antiderivative.
+     * @param {number} [constant=0] - The constant of integration.
+     * @returns {Polynomial} - The antiderivative whose value at 0 is the constant.
+     */
+    integral(constant = 0) {
+        return new Polynomial([constant, ...this.coefficients.map((coefficient, i) => coefficient / (i + 1))]);
+    }
+
+    /**
+     * Calculates the definite integral over [a, b].
+     * @param {number} a - The lower limit.
+     * @param {number} b - The upper limit.
+     * @returns {number} - The integral.
+     */
+    definiteIntegral(a, b) {
+        const antiderivative = this.integral();
+        return antiderivative.evaluate(b) - antiderivative.evaluate(a);
+    }
+
+    /**
+     * Evaluates the polynomial with Horner's method.
+     * @param {number} x - The point.
+     * @returns {number} - The value p(x).
+     */
+    evaluate(x) {
+        return this.coefficients.reduceRight((sum, coefficient) => sum * x + coefficient, 0);
+    }
+
+    /**
+     * Composes two polynomials with Horner's method.
+     * @param {number|number[]|Polynomial} inner - The inner polynomial q.
+     * @returns {Polynomial} - The polynomial p(q(x)).
+     */
+    compose(inner) {
+        const q = Polynomial.from(inner);
+        return this.coefficients.reduceRight((sum, coefficient) => sum.multiply(q).add(coefficient), new Polynomial([]));
+    }
+
+    /**
+     * Finds all complex roots with polynomialRoots.
+     * @param {Object} [options={}] - The options of polynomialRoots.
+     * @returns {Object} - The result of polynomialRoots.
+     */
+    roots(options = {}) {
+        return polynomialRoots(this.coefficients, options);
+    }
+
+    /**
+     * Checks whether every coefficient is an integer.
+     * @returns {boolean} - True if the polynomial has integer coefficients.
+     */
+    hasIntegerCoefficients() {
+        return this.coefficients.every(Number.isInteger);
+    }
+
+    /**
+     * The content of a polynomial with integer coefficients: the GCD of the coefficients, with the sign of the
+     * leading coefficient.
+     * @returns {number} - The content.
+     */
+    content() {
+        const content = this.coefficients.reduce((g, coefficient) => gcd(g, Math.abs(coefficient)), 0);
+        return this.leadingCoefficient() < 0 ? -content : content;
+    }
+
+    /**
+     * The primitive part of a polynomial with integer coefficients: the polynomial divided by its content.
+     * @returns {Polynomial} - The primitive part, with a positive leading coefficient.
+     */
+    primitivePart() {
+        return this.isZero() ? this : this.scale(1 / this.content());
+    }
+
+    /**
+     * Splits the polynomial into square-free factors with Yun's algorithm: p = c * f1 * f2^2 * f3^3 * ...,
+     * where the f_i have no repeated roots and no common factors. Polynomials with integer coefficients are
+     * factored exactly into primitive integer factors; otherwise the factors are monic and GCDs are computed
+     * with the given tolerance.
+     * @param {number} [tolerance=1e-10] - The tolerance passed to gcd for non-integer coefficients.
+     * @returns {Object[]} - The non-constant factors as { factor, multiplicity }, by increasing multiplicity.
+     * @throws {Error} - If the polynomial is zero.
+     */
+    squareFreeFactorization(tolerance = 1e-10) {
+        if (this.isZero()) {
+            throw new Error("The zero polynomial has no factorization.");
+        }
+        const exact = this.hasIntegerCoefficients();
+        const common = exact ? (p, q) => integerGcd(p, q) : (p, q) => p.gcd(q, tolerance);
+        const quotient = exact ? (p, q) => exactQuotient(p, q) : (p, q) => p.divide(q).quotient;
+        const factors = [];
+        let a = exact ? this.primitivePart() : this;
+        let b = common(a, a.derivative());
+        let c = quotient(a, b);
+        let d = quotient(a.derivative(), b).subtract(c.derivative());
+        for (let multiplicity = 1; c.degree() > 0; multiplicity++) {
+            a = common(c, d);
+            if (a.degree() > 0) factors.push({ factor: exact ? a.primitivePart() : a, multiplicity });
+            c = quotient(c, a);
+            d = quotient(d, a).subtract(c.derivative());
+        }
+        return factors;
+    }
+
+    /**
+     * Finds the rational roots of a polynomial with integer coefficients by testing every candidate p/q, where
+     * p divides the constant term and q divides the leading coefficient (the rational root theorem). Candidates
+     * are checked exactly with BigInt arithmetic.
+     * @returns {number[]} - The distinct rational roots in ascending order.
+     * @throws {Error} - If a coefficient is not an integer.
+     */
+    rationalRoots() {
+        requireIntegerCoefficients(this);
+        let low = 0;
+        while (low < this.coefficients.length && this.coefficients[low] === 0) low++;
+        if (low >= this.coefficients.length) return [];
+        const trimmed = this.coefficients.slice(low);
+        const numerators = divisors(trimmed[0]);
+        const denominators = divisors(trimmed[trimmed.length - 1]);
+        const roots = new Set(low > 0 ? [0] : []);
+        numerators.forEach(p => denominators.forEach((q) => {
+            if (gcd(p, q) !== 1) return;
+            [p, -p].forEach((numerator) => {
+                if (vanishesAt(trimmed, numerator, q)) roots.add(numerator / q);
+            });
+        }));
+        return [...roots].sort((x, y) => x - y);
+    }
+
+    /**
+     * Factors a polynomial with integer coefficients over the rationals as far as the rational root theorem
+     * allows: p = content * product of (q x - p)^m * product of f^m, where each remaining f is square-free,
+     * has no rational roots and is left unfactored (it may still split into higher-degree factors, e.g.
+     * (x^2 + 1)(x^2 + 2)).
+     * @returns {{content: number, factors: Object[]}} - The content and the factors { factor, multiplicity },
+     *   linear factors first, ordered by root.
+     * @throws {Error} - If the polynomial is zero or a coefficient is not an integer.
+     */
+    factor() {
+        requireIntegerCoefficients(this);
+        if (this.isZero()) {
+            throw new Error("The zero polynomial has no factorization.");
+        }
+        const content = this.content();
+        let rest = this.primitivePart();
+        const linear = [];
+        rest.rationalRoots().forEach((root) => {
+            const [p, q] = toFraction(root);
+            const divisor = new Polynomial([-p, q]);
+            let multiplicity = 0;
+            while (rest.degree() > 0 && vanishesAt(rest.coefficients, p, q)) {
+                rest = exactQuotient(rest, divisor);
+                multiplicity++;
+            }
+            linear.push({ factor: divisor, multiplicity });
+        });
+        // What is left is either a unit (±1) or a primitive polynomial without rational roots.
+        if (rest.degree() === 0) return { content: content * rest.coefficient(0), factors: linear };
+        return { content, factors: [...linear, ...rest.squareFreeFactorization()] };
+    }
+
+    /**
+     * Formats the polynomial, highest power first, e.g. "3x^2 - x + 0.5".
+     * @param {string} [variable='x'] - The name of the variable.
+     * @returns {string} - The formatted polynomial.
+     */
+    toString(variable = 'x') {
+        const terms = [];
+        for (let k = this.coefficients.length - 1; k >= 0; k--) {
+            const coefficient = this.coefficients[k];
+            if (coefficient === 0) continue;
+            const magnitude = Math.abs(coefficient);
+            const power = k === 0 ? '' : (k === 1 ? variable : `${variable}^${k}`);
+            const term = k > 0 && magnitude === 1 ? power : `${magnitude}${power}`;
+            if (terms.length === 0) terms.push(coefficient < 0 ? `-${term}` : term);
+            else terms.push(coefficient < 0 ? `- ${term}` : `+ ${term}`);
+        }
+        return terms.length === 0 ? '0' : terms.join(' ');
+    }
+}
+
+/**
+ * Throws unless a polynomial has integer coefficients.
+ * @param {Polynomial} p - The polynomial.
+ * @throws {Error} - If a coefficient is not an integer.
+ */
+function requireIntegerCoefficients(p) {
+    if (!p.hasIntegerCoefficients()) {
+        throw new Error("Rational factoring requires integer coefficients.");
+    }
+}
+
+/**
+ * Lists the positive divisors of a non-zero integer.
+ * @param {number} n - The integer.
+ * @returns {number[]} - The positive divisors.
+ */
+function divisors(n) {
+    const m = Math.abs(n);
+    const result = [];
+    for (let d = 1; d * d <= m; d++) {
+        if (m % d === 0) {
+            result.push(d);
+            if (d * d !== m) result.push(m / d);
+        }
+    }
+    return result;
+}
+
+/**
+ * Checks exactly whether p/q is a root: q^n p(p/q) = sum a_k p^k q^(n-k) must vanish.
+ * @param {number[]} coefficients - Integer coefficients, lowest power first.
+ * @param {number} p - The numerator.
+ * @param {number} q - The denominator.
+ * @returns {boolean} - True if p/q is a root.
+ */
+function vanishesAt(coefficients, p, q) {
+    const [num, den] = [BigInt(p), BigInt(q)];
+    let sum = 0n;
+    coefficients.forEach((coefficient, k) => {
+        sum = sum * num + BigInt(coefficients[coefficients.length - 1 - k]) * den ** BigInt(k);
+    });
+    return sum === 0n;
+}
+
+/**
+ * Writes a rational root found by rationalRoots as a fraction p/q in lowest terms with q > 0.
+ * @param {number} x - The root.
+ * @returns {number[]} - [p, q].
+ */
+function toFraction(x) {
+    for (let q = 1; ; q++) {
+        const p = Math.round(x * q);
+        if (p / q === x) return [p, q];
+    }
+}
+
+/**
+ * Divides two polynomials with integer coefficients when the division is known to be exact, rounding away the
+ * floating-point error so that the quotient has integer coefficients again.
+ * @param {Polynomial} p - The dividend.
+ * @param {Polynomial} q - The divisor, a primitive factor of the dividend.
+ * @returns {Polynomial} - The quotient.
+ */
+function exactQuotient(p, q) {
+    const { quotient } = p.divide(q);
+    return new Polynomial(quotient.coefficients.map(Math.round));
+}
+
+/**
+ * Calculates the GCD of two polynomials with integer coefficients exactly, with the primitive
+ * polynomial remainder sequence (pseudo-division followed by removal of the content).
+ * @param {Polynomial} a - The first polynomial.
+ * @param {Polynomial} b - The second polynomial.
+ * @returns {Polynomial} - The primitive GCD with a positive leading coefficient.
+ */
+function integerGcd(a, b) {
+    if (a.isZero()) return b.primitivePart();
+    let [r0, r1] = [a.primitivePart(), b.primitivePart()];
+    while (!r1.isZero()) {
+        const power = Math.max(r0.degree() - r1.degree() + 1, 0);
+        const { remainder } = r0.scale(Math.pow(r1.leadingCoefficient(), power)).divide(r1);
+        const rounded = new Polynomial(remainder.coefficients.map(Math.round));
+        [r0, r1] = [r1, rounded.isZero() ? rounded : rounded.primitivePart()];
+    }
+    return r0;
+}
+
+module.exports = {
+    Polynomial
+};
@@ -0,0 +1,297 @@
+// Gauss–Kronrod 15-point nodes on [-1, 1] (non-negative half) and weights; the odd-indexed
+// nodes and the centre are the 7-point Gauss–Legendre nodes, with weights GAUSS_7_WEIGHTS.
+const KRONROD_15_NODES = [
+    0.991455371120812639206854697526329, 0.949107912342758524526189684047851,
+    0.864864423359769072789712788640926, 0.741531185599394439863864773280788,
+    0.586087235467691130294144845693013, 0.405845151377397166906606412076961,
+    0.207784955007898467600689403773245, 0
+];
+const KRONROD_15_WEIGHTS = [
+    0.022935322010529224963732008058970, 0.063092092629978553290700663189204,
+    0.104790010322250183839876322541518, 0.140653259715525918745189590510238,
+    0.169004726639267902826583426598550, 0.190350578064785409913256402421014,
+    0.204432940075298892414161999234649, 0.209482141084727828012999174891714
+];
+const GAUSS_7_WEIGHTS = [
+    0.129484966168869693270611432679082, 0.279705391489276667901467771423780,
+    0.381830050505118944950369775488975, 0.417959183673469387755102040816327
+];
+
+const legendreCache = new Map();
+
+/**
+ * Computes the nodes and weights of the n-point Gauss–Legendre rule on [-1, 1].
+ * @param {number} n - The number of points.
+ * @returns {{nodes: number[], weights: number[]}} - The nodes and weights.
+ */
+function legendreRule(n) {
+    if (legendreCache.has(n)) return legendreCache.get(n);
+    const nodes = Array(n).fill(0);
+    const weights = Array(n).fill(0);
+    for (let i = 0; i < Math.ceil(n / 2); i++) {
+        let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5));
+        let derivative = 0;
+        for (let iteration = 0; iteration < 100; iteration++) {
+            let p0 = 1;
+            let p1 = x;
+            for (let k = 2; k <= n; k++) {
+                [p0, p1] = [p1, ((2 * k - 1) * x * p1 - (k - 1) * p0) / k];
+            }
+            derivative = n * (x * p1 - p0) / (x * x - 1);
+            const step = p1 / derivative;
+            x -= step;
+            if (Math.abs(step) < 1e-16) break;
+        }
+        nodes[i] = -x;
+        nodes[n - 1 - i] = x;
+        weights[i] = weights[n - 1 - i] = 2 / ((1 - x * x) * derivative * derivative);
+    }
+    const rule = { nodes, weights };
+    legendreCache.set(n, rule);
+    return rule;
+}
+
+/**
+ * Maps an integral with infinite limits onto a finite interval, and orders the limits.
+ * @param {Function} func - The function to integrate.
+ * @param {number} a - The lower limit (may be -Infinity).
+ * @param {number} b - The upper limit (may be Infinity).
+ * @returns {{func: Function, a: number, b: number, sign: number}} - The equivalent finite integral, times sign.
+ */
+function finiteInterval(func, a, b) {
+    if (a > b) return { ...finiteInterval(func, b, a), sign: -1 };
+    if (a === -Infinity && b === Infinity) {
+        return { func: t => func(t / (1 - t * t)) * (1 + t * t) / Math.pow(1 - t * t, 2), a: -1, b: 1, sign: 1 };
+    }
+    if (b === Infinity) {
+        return { func: t => func(a + t / (1 - t)) / Math.pow(1 - t, 2), a: 0, b: 1, sign: 1 };
+    }
+    if (a === -Infinity) {
+        return { func: t => func(b - (1 - t) / t) / (t * t), a: 0, b: 1, sign: 1 };
+    }
+    return { func, a, b, sign: 1 };
+}
+
+/**
+ * Wraps a function so that a non-finite value at an endpoint (an integrable singularity,
+ * or the image of an infinite limit) is replaced by the value just inside the interval.
+ * @param {Function} func - The function.
+ * @param {number} a - The lower limit.
+ * @param {number} b - The upper limit.
+ * @returns {Function} - The wrapped function.
+ */
+function insideEndpoints(func, a, b) {
+    const nudge = (b - a) * 1e-12;
+    return (x) => {
+        const value = func(x);
+        if (Number.isFinite(value)) return value;
+        if (x === a) return func(a + nudge);
+        if (x === b) return func(b - nudge);
+        return value;
+    };
+}
+
+/**
+ * Prepares an integral for one of the rules below: handles infinite limits, reversed limits and endpoint singularities.
+ * @param {Function} func - The function to integrate.
+ * @param {number} a - The lower limit.
+ * @param {number} b - The upper limit.
+ * @param {Function} rule - The rule, called with (func, a, b) on a finite interval.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The result of the rule.
+ */
+function integrate(func, a, b, rule) {
+    if (a === b) return { value: 0, error: 0, evaluations: 0, converged: true };
+    const interval = finiteInterval(func, a, b);
+    let evaluations = 0;
+    const counted = (x) => {
+        evaluations++;
+        return interval.func(x);
+    };
+    const result = rule(insideEndpoints(counted, interval.a, interval.b), interval.a, interval.b);
+    return { ...result, value: interval.sign * result.value, evaluations };
+}
+
+/**
+ * Calculates a definite integral with adaptive Simpson's rule.
+ * @param {Function} func - The function to integrate.
+ * @param {number} a - The lower limit of integration (may be -Infinity).
+ * @param {number} b - The upper limit of integration (may be Infinity).
+ * @param {number} [tolerance=1e-10] - The requested absolute error.
+ * @param {number} [maxDepth=50] - The maximum depth of interval bisection.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The integral and its estimated error.
+ */
+function adaptiveSimpson(func, a, b, tolerance = 1e-10, maxDepth = 50) {
+    return integrate(func, a, b, (f, lower, upper) => {
+        let converged = true;
+        let error = 0;
+        const step = (x0, x2, f0, f1, f2, whole, eps, depth) => {
+            const x1 = (x0 + x2) / 2;
+            const fLeft = f((x0 + x1) / 2);
+            const fRight = f((x1 + x2) / 2);
+            const left = (x1 - x0) / 6 * (f0 + 4 * fLeft + f1);
+            const right = (x2 - x1) / 6 * (f1 + 4 * fRight + f2);
+            const difference = left + right - whole;
+            if (depth >= maxDepth || !Number.isFinite(difference)) {
+                converged = false;
+                error += Math.abs(difference) / 15;
+                return left + right;
+            }
+            if (Math.abs(difference) <= 15 * eps) {
+                error += Math.abs(difference) / 15;
+                return left + right + difference / 15;
+            }
+            return step(x0, x1, f0, fLeft, f1, left, eps / 2, depth + 1) +
+                   step(x1, x2, f1, fRight, f2, right, eps / 2, depth + 1);
+        };
+        const f0 = f(lower);
+        const f1 = f((lower + upper) / 2);
+        const f2 = f(upper);
+        const whole = (upper - lower) / 6 * (f0 + 4 * f1 + f2);
+        const value = step(lower, upper, f0, f1, f2, whole, tolerance, 0);
+        return { value, error, converged };
+    });
+}
+
+/**
+ * Calculates a definite integral with the n-point Gauss–Legendre rule, bisecting intervals
+ * until the rule agrees with its application to both halves.
+ * @param {Function} func - The function to integrate.
+ * @param {number} a - The lower limit of integration (may be -Infinity).
+ * @param {number} b - The upper limit of integration (may be Infinity).
+ * @param {number} [points=5] - The number of Gauss points per interval.
+ * @param {number} [tolerance=1e-10] - The requested absolute error.
+ * @param {number} [maxDepth=30] - The maximum depth of interval bisection.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The integral and its estimated error.
+ */
+function gaussLegendre(func, a, b, points = 5, tolerance = 1e-10, maxDepth = 30) {
+    const { nodes, weights } = legendreRule(points);
+    return integrate(func, a, b, (f, lower, upper) => {
+        let converged = true;
+        let error = 0;
+        const rule = (x0, x1) => {
+            const half = (x1 - x0) / 2;
+            const center = (x0 + x1) / 2;
+            return half * nodes.reduce((sum, node, i) => sum + weights[i] * f(center + half * node), 0);
+        };
+        const step = (x0, x1, whole, eps, depth) => {
+            const middle = (x0 + x1) / 2;
+            const left = rule(x0, middle);
+            const right = rule(middle, x1);
+            const difference = Math.abs(left + right - whole);
+            if (difference <= eps || depth >= maxDepth || !Number.isFinite(difference)) {
+                if (difference > eps) converged = false;
+                error += difference;
+                return left + right;
+            }
+            return step(x0, middle, left, eps / 2, depth + 1) + step(middle, x1, right, eps / 2, depth + 1);
+        };
+        const value = step(lower, upper, rule(lower, upper), tolerance, 0);
+        return { value, error, converged };
+    });
+}
+
+/**
+ * Applies the 15-point Kronrod rule and its embedded 7-point Gauss rule to one interval.
+ * @param {Function} f - The function to integrate.
+ * @param {number} a - The lower limit.
+ * @param {number} b - The upper limit.
+ * @returns {{a: number, b: number, value: number, error: number}} - The Kronrod estimate and its difference from the Gauss estimate.
+ */
+function kronrodInterval(f, a, b) {
+    const center = (a + b) / 2;
+    const half = (b - a) / 2;
+    const fCenter = f(center);
+    let kronrod = fCenter * KRONROD_15_WEIGHTS[7];
+    let gauss = fCenter * GAUSS_7_WEIGHTS[3];
+    for (let j = 0; j < 7; j++) {
+        const offset = half * KRONROD_15_NODES[j];
+        const pair = f(center - offset) + f(center + offset);
+        kronrod += KRONROD_15_WEIGHTS[j] * pair;
+        if (j % 2 === 1) gauss += GAUSS_7_WEIGHTS[(j - 1) / 2] * pair;
+    }
+    return { a, b, value: kronrod * half, error: Math.abs((kronrod - gauss) * half) };
+}
+
+/**
+ * Calculates a definite integral with the adaptive Gauss–Kronrod (G7/K15) rule, repeatedly
+ * bisecting the interval with the largest error estimate. The rule never evaluates the
+ * endpoints, so integrable endpoint singularities such as 1/sqrt(x) on [0, 1] are handled.
+ * @param {Function} func - The function to integrate.
+ * @param {number} a - The lower limit of integration (may be -Infinity).
+ * @param {number} b - The upper limit of integration (may be Infinity).
+ * @param {number} [tolerance=1e-10] - The requested absolute error.
+ * @param {number} [maxIntervals=500] - The maximum number of subintervals.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The integral and its estimated error.
+ */
+function gaussKronrod(func, a, b, tolerance = 1e-10, maxIntervals = 500) {
+    return integrate(func, a, b, (f, lower, upper) => {
+        const intervals = [kronrodInterval(f, lower, upper)];
+        const total = key => intervals.reduce((sum, interval) => sum + interval[key], 0);
+        while (total('error') > tolerance && intervals.length < maxIntervals) {
+            let worst = 0;
+            intervals.forEach((interval, i) => {
+                if (interval.error > intervals[worst].error) worst = i;
+            });
+            const { a: x0, b: x1 } = intervals[worst];
+            const middle = (x0 + x1) / 2;
+            if (middle <= x0 || middle >= x1) break;
+            intervals.splice(worst, 1, kronrodInterval(f, x0, middle), kronrodInterval(f, middle, x1));
+        }
+        const error = total('error');
+        return { value: total('value'), error, converged: error <= tolerance };
+    });
+}
+
+/**
+ * Calculates an iterated integral over two or more variables by nesting adaptive Gauss–Kronrod
+ * integrals. The limits of each inner variable may depend on the outer variables, e.g. the
+ * triangle 0 <= y <= x <= 1 is [[0, 1], [0, x => x]].
+ * @param {Function} func - The function to integrate, called as func(x, y) or func(x, y, z).
+ * @param {Array[]} bounds - The [lower, upper] limits for each variable, outermost first. Inner limits may be
+ *   numbers or functions of the outer variables, and any limit may be infinite.
+ * @param {number} [tolerance=1e-10] - The requested absolute error of each one-dimensional integral.
+ * @param {number} [maxIntervals=500] - The maximum number of subintervals of each one-dimensional integral.
+ * @returns {{value: number, error: number, evaluations: number, converged: boolean}} - The integral and its estimated error.
+ */
+function multipleQuadrature(func, bounds, tolerance = 1e-10, maxIntervals = 500) {
+    if (!Array.isArray(bounds) || bounds.length === 0) {
+        throw new Error("Bounds must be a non-empty array of [lower, upper] pairs.");
+    }
+    let evaluations = 0;
+    let converged = true;
+    const limit = (bound, outer) => typeof bound === 'function' ? bound(...outer) : bound;
+    const nested = (outer) => {
+        const [lower, upper] = bounds[outer.length];
+        const a = limit(lower, outer);
+        const b = limit(upper, outer);
+        if (outer.length === bounds.length - 1) {
+            const result = gaussKronrod(x => func(...outer, x), a, b, tolerance, maxIntervals);
+            evaluations += result.evaluations;
+            if (!result.converged) converged = false;
+            return result;
+        }
+        // The error of the inner integrals, sampled at the outer nodes, is integrated with the trapezoidal rule.
+        const samples = [];
+        const result = gaussKronrod((x) => {
+            const inner = nested([...outer, x]);
+            samples.push([x, inner.error]);
+            return inner.value;
+        }, a, b, tolerance, maxIntervals);
+        if (!result.converged) converged = false;
+        samples.sort((p, q) => p[0] - q[0]);
+        let innerError = 0;
+        for (let i = 1; i < samples.length; i++) {
+            innerError += (samples[i][0] - samples[i - 1][0]) * (samples[i][1] + samples[i - 1][1]) / 2;
+        }
+        return { value: result.value, error: result.error + innerError };
+    };
+    const { value, error } = nested([]);
+    return { value, error, evaluations, converged };
+}
+
+module.exports = {
+    adaptiveSimpson,
+    gaussLegendre,
+    gaussKronrod,
+    multipleQuadrature
+};
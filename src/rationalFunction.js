@@ -0,0 +1,260 @@
+const { Polynomial } = require('./polynomial');
+
+/**
+ * A ratio of two polynomials in one variable, kept in lowest terms: the numerator and denominator are divided by
+ * their GCD and the denominator is made monic, so equal functions have equal representations.
+ * Rational functions are immutable.
+ */
+class RationalFunction {
+    /**
+     * Creates a rational function and normalizes it.
+     * @param {number|number[]|Polynomial} numerator - The numerator (coefficients lowest power first).
+     * @param {number|number[]|Polynomial} [denominator=1] - The denominator.
+     * @param {number} [tolerance=1e-10] - The tolerance used to find the common factors of numerator and denominator.
+     * @throws {Error} - If the denominator is the zero polynomial.
+     */
+    constructor(numerator, denominator = 1, tolerance = 1e-10) {
+        let p = Polynomial.from(numerator);
+        let q = Polynomial.from(denominator);
+        if (q.isZero()) {
+            throw new Error("The denominator cannot be the zero polynomial.");
+        }
+        if (p.isZero()) {
+            q = new Polynomial([1]);
+        } else {
+            const common = p.gcd(q, tolerance);
+            if (common.degree() > 0) {
+                p = p.divide(common).quotient;
+                q = q.divide(common).quotient;
+            }
+        }
+        const lead = q.leadingCoefficient();
+        this.numerator = p.scale(1 / lead);
+        this.denominator = q.scale(1 / lead);
+    }
+
+    /**
+     * Converts a number, a polynomial or a rational function to a rational function.
+     * @param {number|number[]|Polynomial|RationalFunction} value - The value to convert.
+     * @returns {RationalFunction} - The rational function.
+     */
+    static from(value) {
+        return value instanceof RationalFunction ? value : new RationalFunction(value);
+    }
+
+    /**
+     * Checks whether this is the zero function.
+     * @returns {boolean} - True if the numerator is zero.
+     */
+    isZero() {
+        return this.numerator.isZero();
+    }
+
+    /**
+     * Checks whether two rational functions are equal (p/q = r/s exactly when ps = rq).
+     * @param {number|number[]|Polynomial|RationalFunction} other - The other function.
+     * @param {number} [tolerance=0] - The largest allowed difference between coefficients of ps and rq.
+     * @returns {boolean} - True if the functions are equal.
+     */
+    equals(other, tolerance = 0) {
+        const f = RationalFunction.from(other);
+        return this.numerator.multiply(f.denominator).equals(f.numerator.multiply(this.denominator), tolerance);
+    }
+
+    /**
+     * Adds a rational function, polynomial or number.
+     * @param {number|number[]|Polynomial|RationalFunction} other - The other term.
+     * @returns {RationalFunction} - The sum.
+     */
+    add(other) {
+        const f = RationalFunction.from(other);
+        return new RationalFunction(
+            this.numerator.multiply(f.denominator).add(f.numerator.multiply(this.denominator)),
+            this.denominator.multiply(f.denominator)
+        );
+    }
+
+    /**
+     * Subtracts a rational function, polynomial or number.
+     * @param {number|number[]|Polynomial|RationalFunction} other - The subtrahend.
+     * @returns {RationalFunction} - The difference.
+     */
+    subtract(other) {
+        return this.add(RationalFunction.from(other).negate());
+    }
+
+    /**
+     * Negates the function.
+     * @returns {RationalFunction} - The negated function.
+     */
+    negate() {
+        return new RationalFunction(this.numerator.negate(), this.denominator);
+    }
+
+    /**
+     * Multiplies by a rational function, polynomial or number.
+     * @param {number|number[]|Polynomial|RationalFunction} other - The other factor.
+     * @returns {RationalFunction} - The product.
+     */
+    multiply(other) {
+        const f = RationalFunction.from(other);
+        return new RationalFunction(this.numerator.multiply(f.numerator), this.denominator.multiply(f.denominator));
+    }
+
+    /**
+     * Divides by a rational function, polynomial or number.
+     * @param {number|number[]|Polynomial|RationalFunction} other - The divisor.
+     * @returns {RationalFunction} - The quotient.
+     * @throws {Error} - If the divisor is zero.
+     */
+    divide(other) {
+        return this.multiply(RationalFunction.from(other).reciprocal());
+    }
+
+    /**
+     * Swaps numerator and denominator.
+     * @returns {RationalFunction} - The reciprocal.
+     * @throws {Error} - If the function is zero.
+     */
+    reciprocal() {
+        if (this.isZero()) {
+            throw new Error("Cannot divide by the zero function.");
+        }
+        return new RationalFunction(this.denominator, this.numerator);
+    }
+
+    /**
+     * Raises the function to an integer power.
+     * @param {number} exponent - The exponent, which may be negative.
+     * @returns {RationalFunction} - The power.
+     * @throws {Error} - If the exponent is not an integer.
+     */
+    power(exponent) {
+        if (!Number.isInteger(exponent)) {
+            throw new Error("The exponent must be an integer.");
+        }
+        const base = exponent < 0 ? this.reciprocal() : this;
+        return new RationalFunction(base.numerator.power(Math.abs(exponent)), base.denominator.power(Math.abs(exponent)));
+    }
+
+    /**
+     * Calculates the derivative with the quotient rule.
+     * @returns {RationalFunction} - The derivative (p'q - pq') / q^2.
+     */
+    derivative() {
+        const [p, q] = [this.numerator, this.denominator];
+        return new RationalFunction(p.derivative().multiply(q).subtract(p.multiply(q.derivative())), q.multiply(q));
+    }
+
+    /**
+     * Evaluates the function.
+     * @param {number} x - The point.
+     * @returns {number} - The value p(x) / q(x).
+     * @throws {Error} - If x is a pole.
+     */
+    evaluate(x) {
+        const denominator = this.denominator.evaluate(x);
+        if (denominator === 0) {
+            throw new Error(`The rational function has a pole at x = ${x}.`);
+        }
+        return this.numerator.evaluate(x) / denominator;
+    }
+
+    /**
+     * Finds the poles, the roots of the denominator, with polynomialRoots.
+     * @returns {Object[]} - The distinct poles as { root, multiplicity } (the order of each pole).
+     */
+    poles() {
+        return this.denominator.degree() > 0 ? this.denominator.roots().multiplicities : [];
+    }
+
+    /**
+     * Decomposes the function into partial fractions over the reals:
+     * p/q = s + sum of A / (x - r)^k + sum of (Bx + C) / (x^2 + bx + c)^k,
+     * with one term for every power k up to the multiplicity of each factor of the denominator.
+     * The denominator is factored with polynomialRoots; for each factor f^m with cofactor g, the part P/f^m is
+     * found from the Bézout identity u f^m + v g = 1 (P = p v mod f^m) and expanded in powers of f.
+     * @param {Object} [options={}] - Options.
+     * @param {number} [options.tolerance=1e-10] - Coefficients smaller than this, relative to the largest
+     *   coefficient of the numerator, are set to zero.
+     * @returns {{polynomial: Polynomial, terms: Object[]}} - The polynomial part s and the terms
+     *   { numerator, factor, power }, each standing for numerator / factor^power, where the factor is x - r or an
+     *   irreducible monic quadratic. Real factors come first, in the order of their roots, each by increasing power.
+     */
+    partialFractions(options = {}) {
+        const { tolerance = 1e-10 } = options;
+        const { quotient, remainder } = this.numerator.divide(this.denominator);
+        const scale = Math.max(...this.numerator.coefficients.map(Math.abs));
+        const clean = p => new Polynomial(p.coefficients.map(c => (Math.abs(c) <= tolerance * scale ? 0 : c)));
+        const factors = this.poles().filter(({ root }) => typeof root === 'number' || root.imaginary > 0)
+            .map(({ root, multiplicity }) => ({
+                factor: typeof root === 'number'
+                    ? new Polynomial([-root, 1])
+                    : new Polynomial([
+                        root.real * root.real + root.imaginary * root.imaginary,
+                        Math.abs(root.real) <= tolerance * root.imaginary ? 0 : -2 * root.real,
+                        1
+                    ]),
+                multiplicity
+            }));
+        const terms = [];
+        factors.forEach(({ factor, multiplicity }, i) => {
+            const block = factor.power(multiplicity);
+            const cofactor = factors.reduce((product, other, j) => (
+                j === i ? product : product.multiply(other.factor.power(other.multiplicity))
+            ), new Polynomial([1]));
+            const [, v] = extendedGcd(block, cofactor, tolerance);
+            let part = remainder.multiply(v).divide(block).remainder;
+            // Expand the part in powers of the factor: part = c0 + c1 f + c2 f^2 + ..., giving c_j / f^(m - j).
+            const digits = [];
+            for (let j = 0; j < multiplicity; j++) {
+                const { quotient: next, remainder: digit } = part.divide(factor);
+                digits.push({ numerator: clean(digit), factor, power: multiplicity - j });
+                part = next;
+            }
+            terms.push(...digits.reverse().filter(({ numerator }) => !numerator.isZero()));
+        });
+        return { polynomial: clean(quotient), terms };
+    }
+
+    /**
+     * Formats the function, e.g. "(x + 1)/(x^2 + 1)".
+     * @param {string} [variable='x'] - The name of the variable.
+     * @returns {string} - The formatted function.
+     */
+    toString(variable = 'x') {
+        const wrap = p => (p.coefficients.filter(c => c !== 0).length > 1 ? `(${p.toString(variable)})` : p.toString(variable));
+        if (this.denominator.degree() === 0) return this.numerator.toString(variable);
+        return `${wrap(this.numerator)}/${wrap(this.denominator)}`;
+    }
+}
+
+/**
+ * Solves u a + v b = 1 for coprime polynomials with the extended Euclidean algorithm.
+ * @param {Polynomial} a - The first polynomial.
+ * @param {Polynomial} b - The second polynomial.
+ * @param {number} tolerance - The relative size below which a remainder coefficient counts as zero.
+ * @returns {Polynomial[]} - [u, v].
+ * @throws {Error} - If the polynomials have a common factor.
+ */
+function extendedGcd(a, b, tolerance) {
+    let [r0, r1] = [a, b];
+    let [u0, u1] = [new Polynomial([1]), new Polynomial([])];
+    let [v0, v1] = [new Polynomial([]), new Polynomial([1])];
+    while (!r1.isZero()) {
+        const scale = Math.max(...r0.coefficients.map(Math.abs));
+        const { quotient, remainder } = r0.divide(r1);
+        const next = new Polynomial(remainder.coefficients.map(c => (Math.abs(c) <= tolerance * scale ? 0 : c)));
+        [r0, r1] = [r1, next];
+        [u0, u1] = [u1, u0.subtract(quotient.multiply(u1))];
+        [v0, v1] = [v1, v0.subtract(quotient.multiply(v1))];
+    }
+    if (r0.degree() > 0) {
+        throw new Error("The polynomials have a common factor.");
+    }
+    return [u0.scale(1 / r0.coefficient(0)), v0.scale(1 / r0.coefficient(0))];
+}
+
+module.exports = {
+    RationalFunction
+};
@@ -0,0 +1,312 @@
+const { jacobian } = require('./calculus');
+const { autoDerivative } = require('./autodiff');
+const { solveLinearSystem } = require('./linearAlgebra');
+
+/**
+ * Checks that a function changes sign over an interval.
+ * @param {number} fa - The value at the lower end.
+ * @param {number} fb - The value at the upper end.
+ * @throws {Error} - If the values have the same sign.
+ */
+function requireBracket(fa, fb) {
+    if (Math.sign(fa) === Math.sign(fb)) {
+        throw new Error("The function must have opposite signs at a and b.");
+    }
+}
+
+/**
+ * Packages the result of a root finder.
+ * @param {number|number[]} root - The approximate root.
+ * @param {number} iterations - The number of iterations performed.
+ * @param {boolean} converged - Whether the tolerance was met.
+ * @param {number} residual - |f(root)|, or the Euclidean norm of F(root) for a system.
+ * @returns {{root: number|number[], iterations: number, converged: boolean, residual: number}} - The result.
+ */
+function rootResult(root, iterations, converged, residual) {
+    return { root, iterations, converged, residual };
+}
+
+/**
+ * Finds a root of a function in an interval where it changes sign, by repeatedly halving the interval.
+ * @param {Function} func - The function.
+ * @param {number} a - The lower end of the interval.
+ * @param {number} b - The upper end of the interval.
+ * @param {number} [tolerance=1e-12] - The requested accuracy of the root (relative to its size when above 1).
+ * @param {number} [maxIterations=200] - The maximum number of iterations.
+ * @returns {{root: number, iterations: number, converged: boolean, residual: number}} - The root and convergence report.
+ * @throws {Error} - If the function does not change sign over the interval.
+ */
+function bisection(func, a, b, tolerance = 1e-12, maxIterations = 200) {
+    let [fa, fb] = [func(a), func(b)];
+    if (fa === 0) return rootResult(a, 0, true, 0);
+    if (fb === 0) return rootResult(b, 0, true, 0);
+    requireBracket(fa, fb);
+    let middle = (a + b) / 2;
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        middle = (a + b) / 2;
+        const fm = func(middle);
+        if (fm === 0 || Math.abs(b - a) / 2 <= tolerance * Math.max(1, Math.abs(middle))) {
+            return rootResult(middle, iteration, true, Math.abs(fm));
+        }
+        if (Math.sign(fm) === Math.sign(fa)) {
+            [a, fa] = [middle, fm];
+        } else {
+            [b, fb] = [middle, fm];
+        }
+    }
+    return rootResult(middle, maxIterations, false, Math.abs(func(middle)));
+}
+
+/**
+ * Finds a root of a function with the Newton–Raphson method, starting from an initial guess.
+ * @param {Function} func - The function.
+ * @param {number} x0 - The initial guess.
+ * @param {Function|string} [derivative] - The derivative of the function, or 'ad' for automatic differentiation
+ *   (func must be written with the adMath operations); central differences are used if omitted.
+ * @param {number} [tolerance=1e-12] - The requested accuracy of the root (relative to its size when above 1).
+ * @param {number} [maxIterations=100] - The maximum number of iterations.
+ * @returns {{root: number, iterations: number, converged: boolean, residual: number}} - The root and convergence report.
+ */
+function newtonRaphson(func, x0, derivative, tolerance = 1e-12, maxIterations = 100) {
+    const slope = derivative === 'ad'
+        ? x => autoDerivative(func, x)
+        : derivative || (x => {
+            const h = 1e-6 * Math.max(1, Math.abs(x));
+            return (func(x + h) - func(x - h)) / (2 * h);
+        });
+    let x = x0;
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        const fx = func(x);
+        const dfx = slope(x);
+        if (fx === 0) return rootResult(x, iteration - 1, true, 0);
+        if (dfx === 0 || !Number.isFinite(dfx)) return rootResult(x, iteration, false, Math.abs(fx));
+        const step = fx / dfx;
+        x -= step;
+        if (Math.abs(step) <= tolerance * Math.max(1, Math.abs(x))) {
+            return rootResult(x, iteration, true, Math.abs(func(x)));
+        }
+    }
+    return rootResult(x, maxIterations, false, Math.abs(func(x)));
+}
+
+/**
+ * Finds a root of a function with the secant method, starting from two initial guesses.
+ * @param {Function} func - The function.
+ * @param {number} x0 - The first initial guess.
+ * @param {number} x1 - The second initial guess.
+ * @param {number} [tolerance=1e-12] - The requested accuracy of the root (relative to its size when above 1).
+ * @param {number} [maxIterations=100] - The maximum number of iterations.
+ * @returns {{root: number, iterations: number, converged: boolean, residual: number}} - The root and convergence report.
+ */
+function secantMethod(func, x0, x1, tolerance = 1e-12, maxIterations = 100) {
+    let [f0, f1] = [func(x0), func(x1)];
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        if (f1 === 0) return rootResult(x1, iteration - 1, true, 0);
+        if (f1 === f0) return rootResult(x1, iteration, false, Math.abs(f1));
+        const x2 = x1 - f1 * (x1 - x0) / (f1 - f0);
+        [x0, f0, x1, f1] = [x1, f1, x2, func(x2)];
+        if (Math.abs(x1 - x0) <= tolerance * Math.max(1, Math.abs(x1))) {
+            return rootResult(x1, iteration, true, Math.abs(f1));
+        }
+    }
+    return rootResult(x1, maxIterations, false, Math.abs(f1));
+}
+
+/**
+ * Finds a root of a function in an interval where it changes sign with Brent's method, which combines
+ * inverse quadratic interpolation and the secant method with the guaranteed convergence of bisection.
+ * @param {Function} func - The function.
+ * @param {number} a - The lower end of the interval.
+ * @param {number} b - The upper end of the interval.
+ * @param {number} [tolerance=1e-12] - The requested accuracy of the root (relative to its size when above 1).
+ * @param {number} [maxIterations=100] - The maximum number of iterations.
+ * @returns {{root: number, iterations: number, converged: boolean, residual: number}} - The root and convergence report.
+ * @throws {Error} - If the function does not change sign over the interval.
+ */
+function brentMethod(func, a, b, tolerance = 1e-12, maxIterations = 100) {
+    let [fa, fb] = [func(a), func(b)];
+    if (fa === 0) return rootResult(a, 0, true, 0);
+    if (fb === 0) return rootResult(b, 0, true, 0);
+    requireBracket(fa, fb);
+    let [c, fc] = [a, fa];
+    let d = b - a;
+    let e = d;
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        if (Math.sign(fb) === Math.sign(fc)) {
+            [c, fc] = [a, fa];
+            d = e = b - a;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            [a, b, c] = [b, c, b];
+            [fa, fb, fc] = [fb, fc, fb];
+        }
+        const limit = 2 * Number.EPSILON * Math.abs(b) + tolerance * Math.max(1, Math.abs(b)) / 2;
+        const half = (c - b) / 2;
+        if (Math.abs(half) <= limit || fb === 0) return rootResult(b, iteration, true, Math.abs(fb));
+        if (Math.abs(e) >= limit && Math.abs(fa) > Math.abs(fb)) {
+            // Interpolate: secant if only two distinct points, inverse quadratic otherwise.
+            const s = fb / fa;
+            let p;
+            let q;
+            if (a === c) {
+                p = 2 * half * s;
+                q = 1 - s;
+            } else {
+                const r = fb / fc;
+                const t = fa / fc;
+                p = s * (2 * half * t * (t - r) - (b - a) * (r - 1));
+                q = (t - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) q = -q; else p = -p;
+            if (2 * p < Math.min(3 * half * q - Math.abs(limit * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = half;
+                e = d;
+            }
+        } else {
+            d = half;
+            e = d;
+        }
+        [a, fa] = [b, fb];
+        b += Math.abs(d) > limit ? d : (half > 0 ? limit : -limit);
+        fb = func(b);
+    }
+    return rootResult(b, maxIterations, false, Math.abs(fb));
+}
+
+/**
+ * Expands an interval geometrically until the function changes sign over it.
+ * @param {Function} func - The function.
+ * @param {number} a - The lower end of the initial interval.
+ * @param {number} b - The upper end of the initial interval.
+ * @param {number} [factor=1.6] - The growth factor of each expansion.
+ * @param {number} [maxIterations=50] - The maximum number of expansions.
+ * @returns {{lower: number, upper: number, bracketed: boolean, iterations: number}} - The final interval and whether it brackets a root.
+ * @throws {Error} - If the initial interval is empty.
+ */
+function bracketRoot(func, a, b, factor = 1.6, maxIterations = 50) {
+    if (a === b) throw new Error("The initial interval must not be empty.");
+    let [fa, fb] = [func(a), func(b)];
+    for (let iteration = 0; iteration <= maxIterations; iteration++) {
+        if (Math.sign(fa) !== Math.sign(fb)) return { lower: a, upper: b, bracketed: true, iterations: iteration };
+        if (iteration === maxIterations) break;
+        if (Math.abs(fa) < Math.abs(fb)) {
+            a += factor * (a - b);
+            fa = func(a);
+        } else {
+            b += factor * (b - a);
+            fb = func(b);
+        }
+    }
+    return { lower: a, upper: b, bracketed: false, iterations: maxIterations };
+}
+
+/**
+ * Splits an interval into equal subintervals and returns those over which the function changes sign.
+ * Roots of even multiplicity, where the function touches zero without changing sign, are not found.
+ * @param {Function} func - The function.
+ * @param {number} a - The lower end of the interval.
+ * @param {number} b - The upper end of the interval.
+ * @param {number} [n=100] - The number of subintervals.
+ * @returns {number[][]} - The [lower, upper] subintervals that bracket a root.
+ */
+function findBrackets(func, a, b, n = 100) {
+    const brackets = [];
+    const h = (b - a) / n;
+    let [x0, f0] = [a, func(a)];
+    for (let i = 1; i <= n; i++) {
+        const x1 = i === n ? b : a + i * h;
+        const f1 = func(x1);
+        if (f0 === 0) {
+            brackets.push([x0, x0]);
+        } else if (f1 !== 0 && Math.sign(f0) !== Math.sign(f1)) {
+            brackets.push([x0, x1]);
+        }
+        [x0, f0] = [x1, f1];
+    }
+    if (f0 === 0) brackets.push([b, b]);
+    return brackets;
+}
+
+const norm = vector => Math.hypot(...vector);
+
+/**
+ * Solves a system of nonlinear equations F(x) = 0 with Newton's method.
+ * @param {Function} func - The system, called as func(x1, x2, ...) and returning an array of residuals.
+ * @param {number[]} x0 - The initial guess.
+ * @param {Object} [options={}] - The options.
+ * @param {Function|string} [options.jacobian] - The Jacobian, called as jacobian(x1, x2, ...), or 'ad' for automatic
+ *   differentiation (func must be written with the adMath operations); central differences are used if omitted.
+ * @param {number} [options.tolerance=1e-12] - The requested accuracy of the root (relative to its size when above 1).
+ * @param {number} [options.maxIterations=100] - The maximum number of iterations.
+ * @returns {{root: number[], iterations: number, converged: boolean, residual: number}} - The root and convergence report.
+ */
+function newtonSystem(func, x0, options = {}) {
+    const { tolerance = 1e-12, maxIterations = 100 } = options;
+    const J = typeof options.jacobian === 'function'
+        ? x => options.jacobian(...x)
+        : x => jacobian(func, x, options.jacobian === 'ad' ? 'ad' : 1e-6 * Math.max(1, norm(x)));
+    let x = x0.slice();
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        const F = func(...x);
+        let step;
+        try {
+            step = solveLinearSystem(J(x), F);
+        } catch (error) {
+            return rootResult(x, iteration, false, norm(F));
+        }
+        x = x.map((value, i) => value - step[i]);
+        if (norm(step) <= tolerance * Math.max(1, norm(x))) {
+            return rootResult(x, iteration, true, norm(func(...x)));
+        }
+    }
+    return rootResult(x, maxIterations, false, norm(func(...x)));
+}
+
+/**
+ * Solves a system of nonlinear equations F(x) = 0 with Broyden's method, which updates an approximate Jacobian
+ * from the residuals instead of recomputing it, so that each iteration costs one evaluation of the system.
+ * @param {Function} func - The system, called as func(x1, x2, ...) and returning an array of residuals.
+ * @param {number[]} x0 - The initial guess.
+ * @param {Object} [options={}] - The options.
+ * @param {number[][]} [options.jacobian] - The initial Jacobian (finite differences at x0 if omitted).
+ * @param {number} [options.tolerance=1e-12] - The requested accuracy of the root (relative to its size when above 1).
+ * @param {number} [options.maxIterations=200] - The maximum number of iterations.
+ * @returns {{root: number[], iterations: number, converged: boolean, residual: number}} - The root and convergence report.
+ */
+function broydenSystem(func, x0, options = {}) {
+    const { tolerance = 1e-12, maxIterations = 200 } = options;
+    let x = x0.slice();
+    let F = func(...x);
+    let B = options.jacobian ? options.jacobian.map(row => row.slice()) : jacobian(func, x, 1e-6 * Math.max(1, norm(x)));
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        let step;
+        try {
+            step = solveLinearSystem(B, F).map(value => -value);
+        } catch (error) {
+            return rootResult(x, iteration, false, norm(F));
+        }
+        x = x.map((value, i) => value + step[i]);
+        const next = func(...x);
+        if (norm(step) <= tolerance * Math.max(1, norm(x))) return rootResult(x, iteration, true, norm(next));
+        // Rank-one update B += ((ΔF - B Δx) Δxᵀ) / (Δxᵀ Δx).
+        const change = next.map((value, i) => value - F[i] - B[i].reduce((sum, entry, j) => sum + entry * step[j], 0));
+        const length = step.reduce((sum, value) => sum + value * value, 0);
+        B = B.map((row, i) => row.map((entry, j) => entry + change[i] * step[j] / length));
+        F = next;
+    }
+    return rootResult(x, maxIterations, false, norm(F));
+}
+
+module.exports = {
+    bisection,
+    newtonRaphson,
+    secantMethod,
+    brentMethod,
+    bracketRoot,
+    findBrackets,
+    newtonSystem,
+    broydenSystem
+};
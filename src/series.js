@@ -0,0 +1,537 @@
+const { parseExpression, evaluateExpression, freeVariables, formatExpression } = require('./expression');
+const { simplifyAst, differentiateAst, substituteAst } = require('./symbolic');
+const { gaussKronrod } = require('./quadrature');
+const { solveLinearSystem } = require('./linearAlgebra');
+
+const constant = (value) => ({ type: 'number', value });
+const binary = (operator, left, right) => ({ type: 'binary', operator, left, right });
+
+/**
+ * Converts an expression in x to a JS function; JS functions are returned unchanged.
+ * @param {Function|string|Object} func - The function, or an expression as a string or a syntax tree.
+ * @returns {Function} - The function of x.
+ */
+function toFunction(func) {
+    if (typeof func === 'function') return func;
+    const node = typeof func === 'string' ? parseExpression(func) : func;
+    return (x) => evaluateExpression(node, { x });
+}
+
+/**
+ * Calculates n! as a floating-point number.
+ * @param {number} n - A non-negative integer.
+ * @returns {number} - n!.
+ */
+function factorialOf(n) {
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+/**
+ * Evaluates a polynomial in (x - a) with Horner's method.
+ * @param {number[]} coefficients - The coefficients, lowest power first.
+ * @param {number} t - The value of x - a.
+ * @returns {number} - The value of the polynomial.
+ */
+function horner(coefficients, t) {
+    return coefficients.reduceRight((sum, coefficient) => sum * t + coefficient, 0);
+}
+
+/**
+ * Computes the Taylor coefficients of a real function at a point by interpolating it at Chebyshev
+ * points around the point and converting the interpolant to powers of (x - a). The points never include
+ * a itself, so a removable singularity at a is harmless. The radius shrinks until the interpolant converges.
+ * @param {Function} func - The function.
+ * @param {number} a - The centre of the expansion.
+ * @param {number} order - The highest power required.
+ * @returns {number[]} - The coefficients of (x - a)^0, ..., (x - a)^order.
+ * @throws {Error} - If the function cannot be interpolated near the point.
+ */
+function chebyshevCoefficients(func, a, order) {
+    for (let radius = 0.5; radius > 1e-3; radius /= 2) {
+        for (let n = 16; n <= 128; n *= 2) {
+            const values = [];
+            for (let j = 0; j < n; j++) values.push(func(a + radius * Math.cos(Math.PI * (j + 0.5) / n)));
+            if (!values.every(Number.isFinite)) break;
+            const chebyshev = [];
+            for (let k = 0; k < n; k++) {
+                const sum = values.reduce((total, value, j) => total + value * Math.cos(Math.PI * k * (j + 0.5) / n), 0);
+                chebyshev.push((k === 0 ? 1 : 2) * sum / n);
+            }
+            const largest = Math.max(...chebyshev.map(Math.abs));
+            if (Math.abs(chebyshev[n - 1]) + Math.abs(chebyshev[n - 2]) > 1e-13 * largest) continue;
+            // Accumulate each Chebyshev polynomial T_k(t), truncated to degree `order`, with t = (x - a) / radius.
+            const coefficients = Array(order + 1).fill(0);
+            let previous = [1];
+            let current = [0, 1];
+            chebyshev.forEach((c, k) => {
+                const polynomial = k === 0 ? previous : current;
+                polynomial.slice(0, order + 1).forEach((p, m) => { coefficients[m] += c * p; });
+                if (k > 0) {
+                    const next = Array(Math.min(k + 2, order + 1)).fill(0);
+                    current.forEach((p, m) => { if (m + 1 <= order) next[m + 1] += 2 * p; });
+                    previous.forEach((p, m) => { if (m <= order) next[m] -= p; });
+                    [previous, current] = [current, next];
+                }
+            });
+            return coefficients.map((c, m) => c / Math.pow(radius, m));
+        }
+    }
+    throw new Error(`The function cannot be expanded in a power series at ${a}.`);
+}
+
+/**
+ * Checks whether a constant coefficient is zero, allowing for rounding in coefficients that do not simplify to 0.
+ * @param {Object} ast - The coefficient as a syntax tree.
+ * @returns {boolean} - True if it is zero.
+ */
+function isZeroCoefficient(ast) {
+    if (ast.type === 'number') return ast.value === 0;
+    return Math.abs(evaluateExpression(ast)) <= 1e-13;
+}
+
+/**
+ * Creates a truncated power series sum over i of terms[i] (x - a)^(low + i), known up to (x - a)^(low + terms.length).
+ * Leading zero terms are dropped, so that terms[0] is non-zero unless nothing is known about the series but its order.
+ * @param {number} low - The power of the first term.
+ * @param {Object[]} terms - The coefficients as syntax trees.
+ * @returns {{low: number, terms: Object[], precision: number}} - The series.
+ */
+function powerSeries(low, terms) {
+    let skip = 0;
+    while (skip < terms.length && isZeroCoefficient(terms[skip])) skip++;
+    return { low: low + skip, terms: terms.slice(skip), precision: low + terms.length };
+}
+
+/**
+ * Adds two truncated power series.
+ * @param {Object} s1 - The first series.
+ * @param {Object} s2 - The second series.
+ * @returns {Object} - The sum.
+ */
+function addSeries(s1, s2) {
+    const low = Math.min(s1.low, s2.low, s1.precision, s2.precision);
+    const precision = Math.min(s1.precision, s2.precision);
+    const at = (series, k) => series.terms[k - series.low] || constant(0);
+    return powerSeries(low, Array.from({ length: Math.max(0, precision - low) }, (_, i) =>
+        simplifyAst(binary('+', at(s1, low + i), at(s2, low + i)))));
+}
+
+/**
+ * Multiplies two truncated power series.
+ * @param {Object} s1 - The first series.
+ * @param {Object} s2 - The second series.
+ * @returns {Object} - The product.
+ */
+function multiplySeries(s1, s2) {
+    const low = s1.low + s2.low;
+    const precision = Math.min(s1.precision + s2.low, s2.precision + s1.low);
+    return powerSeries(low, Array.from({ length: Math.max(0, precision - low) }, (_, k) => {
+        const products = [];
+        for (let i = Math.max(0, k - s2.terms.length + 1); i <= Math.min(k, s1.terms.length - 1); i++) {
+            products.push(binary('*', s1.terms[i], s2.terms[k - i]));
+        }
+        return simplifyAst(products.reduce((sum, product) => binary('+', sum, product), constant(0)));
+    }));
+}
+
+/**
+ * Multiplies a truncated power series by a constant.
+ * @param {Object} series - The series.
+ * @param {Object} factor - The constant as a syntax tree.
+ * @returns {Object} - The product.
+ */
+function scaleSeries(series, factor) {
+    return powerSeries(series.low, series.terms.map(term => simplifyAst(binary('*', factor, term))));
+}
+
+/**
+ * Creates the truncated power series of a constant, known up to (x - a)^precision.
+ * @param {Object} value - The constant as a syntax tree.
+ * @param {number} precision - The number of terms.
+ * @returns {Object} - The series.
+ */
+function constantSeries(value, precision) {
+    return powerSeries(0, [value, ...Array(Math.max(0, precision - 1)).fill(constant(0))]);
+}
+
+/**
+ * Raises a truncated power series to a constant power: non-negative integer powers by repeated multiplication,
+ * other powers with the binomial series of (1 + t)^r.
+ * @param {Object} series - The series.
+ * @param {number} power - The exponent.
+ * @returns {Object|null} - The power, or null if it is not a power series in (x - a).
+ */
+function powerOfSeries(series, power) {
+    if (Number.isInteger(power) && power >= 0) {
+        if (power === 0) return constantSeries(constant(1), Math.max(series.precision, series.precision - series.low));
+        let result = series;
+        for (let i = 1; i < power; i++) result = multiplySeries(result, series);
+        return result;
+    }
+    if (series.terms.length === 0 || !Number.isInteger(series.low * power)) return null;
+    // series = leading (x - a)^low (1 + t), where t has no constant term.
+    const [leading] = series.terms;
+    const length = series.terms.length;
+    const t = powerSeries(1, series.terms.slice(1).map(term => simplifyAst(binary('/', term, leading))));
+    let result = constantSeries(constant(1), length);
+    let tPower = result;
+    let binomial = 1;
+    for (let k = 1; k < length; k++) {
+        binomial *= (power - k + 1) / k;
+        tPower = multiplySeries(tPower, t);
+        result = addSeries(result, scaleSeries(tPower, constant(binomial)));
+    }
+    const scaled = scaleSeries(result, binary('^', leading, constant(power)));
+    return powerSeries(series.low * power + scaled.low, scaled.terms);
+}
+
+/**
+ * Composes a function of one argument with a truncated power series u = c + t, where t has no constant term, as
+ * the sum over k of f^(k)(c) t^k / k!.
+ * @param {string} name - The function name.
+ * @param {Object} series - The series of the argument.
+ * @returns {Object|null} - The composition, or null if the argument has a pole or f is not analytic at c.
+ */
+function composeSeries(name, series) {
+    if (series.low < 0) return null;
+    const centre = series.low === 0 && series.terms.length > 0 ? series.terms[0] : constant(0);
+    const t = series.low === 0 ? powerSeries(1, series.terms.slice(1)) : series;
+    let derivative = { type: 'call', name, args: [{ type: 'symbol', name: 'x' }] };
+    let result = constantSeries(constant(0), series.precision);
+    let tPower = constantSeries(constant(1), series.precision);
+    for (let k = 0; k < series.precision; k++) {
+        const coefficient = simplifyAst(binary('/', substituteAst(derivative, 'x', centre), constant(factorialOf(k))));
+        if (!Number.isFinite(evaluateExpression(coefficient))) return null;
+        result = addSeries(result, scaleSeries(tPower, coefficient));
+        tPower = multiplySeries(tPower, t);
+        derivative = differentiateAst(derivative);
+    }
+    return result;
+}
+
+/**
+ * Expands an expression in x as a truncated power series around a point by series arithmetic, which cancels
+ * removable singularities such as the one of sin(x)/x at 0 exactly.
+ * @param {Object} node - The syntax tree of the expression in x.
+ * @param {number} a - The centre of the expansion.
+ * @param {number} precision - The number of terms to start each constant and x with.
+ * @returns {Object|null} - The series, or null if part of the expression cannot be expanded.
+ */
+function expandSeries(node, a, precision) {
+    switch (node.type) {
+        case 'number':
+            return constantSeries(node, precision);
+        case 'symbol':
+            if (node.name !== 'x') return constantSeries(node, precision);
+            return powerSeries(0, [constant(a), constant(1), ...Array(Math.max(0, precision - 2)).fill(constant(0))]);
+        case 'unary': {
+            const argument = expandSeries(node.argument, a, precision);
+            return argument && scaleSeries(argument, constant(-1));
+        }
+        case 'call': {
+            if (node.args.length !== 1) return null;
+            const argument = expandSeries(node.args[0], a, precision);
+            return argument && composeSeries(node.name, argument);
+        }
+
+        case 'binary': {
+            const left = expandSeries(node.left, a, precision);
+            if (!left) return null;
+            if (node.operator === '^' && !freeVariables(node.right).includes('x')) {
+                return powerOfSeries(left, evaluateExpression(node.right));
+            }
+            const right = expandSeries(node.right, a, precision);
+            if (!right) return null;
+            switch (node.operator) {
+                case '+':
+                    return addSeries(left, right);
+                case '-':
+                    return addSeries(left, scaleSeries(right, constant(-1)));
+                case '*':
+                    return multiplySeries(left, right);
+                case '/': {
+                    const reciprocal = powerOfSeries(right, -1);
+                    return reciprocal && multiplySeries(left, reciprocal);
+                }
+                case '^': {
+                    // b^e = exp(e ln b).
+                    const logarithm = composeSeries('ln', left);
+                    return logarithm && composeSeries('exp', multiplySeries(right, logarithm));
+                }
+                default:
+                    return null;
+            }
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Computes exact Taylor coefficients of an expression at a point by series arithmetic, for expressions whose
+ * derivatives are undefined at the point.
+ * @param {Object} node - The syntax tree of the expression in x.
+ * @param {number} a - The centre of the expansion.
+ * @param {number} order - The highest power required.
+ * @returns {Object[]|null} - The coefficients as syntax trees, or null if the expression has no Taylor series there
+ *   (or cannot be expanded this way).
+ */
+function expansionCoefficients(node, a, order) {
+    // Division by a series that vanishes at the point uses up terms, so retry with more of them.
+    for (let extra = 4; extra <= 16; extra *= 2) {
+        let series;
+        try {
+            series = expandSeries(node, a, order + 1 + extra);
+        } catch (error) {
+            return null;
+        }
+        if (!series || (series.low < 0 && series.terms.length > 0)) return null;
+        if (series.precision > order) {
+            return Array.from({ length: order + 1 }, (_, k) => series.terms[k - series.low] || constant(0));
+        }
+    }
+    return null;
+}
+
+/**
+ * Computes exact Taylor coefficients of an expression at a point from its symbolic derivatives, or by series
+ * arithmetic where the derivatives are undefined at the point but have a limit there.
+ * @param {Object} node - The syntax tree of the expression in x.
+ * @param {number} a - The centre of the expansion.
+ * @param {number} order - The highest power required.
+ * @returns {{coefficients: number[], asts: Object[], derivatives: Object[]}|null} - The coefficients as numbers and
+ *   as syntax trees, and the derivatives; null if there are no exact coefficients.
+ */
+function symbolicCoefficients(node, a, order) {
+    const derivatives = [simplifyAst(node)];
+    for (let k = 1; k <= order + 1; k++) derivatives.push(differentiateAst(derivatives[k - 1]));
+    let asts;
+    try {
+        asts = derivatives.slice(0, order + 1).map((derivative, k) =>
+            simplifyAst(binary('/', substituteAst(derivative, 'x', constant(a)), constant(factorialOf(k)))));
+        if (!asts.map(ast => evaluateExpression(ast)).every(Number.isFinite)) asts = null;
+    } catch (error) {
+        asts = null;
+    }
+    asts = asts || expansionCoefficients(derivatives[0], a, order);
+    if (!asts) return null;
+    const coefficients = asts.map(ast => evaluateExpression(ast));
+    return coefficients.every(Number.isFinite) ? { coefficients, asts, derivatives } : null;
+}
+
+/**
+ * Builds the syntax tree of a polynomial in (x - a) with the given coefficients, lowest power first.
+ * Each term is simplified on its own so that the powers of (x - a) are kept.
+ * @param {Object[]} asts - The coefficients as syntax trees, lowest power first.
+ * @param {number} a - The centre.
+ * @param {number} [lowest=0] - The power of the first coefficient (negative for a Laurent series).
+ * @returns {Object} - The syntax tree.
+ */
+function polynomialAst(asts, a, lowest = 0) {
+    const shift = a === 0 ? { type: 'symbol', name: 'x' } : binary('-', { type: 'symbol', name: 'x' }, constant(a));
+    const placeholder = { type: 'symbol', name: '__t' };
+    const terms = asts
+        .map((ast, i) => simplifyAst(binary('*', ast, binary('^', placeholder, constant(lowest + i)))))
+        .filter(term => !(term.type === 'number' && term.value === 0))
+        .map(term => substituteAst(term, '__t', shift));
+    if (terms.length === 0) return constant(0);
+    return terms.reduce((sum, term) => {
+        if (term.type === 'unary') return binary('-', sum, term.argument);
+        if (term.type === 'number' && term.value < 0) return binary('-', sum, constant(-term.value));
+        return binary('+', sum, term);
+    });
+}
+
+/**
+ * Calculates the Taylor series expansion of a function around a point, using true n-th order derivatives.
+ * An expression is differentiated symbolically, giving exact coefficients and a symbolic polynomial; where the
+ * derivatives are undefined at the point but have limits there, as for sin(x)/x at 0, the coefficients come from
+ * series arithmetic instead. A JS function, or an expression without exact coefficients, is expanded numerically
+ * by Chebyshev interpolation around the point.
+ * @param {Function|string|Object} func - The function to expand, or an expression in x such as "e^x sin(x)".
+ * @param {number} [a=0] - The point around which to expand.
+ * @param {number} [n=5] - The number of terms in the series, i.e. the polynomial has degree n - 1 (default is 5).
+ * @returns {Function} - A function evaluating the Taylor polynomial, with the properties coefficients (of (x - a)^k,
+ *   lowest power first), center, and remainderBound(x), the Lagrange bound max|f^(n)| |x - a|^n / n! with the maximum
+ *   estimated by sampling between a and x. With exact coefficients it also has expression and ast (the polynomial).
+ * @throws {Error} - If the function has no Taylor series at the point.
+ */
+function taylorSeries(func, a = 0, n = 5) {
+    const node = typeof func === 'string' ? parseExpression(func) : func;
+    const exact = typeof func !== 'function' ? symbolicCoefficients(node, a, n - 1) : null;
+    const f = toFunction(func);
+    const coefficients = exact ? exact.coefficients : chebyshevCoefficients(f, a, n - 1);
+
+    const nthDerivative = (x) => {
+        if (!exact) return chebyshevCoefficients(f, x, n)[n] * factorialOf(n);
+        try {
+            return evaluateExpression(exact.derivatives[n], { x });
+        } catch (error) {
+            return NaN;
+        }
+    };
+    const series = (x) => horner(coefficients, x - a);
+    series.coefficients = coefficients;
+    series.center = a;
+    series.remainderBound = (x) => {
+        let largest = 0;
+        for (let i = 0; i <= 32; i++) {
+            // A removable singularity leaves the derivative undefined at isolated points, which are skipped.
+            const value = Math.abs(nthDerivative(a + (x - a) * i / 32));
+            if (Number.isFinite(value)) largest = Math.max(largest, value);
+        }
+        return largest * Math.pow(Math.abs(x - a), n) / factorialOf(n);
+    };
+    if (exact) {
+        series.ast = polynomialAst(exact.asts, a);
+        series.expression = formatExpression(series.ast);
+    }
+    return series;
+}
+
+/**
+ * Calculates the Maclaurin series of a function, i.e. its Taylor series around 0.
+ * @param {Function|string|Object} func - The function to expand, or an expression in x.
+ * @param {number} [n=5] - The number of terms in the series (default is 5).
+ * @returns {Function} - The series, as returned by taylorSeries.
+ */
+function maclaurinSeries(func, n = 5) {
+    return taylorSeries(func, 0, n);
+}
+
+/**
+ * Estimates the order of the pole of a function at a point from how fast it grows near the point.
+ * @param {Function} func - The function.
+ * @param {number} a - The point.
+ * @returns {number} - The order of the pole (0 if the function is bounded near the point).
+ */
+function poleOrder(func, a) {
+    const slopes = [-1, 1].map((side) => {
+        const near = Math.abs(func(a + side * 1e-4));
+        const far = Math.abs(func(a + side * 1e-3));
+        return Math.log10(near / far);
+    }).filter(Number.isFinite);
+    if (slopes.length === 0) throw new Error(`The function is not defined near ${a}.`);
+    return Math.max(0, Math.round(slopes.reduce((sum, slope) => sum + slope, 0) / slopes.length));
+}
+
+/**
+ * Calculates the Laurent series of a function with a pole at a point: the Taylor series of
+ * (x - a)^m f(x), where m is the order of the pole, divided by (x - a)^m.
+ * @param {Function|string|Object} func - The function to expand, or an expression in x such as "1/(x^2 sin(x))".
+ * @param {number} [a=0] - The point around which to expand.
+ * @param {number} [n=5] - The number of terms with non-negative powers (default is 5).
+ * @param {number} [order] - The order of the pole (estimated numerically if omitted).
+ * @returns {Function} - A function evaluating the truncated Laurent series, with the properties coefficients (of
+ *   (x - a)^k for k = -order, ..., n - 1), order, residue (the coefficient of (x - a)^-1) and center; for an expression
+ *   with exact coefficients, also expression and ast.
+ * @throws {Error} - If the function cannot be expanded around the point.
+ */
+function laurentSeries(func, a = 0, n = 5, order) {
+    const f = toFunction(func);
+    const m = order === undefined ? poleOrder(f, a) : order;
+    const terms = m + n;
+    let exact = null;
+    if (typeof func !== 'function') {
+        const node = typeof func === 'string' ? parseExpression(func) : func;
+        const shift = a === 0 ? { type: 'symbol', name: 'x' } : binary('-', { type: 'symbol', name: 'x' }, constant(a));
+        exact = symbolicCoefficients(binary('*', binary('^', shift, constant(m)), node), a, terms - 1);
+    }
+    const coefficients = exact ? exact.coefficients : chebyshevCoefficients(x => Math.pow(x - a, m) * f(x), a, terms - 1);
+
+    const series = (x) => horner(coefficients, x - a) / Math.pow(x - a, m);
+    series.coefficients = coefficients;
+    series.order = m;
+    series.residue = m > 0 ? coefficients[m - 1] : 0;
+    series.center = a;
+    if (exact) {
+        series.ast = polynomialAst(exact.asts, a, -m);
+        series.expression = formatExpression(series.ast);
+    }
+    return series;
+}
+
+/**
+ * Calculates the Fourier series of a periodic function,
+ * a0 / 2 + sum over k of (a_k cos(2πkx / T) + b_k sin(2πkx / T)), with the coefficients integrated adaptively.
+ * @param {Function|string|Object} func - The function, or an expression in x.
+ * @param {number} [n=5] - The number of harmonics (default is 5).
+ * @param {number} [period=2π] - The period T.
+ * @param {number} [start=-period/2] - The start of the period over which the coefficients are integrated.
+ * @returns {Function} - A function evaluating the truncated series, with the properties a (a_0, ..., a_n),
+ *   b (b_0 = 0, b_1, ..., b_n), period and error (the total estimated integration error).
+ */
+function fourierSeries(func, n = 5, period = 2 * Math.PI, start = -period / 2) {
+    const f = toFunction(func);
+    const omega = 2 * Math.PI / period;
+    let error = 0;
+    const coefficient = (weight) => {
+        const result = gaussKronrod(x => f(x) * weight(x), start, start + period, 1e-10, 1000);
+        error += result.error;
+        return 2 * result.value / period;
+    };
+    const a = [];
+    const b = [];
+    for (let k = 0; k <= n; k++) {
+        a.push(coefficient(x => Math.cos(k * omega * x)));
+        b.push(k === 0 ? 0 : coefficient(x => Math.sin(k * omega * x)));
+    }
+    const series = (x) => a.reduce((sum, ak, k) => k === 0
+        ? sum + ak / 2
+        : sum + ak * Math.cos(k * omega * x) + b[k] * Math.sin(k * omega * x), 0);
+    series.a = a;
+    series.b = b;
+    series.period = period;
+    series.error = error;
+    return series;
+}
+
+/**
+ * Calculates the [m/n] Padé approximant of a function around a point: the rational function p(x) / q(x),
+ * with p of degree m and q of degree n (q(a) = 1), whose Taylor series agrees with the function's to order m + n.
+ * @param {Function|string|Object} func - The function, or an expression in x.
+ * @param {number} [a=0] - The point around which to approximate.
+ * @param {number} [m=2] - The degree of the numerator.
+ * @param {number} [n=2] - The degree of the denominator.
+ * @returns {Function} - A function evaluating the approximant, with the properties numerator and denominator
+ *   (coefficients of (x - a)^k, lowest power first) and center.
+ * @throws {Error} - If the approximant does not exist (the linear system for the denominator is singular).
+ */
+function padeApproximant(func, a = 0, m = 2, n = 2) {
+    const c = taylorSeries(func, a, m + n + 1).coefficients;
+    const at = k => (k < 0 ? 0 : c[k]);
+    // Solve sum over j of q_j c_(k - j) = -c_k for k = m + 1, ..., m + n.
+    const matrix = [];
+    const rhs = [];
+    for (let k = m + 1; k <= m + n; k++) {
+        matrix.push(Array.from({ length: n }, (_, j) => at(k - j - 1)));
+        rhs.push(-at(k));
+    }
+    let q = [];
+    if (n > 0) {
+        try {
+            q = solveLinearSystem(matrix, rhs, 1e-14 * Math.max(...c.map(Math.abs)));
+        } catch (error) {
+            throw new Error(`The [${m}/${n}] Padé approximant does not exist at ${a}.`);
+        }
+    }
+    const denominator = [1, ...q];
+    const numerator = Array.from({ length: m + 1 }, (_, k) =>
+        denominator.reduce((sum, qj, j) => sum + qj * at(k - j), 0));
+
+    const approximant = (x) => horner(numerator, x - a) / horner(denominator, x - a);
+    approximant.numerator = numerator;
+    approximant.denominator = denominator;
+    approximant.center = a;
+    return approximant;
+}
+
+module.exports = {
+    taylorSeries,
+    maclaurinSeries,
+    laurentSeries,
+    fourierSeries,
+    padeApproximant
+};
@@ -0,0 +1,794 @@
+const { Matrix, Vector } = require('./matrix');
+const { requireSize, requireIndex } = require('./matrixValidation');
+
+/**
+ * Largest number of entries (80 MB of doubles) the Krylov basis may grow to when GMRES adapts its restart length.
+ */
+const MAX_KRYLOV_ENTRIES = 1e7;
+
+/**
+ * A sparse matrix in coordinate (COO) format: parallel lists of row indices, column indices and values. This is the
+ * format to build a matrix in, entry by entry; duplicate entries are summed when it is converted to CSR or CSC.
+ */
+class CooMatrix {
+    /**
+     * Creates a sparse matrix in coordinate format.
+     * @param {number} rows - The number of rows.
+     * @param {number} columns - The number of columns.
+     * @param {Array[]} [entries=[]] - Triples [i, j, value].
+     * @throws {Error} - If the shape is invalid or an index is out of range.
+     */
+    constructor(rows, columns, entries = []) {
+        requireSize(rows);
+        requireSize(columns);
+        this.rows = rows;
+        this.columns = columns;
+        this.rowIndices = [];
+        this.columnIndices = [];
+        this.values = [];
+        entries.forEach(([i, j, value]) => this.add(i, j, value));
+    }
+
+    /**
+     * Converts a dense matrix to coordinate format, keeping the non-zero entries.
+     * @param {number[][]|Matrix} matrix - The dense matrix.
+     * @returns {CooMatrix} - The sparse matrix.
+     */
+    static fromDense(matrix) {
+        const dense = Matrix.from(matrix);
+        const result = new CooMatrix(dense.rows, dense.columns);
+        for (let i = 0; i < dense.rows; i++) {
+            for (let j = 0; j < dense.columns; j++) {
+                const value = dense.data[i * dense.columns + j];
+                if (value !== 0) result.add(i, j, value);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Appends an entry in place. Entries at the same position are summed.
+     * @param {number} i - The row index.
+     * @param {number} j - The column index.
+     * @param {number} value - The value.
+     * @returns {CooMatrix} - This matrix.
+     * @throws {Error} - If an index is out of range.
+     */
+    add(i, j, value) {
+        requireIndex(i, this.rows);
+        requireIndex(j, this.columns);
+        this.rowIndices.push(i);
+        this.columnIndices.push(j);
+        this.values.push(value);
+        return this;
+    }
+
+    /**
+     * The number of stored entries (including duplicates and explicit zeros).
+     * @returns {number} - The number of entries.
+     */
+    get nonZeros() {
+        return this.values.length;
+    }
+
+    /**
+     * Multiplies by a vector.
+     * @param {number[]|Vector} x - The vector.
+     * @returns {number[]} - The product A x.
+     * @throws {Error} - If the length of the vector does not match.
+     */
+    multiply(x) {
+        const v = vectorData(x, this.columns);
+        const result = new Float64Array(this.rows);
+        for (let k = 0; k < this.values.length; k++) {
+            result[this.rowIndices[k]] += this.values[k] * v[this.columnIndices[k]];
+        }
+        return Array.from(result);
+    }
+
+    /**
+     * Converts to compressed sparse row format.
+     * @returns {CsrMatrix} - The CSR matrix.
+     */
+    toCSR() {
+        const { pointers, indices, values } = compress(this.rows, this.rowIndices, this.columnIndices, this.values);
+        return new CsrMatrix(this.rows, this.columns, pointers, indices, values);
+    }
+
+    /**
+     * Converts to compressed sparse column format.
+     * @returns {CscMatrix} - The CSC matrix.
+     */
+    toCSC() {
+        const { pointers, indices, values } = compress(this.columns, this.columnIndices, this.rowIndices, this.values);
+        return new CscMatrix(this.rows, this.columns, pointers, indices, values);
+    }
+
+    /**
+     * Converts to a dense array of rows.
+     * @returns {number[][]} - The dense matrix.
+     */
+    toDense() {
+        const result = Array.from({ length: this.rows }, () => Array(this.columns).fill(0));
+        for (let k = 0; k < this.values.length; k++) {
+            result[this.rowIndices[k]][this.columnIndices[k]] += this.values[k];
+        }
+        return result;
+    }
+}
+
+/**
+ * A sparse matrix in compressed sparse row (CSR) format: the column indices and values of row i are stored at
+ * positions rowPointers[i] to rowPointers[i + 1] - 1, in increasing column order. Matrix-vector products and the
+ * iterative solvers work row by row on this format.
+ */
+class CsrMatrix {
+    /**
+     * Creates a CSR matrix from its arrays, which are copied into typed arrays.
+     * @param {number} rows - The number of rows.
+     * @param {number} columns - The number of columns.
+     * @param {number[]|Int32Array} rowPointers - The rows + 1 offsets into columnIndices and values.
+     * @param {number[]|Int32Array} columnIndices - The column of each stored entry.
+     * @param {number[]|Float64Array} values - The stored entries.
+     * @throws {Error} - If the arrays are inconsistent with each other or with the shape.
+     */
+    constructor(rows, columns, rowPointers, columnIndices, values) {
+        requireSize(rows);
+        requireSize(columns);
+        requireCompressed(rows, columns, rowPointers, columnIndices, values);
+        this.rows = rows;
+        this.columns = columns;
+        this.rowPointers = Int32Array.from(rowPointers);
+        this.columnIndices = Int32Array.from(columnIndices);
+        this.values = Float64Array.from(values);
+    }
+
+    /**
+     * Converts a dense matrix to CSR format, keeping the non-zero entries.
+     * @param {number[][]|Matrix} matrix - The dense matrix.
+     * @returns {CsrMatrix} - The sparse matrix.
+     */
+    static fromDense(matrix) {
+        return CooMatrix.fromDense(matrix).toCSR();
+    }
+
+    /**
+     * Converts a sparse matrix in any format, or a dense matrix, to CSR format.
+     * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The matrix.
+     * @returns {CsrMatrix} - The CSR matrix (the argument itself if it already is one).
+     */
+    static from(matrix) {
+        if (matrix instanceof CsrMatrix) return matrix;
+        if (matrix instanceof CscMatrix || matrix instanceof CooMatrix) return matrix.toCSR();
+        return CsrMatrix.fromDense(matrix);
+    }
+
+    /**
+     * The number of stored entries.
+     * @returns {number} - The number of entries.
+     */
+    get nonZeros() {
+        return this.values.length;
+    }
+
+    /**
+     * Reads an entry by binary search in its row.
+     * @param {number} i - The row index.
+     * @param {number} j - The column index.
+     * @returns {number} - The entry, 0 if it is not stored.
+     * @throws {Error} - If an index is out of range.
+     */
+    get(i, j) {
+        requireIndex(i, this.rows);
+        requireIndex(j, this.columns);
+        return findEntry(this.rowPointers, this.columnIndices, this.values, i, j);
+    }
+
+    /**
+     * Copies the diagonal.
+     * @returns {number[]} - The entries a_ii.
+     */
+    diagonal() {
+        return Array.from({ length: Math.min(this.rows, this.columns) }, (_, i) => this.get(i, i));
+    }
+
+    /**
+     * Multiplies by a vector.
+     * @param {number[]|Vector} x - The vector.
+     * @returns {number[]} - The product A x.
+     * @throws {Error} - If the length of the vector does not match.
+     */
+    multiply(x) {
+        return Array.from(this.multiplyData(vectorData(x, this.columns)));
+    }
+
+    /**
+     * Multiplies by a vector given as a typed array, without checks or conversions (used by the solvers).
+     * @param {Float64Array} x - The vector.
+     * @returns {Float64Array} - The product A x.
+     */
+    multiplyData(x) {
+        const result = new Float64Array(this.rows);
+        for (let i = 0; i < this.rows; i++) {
+            let sum = 0;
+            for (let k = this.rowPointers[i]; k < this.rowPointers[i + 1]; k++) sum += this.values[k] * x[this.columnIndices[k]];
+            result[i] = sum;
+        }
+        return result;
+    }
+
+    /**
+     * Transposes the matrix. The arrays of a CSR matrix read as CSC describe the transpose, so this only
+     * reinterprets them.
+     * @returns {CsrMatrix} - The transpose.
+     */
+    transpose() {
+        return new CscMatrix(this.columns, this.rows, this.rowPointers, this.columnIndices, this.values).toCSR();
+    }
+
+    /**
+     * Converts to compressed sparse column format.
+     * @returns {CscMatrix} - The CSC matrix.
+     */
+    toCSC() {
+        return this.toCOO().toCSC();
+    }
+
+    /**
+     * Converts to coordinate format.
+     * @returns {CooMatrix} - The COO matrix.
+     */
+    toCOO() {
+        return expand(new CooMatrix(this.rows, this.columns), this.rowPointers, this.columnIndices, this.values, false);
+    }
+
+    /**
+     * Converts to a dense array of rows.
+     * @returns {number[][]} - The dense matrix.
+     */
+    toDense() {
+        return this.toCOO().toDense();
+    }
+}
+
+/**
+ * A sparse matrix in compressed sparse column (CSC) format: the row indices and values of column j are stored at
+ * positions columnPointers[j] to columnPointers[j + 1] - 1, in increasing row order.
+ */
+class CscMatrix {
+    /**
+     * Creates a CSC matrix from its arrays, which are copied into typed arrays.
+     * @param {number} rows - The number of rows.
+     * @param {number} columns - The number of columns.
+     * @param {number[]|Int32Array} columnPointers - The columns + 1 offsets into rowIndices and values.
+     * @param {number[]|Int32Array} rowIndices - The row of each stored entry.
+     * @param {number[]|Float64Array} values - The stored entries.
+     * @throws {Error} - If the arrays are inconsistent with each other or with the shape.
+     */
+    constructor(rows, columns, columnPointers, rowIndices, values) {
+        requireSize(rows);
+        requireSize(columns);
+        requireCompressed(columns, rows, columnPointers, rowIndices, values);
+        this.rows = rows;
+        this.columns = columns;
+        this.columnPointers = Int32Array.from(columnPointers);
+        this.rowIndices = Int32Array.from(rowIndices);
+        this.values = Float64Array.from(values);
+    }
+
+    /**
+     * Converts a dense matrix to CSC format, keeping the non-zero entries.
+     * @param {number[][]|Matrix} matrix - The dense matrix.
+     * @returns {CscMatrix} - The sparse matrix.
+     */
+    static fromDense(matrix) {
+        return CooMatrix.fromDense(matrix).toCSC();
+    }
+
+    /**
+     * Converts a sparse matrix in any format, or a dense matrix, to CSC format.
+     * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The matrix.
+     * @returns {CscMatrix} - The CSC matrix (the argument itself if it already is one).
+     */
+    static from(matrix) {
+        if (matrix instanceof CscMatrix) return matrix;
+        if (matrix instanceof CsrMatrix || matrix instanceof CooMatrix) return matrix.toCSC();
+        return CscMatrix.fromDense(matrix);
+    }
+
+    /**
+     * The number of stored entries.
+     * @returns {number} - The number of entries.
+     */
+    get nonZeros() {
+        return this.values.length;
+    }
+
+    /**
+     * Reads an entry by binary search in its column.
+     * @param {number} i - The row index.
+     * @param {number} j - The column index.
+     * @returns {number} - The entry, 0 if it is not stored.
+     * @throws {Error} - If an index is out of range.
+     */
+    get(i, j) {
+        requireIndex(i, this.rows);
+        requireIndex(j, this.columns);
+        return findEntry(this.columnPointers, this.rowIndices, this.values, j, i);
+    }
+
+    /**
+     * Multiplies by a vector, adding each column scaled by the matching entry of the vector.
+     * @param {number[]|Vector} x - The vector.
+     * @returns {number[]} - The product A x.
+     * @throws {Error} - If the length of the vector does not match.
+     */
+    multiply(x) {
+        const v = vectorData(x, this.columns);
+        const result = new Float64Array(this.rows);
+        for (let j = 0; j < this.columns; j++) {
+            if (v[j] === 0) continue;
+            for (let k = this.columnPointers[j]; k < this.columnPointers[j + 1]; k++) result[this.rowIndices[k]] += this.values[k] * v[j];
+        }
+        return Array.from(result);
+    }
+
+    /**
+     * Converts to compressed sparse row format.
+     * @returns {CsrMatrix} - The CSR matrix.
+     */
+    toCSR() {
+        return this.toCOO().toCSR();
+    }
+
+    /**
+     * Converts to coordinate format.
+     * @returns {CooMatrix} - The COO matrix.
+     */
+    toCOO() {
+        return expand(new CooMatrix(this.rows, this.columns), this.columnPointers, this.rowIndices, this.values, true);
+    }
+
+    /**
+     * Converts to a dense array of rows.
+     * @returns {number[][]} - The dense matrix.
+     */
+    toDense() {
+        return this.toCOO().toDense();
+    }
+}
+
+/**
+ * Checks the arrays of a compressed (CSR or CSC) matrix.
+ * @param {number} major - The number of rows (CSR) or columns (CSC).
+ * @param {number} minor - The other dimension.
+ * @param {ArrayLike<number>} pointers - The offsets.
+ * @param {ArrayLike<number>} indices - The minor index of each entry.
+ * @param {ArrayLike<number>} values - The entries.
+ * @throws {Error} - If the arrays are inconsistent.
+ */
+function requireCompressed(major, minor, pointers, indices, values) {
+    if (pointers.length !== major + 1 || pointers[0] !== 0 || pointers[major] !== values.length) {
+        throw new Error(`The pointer array must have ${major + 1} offsets from 0 to the number of entries.`);
+    }
+    if (indices.length !== values.length) throw new Error('There must be one index for every stored value.');
+    for (let a = 0; a < major; a++) {
+        if (pointers[a + 1] < pointers[a]) throw new Error('The pointer array must be non-decreasing.');
+        for (let k = pointers[a]; k < pointers[a + 1]; k++) {
+            requireIndex(indices[k], minor);
+            if (k > pointers[a] && indices[k] <= indices[k - 1]) {
+                throw new Error('The indices within each row or column must be strictly increasing.');
+            }
+        }
+    }
+}
+
+/**
+ * Sorts coordinate entries by major and then minor index and sums duplicates, giving the arrays of a compressed
+ * format (CSR when the major indices are rows, CSC when they are columns).
+ * @param {number} major - The size of the major dimension.
+ * @param {number[]} majorIndices - The major index of each entry.
+ * @param {number[]} minorIndices - The minor index of each entry.
+ * @param {number[]} entries - The values.
+ * @returns {{pointers: Int32Array, indices: Int32Array, values: Float64Array}} - The compressed arrays.
+ */
+function compress(major, majorIndices, minorIndices, entries) {
+    const order = entries.map((_, k) => k)
+        .sort((a, b) => majorIndices[a] - majorIndices[b] || minorIndices[a] - minorIndices[b]);
+    const pointers = new Int32Array(major + 1);
+    const indices = [];
+    const values = [];
+    order.forEach((k, position) => {
+        const previous = order[position - 1];
+        if (position > 0 && majorIndices[k] === majorIndices[previous] && minorIndices[k] === minorIndices[previous]) {
+            values[values.length - 1] += entries[k];
+        } else {
+            indices.push(minorIndices[k]);
+            values.push(entries[k]);
+            pointers[majorIndices[k] + 1]++;
+        }
+    });
+    for (let a = 0; a < major; a++) pointers[a + 1] += pointers[a];
+    return { pointers, indices: Int32Array.from(indices), values: Float64Array.from(values) };
+}
+
+/**
+ * Appends the entries of a compressed matrix to a COO matrix.
+ * @param {CooMatrix} coo - The COO matrix.
+ * @param {Int32Array} pointers - The offsets.
+ * @param {Int32Array} indices - The minor indices.
+ * @param {Float64Array} values - The entries.
+ * @param {boolean} columnMajor - True for CSC arrays, false for CSR arrays.
+ * @returns {CooMatrix} - The COO matrix.
+ */
+function expand(coo, pointers, indices, values, columnMajor) {
+    for (let a = 0; a + 1 < pointers.length; a++) {
+        for (let k = pointers[a]; k < pointers[a + 1]; k++) {
+            if (columnMajor) coo.add(indices[k], a, values[k]);
+            else coo.add(a, indices[k], values[k]);
+        }
+    }
+    return coo;
+}
+
+/**
+ * Finds an entry of a compressed matrix by binary search.
+ * @param {Int32Array} pointers - The offsets.
+ * @param {Int32Array} indices - The minor indices.
+ * @param {Float64Array} values - The entries.
+ * @param {number} a - The major index.
+ * @param {number} b - The minor index.
+ * @returns {number} - The entry, 0 if it is not stored.
+ */
+function findEntry(pointers, indices, values, a, b) {
+    let low = pointers[a];
+    let high = pointers[a + 1] - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (indices[middle] === b) return values[middle];
+        if (indices[middle] < b) low = middle + 1;
+        else high = middle - 1;
+    }
+    return 0;
+}
+
+/**
+ * Converts a vector to a Float64Array and checks its length.
+ * @param {number[]|Vector|Float64Array} x - The vector.
+ * @param {number} length - The required length.
+ * @returns {Float64Array} - The entries.
+ * @throws {Error} - If the length does not match.
+ */
+function vectorData(x, length) {
+    const data = Vector.from(x).data;
+    if (data.length !== length) {
+        throw new Error('Number of columns in the matrix must be equal to the length of the vector.');
+    }
+    return data;
+}
+
+/**
+ * Creates the Jacobi (diagonal) preconditioner, M = diag(A), the cheapest useful choice for diagonally dominant
+ * matrices.
+ * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The square matrix.
+ * @returns {Function} - The function r => M⁻¹ r on Float64Arrays.
+ * @throws {Error} - If a diagonal entry is zero.
+ */
+function jacobiPreconditioner(matrix) {
+    const diagonal = CsrMatrix.from(matrix).diagonal();
+    if (diagonal.some(value => value === 0)) throw new Error('The Jacobi preconditioner needs a non-zero diagonal.');
+    return r => r.map((value, i) => value / diagonal[i]);
+}
+
+/**
+ * Creates the incomplete LU preconditioner ILU(0): Gaussian elimination that keeps only the entries in the sparsity
+ * pattern of A, so L + U has no fill-in, followed by forward and back substitution.
+ * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The square matrix.
+ * @returns {Function} - The function r => (LU)⁻¹ r on Float64Arrays.
+ * @throws {Error} - If the matrix is not square or a pivot is zero.
+ */
+function iluPreconditioner(matrix) {
+    const A = CsrMatrix.from(matrix);
+    if (A.rows !== A.columns) throw new Error('Matrix must be square.');
+    const n = A.rows;
+    const { rowPointers: pointers, columnIndices: columns } = A;
+    const lu = Float64Array.from(A.values);
+    const diagonalPosition = new Int32Array(n).fill(-1);
+    const position = new Int32Array(n).fill(-1);
+    for (let i = 0; i < n; i++) {
+        for (let k = pointers[i]; k < pointers[i + 1]; k++) position[columns[k]] = k;
+        for (let k = pointers[i]; k < pointers[i + 1] && columns[k] < i; k++) {
+            const j = columns[k];
+            if (diagonalPosition[j] < 0 || lu[diagonalPosition[j]] === 0) {
+                throw new Error('The ILU preconditioner met a zero pivot.');
+            }
+            lu[k] /= lu[diagonalPosition[j]];
+            for (let m = diagonalPosition[j] + 1; m < pointers[j + 1]; m++) {
+                if (position[columns[m]] >= 0) lu[position[columns[m]]] -= lu[k] * lu[m];
+            }
+        }
+        for (let k = pointers[i]; k < pointers[i + 1]; k++) {
+            if (columns[k] === i) diagonalPosition[i] = k;
+            position[columns[k]] = -1;
+        }
+        if (diagonalPosition[i] < 0 || lu[diagonalPosition[i]] === 0) throw new Error('The ILU preconditioner met a zero pivot.');
+    }
+    return (r) => {
+        const z = Float64Array.from(r);
+        for (let i = 0; i < n; i++) {
+            for (let k = pointers[i]; k < diagonalPosition[i]; k++) z[i] -= lu[k] * z[columns[k]];
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let k = diagonalPosition[i] + 1; k < pointers[i + 1]; k++) z[i] -= lu[k] * z[columns[k]];
+            z[i] /= lu[diagonalPosition[i]];
+        }
+        return z;
+    };
+}
+
+/**
+ * Prepares a system for the iterative solvers.
+ * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The square matrix.
+ * @param {number[]|Vector} b - The right-hand side.
+ * @param {Object} options - The options of the solver.
+ * @returns {Object} - { n, multiply, precondition, b, x, tolerance, maxIterations, bNorm }.
+ * @throws {Error} - If the shapes do not match or the preconditioner is unknown.
+ */
+function setUpSystem(matrix, b, options) {
+    const A = CsrMatrix.from(matrix);
+    if (A.rows !== A.columns) throw new Error('Matrix must be square.');
+    const n = A.rows;
+    const { initialGuess, tolerance = 1e-10, maxIterations = 10 * n, preconditioner = null } = options;
+    let precondition;
+    if (preconditioner === null) precondition = r => r;
+    else if (preconditioner === 'jacobi') precondition = jacobiPreconditioner(A);
+    else if (preconditioner === 'ilu') precondition = iluPreconditioner(A);
+    else if (typeof preconditioner === 'function') precondition = r => Float64Array.from(preconditioner(r));
+    else throw new Error(`Unknown preconditioner: ${preconditioner}.`);
+    const rhs = Float64Array.from(vectorData(b, n));
+    const x = initialGuess === undefined ? new Float64Array(n) : Float64Array.from(vectorData(initialGuess, n));
+    return { n, multiply: v => A.multiplyData(v), precondition, b: rhs, x, tolerance, maxIterations, bNorm: norm(rhs) || 1 };
+}
+
+/**
+ * Calculates the dot product of two typed arrays.
+ * @param {Float64Array} u - The first vector.
+ * @param {Float64Array} v - The second vector.
+ * @returns {number} - The dot product.
+ */
+function dot(u, v) {
+    let sum = 0;
+    for (let i = 0; i < u.length; i++) sum += u[i] * v[i];
+    return sum;
+}
+
+/**
+ * Calculates the Euclidean norm of a typed array.
+ * @param {Float64Array} v - The vector.
+ * @returns {number} - The norm.
+ */
+function norm(v) {
+    return Math.sqrt(dot(v, v));
+}
+
+/**
+ * Calculates the residual b - A x.
+ * @param {Object} system - The system from setUpSystem.
+ * @param {Float64Array} x - The approximate solution.
+ * @returns {Float64Array} - The residual.
+ */
+function residualOf(system, x) {
+    const Ax = system.multiply(x);
+    return system.b.map((value, i) => value - Ax[i]);
+}
+
+/**
+ * Builds the result of an iterative solver.
+ * @param {Float64Array} x - The approximate solution.
+ * @param {number} iterations - The number of iterations performed.
+ * @param {boolean} converged - Whether the tolerance was met.
+ * @param {number[]} residualHistory - The relative residual norm ||b - A x|| / ||b|| after each iteration.
+ * @returns {{solution: number[], iterations: number, converged: boolean, residual: number, residualHistory: number[]}} -
+ *   The result; residual is the final relative residual norm.
+ */
+function solverResult(x, iterations, converged, residualHistory) {
+    return { solution: Array.from(x), iterations, converged, residual: residualHistory[residualHistory.length - 1], residualHistory };
+}
+
+/**
+ * Solves A x = b for a symmetric positive definite matrix with the (preconditioned) Conjugate Gradient method.
+ * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The symmetric positive definite matrix.
+ * @param {number[]|Vector} b - The right-hand side.
+ * @param {Object} [options={}] - Options.
+ * @param {number[]} [options.initialGuess] - The starting vector (zero by default).
+ * @param {number} [options.tolerance=1e-10] - The required relative residual ||b - A x|| / ||b||.
+ * @param {number} [options.maxIterations=10 * n] - The maximum number of iterations.
+ * @param {string|Function} [options.preconditioner=null] - 'jacobi', 'ilu' or a function r => M⁻¹ r, where M
+ *   must be symmetric positive definite.
+ * @returns {{solution: number[], iterations: number, converged: boolean, residual: number, residualHistory: number[]}} -
+ *   The solution and convergence report.
+ * @throws {Error} - If the matrix turns out not to be positive definite.
+ */
+function conjugateGradient(matrix, b, options = {}) {
+    const system = setUpSystem(matrix, b, options);
+    const { n, multiply, precondition, tolerance, maxIterations, bNorm } = system;
+    const x = system.x;
+    const r = residualOf(system, x);
+    let z = precondition(r);
+    const p = Float64Array.from(z);
+    let rz = dot(r, z);
+    const history = [norm(r) / bNorm];
+    let iterations = 0;
+    while (history[iterations] > tolerance && iterations < maxIterations) {
+        const Ap = multiply(p);
+        const curvature = dot(p, Ap);
+        if (curvature <= 0) throw new Error('Matrix is not positive definite.');
+        const alpha = rz / curvature;
+        for (let i = 0; i < n; i++) {
+            x[i] += alpha * p[i];
+            r[i] -= alpha * Ap[i];
+        }
+        z = precondition(r);
+        const rzNext = dot(r, z);
+        const beta = rzNext / rz;
+        rz = rzNext;
+        for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+        iterations++;
+        history.push(norm(r) / bNorm);
+    }
+    return solverResult(x, iterations, history[iterations] <= tolerance, history);
+}
+
+/**
+ * Solves A x = b for a general square matrix with the restarted GMRES method: each cycle builds an orthonormal
+ * Krylov basis with the Arnoldi process and minimizes the residual over it, using Givens rotations to keep the
+ * residual norm up to date. Preconditioning is applied on the right, so the reported residual is the true one.
+ * Restarting discards the Krylov basis, so GMRES with a short fixed restart can stagnate on systems that need many
+ * more steps, such as the tridiagonal matrix [-1, 2, -1]. By default the first cycle has 30 steps and each cycle that
+ * ends short of the tolerance doubles the length of the next, up to full GMRES (n steps, which converges in at most n)
+ * or a basis of 10^7 numbers for large n. A fixed restart keeps every cycle at that length.
+ * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The square matrix.
+ * @param {number[]|Vector} b - The right-hand side.
+ * @param {Object} [options={}] - Options.
+ * @param {number[]} [options.initialGuess] - The starting vector (zero by default).
+ * @param {number} [options.tolerance=1e-10] - The required relative residual ||b - A x|| / ||b||.
+ * @param {number} [options.maxIterations=10 * n] - The maximum total number of Arnoldi steps.
+ * @param {number} [options.restart] - A fixed number of steps per cycle (the size of the Krylov basis); adaptive by
+ *   default.
+ * @param {string|Function} [options.preconditioner=null] - 'jacobi', 'ilu' or a function r => M⁻¹ r.
+ * @returns {{solution: number[], iterations: number, converged: boolean, residual: number, residualHistory: number[]}} -
+ *   The solution and convergence report.
+ */
+function gmres(matrix, b, options = {}) {
+    const system = setUpSystem(matrix, b, options);
+    const { n, multiply, precondition, tolerance, maxIterations, bNorm } = system;
+    const adaptive = options.restart === undefined;
+    const maxRestart = Math.max(30, Math.min(n, Math.floor(MAX_KRYLOV_ENTRIES / n)));
+    let restart = adaptive ? 30 : options.restart;
+    const x = system.x;
+    let r = residualOf(system, x);
+    let beta = norm(r);
+    const history = [beta / bNorm];
+    let iterations = 0;
+    while (history[history.length - 1] > tolerance && iterations < maxIterations) {
+        const m = Math.min(restart, n);
+        const V = [r.map(value => value / beta)];
+        const Z = [];
+        const H = Array.from({ length: m + 1 }, () => new Float64Array(m));
+        const cs = new Float64Array(m);
+        const sn = new Float64Array(m);
+        const g = new Float64Array(m + 1);
+        g[0] = beta;
+        let k = 0;
+        while (k < m && iterations < maxIterations) {
+            Z.push(precondition(V[k]));
+            const w = multiply(Z[k]);
+            // Modified Gram-Schmidt against the basis so far.
+            for (let i = 0; i <= k; i++) {
+                H[i][k] = dot(w, V[i]);
+                for (let l = 0; l < n; l++) w[l] -= H[i][k] * V[i][l];
+            }
+            H[k + 1][k] = norm(w);
+            V.push(w.map(value => (H[k + 1][k] === 0 ? 0 : value / H[k + 1][k])));
+            for (let i = 0; i < k; i++) {
+                [H[i][k], H[i + 1][k]] = [cs[i] * H[i][k] + sn[i] * H[i + 1][k], -sn[i] * H[i][k] + cs[i] * H[i + 1][k]];
+            }
+            const radius = Math.hypot(H[k][k], H[k + 1][k]);
+            cs[k] = radius === 0 ? 1 : H[k][k] / radius;
+            sn[k] = radius === 0 ? 0 : H[k + 1][k] / radius;
+            H[k][k] = radius;
+            H[k + 1][k] = 0;
+            g[k + 1] = -sn[k] * g[k];
+            g[k] *= cs[k];
+            k++;
+            iterations++;
+            history.push(Math.abs(g[k]) / bNorm);
+            if (history[history.length - 1] <= tolerance || V[k].every(value => value === 0)) break;
+        }
+        // Solve the k x k triangular least-squares system and update x with the preconditioned basis.
+        const y = new Float64Array(k);
+        for (let i = k - 1; i >= 0; i--) {
+            let sum = g[i];
+            for (let j = i + 1; j < k; j++) sum -= H[i][j] * y[j];
+            y[i] = H[i][i] === 0 ? 0 : sum / H[i][i];
+        }
+        for (let j = 0; j < k; j++) {
+            for (let l = 0; l < n; l++) x[l] += y[j] * Z[j][l];
+        }
+        r = residualOf(system, x);
+        beta = norm(r);
+        history[history.length - 1] = beta / bNorm;
+        if (beta === 0 || k === 0) break;
+        if (adaptive) restart = Math.min(2 * restart, maxRestart);
+    }
+    const residual = history[history.length - 1];
+    return solverResult(x, iterations, residual <= tolerance, history);
+}
+
+/**
+ * Solves A x = b for a general square matrix with the (right-preconditioned) BiCGSTAB method, which needs only two
+ * products with A per iteration and smooths the erratic convergence of BiCG.
+ * @param {CsrMatrix|CscMatrix|CooMatrix|number[][]|Matrix} matrix - The square matrix.
+ * @param {number[]|Vector} b - The right-hand side.
+ * @param {Object} [options={}] - Options.
+ * @param {number[]} [options.initialGuess] - The starting vector (zero by default).
+ * @param {number} [options.tolerance=1e-10] - The required relative residual ||b - A x|| / ||b||.
+ * @param {number} [options.maxIterations=10 * n] - The maximum number of iterations.
+ * @param {string|Function} [options.preconditioner=null] - 'jacobi', 'ilu' or a function r => M⁻¹ r.
+ * @returns {{solution: number[], iterations: number, converged: boolean, residual: number, residualHistory: number[]}} -
+ *   The solution and convergence report; the iteration stops early, unconverged, if the method breaks down.
+ */
+function bicgstab(matrix, b, options = {}) {
+    const system = setUpSystem(matrix, b, options);
+    const { n, multiply, precondition, tolerance, maxIterations, bNorm } = system;
+    const x = system.x;
+    const r = residualOf(system, x);
+    const shadow = Float64Array.from(r);
+    const p = new Float64Array(n);
+    let v = new Float64Array(n);
+    let [rho, alpha, omega] = [1, 1, 1];
+    const history = [norm(r) / bNorm];
+    let iterations = 0;
+    while (history[iterations] > tolerance && iterations < maxIterations) {
+        const rhoNext = dot(shadow, r);
+        if (rhoNext === 0 || omega === 0) break;
+        const beta = (rhoNext / rho) * (alpha / omega);
+        rho = rhoNext;
+        for (let i = 0; i < n; i++) p[i] = r[i] + beta * (p[i] - omega * v[i]);
+        const pHat = precondition(p);
+        v = multiply(pHat);
+        const shadowV = dot(shadow, v);
+        if (shadowV === 0) break;
+        alpha = rho / shadowV;
+        const s = r.map((value, i) => value - alpha * v[i]);
+        iterations++;
+        if (norm(s) / bNorm <= tolerance) {
+            for (let i = 0; i < n; i++) x[i] += alpha * pHat[i];
+            r.set(s);
+            history.push(norm(r) / bNorm);
+            break;
+        }
+        const sHat = precondition(s);
+        const t = multiply(sHat);
+        const tt = dot(t, t);
+        omega = tt === 0 ? 0 : dot(t, s) / tt;
+        for (let i = 0; i < n; i++) {
+            x[i] += alpha * pHat[i] + omega * sHat[i];
+            r[i] = s[i] - omega * t[i];
+        }
+        history.push(norm(r) / bNorm);
+    }
+    const residual = history[history.length - 1];
+    return solverResult(x, iterations, residual <= tolerance, history);
+}
+
+module.exports = {
+    CooMatrix,
+    CsrMatrix,
+    CscMatrix,
+    jacobiPreconditioner,
+    iluPreconditioner,
+    conjugateGradient,
+    gmres,
+    bicgstab
+};
@@ -0,0 +1,1449 @@
+const { parseExpression, evaluateExpression, formatExpression } = require('./expression');
+const { gcd, lcm } = require('./numberTheory');
+
+// Expressions are simplified by converting them to a canonical sum of terms.
+// Each term is a rational coefficient times a sorted list of factors (base^exponent),
+// and the sum is a Map from a term's factor signature to the term, so like terms collide.
+
+const ZERO = { n: 0, d: 1 };
+const ONE = { n: 1, d: 1 };
+const MINUS_ONE = { n: -1, d: 1 };
+const HALF = { n: 1, d: 2 };
+
+/**
+ * Creates a rational number n/d in lowest terms.
+ * Falls back to a floating point value (with d = 1) when n or d is not a safe integer.
+ * @param {number} n - The numerator.
+ * @param {number} [d=1] - The denominator.
+ * @returns {{n: number, d: number}} - The rational number.
+ * @throws {Error} - If the denominator is zero.
+ */
+function fraction(n, d = 1) {
+    if (d === 0) throw new Error("Cannot divide by zero.");
+    if (!Number.isSafeInteger(n) || !Number.isSafeInteger(d)) return { n: n / d, d: 1 };
+    const divisor = Math.abs(gcd(n, d)) || 1;
+    const sign = d < 0 ? -1 : 1;
+    return { n: sign * n / divisor, d: sign * d / divisor };
+}
+
+/**
+ * Converts a number to a rational, keeping terminating decimals such as 0.1 exact.
+ * @param {number} value - The number to convert.
+ * @returns {{n: number, d: number}} - The rational number.
+ */
+function toFraction(value) {
+    if (Number.isInteger(value)) return fraction(value);
+    const decimals = /^-?\d*\.(\d+)$/.exec(String(value));
+    if (decimals && decimals[1].length <= 15) {
+        const scale = Math.pow(10, decimals[1].length);
+        return fraction(Math.round(value * scale), scale);
+    }
+    return { n: value, d: 1 };
+}
+
+const addFractions = (a, b) => fraction(a.n * b.d + b.n * a.d, a.d * b.d);
+const negateFraction = (a) => ({ n: -a.n, d: a.d });
+const subtractFractions = (a, b) => addFractions(a, negateFraction(b));
+const multiplyFractions = (a, b) => fraction(a.n * b.n, a.d * b.d);
+const divideFractions = (a, b) => fraction(a.n * b.d, a.d * b.n);
+const fractionValue = (a) => a.n / a.d;
+const isExact = (a) => Number.isInteger(a.n);
+const isInteger = (a) => a.d === 1 && Number.isInteger(a.n);
+const isOne = (a) => a.n === 1 && a.d === 1;
+
+/**
+ * Raises a rational number to an integer power.
+ * @param {{n: number, d: number}} a - The base.
+ * @param {number} k - The integer exponent.
+ * @returns {{n: number, d: number}} - The result.
+ */
+function powerFraction(a, k) {
+    if (k >= 0) return fraction(Math.pow(a.n, k), Math.pow(a.d, k));
+    return fraction(Math.pow(a.d, -k), Math.pow(a.n, -k));
+}
+
+/**
+ * Takes the exact q-th root of a non-negative rational, if it has one.
+ * @param {{n: number, d: number}} a - The rational number.
+ * @param {number} q - The root degree.
+ * @returns {{n: number, d: number}|null} - The root, or null if it is irrational.
+ */
+function exactRoot(a, q) {
+    const rootN = Math.round(Math.pow(a.n, 1 / q));
+    const rootD = Math.round(Math.pow(a.d, 1 / q));
+    if (Math.pow(rootN, q) === a.n && Math.pow(rootD, q) === a.d) return fraction(rootN, rootD);
+    return null;
+}
+
+/**
+ * Creates a syntax tree node for a (possibly negative) number.
+ * @param {number} value - The number.
+ * @returns {Object} - The syntax tree node.
+ */
+function numberNode(value) {
+    if (value < 0) return { type: 'unary', operator: '-', argument: { type: 'number', value: -value } };
+    return { type: 'number', value };
+}
+
+/**
+ * Creates a syntax tree node for a rational number, e.g. "1/3".
+ * @param {{n: number, d: number}} a - The rational number.
+ * @returns {Object} - The syntax tree node.
+ */
+function fractionNode(a) {
+    if (a.d === 1) return numberNode(a.n);
+    const node = { type: 'binary', operator: '/', left: numberNode(Math.abs(a.n)), right: numberNode(a.d) };
+    return a.n < 0 ? { type: 'unary', operator: '-', argument: node } : node;
+}
+
+const makeFactor = (base, exponent) => ({ key: formatExpression(base), base, exponent });
+const termKey = (factors) => factors.map(f => `${f.key}^(${f.exponent.n}/${f.exponent.d})`).join(' · ');
+const termSum = (term) => addTerm(new Map(), term);
+const atomSum = (node) => termSum({ coeff: ONE, factors: [makeFactor(node, ONE)] });
+const isConstant = (sum) => sum.size === 0 || (sum.size === 1 && sum.has(''));
+const constantOf = (sum) => sum.size === 0 ? ZERO : sum.get('').coeff;
+
+/**
+ * Creates a sum holding a single constant.
+ * @param {{n: number, d: number}} value - The constant.
+ * @returns {Map} - The sum.
+ */
+function constantSum(value) {
+    return termSum({ coeff: value, factors: [] });
+}
+
+/**
+ * Adds a term into a sum in place, merging it with a like term if there is one.
+ * @param {Map} sum - The sum to add to.
+ * @param {Object} term - The term to add.
+ * @returns {Map} - The same sum.
+ */
+function addTerm(sum, term) {
+    const key = termKey(term.factors);
+    const existing = sum.get(key);
+    const coeff = existing ? addFractions(existing.coeff, term.coeff) : term.coeff;
+    if (coeff.n === 0) {
+        sum.delete(key);
+    } else {
+        sum.set(key, { coeff, factors: term.factors });
+    }
+    return sum;
+}
+
+/**
+ * Largest k such that k^q divides n, used to pull perfect powers out of roots (sqrt(8) = 2sqrt(2)).
+ * @param {number} n - A positive integer.
+ * @param {number} q - The root degree.
+ * @returns {number} - The largest such k (1 if none).
+ */
+function perfectPowerPart(n, q) {
+    let part = 1;
+    for (let k = 2; Math.pow(k, q) <= n && k <= 10000; k++) {
+        while (n % Math.pow(k, q) === 0) {
+            n /= Math.pow(k, q);
+            part *= k;
+        }
+    }
+    return part;
+}
+
+/**
+ * Orders the factors of a term: numbers, then variables, then everything else, each alphabetically.
+ * @param {Object} a - The first factor.
+ * @param {Object} b - The second factor.
+ * @returns {number} - Negative if a comes first, positive if b does.
+ */
+function compareFactors(a, b) {
+    const rank = f => (f.base.type === 'number' ? 0 : f.base.type === 'symbol' ? 1 : 2);
+    if (rank(a) !== rank(b)) return rank(a) - rank(b);
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Multiplies two terms, adding the exponents of equal factors and folding numeric factors into the coefficient.
+ * @param {Object} t1 - The first term.
+ * @param {Object} t2 - The second term.
+ * @returns {Object} - The product term.
+ */
+function multiplyTerms(t1, t2) {
+    let coeff = multiplyFractions(t1.coeff, t2.coeff);
+    const merged = new Map();
+    const merge = f => {
+        const existing = merged.get(f.key);
+        merged.set(f.key, existing ? { ...f, exponent: addFractions(existing.exponent, f.exponent) } : f);
+    };
+    [...t1.factors, ...t2.factors].forEach(merge);
+    // |b|^(2k) = b^(2k).
+    [...merged.values()].forEach(f => {
+        if (f.base.type !== 'call' || f.base.name !== 'abs' || !isInteger(f.exponent) || f.exponent.n % 2 !== 0) return;
+        merged.delete(f.key);
+        merge(makeFactor(f.base.args[0], f.exponent));
+    });
+    const factors = [];
+    merged.forEach(f => {
+        if (f.exponent.n === 0) return;
+        if (f.base.type !== 'number' || !isExact(f.exponent) || !Number.isInteger(f.base.value)) {
+            factors.push(f);
+            return;
+        }
+        const whole = Math.floor(fractionValue(f.exponent));
+        coeff = multiplyFractions(coeff, powerFraction(fraction(f.base.value), whole));
+        const rest = subtractFractions(f.exponent, fraction(whole));
+        if (rest.n === 0) return;
+        const part = perfectPowerPart(f.base.value, rest.d);
+        if (part > 1) {
+            coeff = multiplyFractions(coeff, powerFraction(fraction(part), rest.n));
+        }
+        const base = f.base.value / Math.pow(part, rest.d);
+        if (base !== 1) factors.push(makeFactor(numberNode(base), rest));
+    });
+    factors.sort(compareFactors);
+    return { coeff, factors };
+}
+
+/**
+ * Wraps a sum as a single term, turning a sum of several terms into one opaque factor.
+ * @param {Map} sum - The sum.
+ * @returns {Object} - The term.
+ */
+function atomTerm(sum) {
+    if (sum.size === 0) return { coeff: ZERO, factors: [] };
+    if (sum.size === 1) return sum.values().next().value;
+    return { coeff: ONE, factors: [makeFactor(sumToNode(sum), ONE)] };
+}
+
+function addSums(a, b) {
+    const sum = new Map(a);
+    b.forEach(term => addTerm(sum, term));
+    return sum;
+}
+
+function scaleSum(sum, factor) {
+    const result = new Map();
+    if (factor.n === 0) return result;
+    sum.forEach(term => addTerm(result, { coeff: multiplyFractions(term.coeff, factor), factors: term.factors }));
+    return result;
+}
+
+/**
+ * Multiplies two sums. Constants are always distributed; other products of sums
+ * are only multiplied out when expanding, and otherwise kept as factors.
+ * @param {Map} a - The first sum.
+ * @param {Map} b - The second sum.
+ * @param {Object} options - The simplification options.
+ * @returns {Map} - The product.
+ */
+function multiplySums(a, b, options) {
+    if (a.size === 0 || b.size === 0) return new Map();
+    if (isConstant(a)) return scaleSum(b, constantOf(a));
+    if (isConstant(b)) return scaleSum(a, constantOf(b));
+    const result = new Map();
+    if (options.expand) {
+        a.forEach(t1 => b.forEach(t2 => addTerm(result, multiplyTerms(t1, t2))));
+    } else {
+        addTerm(result, multiplyTerms(atomTerm(a), atomTerm(b)));
+    }
+    return result;
+}
+
+/**
+ * Raises a rational coefficient to a rational power, keeping irrational parts as numeric factors.
+ * @param {{n: number, d: number}} coeff - The coefficient.
+ * @param {{n: number, d: number}} power - The exponent.
+ * @returns {Object|null} - The resulting term, or null if it cannot be represented (negative base).
+ */
+function powerOfCoefficient(coeff, power) {
+    if (isInteger(power)) return { coeff: powerFraction(coeff, power.n), factors: [] };
+    if (isOne(coeff)) return { coeff: ONE, factors: [] };
+    if (fractionValue(coeff) < 0) return null;
+    if (!isExact(power) || !isExact(coeff)) {
+        return { coeff: { n: Math.pow(fractionValue(coeff), fractionValue(power)), d: 1 }, factors: [] };
+    }
+    const root = exactRoot(coeff, power.d);
+    if (root) return { coeff: powerFraction(root, power.n), factors: [] };
+    const factors = [];
+    if (coeff.n !== 1) factors.push(makeFactor(numberNode(coeff.n), power));
+    if (coeff.d !== 1) factors.push(makeFactor(numberNode(coeff.d), negateFraction(power)));
+    return multiplyTerms({ coeff: ONE, factors: [] }, { coeff: ONE, factors });
+}
+
+/**
+ * Checks whether a factor can only take non-negative values: a positive number or constant, an abs, exp or sqrt
+ * call, or any power with an even root in its exponent.
+ * @param {Object} f - The factor.
+ * @returns {boolean} - True if the factor is known to be non-negative.
+ */
+function isNonNegativeFactor(f) {
+    if (isExact(f.exponent) && f.exponent.d % 2 === 0) return true;
+    const { base } = f;
+    if (base.type === 'number') return base.value > 0;
+    if (base.type === 'symbol') return base.name === 'pi' || base.name === 'e';
+    return base.type === 'call' && ['abs', 'exp', 'sqrt'].includes(base.name);
+}
+
+/**
+ * Raises a factor b^e to a power p. The exponents are multiplied only where (b^e)^p = b^(e p) holds wherever the
+ * left side is defined: for integer p, for non-negative b^e, and for even roots of odd powers (which need b >= 0).
+ * An even power under a root becomes a power of |b|, so sqrt(x^2) is |x|; any other root is kept whole, e.g. (x^3)^(1/3).
+ * @param {Object} f - The factor.
+ * @param {{n: number, d: number}} power - The power.
+ * @returns {Object} - The resulting factor.
+ */
+function powerFactor(f, power) {
+    const exponent = multiplyFractions(f.exponent, power);
+    if (isInteger(power) || isNonNegativeFactor(f)) return { ...f, exponent };
+    if (!isExact(f.exponent) || !isExact(power)) return makeFactor(powerNode(f.base, f.exponent), power);
+    if (f.exponent.n % 2 === 0) {
+        if (isInteger(exponent) && exponent.n % 2 === 0) return { ...f, exponent };
+        return makeFactor({ type: 'call', name: 'abs', args: [f.base] }, exponent);
+    }
+    if (power.d % 2 === 0) return { ...f, exponent };
+    return makeFactor(powerNode(f.base, f.exponent), power);
+}
+
+/**
+ * Raises a sum to a power.
+ * @param {Map} base - The base.
+ * @param {Map} exponent - The exponent.
+ * @param {Object} options - The simplification options.
+ * @returns {Map} - The result.
+ * @throws {Error} - If zero is raised to a negative power.
+ */
+function powerSum(base, exponent, options) {
+    if (!isConstant(exponent)) {
+        return atomSum({ type: 'binary', operator: '^', left: sumToNode(base), right: sumToNode(exponent) });
+    }
+    const power = constantOf(exponent);
+    if (power.n === 0) return constantSum(ONE);
+    if (base.size === 0) {
+        if (fractionValue(power) < 0) throw new Error("Cannot divide by zero.");
+        return base;
+    }
+    if (isOne(power)) return base;
+    if (base.size === 1) {
+        const term = base.values().next().value;
+        const coeff = powerOfCoefficient(term.coeff, power);
+        if (coeff) {
+            const factors = term.factors.map(f => powerFactor(f, power));
+            return termSum(multiplyTerms(coeff, { coeff: ONE, factors }));
+        }
+    }
+    if (options.expand && isInteger(power) && power.n > 1) {
+        let result = base;
+        for (let i = 1; i < power.n; i++) {
+            result = multiplySums(result, base, options);
+        }
+        return result;
+    }
+    return termSum({ coeff: ONE, factors: [makeFactor(sumToNode(base), power)] });
+}
+
+/**
+ * Simplifies a function call, folding it when its arguments are constant and the result is an integer.
+ * @param {Object} node - The call node.
+ * @param {Object} options - The simplification options.
+ * @returns {Map} - The simplified call as a sum.
+ */
+function simplifyCall(node, options) {
+    const args = node.args.map(arg => simplifySum(arg, options));
+    if (node.name === 'sqrt') return powerSum(args[0], constantSum(HALF), options);
+    const argNodes = args.map(sumToNode);
+    if (args.every(isConstant)) {
+        const value = evaluateExpression({ type: 'call', name: node.name, args: argNodes });
+        if (Number.isFinite(value) && Math.abs(value - Math.round(value)) < 1e-12) {
+            return constantSum(fraction(Math.round(value)));
+        }
+    }
+    const [inner] = argNodes;
+    if (node.name === 'ln' && inner.type === 'symbol' && inner.name === 'e') return constantSum(ONE);
+    // ln(exp(u)) = u for every real u; exp(ln(u)) = u only for u > 0, so it is left alone.
+    if (node.name === 'ln' && inner.type === 'call' && inner.name === 'exp') return toSum(inner.args[0], options);
+    return atomSum({ type: 'call', name: node.name, args: argNodes });
+}
+
+/**
+ * Converts a syntax tree into a canonical sum of terms.
+ * @param {Object} node - The syntax tree node.
+ * @param {Object} options - The simplification options.
+ * @returns {Map} - The canonical sum.
+ */
+function toSum(node, options) {
+    switch (node.type) {
+        case 'number':
+            return constantSum(toFraction(node.value));
+        case 'symbol':
+            return atomSum({ type: 'symbol', name: node.name });
+        case 'unary':
+            return scaleSum(toSum(node.argument, options), MINUS_ONE);
+        case 'call':
+            return simplifyCall(node, options);
+        case 'binary': {
+            const left = toSum(node.left, options);
+            const right = toSum(node.right, options);
+            switch (node.operator) {
+                case '+':
+                    return addSums(left, right);
+                case '-':
+                    return addSums(left, scaleSum(right, MINUS_ONE));
+                case '*':
+                    return multiplySums(left, right, options);
+                case '/': {
+                    const inverse = powerSum(right, constantSum(MINUS_ONE), options);
+                    if (right.size > 1 && left.size > 1) return termSum(multiplyTerms(atomTerm(left), atomTerm(inverse)));
+                    return multiplySums(left, inverse, options);
+                }
+                case '^':
+                    return powerSum(left, right, options);
+                default:
+                    if (isConstant(left) && isConstant(right)) {
+                        return constantSum(toFraction(fractionValue(constantOf(left)) % fractionValue(constantOf(right))));
+                    }
+                    return atomSum({ type: 'binary', operator: node.operator, left: sumToNode(left), right: sumToNode(right) });
+            }
+        }
+        default:
+            throw new Error(`Unknown node type '${node.type}'.`);
+    }
+}
+
+/**
+ * Creates the syntax tree node for base^exponent, writing an exponent of 1/2 as sqrt.
+ * @param {Object} base - The base node.
+ * @param {{n: number, d: number}} exponent - The exponent.
+ * @returns {Object} - The syntax tree node.
+ */
+function powerNode(base, exponent) {
+    if (isOne(exponent)) return base;
+    if (exponent.n === 1 && exponent.d === 2) return { type: 'call', name: 'sqrt', args: [base] };
+    return { type: 'binary', operator: '^', left: base, right: fractionNode(exponent) };
+}
+
+/**
+ * Converts a term with a positive coefficient into a syntax tree, e.g. "2x^2/3".
+ * @param {Object} term - The term.
+ * @returns {Object} - The syntax tree node.
+ */
+function termToNode(term) {
+    const numerator = [];
+    const denominator = [];
+    term.factors.forEach(f => {
+        if (fractionValue(f.exponent) > 0) {
+            numerator.push(powerNode(f.base, f.exponent));
+        } else {
+            denominator.push(powerNode(f.base, negateFraction(f.exponent)));
+        }
+    });
+    if (term.coeff.n !== 1 || numerator.length === 0) numerator.unshift(numberNode(term.coeff.n));
+    if (term.coeff.d !== 1) denominator.unshift(numberNode(term.coeff.d));
+    const product = nodes => nodes.reduce((left, right) => ({ type: 'binary', operator: '*', left, right }));
+    const top = product(numerator);
+    return denominator.length ? { type: 'binary', operator: '/', left: top, right: product(denominator) } : top;
+}
+
+/**
+ * Polynomial degree of a term, counting only powers of plain variables.
+ * @param {Object} term - The term.
+ * @returns {number} - The degree.
+ */
+function termDegree(term) {
+    return term.factors.reduce((sum, f) => sum + (f.base.type === 'symbol' ? fractionValue(f.exponent) : 0), 0);
+}
+
+/**
+ * Orders terms by descending degree, then lexicographically by factor, with the constant last.
+ * @param {Object} t1 - The first term.
+ * @param {Object} t2 - The second term.
+ * @returns {number} - Negative if t1 comes first, positive if t2 does.
+ */
+function compareTerms(t1, t2) {
+    const difference = termDegree(t2) - termDegree(t1);
+    if (difference !== 0) return difference;
+    for (let i = 0; i < Math.min(t1.factors.length, t2.factors.length); i++) {
+        const f1 = t1.factors[i];
+        const f2 = t2.factors[i];
+        if (f1.key !== f2.key) return f1.key < f2.key ? -1 : 1;
+        const exponents = fractionValue(f2.exponent) - fractionValue(f1.exponent);
+        if (exponents !== 0) return exponents;
+    }
+    return t2.factors.length - t1.factors.length;
+}
+
+/**
+ * Converts a canonical sum back into a syntax tree, e.g. "x^2 + 3x - 1".
+ * @param {Map} sum - The canonical sum.
+ * @returns {Object} - The syntax tree node.
+ */
+function sumToNode(sum) {
+    if (sum.size === 0) return { type: 'number', value: 0 };
+    let node = null;
+    [...sum.values()].sort(compareTerms).forEach(term => {
+        const negative = fractionValue(term.coeff) < 0;
+        const magnitude = termToNode(negative ? { coeff: negateFraction(term.coeff), factors: term.factors } : term);
+        if (node === null) {
+            node = negative ? { type: 'unary', operator: '-', argument: magnitude } : magnitude;
+        } else {
+            node = { type: 'binary', operator: negative ? '-' : '+', left: node, right: magnitude };
+        }
+    });
+    return node;
+}
+
+/**
+ * Reads a sum as a polynomial in one variable.
+ * @param {Map} sum - The canonical sum.
+ * @param {string} variable - The variable name.
+ * @returns {Object[]|null} - Rational coefficients from the constant term upwards, or null if the sum is not such a polynomial.
+ */
+function sumToCoefficients(sum, variable) {
+    const coefficients = [];
+    for (const term of sum.values()) {
+        if (!isExact(term.coeff)) return null;
+        let degree = 0;
+        if (term.factors.length > 1) return null;
+        if (term.factors.length === 1) {
+            const [f] = term.factors;
+            if (f.base.type !== 'symbol' || f.base.name !== variable || !isInteger(f.exponent) || f.exponent.n < 0) return null;
+            degree = f.exponent.n;
+        }
+        while (coefficients.length <= degree) coefficients.push(ZERO);
+        coefficients[degree] = term.coeff;
+    }
+    return coefficients;
+}
+
+/**
+ * Builds a sum from polynomial coefficients in one variable.
+ * @param {Object[]} coefficients - Rational coefficients from the constant term upwards.
+ * @param {string} variable - The variable name.
+ * @returns {Map} - The sum.
+ */
+function coefficientsToSum(coefficients, variable) {
+    const sum = new Map();
+    coefficients.forEach((coeff, degree) => {
+        const factors = degree === 0 ? [] : [makeFactor({ type: 'symbol', name: variable }, fraction(degree))];
+        addTerm(sum, { coeff, factors });
+    });
+    return sum;
+}
+
+function trimCoefficients(p) {
+    const result = p.slice();
+    while (result.length && result[result.length - 1].n === 0) result.pop();
+    return result;
+}
+
+/**
+ * Divides one rational polynomial by another.
+ * @param {Object[]} a - The dividend coefficients.
+ * @param {Object[]} b - The divisor coefficients (non-zero).
+ * @returns {{quotient: Object[], remainder: Object[]}} - The quotient and remainder.
+ */
+function divideCoefficients(a, b) {
+    const remainder = trimCoefficients(a);
+    const divisor = trimCoefficients(b);
+    const quotient = Array(Math.max(remainder.length - divisor.length + 1, 0)).fill(ZERO);
+    const lead = divisor[divisor.length - 1];
+    while (remainder.length >= divisor.length && remainder.length > 0) {
+        const shift = remainder.length - divisor.length;
+        const factor = divideFractions(remainder[remainder.length - 1], lead);
+        quotient[shift] = factor;
+        divisor.forEach((coeff, i) => {
+            remainder[i + shift] = subtractFractions(remainder[i + shift], multiplyFractions(factor, coeff));
+        });
+        remainder.pop();
+        while (remainder.length && remainder[remainder.length - 1].n === 0) remainder.pop();
+    }
+    return { quotient, remainder };
+}
+
+/**
+ * Greatest common divisor of two rational polynomials, made monic.
+ * @param {Object[]} a - The first polynomial's coefficients.
+ * @param {Object[]} b - The second polynomial's coefficients.
+ * @returns {Object[]|null} - The monic GCD, or null if the computation lost exactness.
+ */
+function gcdCoefficients(a, b) {
+    let x = trimCoefficients(a);
+    let y = trimCoefficients(b);
+    while (y.length > 0) {
+        const { remainder } = divideCoefficients(x, y);
+        if (!remainder.every(isExact)) return null;
+        [x, y] = [y, remainder];
+    }
+    const lead = x[x.length - 1];
+    return x.map(coeff => divideFractions(coeff, lead));
+}
+
+/**
+ * Cancels common polynomial factors between the numerator and denominator of a term,
+ * e.g. (x^2 - 1)/(x - 1) becomes x + 1.
+ * @param {Object} term - The term.
+ * @returns {Map} - The term, cancelled where possible, as a sum.
+ */
+function cancelTerm(term) {
+    const numerator = term.factors.filter(f => fractionValue(f.exponent) > 0);
+    const denominator = term.factors.filter(f => fractionValue(f.exponent) < 0);
+    const compound = term.factors.some(f => f.base.type === 'binary');
+    if (!denominator.length || !compound) return termSum(term);
+    const variables = new Set();
+    const collect = node => {
+        if (node.type === 'symbol') variables.add(node.name);
+        if (node.type === 'call') variables.add(null);
+        ['left', 'right', 'argument'].forEach(child => node[child] && collect(node[child]));
+    };
+    term.factors.forEach(f => collect(f.base));
+    if (variables.size !== 1 || variables.has(null)) return termSum(term);
+    const [variable] = variables;
+    const expandFactors = factors => factors.reduce(
+        (product, f) => multiplySums(product, powerSum(toSum(f.base, { expand: true }), constantSum(fraction(Math.abs(fractionValue(f.exponent)))), { expand: true }), { expand: true }),
+        constantSum(ONE)
+    );
+    const top = sumToCoefficients(expandFactors(numerator), variable);
+    const bottom = sumToCoefficients(expandFactors(denominator), variable);
+    if (!top || !bottom || !term.factors.every(f => isInteger(f.exponent))) return termSum(term);
+    const common = gcdCoefficients(top, bottom);
+    if (!common || common.length < 2) return termSum(term);
+    const reducedTop = divideCoefficients(top, common).quotient;
+    const reducedBottom = divideCoefficients(bottom, common).quotient;
+    const options = { expand: false };
+    return multiplySums(
+        scaleSum(coefficientsToSum(reducedTop, variable), term.coeff),
+        powerSum(coefficientsToSum(reducedBottom, variable), constantSum(MINUS_ONE), options),
+        options
+    );
+}
+
+/**
+ * Simplifies a syntax tree to a canonical sum, cancelling common factors in each term.
+ * @param {Object} node - The syntax tree node.
+ * @param {Object} options - The simplification options.
+ * @returns {Map} - The canonical sum.
+ */
+function simplifySum(node, options) {
+    const result = new Map();
+    toSum(node, options).forEach(term => {
+        cancelTerm(term).forEach(cancelled => addTerm(result, cancelled));
+    });
+    return result;
+}
+
+/**
+ * Lists the divisors of a positive integer.
+ * @param {number} n - The integer.
+ * @returns {number[]} - Its divisors.
+ */
+function divisors(n) {
+    const result = [];
+    for (let i = 1; i * i <= n; i++) {
+        if (n % i === 0) {
+            result.push(i);
+            if (i * i !== n) result.push(n / i);
+        }
+    }
+    return result;
+}
+
+/**
+ * Finds the rational roots of a polynomial and splits off the matching linear factors.
+ * @param {Object[]} coefficients - Rational coefficients from the constant term upwards.
+ * @returns {{roots: Object[], rest: Object[]}} - The roots (repeated by multiplicity) and the remaining factor.
+ */
+function rationalRoots(coefficients) {
+    let rest = trimCoefficients(coefficients);
+    const roots = [];
+    const scale = rest.reduce((acc, c) => lcm(acc, c.d), 1);
+    const integers = rest.map(c => c.n * (scale / c.d));
+    const constant = Math.abs(integers.find(c => c !== 0));
+    const lead = Math.abs(integers[integers.length - 1]);
+    if (!Number.isSafeInteger(constant) || !Number.isSafeInteger(lead) || constant > 1e9 || lead > 1e9) return { roots, rest };
+    while (rest.length > 1 && rest[0].n === 0) {
+        roots.push(ZERO);
+        rest = rest.slice(1);
+    }
+    divisors(constant).forEach(p => divisors(lead).forEach(q => [p, -p].forEach(sign => {
+        const root = fraction(sign, q);
+        for (;;) {
+            if (rest.length < 2) return;
+            const { quotient, remainder } = divideCoefficients(rest, [negateFraction(root), ONE]);
+            if (remainder.length > 0) return;
+            roots.push(root);
+            rest = quotient;
+        }
+    })));
+    return { roots, rest };
+}
+
+/**
+ * Splits off the integer quadratic factors a x^2 + b x + c of a polynomial without rational roots, such as
+ * x^2 + x + 1 and x^2 - x + 1 from x^4 + x^2 + 1. Candidates take a from the divisors of the leading coefficient,
+ * c from those of the constant term, and b from the values q(1) = a + b + c that divide p(1); q(-1) must divide p(-1).
+ * @param {Object[]} coefficients - Rational coefficients from the constant term upwards.
+ * @returns {{factors: Object[][], rest: Object[]}} - The quadratic factors (repeated by multiplicity, as
+ *   coefficient lists) and the remaining factor.
+ */
+function quadraticFactors(coefficients) {
+    let rest = trimCoefficients(coefficients);
+    const factors = [];
+    const findFactor = () => {
+        if (rest.length < 5) return null;
+        const scale = rest.reduce((acc, c) => lcm(acc, c.d), 1);
+        const integers = rest.map(c => c.n * (scale / c.d));
+        const constant = Math.abs(integers[0]);
+        const lead = Math.abs(integers[integers.length - 1]);
+        const atOne = integers.reduce((acc, c) => acc + c, 0);
+        const atMinusOne = integers.reduce((acc, c, k) => acc + (k % 2 === 0 ? c : -c), 0);
+        const limit = 1e9;
+        if (![constant, lead, Math.abs(atOne), Math.abs(atMinusOne)].every(v => Number.isSafeInteger(v) && v <= limit)) return null;
+        if (constant === 0 || atOne === 0 || atMinusOne === 0) return null;
+        for (const a of divisors(lead)) {
+            for (const c of divisors(constant).flatMap(d => [d, -d])) {
+                for (const value of divisors(Math.abs(atOne)).flatMap(d => [d, -d])) {
+                    const b = value - a - c;
+                    if (atMinusOne % (a - b + c) !== 0) continue;
+                    const quadratic = [fraction(c), fraction(b), fraction(a)];
+                    const { quotient, remainder } = divideCoefficients(rest, quadratic);
+                    if (remainder.length === 0) return { quadratic, quotient };
+                }
+            }
+        }
+        return null;
+    };
+    for (let found = findFactor(); found; found = findFactor()) {
+        factors.push(found.quadratic);
+        rest = found.quotient;
+    }
+    return { factors, rest };
+}
+
+/**
+ * Splits a sum into its rational content and primitive part, with the leading term made positive.
+ * @param {Map} sum - The canonical sum (all coefficients exact).
+ * @returns {{content: Object, primitive: Map}} - The content and the sum divided by it.
+ */
+function splitContent(sum) {
+    const terms = [...sum.values()].sort(compareTerms);
+    if (terms.length === 0) return { content: ONE, primitive: sum };
+    const sign = fractionValue(terms[0].coeff) < 0 ? -1 : 1;
+    const content = fraction(
+        sign * terms.reduce((acc, t) => gcd(acc, Math.abs(t.coeff.n)), 0),
+        terms.reduce((acc, t) => lcm(acc, t.coeff.d), 1)
+    );
+    return { content, primitive: scaleSum(sum, divideFractions(ONE, content)) };
+}
+
+/**
+ * Factors a canonical sum: pulls out the numeric content and common factors,
+ * then splits single-variable polynomials into rational linear factors and integer quadratic factors.
+ * Factoring is partial: an irreducible factor of degree 3 or more, as in (x^3 + x + 1)(x^3 - x + 1), is left whole.
+ * @param {Map} sum - The canonical sum.
+ * @returns {Map} - A sum holding a single factored term.
+ */
+function factorSum(sum) {
+    const terms = [...sum.values()];
+    if (terms.length < 2 || !terms.every(t => isExact(t.coeff))) return sum;
+    const { content, primitive } = splitContent(sum);
+    const commonFactors = terms[0].factors
+        .filter(f => terms.every(t => t.factors.some(g => g.key === f.key)))
+        .map(f => {
+            const exponents = terms.map(t => t.factors.find(g => g.key === f.key).exponent);
+            return { ...f, exponent: exponents.reduce((min, e) => (fractionValue(e) < fractionValue(min) ? e : min)) };
+        });
+    const inverse = { coeff: ONE, factors: commonFactors.map(f => ({ ...f, exponent: negateFraction(f.exponent) })) };
+    const remaining = new Map();
+    primitive.forEach(t => addTerm(remaining, multiplyTerms(t, inverse)));
+
+    let product = { coeff: content, factors: commonFactors };
+    const variables = new Set();
+    remaining.forEach(t => t.factors.forEach(f => variables.add(f.key)));
+    const [variable] = variables;
+    const coefficients = variables.size === 1 ? sumToCoefficients(remaining, variable) : null;
+    if (!coefficients || coefficients.length < 3) {
+        return termSum(multiplyTerms(product, atomTerm(remaining)));
+    }
+    const { roots, rest } = rationalRoots(coefficients);
+    roots.forEach(root => {
+        const linear = coefficientsToSum([fraction(-root.n), fraction(root.d)], variable);
+        product = multiplyTerms(product, atomTerm(linear));
+    });
+    const quadratics = quadraticFactors(rest);
+    quadratics.factors.forEach(quadratic => {
+        product = multiplyTerms(product, atomTerm(coefficientsToSum(quadratic, variable)));
+    });
+    const scale = roots.reduce((acc, root) => multiplyFractions(acc, fraction(1, root.d)), ONE);
+    const leftover = splitContent(scaleSum(coefficientsToSum(quadratics.rest, variable), scale));
+    product = multiplyTerms(product, { coeff: leftover.content, factors: [] });
+    return termSum(multiplyTerms(product, atomTerm(leftover.primitive)));
+}
+
+/**
+ * Simplifies an expression symbolically: folds constants, collects like terms and cancels common factors.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree.
+ * @param {Object} [options={}] - Simplification options.
+ * @param {boolean} [options.expand=false] - Multiply out products and integer powers of sums.
+ * @param {boolean} [options.factor=false] - Factor the result.
+ * @returns {Object} - The syntax tree of the simplified expression.
+ */
+function simplifyAst(expression, options = {}) {
+    const node = typeof expression === 'string' ? parseExpression(expression) : expression;
+    const sum = simplifySum(node, { expand: Boolean(options.expand || options.factor) });
+    return sumToNode(options.factor ? factorSum(sum) : sum);
+}
+
+/**
+ * Expands an expression by multiplying out products and integer powers of sums.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree.
+ * @returns {Object} - The syntax tree of the expanded expression.
+ */
+function expandAst(expression) {
+    return simplifyAst(expression, { expand: true });
+}
+
+/**
+ * Factors an expression, e.g. "x^2 - 1" becomes "(x + 1)(x - 1)". Polynomials in one variable are split into
+ * rational linear and integer quadratic factors; irreducible factors of higher degree are not split further.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree.
+ * @returns {Object} - The syntax tree of the factored expression.
+ */
+function factorAst(expression) {
+    return simplifyAst(expression, { factor: true });
+}
+
+const binary = (operator, left, right) => ({ type: 'binary', operator, left, right });
+const call = (name, ...args) => ({ type: 'call', name, args });
+const negate = (argument) => ({ type: 'unary', operator: '-', argument });
+const constant = (value) => ({ type: 'number', value });
+
+/**
+ * Checks whether a syntax tree refers to a variable.
+ * @param {Object} node - The syntax tree node.
+ * @param {string} variable - The variable name.
+ * @returns {boolean} - True if the variable occurs in the tree.
+ */
+function dependsOn(node, variable) {
+    switch (node.type) {
+        case 'symbol':
+            return node.name === variable;
+        case 'unary':
+            return dependsOn(node.argument, variable);
+        case 'binary':
+            return dependsOn(node.left, variable) || dependsOn(node.right, variable);
+        case 'call':
+            return node.args.some(arg => dependsOn(arg, variable));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Replaces every occurrence of a variable in an expression with another expression.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree.
+ * @param {string} variable - The variable to replace.
+ * @param {string|Object} replacement - The expression to put in its place.
+ * @returns {Object} - The syntax tree with the variable replaced.
+ */
+function substituteAst(expression, variable, replacement) {
+    const node = typeof expression === 'string' ? parseExpression(expression) : expression;
+    const value = typeof replacement === 'string' ? parseExpression(replacement) : replacement;
+    switch (node.type) {
+        case 'symbol':
+            return node.name === variable ? value : node;
+        case 'unary':
+            return { ...node, argument: substituteAst(node.argument, variable, value) };
+        case 'binary':
+            return { ...node, left: substituteAst(node.left, variable, value), right: substituteAst(node.right, variable, value) };
+        case 'call':
+            return { ...node, args: node.args.map(arg => substituteAst(arg, variable, value)) };
+        default:
+            return node;
+    }
+}
+
+/**
+ * Differentiates a function call using the derivative of the outer function and the chain rule.
+ * @param {Object} node - The call node.
+ * @param {string} variable - The variable to differentiate with respect to.
+ * @returns {Object} - The unsimplified derivative.
+ * @throws {Error} - If the derivative of the function is not known.
+ */
+function differentiateCall(node, variable) {
+    const [u, base] = node.args;
+    if (node.name === 'log') {
+        return differentiate(binary('/', call('ln', u), call('ln', base || constant(10))), variable);
+    }
+    const outer = {
+        sin: () => call('cos', u),
+        cos: () => negate(call('sin', u)),
+        tan: () => binary('^', call('sec', u), constant(2)),
+        csc: () => negate(binary('*', call('csc', u), call('cot', u))),
+        sec: () => binary('*', call('sec', u), call('tan', u)),
+        cot: () => negate(binary('^', call('csc', u), constant(2))),
+        asin: () => binary('/', constant(1), call('sqrt', binary('-', constant(1), binary('^', u, constant(2))))),
+        acos: () => negate(binary('/', constant(1), call('sqrt', binary('-', constant(1), binary('^', u, constant(2)))))),
+        atan: () => binary('/', constant(1), binary('+', constant(1), binary('^', u, constant(2)))),
+        sinh: () => call('cosh', u),
+        cosh: () => call('sinh', u),
+        tanh: () => binary('-', constant(1), binary('^', call('tanh', u), constant(2))),
+        ln: () => binary('/', constant(1), u),
+        exp: () => call('exp', u),
+        sqrt: () => binary('/', constant(1), binary('*', constant(2), call('sqrt', u))),
+        abs: () => binary('/', u, call('abs', u))
+    };
+    outer.arcsin = outer.asin;
+    outer.arccos = outer.acos;
+    outer.arctan = outer.atan;
+    if (!outer[node.name]) throw new Error(`Cannot differentiate function '${node.name}'.`);
+    return binary('*', outer[node.name](), differentiate(u, variable));
+}
+
+/**
+ * Differentiates a syntax tree without simplifying the result.
+ * @param {Object} node - The syntax tree node.
+ * @param {string} variable - The variable to differentiate with respect to.
+ * @returns {Object} - The unsimplified derivative.
+ * @throws {Error} - If the expression contains an operation that cannot be differentiated.
+ */
+function differentiate(node, variable) {
+    if (!dependsOn(node, variable)) return constant(0);
+    switch (node.type) {
+        case 'symbol':
+            return constant(1);
+        case 'unary':
+            return negate(differentiate(node.argument, variable));
+        case 'call':
+            return differentiateCall(node, variable);
+        case 'binary': {
+            const { left: u, right: v } = node;
+            const du = differentiate(u, variable);
+            const dv = differentiate(v, variable);
+            switch (node.operator) {
+                case '+':
+                case '-':
+                    return binary(node.operator, du, dv);
+                case '*':
+                    return binary('+', binary('*', du, v), binary('*', u, dv));
+                case '/':
+                    return binary('/', binary('-', binary('*', du, v), binary('*', u, dv)), binary('^', v, constant(2)));
+                case '^':
+                    if (!dependsOn(v, variable)) {
+                        return binary('*', binary('*', v, binary('^', u, binary('-', v, constant(1)))), du);
+                    }
+                    if (!dependsOn(u, variable)) {
+                        return binary('*', binary('*', node, call('ln', u)), dv);
+                    }
+                    return binary('*', node, binary('+', binary('*', dv, call('ln', u)), binary('/', binary('*', v, du), u)));
+                default:
+                    throw new Error(`Cannot differentiate the '${node.operator}' operator.`);
+            }
+        }
+        default:
+            throw new Error(`Unknown node type '${node.type}'.`);
+    }
+}
+
+/**
+ * Differentiates an expression symbolically using the power, product, quotient and chain rules,
+ * e.g. "x^2 sin(x)" becomes "x^2*cos(x) + 2x*sin(x)".
+ * @param {string|Object} expression - The expression, as a string or a syntax tree.
+ * @param {string} [variable='x'] - The variable to differentiate with respect to.
+ * @param {number} [order=1] - How many times to differentiate.
+ * @returns {Object} - The syntax tree of the simplified derivative.
+ * @throws {Error} - If the expression contains an operation that cannot be differentiated.
+ */
+function differentiateAst(expression, variable = 'x', order = 1) {
+    let node = typeof expression === 'string' ? parseExpression(expression) : expression;
+    for (let i = 0; i < order; i++) {
+        node = simplifyAst(differentiate(node, variable));
+    }
+    return node;
+}
+
+const symbol = (name) => ({ type: 'symbol', name });
+const lnAbs = (node) => call('ln', call('abs', node));
+const EXPAND = { expand: true };
+const MAX_INTEGRATION_DEPTH = 6;
+const INVERSE_TRIG = ['asin', 'acos', 'atan', 'arcsin', 'arccos', 'arctan'];
+const TRIG = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh'];
+
+// Antiderivatives of f(u)^k with respect to u, keyed by function name and then by the power k.
+const INTEGRAL_TABLE = {
+    sin: {
+        1: u => negate(call('cos', u)),
+        2: u => binary('-', binary('/', u, constant(2)), binary('/', call('sin', binary('*', constant(2), u)), constant(4))),
+        '-1': u => negate(lnAbs(binary('+', call('csc', u), call('cot', u)))),
+        '-2': u => negate(call('cot', u))
+    },
+    cos: {
+        1: u => call('sin', u),
+        2: u => binary('+', binary('/', u, constant(2)), binary('/', call('sin', binary('*', constant(2), u)), constant(4))),
+        '-1': u => lnAbs(binary('+', call('sec', u), call('tan', u))),
+        '-2': u => call('tan', u)
+    },
+    tan: {
+        1: u => negate(lnAbs(call('cos', u))),
+        2: u => binary('-', call('tan', u), u),
+        '-1': u => lnAbs(call('sin', u))
+    },
+    sec: {
+        1: u => lnAbs(binary('+', call('sec', u), call('tan', u))),
+        2: u => call('tan', u),
+        '-1': u => call('sin', u)
+    },
+    csc: {
+        1: u => negate(lnAbs(binary('+', call('csc', u), call('cot', u)))),
+        2: u => negate(call('cot', u)),
+        '-1': u => negate(call('cos', u))
+    },
+    cot: {
+        1: u => lnAbs(call('sin', u)),
+        2: u => binary('-', negate(call('cot', u)), u),
+        '-1': u => negate(lnAbs(call('cos', u)))
+    },
+    sinh: { 1: u => call('cosh', u) },
+    cosh: { 1: u => call('sinh', u) },
+    tanh: { 1: u => call('ln', call('cosh', u)) },
+    ln: { 1: u => binary('-', binary('*', u, call('ln', u)), u) },
+    asin: { 1: u => binary('+', binary('*', u, call('asin', u)), call('sqrt', binary('-', constant(1), binary('^', u, constant(2))))) },
+    acos: { 1: u => binary('-', binary('*', u, call('acos', u)), call('sqrt', binary('-', constant(1), binary('^', u, constant(2))))) },
+    atan: { 1: u => binary('-', binary('*', u, call('atan', u)), binary('/', call('ln', binary('+', constant(1), binary('^', u, constant(2)))), constant(2))) },
+    abs: { 1: u => binary('/', binary('*', u, call('abs', u)), constant(2)) }
+};
+INTEGRAL_TABLE.arcsin = INTEGRAL_TABLE.asin;
+INTEGRAL_TABLE.arccos = INTEGRAL_TABLE.acos;
+INTEGRAL_TABLE.arctan = INTEGRAL_TABLE.atan;
+
+/**
+ * Rewrites log(u) and log(u, b) as quotients of natural logarithms.
+ * @param {Object} node - The syntax tree node.
+ * @returns {Object} - The rewritten syntax tree.
+ */
+function rewriteLogarithms(node) {
+    switch (node.type) {
+        case 'unary':
+            return { ...node, argument: rewriteLogarithms(node.argument) };
+        case 'binary':
+            return { ...node, left: rewriteLogarithms(node.left), right: rewriteLogarithms(node.right) };
+        case 'call': {
+            const args = node.args.map(rewriteLogarithms);
+            if (node.name !== 'log') return { ...node, args };
+            return binary('/', call('ln', args[0]), call('ln', args[1] || constant(10)));
+        }
+        default:
+            return node;
+    }
+}
+
+/**
+ * Replaces every subtree that formats to the given key with another node.
+ * @param {Object} node - The syntax tree node.
+ * @param {string} key - The formatted subtree to look for.
+ * @param {Object} replacement - The node to put in its place.
+ * @returns {Object} - The syntax tree with the subtree replaced.
+ */
+function replaceSubtree(node, key, replacement) {
+    if (formatExpression(node) === key) return replacement;
+    switch (node.type) {
+        case 'unary':
+            return { ...node, argument: replaceSubtree(node.argument, key, replacement) };
+        case 'binary':
+            return { ...node, left: replaceSubtree(node.left, key, replacement), right: replaceSubtree(node.right, key, replacement) };
+        case 'call':
+            return { ...node, args: node.args.map(arg => replaceSubtree(arg, key, replacement)) };
+        default:
+            return node;
+    }
+}
+
+const termNode = (term) => sumToNode(termSum(term));
+const coefficientsNode = (coefficients, variable) => sumToNode(coefficientsToSum(coefficients, variable));
+const polynomialOf = (node, variable) => sumToCoefficients(toSum(node, EXPAND), variable);
+const sumNodes = (nodes) => (nodes.length ? nodes.reduce((left, right) => binary('+', left, right)) : constant(0));
+
+function subtractCoefficients(a, b) {
+    const length = Math.max(a.length, b.length);
+    return trimCoefficients(Array.from({ length }, (_, i) => subtractFractions(a[i] || ZERO, b[i] || ZERO)));
+}
+
+function multiplyCoefficients(a, b) {
+    const result = Array(Math.max(a.length + b.length - 1, 0)).fill(ZERO);
+    a.forEach((c1, i) => b.forEach((c2, j) => {
+        result[i + j] = addFractions(result[i + j], multiplyFractions(c1, c2));
+    }));
+    return result;
+}
+
+const differentiateCoefficients = (p) => p.slice(1).map((c, i) => multiplyFractions(c, fraction(i + 1)));
+
+/**
+ * Splits a monic polynomial into square-free factors (Yun's algorithm).
+ * @param {Object[]} p - Rational coefficients from the constant term upwards.
+ * @returns {Object[]|null} - The factors with their multiplicities, or null if exactness was lost.
+ */
+function squareFreeFactors(p) {
+    const result = [];
+    if (trimCoefficients(p).length <= 1) return result;
+    const b = gcdCoefficients(p, differentiateCoefficients(p));
+    if (!b) return null;
+    let c = divideCoefficients(p, b).quotient;
+    let d = subtractCoefficients(divideCoefficients(differentiateCoefficients(p), b).quotient, differentiateCoefficients(c));
+    for (let multiplicity = 1; c.length > 1; multiplicity++) {
+        const a = gcdCoefficients(c, d);
+        if (!a) return null;
+        if (a.length > 1) result.push({ factor: a, multiplicity });
+        c = divideCoefficients(c, a).quotient;
+        d = subtractCoefficients(divideCoefficients(d, a).quotient, differentiateCoefficients(c));
+    }
+    return result;
+}
+
+/**
+ * Solves a square linear system with rational entries by Gauss-Jordan elimination.
+ * @param {Object[][]} matrix - The coefficient matrix.
+ * @param {Object[]} rhs - The right-hand side.
+ * @returns {Object[]|null} - The solution, or null if the matrix is singular.
+ */
+function solveFractions(matrix, rhs) {
+    const n = rhs.length;
+    const rows = matrix.map((row, i) => [...row, rhs[i]]);
+    for (let col = 0; col < n; col++) {
+        const pivot = rows.findIndex((row, i) => i >= col && row[col].n !== 0);
+        if (pivot < 0) return null;
+        [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+        for (let i = 0; i < n; i++) {
+            if (i === col || rows[i][col].n === 0) continue;
+            const factor = divideFractions(rows[i][col], rows[col][col]);
+            rows[i] = rows[i].map((value, j) => subtractFractions(value, multiplyFractions(factor, rows[col][j])));
+        }
+    }
+    return rows.map((row, i) => divideFractions(row[n], row[i]));
+}
+
+/**
+ * Integrates (Bx + C)/Q^s for a monic quadratic Q = x^2 + px + q.
+ * @param {Object[]} quadratic - The coefficients [q, p, 1].
+ * @param {number} s - The power of the quadratic.
+ * @param {Object} B - The coefficient of x in the numerator.
+ * @param {Object} C - The constant in the numerator.
+ * @param {string} variable - The variable name.
+ * @returns {Object|null} - The antiderivative, or null for repeated quadratics with real roots.
+ */
+function integrateQuadraticPiece(quadratic, s, B, C, variable) {
+    const [q, p] = quadratic;
+    const x = symbol(variable);
+    const Q = coefficientsNode(quadratic, variable);
+    const discriminant = subtractFractions(multiplyFractions(p, p), multiplyFractions(fraction(4), q));
+    const shifted = subtractFractions(C, divideFractions(multiplyFractions(B, p), fraction(2)));
+    const linear = binary('+', binary('*', constant(2), x), fractionNode(p));
+    const parts = [];
+    if (s === 1) {
+        parts.push(binary('*', fractionNode(divideFractions(B, fraction(2))), discriminant.n < 0 ? call('ln', Q) : lnAbs(Q)));
+        if (discriminant.n < 0) {
+            const root = call('sqrt', fractionNode(negateFraction(discriminant)));
+            parts.push(binary('*', binary('/', binary('*', constant(2), fractionNode(shifted)), root), call('atan', binary('/', linear, root))));
+        } else {
+            const root = call('sqrt', fractionNode(discriminant));
+            const ratio = binary('/', binary('-', linear, root), binary('+', linear, root));
+            parts.push(binary('*', binary('/', fractionNode(shifted), root), lnAbs(ratio)));
+        }
+        return sumNodes(parts);
+    }
+    if (discriminant.n >= 0) return null;
+    parts.push(binary('*', fractionNode(divideFractions(B, fraction(2 * (1 - s)))), binary('^', Q, constant(1 - s))));
+    // J_s = ∫ dx/(t^2 + a)^s with t = x + p/2, by the reduction formula
+    const a = divideFractions(negateFraction(discriminant), fraction(4));
+    const t = binary('+', x, fractionNode(divideFractions(p, fraction(2))));
+    let integral = binary('/', call('atan', binary('/', t, call('sqrt', fractionNode(a)))), call('sqrt', fractionNode(a)));
+    for (let k = 2; k <= s; k++) {
+        const scale = multiplyFractions(fraction(2 * (k - 1)), a);
+        integral = binary('+',
+            binary('/', t, binary('*', fractionNode(scale), binary('^', Q, constant(k - 1)))),
+            binary('*', fractionNode(divideFractions(fraction(2 * k - 3), scale)), integral));
+    }
+    parts.push(binary('*', fractionNode(shifted), integral));
+    return sumNodes(parts);
+}
+
+/**
+ * Integrates a proper rational function remainder/denominator by partial fractions.
+ * @param {Object[]} remainder - The numerator coefficients (lower degree than the denominator).
+ * @param {Object[]} denominator - The denominator coefficients.
+ * @param {string} variable - The variable name.
+ * @returns {Object[]|null} - The integrals of the partial fractions, or null if the denominator cannot be factored.
+ */
+function integratePartialFractions(remainder, denominator, variable) {
+    const lead = denominator[denominator.length - 1];
+    const monic = denominator.map(c => divideFractions(c, lead));
+    const target = remainder.map(c => divideFractions(c, lead));
+    const { roots, rest } = rationalRoots(monic);
+    const quadratics = squareFreeFactors(rest);
+    if (!quadratics || quadratics.some(({ factor }) => factor.length !== 3)) return null;
+    const pieces = [];
+    const linear = [];
+    roots.forEach(root => {
+        const found = linear.find(l => l.root.n === root.n && l.root.d === root.d);
+        if (found) found.multiplicity++;
+        else linear.push({ root, multiplicity: 1 });
+    });
+    linear.forEach(({ root, multiplicity }) => {
+        for (let s = 1; s <= multiplicity; s++) pieces.push({ base: [negateFraction(root), ONE], power: s, terms: 1 });
+    });
+    quadratics.forEach(({ factor, multiplicity }) => {
+        for (let s = 1; s <= multiplicity; s++) pieces.push({ base: factor, power: s, terms: 2 });
+    });
+    const size = monic.length - 1;
+    const columns = [];
+    pieces.forEach(piece => {
+        let power = [ONE];
+        for (let s = 0; s < piece.power; s++) power = multiplyCoefficients(power, piece.base);
+        const cofactor = divideCoefficients(monic, power).quotient;
+        for (let t = 0; t < piece.terms; t++) columns.push([...Array(t).fill(ZERO), ...cofactor]);
+    });
+    const matrix = Array.from({ length: size }, (_, row) => columns.map(column => column[row] || ZERO));
+    const solution = solveFractions(matrix, Array.from({ length: size }, (_, row) => target[row] || ZERO));
+    if (!solution) return null;
+    const integrals = [];
+    let index = 0;
+    for (const piece of pieces) {
+        const base = coefficientsNode(piece.base, variable);
+        if (piece.terms === 1) {
+            const A = solution[index++];
+            if (A.n === 0) continue;
+            if (piece.power === 1) {
+                integrals.push(binary('*', fractionNode(A), lnAbs(base)));
+            } else {
+                const scale = divideFractions(negateFraction(A), fraction(piece.power - 1));
+                integrals.push(binary('/', fractionNode(scale), binary('^', base, constant(piece.power - 1))));
+            }
+        } else {
+            const C = solution[index++];
+            const B = solution[index++];
+            if (B.n === 0 && C.n === 0) continue;
+            const integral = integrateQuadraticPiece(piece.base, piece.power, B, C, variable);
+            if (!integral) return null;
+            integrals.push(integral);
+        }
+    }
+    return integrals;
+}
+
+/**
+ * Integrates a product of factors that is a rational function of the variable.
+ * @param {Object[]} factors - The factors, all depending on the variable.
+ * @param {string} variable - The variable name.
+ * @returns {Object|null} - The antiderivative, or null if the product is not a rational function.
+ */
+function integrateRational(factors, variable) {
+    const isPolynomial = f => isInteger(f.exponent) && (f.base.type === 'symbol' || polynomialOf(f.base, variable));
+    if (!factors.every(isPolynomial)) return null;
+    const expandFactors = list => sumToCoefficients(list.reduce(
+        (result, f) => multiplySums(result, powerSum(toSum(f.base, EXPAND), constantSum(fraction(Math.abs(f.exponent.n))), EXPAND), EXPAND),
+        constantSum(ONE)
+    ), variable);
+    const numerator = expandFactors(factors.filter(f => f.exponent.n > 0));
+    const denominator = expandFactors(factors.filter(f => f.exponent.n < 0));
+    if (!numerator || !denominator) return null;
+    const { quotient, remainder } = divideCoefficients(numerator, denominator);
+    const parts = [];
+    quotient.forEach((c, i) => {
+        if (c.n !== 0) {
+            const integrated = divideFractions(c, fraction(i + 1));
+            parts.push(binary('*', fractionNode(integrated), binary('^', symbol(variable), constant(i + 1))));
+        }
+    });
+    if (remainder.length > 0) {
+        const fractions = integratePartialFractions(remainder, trimCoefficients(denominator), variable);
+        if (!fractions) return null;
+        parts.push(...fractions);
+    }
+    return sumNodes(parts);
+}
+
+/**
+ * Integrates a single factor f^k using the power rule and the table of standard integrals,
+ * allowing a linear inner argument such as sin(3x + 1).
+ * @param {Object} factor - The factor.
+ * @param {string} variable - The variable name.
+ * @returns {Object|null} - The antiderivative, or null if no rule applies.
+ */
+function integrateFactor(factor, variable) {
+    const { base, exponent } = factor;
+    const power = fractionValue(exponent);
+    if (base.type === 'symbol' || (base.type === 'binary' && (base.operator === '+' || base.operator === '-'))) {
+        const coefficients = polynomialOf(base, variable);
+        if (!coefficients) return null;
+        if (coefficients.length === 2) {
+            const slope = coefficients[1];
+            if (power === -1) return binary('/', lnAbs(base), fractionNode(slope));
+            const raised = addFractions(exponent, ONE);
+            return binary('/', binary('^', base, fractionNode(raised)), fractionNode(multiplyFractions(raised, slope)));
+        }
+        if (coefficients.length === 3 && coefficients[1].n === 0 && power === -0.5) {
+            const [c, , a] = coefficients;
+            const x = symbol(variable);
+            if (a.n < 0 && c.n > 0) {
+                const scale = call('sqrt', fractionNode(negateFraction(a)));
+                return binary('/', call('asin', binary('*', x, call('sqrt', fractionNode(divideFractions(negateFraction(a), c))))), scale);
+            }
+            if (a.n > 0) {
+                const scale = call('sqrt', fractionNode(a));
+                return binary('/', lnAbs(binary('+', binary('*', scale, x), call('sqrt', base))), scale);
+            }
+        }
+        return null;
+    }
+    if (base.type === 'binary' && base.operator === '^') {
+        const slope = !dependsOn(base.left, variable) && polynomialOf(base.right, variable);
+        if (!slope || slope.length !== 2) return null;
+        const scale = binary('*', fractionNode(multiplyFractions(exponent, slope[1])), call('ln', base.left));
+        return binary('/', powerNode(base, exponent), scale);
+    }
+    if (base.type !== 'call') return null;
+    const slope = polynomialOf(base.args[0], variable);
+    if (!slope || slope.length !== 2) return null;
+    if (base.name === 'exp') {
+        return binary('/', powerNode(base, exponent), fractionNode(multiplyFractions(exponent, slope[1])));
+    }
+    const rule = INTEGRAL_TABLE[base.name] && INTEGRAL_TABLE[base.name][power];
+    return rule ? binary('/', rule(base.args[0]), fractionNode(slope[1])) : null;
+}
+
+/**
+ * Integrates a product of factors by u-substitution, trying each inner expression g
+ * for which the integrand divided by g' is a function of g alone.
+ * @param {Object[]} factors - The factors, all depending on the variable.
+ * @param {string} variable - The variable name.
+ * @param {Object} context - The integration context (depth and pending integrals).
+ * @returns {Object|null} - The antiderivative, or null if no substitution works.
+ */
+function integrateBySubstitution(factors, variable, context) {
+    const integrand = termNode({ coeff: ONE, factors });
+    const candidates = new Map();
+    const addCandidate = node => {
+        if (node.type !== 'symbol' && dependsOn(node, variable)) candidates.set(formatExpression(node), node);
+    };
+    factors.forEach(({ base }) => {
+        if (base.type === 'call') {
+            addCandidate(base);
+            base.args.forEach(addCandidate);
+        } else if (base.type === 'binary' && base.operator === '^') {
+            addCandidate(base.left);
+            addCandidate(base.right);
+        } else {
+            addCandidate(base);
+        }
+    });
+    const u = `__u${context.depth}`;
+    for (const [key, candidate] of candidates) {
+        const slope = differentiateAst(candidate, variable);
+        if (slope.type === 'number' && slope.value === 0) continue;
+        const ratio = replaceSubtree(simplifyAst(binary('/', integrand, slope)), key, symbol(u));
+        if (dependsOn(ratio, variable)) continue;
+        const result = integrateNode(ratio, u, context);
+        if (result) return substituteAst(result, u, candidate);
+    }
+    return null;
+}
+
+/**
+ * Integrates a product of factors by parts, choosing u by the LIATE rule
+ * (logarithmic, inverse trigonometric, algebraic, trigonometric, exponential).
+ * Integrals that reappear, as with e^x sin(x), are solved for algebraically.
+ * @param {Object[]} factors - The factors, all depending on the variable.
+ * @param {string} variable - The variable name.
+ * @param {Object} context - The integration context (depth and pending integrals).
+ * @param {string} key - The signature of the integrand, used to detect it reappearing.
+ * @returns {Object|null} - The antiderivative, or null if integration by parts does not help.
+ */
+function integrateByParts(factors, variable, context, key) {
+    const rank = ({ base, exponent }) => {
+        if (base.type === 'call' && base.name === 'ln') return 5;
+        if (base.type === 'call' && INVERSE_TRIG.includes(base.name)) return 4;
+        if (isInteger(exponent) && exponent.n > 0 && (base.type === 'symbol' || polynomialOf(base, variable))) return 3;
+        if (base.type === 'call' && TRIG.includes(base.name)) return 2;
+        if ((base.type === 'call' && base.name === 'exp') || (base.type === 'binary' && base.operator === '^')) return 1;
+        return 0;
+    };
+    const ranked = factors.map(f => ({ factor: f, rank: rank(f) })).sort((a, b) => b.rank - a.rank);
+    const [first, ...others] = ranked;
+    if (first.rank === 0) return null;
+    if (first.rank === 3 && others.some(other => other.rank === 0 || other.rank >= 3)) return null;
+    if (first.rank <= 3 && others.length === 0) return null;
+    const u = powerNode(first.factor.base, first.factor.exponent);
+    const dv = termNode({ coeff: ONE, factors: others.map(other => other.factor) });
+    const placeholder = `__I${context.depth}`;
+    const inner = { ...context, pending: new Map(context.pending).set(key, placeholder) };
+    const v = integrateNode(dv, variable, inner);
+    if (!v) return null;
+    const rest = integrateNode(binary('*', v, differentiateAst(u, variable)), variable, inner);
+    if (!rest) return null;
+    const result = simplifyAst(binary('-', binary('*', u, v), rest));
+    if (!dependsOn(result, placeholder)) return result;
+    const multiple = differentiateAst(result, placeholder);
+    if (dependsOn(multiple, variable) || evaluateExpression(multiple) === 1) return null;
+    return simplifyAst(binary('/', substituteAst(result, placeholder, constant(0)), binary('-', constant(1), multiple)));
+}
+
+/**
+ * Integrates one term of a canonical sum.
+ * @param {Object} term - The term.
+ * @param {string} variable - The variable name.
+ * @param {Object} context - The integration context (depth and pending integrals).
+ * @returns {Object|null} - The antiderivative, or null if none was found.
+ */
+function integrateTerm(term, variable, context) {
+    const independent = term.factors.filter(f => !dependsOn(f.base, variable));
+    const factors = term.factors.filter(f => dependsOn(f.base, variable));
+    const scale = termNode({ coeff: term.coeff, factors: independent });
+    const key = termKey(factors);
+    let integral = null;
+    if (factors.length === 0) {
+        integral = symbol(variable);
+    } else if (context.pending.has(key)) {
+        integral = symbol(context.pending.get(key));
+    } else {
+        integral = (factors.length === 1 && integrateFactor(factors[0], variable)) || integrateRational(factors, variable);
+        if (!integral && context.depth < MAX_INTEGRATION_DEPTH) {
+            const inner = { ...context, depth: context.depth + 1 };
+            integral = integrateBySubstitution(factors, variable, inner) || integrateByParts(factors, variable, inner, key);
+        }
+    }
+    return integral && binary('*', scale, integral);
+}
+
+/**
+ * Integrates a syntax tree term by term.
+ * @param {Object} node - The syntax tree node.
+ * @param {string} variable - The variable name.
+ * @param {Object} context - The integration context (depth and pending integrals).
+ * @returns {Object|null} - The simplified antiderivative, or null if none was found.
+ */
+function integrateNode(node, variable, context) {
+    const integrals = [];
+    for (const term of simplifySum(rewriteLogarithms(node), {}).values()) {
+        const integral = integrateTerm(term, variable, context);
+        if (!integral) return null;
+        integrals.push(integral);
+    }
+    return simplifyAst(sumNodes(integrals));
+}
+
+/**
+ * Finds an antiderivative of an expression symbolically. Handles polynomials, rational functions
+ * (by partial fractions), basic trigonometric, exponential and logarithmic functions, substitution
+ * and integration by parts. The constant of integration is not included.
+ * @param {string|Object} expression - The expression, as a string or a syntax tree.
+ * @param {string} [variable='x'] - The variable to integrate with respect to.
+ * @returns {Object|null} - The syntax tree of the antiderivative, or null if no closed form was found.
+ */
+function integrateAst(expression, variable = 'x') {
+    const node = typeof expression === 'string' ? parseExpression(expression) : expression;
+    return integrateNode(node, variable, { depth: 0, pending: new Map() });
+}
+
+module.exports = {
+    simplifyAst,
+    expandAst,
+    factorAst,
+    substituteAst,
+    differentiateAst,
+    integrateAst
+};
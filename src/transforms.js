@@ -0,0 +1,114 @@
+const { Complex } = require('./complex');
+
+/**
+ * Transforms parallel arrays of real and imaginary parts in place with the iterative radix-2 Cooley–Tukey FFT.
+ * @param {Float64Array} re - The real parts; the length must be a power of 2.
+ * @param {Float64Array} im - The imaginary parts.
+ * @param {number} sign - -1 for the forward transform, 1 for the (unscaled) inverse.
+ */
+function radix2Transform(re, im, sign) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let length = 2; length <= n; length *= 2) {
+        const half = length / 2;
+        for (let k = 0; k < half; k++) {
+            const angle = sign * 2 * Math.PI * k / length;
+            const [wr, wi] = [Math.cos(angle), Math.sin(angle)];
+            for (let start = 0; start < n; start += length) {
+                const [a, b] = [start + k, start + k + half];
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * Computes the discrete Fourier transform of any length, with radix 2 for powers of 2 and otherwise Bluestein's
+ * algorithm, which writes the transform as a convolution with a chirp and evaluates it with power-of-2 FFTs.
+ * @param {Array<number|Object|string>} values - The input sequence.
+ * @param {number} sign - -1 for the forward transform, 1 for the (unscaled) inverse.
+ * @returns {Array<Float64Array>} - The real and imaginary parts of the transform.
+ */
+function discreteFourierTransform(values, sign) {
+    const n = values.length;
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    values.forEach((value, k) => {
+        const z = Complex.from(value);
+        re[k] = z.real;
+        im[k] = z.imaginary;
+    });
+    if ((n & (n - 1)) === 0) {
+        radix2Transform(re, im, sign);
+        return [re, im];
+    }
+    let m = 1;
+    while (m < 2 * n - 1) m *= 2;
+    // The chirp e^(sign·iπk²/n), with k² reduced mod 2n to keep the angle accurate for large k.
+    const chirp = Array.from({ length: n }, (_, k) => sign * Math.PI * ((k * k) % (2 * n)) / n);
+    const [ar, ai, br, bi] = [new Float64Array(m), new Float64Array(m), new Float64Array(m), new Float64Array(m)];
+    for (let k = 0; k < n; k++) {
+        const [c, s] = [Math.cos(chirp[k]), Math.sin(chirp[k])];
+        ar[k] = re[k] * c - im[k] * s;
+        ai[k] = re[k] * s + im[k] * c;
+        br[k] = c;
+        bi[k] = -s;
+        if (k > 0) {
+            br[m - k] = c;
+            bi[m - k] = -s;
+        }
+    }
+    radix2Transform(ar, ai, -1);
+    radix2Transform(br, bi, -1);
+    for (let k = 0; k < m; k++) {
+        [ar[k], ai[k]] = [ar[k] * br[k] - ai[k] * bi[k], ar[k] * bi[k] + ai[k] * br[k]];
+    }
+    radix2Transform(ar, ai, 1);
+    for (let k = 0; k < n; k++) {
+        const [c, s] = [Math.cos(chirp[k]), Math.sin(chirp[k])];
+        re[k] = (ar[k] * c - ai[k] * s) / m;
+        im[k] = (ar[k] * s + ai[k] * c) / m;
+    }
+    return [re, im];
+}
+
+/**
+ * Calculates the discrete Fourier transform X_k = sum over j of x_j e^(-2πijk/n) with the fast Fourier transform,
+ * in O(n log n) operations for any length n.
+ * @param {Array<number|Object|string>} values - The sequence x, as numbers or complex numbers.
+ * @returns {Complex[]} - The transform X.
+ */
+function fft(values) {
+    const [re, im] = discreteFourierTransform(values, -1);
+    return Array.from(re, (value, k) => new Complex(value, im[k]));
+}
+
+/**
+ * Calculates the inverse discrete Fourier transform x_j = (1/n) sum over k of X_k e^(2πijk/n), so that
+ * inverseFft(fft(x)) = x up to rounding.
+ * @param {Array<number|Object|string>} values - The transform X, as numbers or complex numbers.
+ * @returns {Complex[]} - The sequence x.
+ */
+function inverseFft(values) {
+    const [re, im] = discreteFourierTransform(values, 1);
+    const n = values.length;
+    return Array.from(re, (value, k) => new Complex(value / n, im[k] / n));
+}
+
+module.exports = {
+    fft,
+    inverseFft
+};
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    solveLinearEquation,
+    solveQuadraticEquation,
+    solveCubicEquation,
+    solveQuarticEquation,
+    polynomialRoots,
+    simplifyExpression
+} = require('../src/algebra');
+const { Complex } = require('../src/complex');
+const { assertAllClose } = require('./helpers');
+
+describe('equation solvers', () => {
+    it('solves linear and quadratic equations, with complex roots', () => {
+        assert.equal(solveLinearEquation(2, -4), 2);
+        assert.throws(() => solveLinearEquation(0, 1));
+        assert.deepEqual(solveQuadraticEquation(1, -3, 2), [2, 1]);
+        assert.deepEqual(solveQuadraticEquation(1, 0, 1).map(String), ['i', '-i']);
+    });
+
+    it('solves cubic and quartic equations', () => {
+        assertAllClose(solveCubicEquation(1, -6, 11, -6), [1, 2, 3]);
+        assertAllClose(solveQuarticEquation(1, 0, -5, 0, 4), [-2, -1, 1, 2]);
+    });
+
+    it('finds all roots of a polynomial with their multiplicities', () => {
+        const result = polynomialRoots([1, 0, 0, 0, -1]);
+        assert.equal(result.converged, true);
+        const real = result.roots.filter(root => typeof root === 'number').sort((a, b) => a - b);
+        assertAllClose(real, [-1, 1]);
+        assert.equal(result.roots.filter(root => root instanceof Complex).length, 2);
+
+        const repeated = polynomialRoots([-4, 12, -13, 6, -1]); // -(x - 1)^2 (x - 2)^2
+        assert.deepEqual(repeated.multiplicities.map(entry => entry.multiplicity), [2, 2]);
+    });
+});
+
+describe('simplifyExpression', () => {
+    it('collects like terms, folds constants and cancels factors', () => {
+        assert.equal(simplifyExpression('2x + 3x - x^2 + x^2').expression, '5x');
+        assert.equal(simplifyExpression('x*y/x').expression, 'y');
+        assert.equal(simplifyExpression('2/4').expression, '1/2');
+        assert.equal(simplifyExpression('5x').ast.type, 'binary');
+    });
+
+    it('expands and factors on request', () => {
+        assert.equal(simplifyExpression('(x + 1)^2', { expand: true }).expression, 'x^2 + 2x + 1');
+        assert.equal(simplifyExpression('x^2 - 1', { factor: true }).expression, '(x + 1)(x - 1)');
+        assert.equal(simplifyExpression('x^6 - 1', { factor: true }).expression, '(x + 1)(x - 1)(x^2 + x + 1)(x^2 - x + 1)');
+    });
+
+    it('evaluates when a scope binds every variable', () => {
+        assert.equal(simplifyExpression('2x + 3x', { x: 1 }), 5);
+        assert.equal(simplifyExpression('2x^2 + sin(pi / 2)', { scope: { x: 1 } }), 3);
+        assert.equal(simplifyExpression('x*y + 2x*y', { scope: { x: 2 } }).expression, '6y');
+    });
+
+    it('only folds powers where the identity holds for negative bases', () => {
+        assert.equal(simplifyExpression('sqrt(x^2)').expression, 'abs(x)');
+        assert.equal(simplifyExpression('(x^2)^(1/2)').expression, 'abs(x)');
+        assert.equal(simplifyExpression('sqrt(x^4)').expression, 'x^2');
+        assert.equal(simplifyExpression('sqrt(x)^2').expression, 'x');
+        assert.equal(simplifyExpression('(x^3)^(1/3)').expression, '(x^3)^(1/3)');
+        assert.equal(simplifyExpression('exp(ln(x))').expression, 'exp(ln(x))');
+        assert.equal(simplifyExpression('ln(exp(x))').expression, 'x');
+    });
+
+    it('rejects division by zero', () => {
+        assert.throws(() => simplifyExpression('1/0'), /Cannot divide by zero/);
+    });
+});
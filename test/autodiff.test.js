@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Dual, adMath, autoDerivative, autoGradient, autoJacobian, autoHessian } = require('../src/autodiff');
+const { assertAllClose } = require('./helpers');
+
+const { add, multiply, power, sin, exp } = adMath;
+
+describe('forward mode', () => {
+    it('carries exact derivatives through dual numbers', () => {
+        const x = new Dual(3, 1);
+        const y = multiply(x, x);
+        assert.equal(y.value, 9);
+        assert.equal(y.derivative, 6);
+        assert.equal(autoDerivative(t => exp(sin(t)), 0.3), Math.cos(0.3) * Math.exp(Math.sin(0.3)));
+    });
+
+    it('rejects functions that bypass adMath', () => {
+        assert.throws(() => autoDerivative(t => t * t, 3), /adMath/);
+    });
+});
+
+describe('gradients, Jacobians and Hessians', () => {
+    it('matches the analytic derivatives', () => {
+        assertAllClose(autoGradient((x, y) => multiply(x, sin(y)), [2, 0.5]), [Math.sin(0.5), 2 * Math.cos(0.5)], 1e-15);
+        assert.deepEqual(autoJacobian((x, y) => [multiply(x, y), add(x, y)], [2, 3]), [[3, 2], [1, 1]]);
+        assert.deepEqual(autoHessian((x, y) => add(multiply(multiply(x, x), y), power(y, 3)), [1, 2]), [[4, 2], [2, 12]]);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const calculus = require('../src/calculus');
+const { adMath } = require('../src/autodiff');
+const { assertClose, assertAllClose } = require('./helpers');
+
+describe('derivative', () => {
+    it('differentiates expressions symbolically and functions numerically or exactly', () => {
+        assert.equal(calculus.derivative('x^2 sin(x)', 'x').expression, 'x^2*cos(x) + 2x*sin(x)');
+        assert.equal(calculus.derivative('x^3', 2), 12);
+        assert.equal(calculus.derivative(x => adMath.multiply(x, x), 3, 'ad'), 6);
+        assertClose(calculus.derivative(x => x * x, 3), 6, 1e-4);
+    });
+});
+
+describe('integralDefinite', () => {
+    it('returns a number by default and the error report on request', () => {
+        assertClose(calculus.integralDefinite(Math.sin, 0, Math.PI), 2, 1e-12);
+        assertClose(calculus.integralDefinite(Math.sin, 0, Math.PI, 1000), 2, 1e-5);
+        const report = calculus.integralDefinite(x => 1 / Math.sqrt(x), 0, 1, { report: true });
+        assert.equal(report.converged, true);
+        assertClose(report.value, 2, 1e-9);
+        assertClose(calculus.integralDefinite(x => Math.exp(-x * x), -Infinity, Infinity, { method: 'simpson' }),
+            Math.sqrt(Math.PI), 1e-8);
+        assert.throws(() => calculus.integralDefinite(Math.sin, 0, 1, { method: 'midpoint' }), /Unknown integration method/);
+    });
+});
+
+describe('integralIndefinite', () => {
+    it('finds antiderivatives and flags the numeric fallback', () => {
+        assert.equal(calculus.integralIndefinite('x^2').expression, 'x^3/3 + C');
+        assert.equal(calculus.integralIndefinite('y^2', { variable: 'y' }).expression, 'y^3/3 + C');
+        const fallback = calculus.integralIndefinite('e^(x^2)', { lowerLimit: 1 });
+        assert.equal(fallback.closedForm, false);
+        assert.equal(fallback.evaluate(1), 0);
+        assertClose(calculus.integralIndefinite(x => 2 * x, 0)(3), 9, 1e-5);
+    });
+
+    it('integrates by parts', () => {
+        assert.equal(calculus.integrationByParts('x', 'sin(x)').expression, 'x*sin(x) + cos(x) + C');
+        assertClose(calculus.integrationByParts('x', 'sin(x)', 0, 1), Math.sin(1) + Math.cos(1) - 1, 1e-12);
+    });
+});
+
+describe('limit', () => {
+    it('evaluates finite, infinite and one-sided limits', () => {
+        assert.equal(calculus.limit(x => Math.sin(x) / x, 0).value, 1);
+        assert.equal(calculus.limit('sin(x)/x', 0).status, 'finite');
+        assertClose(calculus.limit(x => Math.pow(1 + 1 / x, x), Infinity).value, Math.E, 1e-8);
+        assert.equal(calculus.limit(x => 1 / x, 0, 'right').value, Infinity);
+    });
+
+    it('detects divergence and oscillation', () => {
+        const pole = calculus.limit(x => 1 / x, 0);
+        assert.equal(pole.exists, false);
+        assert.equal(pole.status, 'divergent');
+        assert.equal(calculus.limit(x => Math.sin(1 / x), 0).status, 'oscillating');
+        assert.throws(() => calculus.limit(x => x, 0, 'sideways'), /Direction must be/);
+    });
+});
+
+describe('vector calculus', () => {
+    it('computes gradients, divergence, curl and Hessians in n dimensions', () => {
+        const f = (x, y, z) => x * x * y + Math.sin(z);
+        assertAllClose(calculus.gradient(f, [1, 2, 3]), [4, 1, Math.cos(3)], 1e-6);
+        assertClose(calculus.divergence((x, y, z) => [x * y, y * z, z * x], [1, 2, 3]), 6, 1e-6);
+        assertAllClose(calculus.curl((x, y, z) => [-y, x, 0], [1, 2, 3]), [0, 0, 2], 1e-6);
+        const hessian = calculus.hessian((x, y) => x * x * y + y * y * y, [1, 2]);
+        assertAllClose(hessian[0], [4, 2], 1e-4);
+        assertAllClose(hessian[1], [2, 12], 1e-4);
+    });
+
+    it('computes line and surface integrals to the requested tolerance', () => {
+        const circle = t => [Math.cos(t), Math.sin(t)];
+        assertClose(calculus.lineIntegral(() => 1, circle, 0, 2 * Math.PI).value, 2 * Math.PI, 1e-11);
+        assertClose(calculus.lineIntegral((x, y) => [-y, x], circle, 0, 2 * Math.PI).value, 2 * Math.PI, 1e-11);
+        const sphere = (u, v) => [Math.sin(u) * Math.cos(v), Math.sin(u) * Math.sin(v), Math.cos(u)];
+        assertClose(calculus.surfaceIntegral(() => 1, sphere, [0, Math.PI], [0, 2 * Math.PI]).value, 4 * Math.PI, 1e-10);
+    });
+
+    it('keeps the parametrisation inside its interval and accepts derivative callbacks', () => {
+        const parabola = (t) => {
+            if (t < 0 || t > 1) throw new Error(`t = ${t} is outside [0, 1]`);
+            return [t, t * t];
+        };
+        const length = Math.sqrt(5) / 2 + Math.asinh(2) / 4;
+        assertClose(calculus.lineIntegral(() => 1, parabola, 0, 1).value, length, 1e-11);
+        const exact = calculus.lineIntegral(() => 1, parabola, 0, 1, { derivative: t => [1, 2 * t] });
+        assertClose(exact.value, length, 1e-12);
+    });
+});
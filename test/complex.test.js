@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Complex } = require('../src/complex');
+const { assertClose } = require('./helpers');
+
+describe('Complex', () => {
+    it('does arithmetic', () => {
+        const z = new Complex(3, 4);
+        assert.equal(z.abs(), 5);
+        assert.equal(z.multiply(new Complex(1, -2)).toString(), '11-2i');
+        assert.equal(z.divide(new Complex(0, 1)).toString(), '4-3i');
+        assert.deepEqual(Complex.parse('1-2i'), new Complex(1, -2));
+    });
+
+    it('evaluates branch cuts and Euler\'s formula', () => {
+        assert.equal(new Complex(-4, 0).sqrt().toString(), '2i');
+        assert.equal(Complex.from(-1).log().toString(), `${Math.PI}i`);
+        const euler = new Complex(0, Math.PI).exp();
+        assertClose(euler.real, -1);
+        assertClose(euler.imaginary, 0);
+    });
+
+    it('finds the n-th roots', () => {
+        const roots = new Complex(1, 0).roots(4);
+        assert.ok(roots.every(root => root.pow(4).equals(new Complex(1, 0), 1e-12)));
+        assert.ok(roots[1].equals(new Complex(0, 1), 1e-12));
+    });
+});
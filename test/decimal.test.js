@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Decimal } = require('../src/decimal');
+const { add } = require('../src/arithmetic');
+
+describe('Decimal', () => {
+    it('represents decimal fractions exactly', () => {
+        assert.equal(Decimal.from(0.1).add(0.2).toString(), '0.3');
+        assert.ok(add(Decimal.from('0.1'), 0.2).equals('0.3'));
+    });
+
+    it('rounds with every rounding mode', () => {
+        const expected = {
+            'half-even': ['2', '-2', '2.4', '-2.4'],
+            'half-up': ['3', '-3', '2.5', '-2.5'],
+            floor: ['2', '-3', '2.4', '-2.5'],
+            ceil: ['3', '-2', '2.5', '-2.4'],
+            truncate: ['2', '-2', '2.4', '-2.4']
+        };
+        Object.entries(expected).forEach(([rounding, values]) => {
+            const rounded = [['2.5', 0], ['-2.5', 0], ['2.45', 1], ['-2.45', 1]]
+                .map(([value, places]) => Decimal.parse(value).round(places, rounding).toString());
+            assert.deepEqual(rounded, values, rounding);
+        });
+        assert.throws(() => Decimal.from(1).round(0, 'banker'), /Unknown rounding mode "banker"/);
+    });
+
+    it('formats with a fixed number of places', () => {
+        assert.equal(Decimal.from('12.5').toFixed(2), '12.50');
+        assert.equal(Decimal.from('1.005').toFixed(2, 'half-up'), '1.01');
+    });
+
+    it('rounds inexact results to the requested precision', () => {
+        assert.equal(Decimal.from(1).divide(3).toString(), '0.' + '3'.repeat(34));
+        assert.equal(Decimal.from(2).divide(3, { precision: 5, rounding: 'floor' }).toString(), '0.66666');
+        assert.equal(Decimal.from(2).sqrt({ precision: 20 }).toString(), '1.4142135623730950488');
+        assert.equal(Decimal.from(1).exp({ precision: 20 }).toString(), '2.7182818284590452354');
+        assert.throws(() => Decimal.from(1).divide(0), /Cannot divide by zero/);
+    });
+});
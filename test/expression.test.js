@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenizeExpression, parseExpression, evaluateExpression, freeVariables, formatExpression } = require('../src/expression');
+
+describe('parseExpression', () => {
+    it('reports the position of syntax errors', () => {
+        const cases = [
+            ['2 +', 3, /Unexpected end of expression/],
+            ['2 * (3', 6, /Unexpected end of expression/],
+            ['3 $ 4', 2, /Unexpected character '\$'/],
+            [')', 0, /Unexpected token '\)'/],
+            ['1 + sin()', 4, /Function 'sin' expects 1 argument\(s\) but got 0/]
+        ];
+        cases.forEach(([expression, position, message]) => {
+            assert.throws(() => parseExpression(expression), (error) => {
+                assert.match(error.message, message);
+                assert.equal(error.position, position);
+                return true;
+            });
+        });
+    });
+
+    it('reads implicit multiplication', () => {
+        assert.deepEqual(tokenizeExpression('2x').map(token => token.type), ['number', 'identifier', 'end']);
+        assert.equal(evaluateExpression('2x(x + 1)', { x: 3 }), 24);
+    });
+});
+
+describe('evaluateExpression', () => {
+    it('evaluates functions, constants and variables', () => {
+        assert.equal(evaluateExpression('2x^2 + sin(pi / 2)', { x: 3 }), 19);
+        assert.equal(evaluateExpression('2 ** 3 % 5'), 3);
+        assert.equal(evaluateExpression('log(8, 2)'), 3);
+    });
+
+    it('does not resolve names inherited from Object.prototype', () => {
+        assert.throws(() => evaluateExpression('constructor + 1'), /Undefined variable 'constructor'/);
+        assert.throws(() => evaluateExpression('x', {}), /Undefined variable 'x' at position 0/);
+    });
+});
+
+describe('freeVariables', () => {
+    it('lists variables once each, without the named constants', () => {
+        assert.deepEqual(freeVariables('x*pi + y(e + x)'), ['x', 'y']);
+    });
+});
+
+describe('formatExpression', () => {
+    it('formats a syntax tree that parses back to the same tree', () => {
+        const text = formatExpression(parseExpression('x^2 + 3*x - 1'));
+        assert.equal(text, 'x^2 + 3x - 1');
+        assert.equal(formatExpression(parseExpression(text)), text);
+    });
+});
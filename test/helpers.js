@@ -0,0 +1,27 @@
+const assert = require('node:assert/strict');
+
+/**
+ * Asserts that a number is within an absolute tolerance of the expected value.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The expected value.
+ * @param {number} [tolerance=1e-10] - The largest allowed absolute difference.
+ */
+function assertClose(actual, expected, tolerance = 1e-10) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+/**
+ * Asserts that two arrays of numbers have the same length and are close entry by entry.
+ * @param {ArrayLike<number>} actual - The computed values.
+ * @param {ArrayLike<number>} expected - The expected values.
+ * @param {number} [tolerance=1e-10] - The largest allowed absolute difference per entry.
+ */
+function assertAllClose(actual, expected, tolerance = 1e-10) {
+    assert.equal(actual.length, expected.length, `expected ${actual.length} entries to be ${expected.length}`);
+    Array.from(actual).forEach((value, i) => assertClose(value, expected[i], tolerance));
+}
+
+module.exports = {
+    assertClose,
+    assertAllClose
+};
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const la = require('../src/linearAlgebra');
+const { Matrix } = require('../src/matrix');
+const { assertClose, assertAllClose } = require('./helpers');
+
+const flat = matrix => matrix.flat();
+
+describe('linear systems', () => {
+    it('solves regular systems and accepts Matrix instances', () => {
+        assertAllClose(la.solveLinearSystem([[2, 1], [1, 3]], [3, 5]), [0.8, 1.4]);
+        assertAllClose(la.solveLinearSystem(Matrix.from([[3, 0], [4, 5]]), [3, 9]), [1, 1]);
+    });
+
+    it('sends singular systems to linearSystemSolution', () => {
+        assert.throws(() => la.solveLinearSystem([[1, 2], [2, 4]], [1, 2]), /Matrix is singular/);
+        const result = la.linearSystemSolution([[1, 1], [2, 2]], [1, 2]);
+        assert.equal(result.status, 'infinite');
+        assert.equal(result.rank, 1);
+        assertAllClose(result.nullSpace[0], [-1, 1]);
+    });
+
+    it('fits least squares', () => {
+        assertAllClose(la.leastSquares([[1, 0], [1, 1], [1, 2]], [1, 2, 4]).solution, [5 / 6, 1.5]);
+    });
+});
+
+describe('decompositions', () => {
+    const matrix = [[1, 2], [3, 4]];
+
+    it('reconstructs the matrix from LU and QR', () => {
+        const { L, U, P } = la.luDecomposition(matrix);
+        assertAllClose(flat(la.multiplyMatrices(L, U)), flat(la.multiplyMatrices(P, matrix)));
+        const { Q, R } = la.qrDecomposition(matrix);
+        assertAllClose(flat(la.multiplyMatrices(Q, R)), flat(matrix));
+    });
+
+    it('factors positive definite matrices only with Cholesky', () => {
+        assertAllClose(flat(la.choleskyDecomposition([[4, 2], [2, 3]])), [2, 0, 1, Math.SQRT2]);
+        assert.throws(() => la.choleskyDecomposition([[1, 2], [2, 1]]), /not positive definite/);
+    });
+
+    it('computes singular values, determinants and inverses', () => {
+        assertAllClose(la.singularValueDecomposition([[3, 0], [4, 5]]).S, [Math.sqrt(45), Math.sqrt(5)]);
+        assertClose(la.determinant([[1, 2, 3], [4, 5, 6], [7, 8, 10]]), -3);
+        assertAllClose(flat(la.inverseMatrix([[4, 7], [2, 6]])), [0.6, -0.7, -0.2, 0.4]);
+        assert.equal(la.rankOfMatrix([[1, 2], [2, 4]]), 1);
+    });
+});
+
+describe('eigenvalues and matrix functions', () => {
+    it('returns complex eigenvalues of rotations', () => {
+        assert.deepEqual(la.eigenvalues([[2, 0], [0, 3]]), [2, 3]);
+        assert.deepEqual(la.eigenvalues([[0, -1], [1, 0]]).map(String), ['i', '-i']);
+    });
+
+    it('computes expm, sqrtm and integer powers', () => {
+        assertAllClose(flat(la.expm([[0, 1], [-1, 0]])), [Math.cos(1), Math.sin(1), -Math.sin(1), Math.cos(1)], 1e-12);
+        assertAllClose(flat(la.sqrtm([[4, 0], [0, 9]])), [2, 0, 0, 3]);
+        assert.deepEqual(la.matrixPower([[1, 1], [1, 0]], 10), [[89, 55], [55, 34]]);
+    });
+});
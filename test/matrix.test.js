@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Matrix, Vector } = require('../src/matrix');
+const mathUtils = require('../index');
+const { assertClose } = require('./helpers');
+
+describe('Matrix', () => {
+    const matrix = Matrix.from([[3, 0], [4, 5]]);
+
+    it('multiplies and transposes', () => {
+        assert.deepEqual(matrix.multiply(Vector.from([1, 1])).toArray(), [3, 9]);
+        assert.deepEqual(matrix.multiply(matrix).toArray(), [[9, 0], [32, 25]]);
+        assert.deepEqual(matrix.transpose().toArray(), [[3, 4], [0, 5]]);
+    });
+
+    it('computes norms', () => {
+        assertClose(matrix.norm(2), Math.sqrt(45));
+        assertClose(matrix.norm('fro'), Math.sqrt(50));
+        assert.equal(matrix.norm(1), 7);
+        assert.equal(matrix.norm(Infinity), 9);
+        assert.equal(Matrix.zeros(0, 0).norm(2), 0);
+        assert.equal(Matrix.zeros(3, 0).norm(2), 0);
+        assert.throws(() => matrix.norm('x'), /Unsupported matrix norm: x/);
+    });
+
+    it('rejects out-of-range indices', () => {
+        assert.throws(() => matrix.get(2, 0), /Index 2 is out of range for a dimension of size 2/);
+    });
+
+    it('keeps the internal validators out of the public API', () => {
+        assert.equal('requireIndex' in mathUtils, false);
+        assert.equal('orthogonalizeColumns' in mathUtils, false);
+        assert.equal(mathUtils.Matrix, Matrix);
+    });
+});
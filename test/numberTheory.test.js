@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const nt = require('../src/numberTheory');
+const combinatorics = require('../src/combinatorics');
+
+describe('number theory', () => {
+    it('keeps numbers and BigInts in their own type', () => {
+        assert.deepEqual(nt.primeFactorization(360), [2, 2, 2, 3, 3, 5]);
+        assert.deepEqual(nt.primeFactorization(600851475143n), [71n, 839n, 1471n, 6857n]);
+        assert.equal(nt.gcd(12n, 18n), 6n);
+        assert.equal(nt.factorial(25n), 15511210043330985984000000n);
+        assert.equal(nt.binomialCoefficient(60n, 30n), 118264581564861424n);
+        assert.equal(nt.isPrime(2n ** 61n - 1n), true);
+    });
+
+    it('rejects non-positive input to factorization', () => {
+        assert.throws(() => nt.primeFactorization(0), /Only positive integers can be factorized/);
+        assert.throws(() => nt.primeFactorization(-4), /Only positive integers can be factorized/);
+    });
+
+    it('solves congruences', () => {
+        assert.equal(nt.modInverse(3, 11), 4);
+        assert.equal(nt.chineseRemainder([2, 3, 2], [3, 5, 7]), 23);
+        assert.equal(nt.eulerTotient(36), 12);
+    });
+});
+
+describe('combinatorics', () => {
+    it('counts arrangements and partitions', () => {
+        assert.equal(combinatorics.permutations(5, 2), 20);
+        assert.equal(combinatorics.combinations(5, 2), 10);
+        assert.equal(combinatorics.catalanNumber(5), 42);
+        assert.equal(combinatorics.partitionNumber(10), 42);
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { solveInitialValueProblem, shootingMethod } = require('../src/ode');
+const { assertClose, assertAllClose } = require('./helpers');
+
+describe('solveInitialValueProblem', () => {
+    it('meets the tolerance with adaptive RK45', () => {
+        const result = solveInitialValueProblem((x, y) => -2 * y, 1, 0, 1);
+        assert.equal(result.status, 'success');
+        assertClose(result.y[result.y.length - 1], Math.exp(-2), 1e-7);
+        assertClose(result.solution(0.5), Math.exp(-1), 1e-6);
+    });
+
+    it('integrates systems with fixed-step RK4', () => {
+        const result = solveInitialValueProblem((x, y) => [y[1], -y[0]], [0, 1], 0, Math.PI / 2, { method: 'rk4', h: 0.01 });
+        assertAllClose(result.y[result.y.length - 1], [1, 0], 1e-8);
+    });
+
+    it('solves stiff problems with BDF2', () => {
+        // y' = -k (y - cos x), y(0) = 0
+        const k = 1000;
+        const exact = x => (k * k * Math.cos(x) + k * Math.sin(x) - k * k * Math.exp(-k * x)) / (k * k + 1);
+        const result = solveInitialValueProblem((x, y) => -k * (y - Math.cos(x)), 0, 0, 1, { method: 'bdf2', h: 0.01 });
+        assert.equal(result.status, 'success');
+        assertClose(result.y[result.y.length - 1], exact(1), 1e-4);
+    });
+
+    it('stops at terminal events', () => {
+        const falling = { func: (x, y) => y[0], terminal: true, direction: -1 };
+        const result = solveInitialValueProblem((x, y) => [y[1], -9.81], [10, 0], 0, 5, { events: falling });
+        assert.equal(result.status, 'event');
+        assertClose(result.events[0].x, Math.sqrt(20 / 9.81), 1e-8);
+    });
+
+    it('reports a singular Newton matrix as a failed step', () => {
+        // With h = 0.01, I - h J = 0 for J = 100.
+        const result = solveInitialValueProblem((x, y) => 100 * y, 1, 0, 0.05,
+            { method: 'backwardEuler', h: 0.01, jacobian: () => [[100]] });
+        assert.equal(result.status, 'failed');
+        assert.match(result.message, /Singular Newton matrix at x = 0.01/);
+    });
+
+    it('rejects unknown methods', () => {
+        assert.throws(() => solveInitialValueProblem((x, y) => y, 1, 0, 1, { method: 'leapfrog' }), /Unknown ODE method/);
+    });
+});
+
+describe('shootingMethod', () => {
+    it('solves a two-point boundary value problem', () => {
+        const result = shootingMethod((x, y) => -y, 0, Math.PI / 2, 0, 1);
+        assert.equal(result.converged, true);
+        assertClose(result.slope, 1, 1e-6);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Polynomial } = require('../src/polynomial');
+const { RationalFunction } = require('../src/rationalFunction');
+const { MultivariatePolynomial, groebnerBasis } = require('../src/multivariate');
+const { assertAllClose } = require('./helpers');
+
+describe('Polynomial', () => {
+    const cubic = new Polynomial([-6, 11, -6, 1]);
+
+    it('formats, evaluates and differentiates', () => {
+        assert.equal(cubic.toString(), 'x^3 - 6x^2 + 11x - 6');
+        assert.equal(cubic.evaluate(2), 0);
+        assert.equal(cubic.derivative().toString(), '3x^2 - 12x + 11');
+        assert.equal(Polynomial.fromRoots([1, 2]).toString(), 'x^2 - 3x + 2');
+    });
+
+    it('divides, takes GCDs and finds roots', () => {
+        const { quotient, remainder } = cubic.divide(new Polynomial([-1, 1]));
+        assert.deepEqual(quotient.coefficients, [6, -5, 1]);
+        assert.equal(remainder.isZero(), true);
+        assert.equal(cubic.gcd(new Polynomial([-1, 0, 1])).toString(), 'x - 1');
+        assert.deepEqual(cubic.rationalRoots(), [1, 2, 3]);
+        assertAllClose(cubic.roots().roots, [1, 2, 3]);
+        assert.equal(cubic.factor().factors.length, 3);
+    });
+});
+
+describe('RationalFunction', () => {
+    it('cancels common factors', () => {
+        const r = new RationalFunction(new Polynomial([-1, 0, 1]), new Polynomial([-1, 1]));
+        assert.equal(r.toString(), 'x + 1');
+        assert.throws(() => new RationalFunction(new Polynomial([1]), new Polynomial([])), /zero polynomial/);
+    });
+
+    it('decomposes into partial fractions', () => {
+        const r = new RationalFunction(new Polynomial([1]), new Polynomial([0, -1, 0, 1]));
+        assert.deepEqual(r.poles().map(pole => pole.root), [-1, 0, 1]);
+        const { terms } = r.partialFractions();
+        assertAllClose(terms.map(term => term.numerator.coefficients[0]), [0.5, -1, 0.5]);
+    });
+});
+
+describe('multivariate polynomials', () => {
+    it('parses and evaluates', () => {
+        const p = MultivariatePolynomial.parse('x^2*y + 3*y', ['x', 'y']);
+        assert.equal(p.evaluate([2, 1]), 7);
+        assert.equal(p.multiply(p).degree(), 6);
+    });
+
+    it('computes reduced lex Gröbner bases', () => {
+        const basis = groebnerBasis(['x^2 + y^2 - 1', 'x - y'], 'lex', { variables: ['x', 'y'] });
+        assert.deepEqual(basis.map(p => p.toString('lex')), ['x - y', 'y^2 - 0.5']);
+    });
+});
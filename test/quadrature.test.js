@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { adaptiveSimpson, gaussLegendre, gaussKronrod, multipleQuadrature } = require('../src/quadrature');
+const { assertClose } = require('./helpers');
+
+describe('one-dimensional quadrature', () => {
+    it('meets the requested tolerance with each rule', () => {
+        [
+            adaptiveSimpson(Math.exp, 0, 1, 1e-12),
+            gaussLegendre(Math.exp, 0, 1, 5, 1e-12),
+            gaussKronrod(Math.exp, 0, 1, 1e-12)
+        ].forEach((result) => {
+            assert.equal(result.converged, true);
+            assertClose(result.value, Math.E - 1, 1e-11);
+            assert.ok(result.error <= 1e-11);
+            assert.ok(result.evaluations > 0);
+        });
+    });
+
+    it('handles infinite limits and integrable endpoint singularities', () => {
+        assertClose(gaussKronrod(x => Math.exp(-x * x), -Infinity, Infinity).value, Math.sqrt(Math.PI), 1e-9);
+        assertClose(gaussKronrod(x => 1 / (1 + x * x), 0, Infinity).value, Math.PI / 2, 1e-9);
+        assertClose(gaussKronrod(x => 1 / Math.sqrt(x), 0, 1).value, 2, 1e-9);
+        assertClose(gaussKronrod(Math.log, 0, 1).value, -1, 1e-9);
+    });
+});
+
+describe('multipleQuadrature', () => {
+    it('integrates over regions with variable inner limits', () => {
+        // ∫₀¹ ∫₀ˣ xy dy dx = 1/8
+        assertClose(multipleQuadrature((x, y) => x * y, [[0, 1], [0, x => x]], 1e-12).value, 1 / 8, 1e-12);
+        // Volume of the unit ball.
+        const ball = multipleQuadrature(() => 1, [
+            [-1, 1],
+            [x => -Math.sqrt(1 - x * x), x => Math.sqrt(1 - x * x)],
+            [(x, y) => -Math.sqrt(Math.max(0, 1 - x * x - y * y)), (x, y) => Math.sqrt(Math.max(0, 1 - x * x - y * y))]
+        ], 1e-8);
+        assertClose(ball.value, 4 * Math.PI / 3, 1e-6);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const rootFinding = require('../src/rootFinding');
+const { assertClose, assertAllClose } = require('./helpers');
+
+describe('scalar root finding', () => {
+    it('converges with every method', () => {
+        [
+            rootFinding.bisection(x => x * x - 2, 0, 2),
+            rootFinding.newtonRaphson(x => x * x - 2, 1, x => 2 * x),
+            rootFinding.secantMethod(x => x * x - 2, 1, 2),
+            rootFinding.brentMethod(x => x * x - 2, 0, 2)
+        ].forEach((result) => {
+            assert.equal(result.converged, true);
+            assertClose(result.root, Math.SQRT2, 1e-11);
+        });
+        assertClose(rootFinding.brentMethod(x => x * x * x - 2 * x - 5, 2, 3).root, 2.0945514815423265, 1e-12);
+    });
+
+    it('finds brackets', () => {
+        const bracket = rootFinding.bracketRoot(x => x - 10, 0, 1);
+        assert.equal(bracket.bracketed, true);
+        assert.ok(bracket.lower <= 10 && bracket.upper >= 10);
+        const brackets = rootFinding.findBrackets(Math.sin, 1, 10);
+        assert.equal(brackets.length, 3);
+        brackets.forEach(([lower, upper], i) => assert.ok(lower <= (i + 1) * Math.PI && (i + 1) * Math.PI <= upper));
+    });
+});
+
+describe('nonlinear systems', () => {
+    it('converges with Newton and Broyden', () => {
+        const system = (x, y) => [x * x + y * y - 4, x - y];
+        const newton = rootFinding.newtonSystem(system, [1, 0.5]);
+        assert.equal(newton.converged, true);
+        assertAllClose(newton.root, [Math.SQRT2, Math.SQRT2], 1e-12);
+        assertAllClose(rootFinding.broydenSystem(system, [1, 0.5]).root, [Math.SQRT2, Math.SQRT2], 1e-10);
+    });
+
+    it('reports a singular Jacobian as non-convergence', () => {
+        const result = rootFinding.newtonSystem((x, y) => [x + y, 2 * x + 2 * y - 1], [0, 0]);
+        assert.equal(result.converged, false);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { taylorSeries, maclaurinSeries, laurentSeries, fourierSeries, padeApproximant } = require('../src/series');
+const { assertClose, assertAllClose } = require('./helpers');
+
+describe('taylorSeries', () => {
+    it('gives exact coefficients and a polynomial for expressions', () => {
+        assert.equal(maclaurinSeries('e^x', 4).expression, '1 + x + x^2/2 + x^3/6');
+        assert.equal(taylorSeries('ln(x)', 1, 4).expression, 'x - 1 - (x - 1)^2/2 + (x - 1)^3/3');
+    });
+
+    it('expands removable singularities exactly', () => {
+        const series = taylorSeries('sin(x)/x', 0, 6);
+        assert.equal(series.expression, '1 - x^2/6 + x^4/120');
+        assert.ok(series.remainderBound(0.5) >= Math.abs(series(0.5) - Math.sin(0.5) / 0.5));
+        assert.equal(taylorSeries('(1 - cos(x))/x^2', 0, 3).expression, '1/2 - x^2/24');
+    });
+
+    it('expands JS functions numerically', () => {
+        assertAllClose(taylorSeries(x => Math.sin(x) / x, 0, 5).coefficients, [1, 0, -1 / 6, 0, 1 / 120], 1e-9);
+    });
+
+    it('rejects functions with a pole at the centre', () => {
+        assert.throws(() => taylorSeries('1/x', 0), /cannot be expanded in a power series/);
+    });
+});
+
+describe('laurentSeries', () => {
+    it('finds the principal part and residue', () => {
+        const series = laurentSeries('1/sin(x)', 0, 5);
+        assert.equal(series.order, 1);
+        assert.equal(series.residue, 1);
+        assert.equal(series.expression, '1/x + x/6 + 7x^3/360');
+        const numeric = laurentSeries(x => 1 / (x * x * Math.sin(x)), 0, 3);
+        assert.equal(numeric.order, 3);
+        assertClose(numeric.residue, 1 / 6, 1e-8);
+    });
+});
+
+describe('fourierSeries', () => {
+    it('computes the coefficients of a sawtooth', () => {
+        const series = fourierSeries(x => x, 5);
+        assertAllClose(series.a, [0, 0, 0, 0, 0, 0], 1e-9);
+        assertAllClose(series.b, [0, 2, -1, 2 / 3, -1 / 2, 2 / 5], 1e-9);
+    });
+});
+
+describe('padeApproximant', () => {
+    it('matches the [2/2] approximant of exp', () => {
+        const approximant = padeApproximant('exp(x)', 0, 2, 2);
+        assertAllClose(approximant.numerator, [1, 1 / 2, 1 / 12], 1e-12);
+        assertAllClose(approximant.denominator, [1, -1 / 2, 1 / 12], 1e-12);
+    });
+
+    it('reports approximants that do not exist', () => {
+        assert.throws(() => padeApproximant(() => 1, 0, 1, 1), /The \[1\/1\] Padé approximant does not exist at 0/);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CooMatrix, CsrMatrix, conjugateGradient, gmres, bicgstab } = require('../src/sparse');
+const { assertAllClose } = require('./helpers');
+
+/**
+ * Builds the n×n second-difference matrix tridiag(-1, 2, -1).
+ * @param {number} n - The size.
+ * @returns {CsrMatrix} - The matrix.
+ */
+function secondDifference(n) {
+    const coo = new CooMatrix(n, n);
+    for (let i = 0; i < n; i++) {
+        coo.add(i, i, 2);
+        if (i > 0) coo.add(i, i - 1, -1);
+        if (i < n - 1) coo.add(i, i + 1, -1);
+    }
+    return coo.toCSR();
+}
+
+describe('sparse storage', () => {
+    it('converts between formats', () => {
+        const dense = [[1, 0, 2], [0, 0, 3], [4, 5, 0]];
+        const csr = CsrMatrix.fromDense(dense);
+        assert.equal(csr.nonZeros, 5);
+        assert.deepEqual(csr.toCSC().toDense(), dense);
+        assert.deepEqual(csr.toCOO().toDense(), dense);
+        assert.equal(csr.toCSC().get(2, 1), 5);
+        assert.deepEqual(Array.from(csr.multiply([1, 1, 1])), [3, 3, 9]);
+    });
+
+    it('rejects out-of-range entries and mismatched vectors', () => {
+        assert.throws(() => new CooMatrix(2, 2).add(2, 0, 1), /Index 2 is out of range for a dimension of size 2/);
+        assert.throws(() => conjugateGradient(secondDifference(3), [1, 2]), /must be equal to the length of the vector/);
+    });
+});
+
+describe('Krylov solvers', () => {
+    // The solution of tridiag(-1, 2, -1) x = 1 is x_i = (i + 1)(n - i) / 2.
+    const n = 200;
+    const matrix = secondDifference(n);
+    const b = new Array(n).fill(1);
+    const exact = Array.from({ length: n }, (_, i) => (i + 1) * (n - i) / 2);
+
+    it('converges with CG, BiCGSTAB and GMRES with the default restart', () => {
+        [conjugateGradient, bicgstab, gmres].forEach((solve) => {
+            const result = solve(matrix, b);
+            assert.equal(result.converged, true, solve.name);
+            assert.ok(result.residual <= 1e-10, solve.name);
+            assertAllClose(result.solution, exact, 1e-5);
+        });
+    });
+
+    it('converges in one step with an exact ILU preconditioner', () => {
+        [conjugateGradient, gmres].forEach((solve) => {
+            const result = solve(matrix, b, { preconditioner: 'ilu' });
+            assert.equal(result.iterations, 1, solve.name);
+            assertAllClose(result.solution, exact, 1e-8);
+        });
+    });
+
+    it('reports stagnation of short fixed restarts', () => {
+        const result = gmres(matrix, b, { restart: 5 });
+        assert.equal(result.converged, false);
+        assert.equal(result.iterations, 10 * n);
+        assert.ok(result.residual > 1e-10);
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { simplifyAst, expandAst, factorAst, differentiateAst, integrateAst } = require('../src/symbolic');
+const { parseExpression, formatExpression } = require('../src/expression');
+
+const apply = (transform, text, ...args) => formatExpression(transform(parseExpression(text), ...args));
+
+describe('simplifyAst', () => {
+    it('collects like terms and powers', () => {
+        assert.equal(apply(simplifyAst, 'x + x'), '2x');
+        assert.equal(apply(simplifyAst, 'x*x^2'), 'x^3');
+    });
+
+    it('takes even roots of even powers as abs', () => {
+        assert.equal(apply(simplifyAst, 'sqrt(x^2)'), 'abs(x)');
+        assert.equal(apply(simplifyAst, '(x^4)^(1/2)'), 'x^2');
+    });
+
+    it('only cancels logarithms where both sides are defined', () => {
+        assert.equal(apply(simplifyAst, 'ln(exp(x))'), 'x');
+        assert.equal(apply(simplifyAst, 'exp(ln(x))'), 'exp(ln(x))');
+    });
+});
+
+describe('symbolic transforms', () => {
+    it('expands and factors', () => {
+        assert.equal(apply(expandAst, '(x+1)^3'), 'x^3 + 3x^2 + 3x + 1');
+        assert.equal(apply(factorAst, 'x^2-1'), '(x + 1)(x - 1)');
+    });
+
+    it('differentiates and integrates', () => {
+        assert.equal(apply(differentiateAst, 'sin(x^2)', 'x'), '2x*cos(x^2)');
+        assert.equal(apply(integrateAst, 'x*cos(x)', 'x'), 'x*sin(x) + cos(x)');
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fft, inverseFft } = require('../src/transforms');
+const { Complex } = require('../src/complex');
+const { assertAllClose } = require('./helpers');
+
+/**
+ * Computes the discrete Fourier transform of a real sequence directly from the definition.
+ * @param {number[]} values - The sequence.
+ * @returns {number[][]} - The [real, imaginary] parts of each entry of the transform.
+ */
+function naiveDft(values) {
+    const n = values.length;
+    return values.map((_, k) => values.reduce(([re, im], value, j) => {
+        const angle = -2 * Math.PI * j * k / n;
+        return [re + value * Math.cos(angle), im + value * Math.sin(angle)];
+    }, [0, 0]));
+}
+
+describe('fft', () => {
+    it('agrees with the definition for power-of-two and other lengths', () => {
+        [[1, 2, 3, 4], [1, -2, 0.5, 4, 3], Array.from({ length: 12 }, (_, i) => Math.sin(i) + i % 3)].forEach((values) => {
+            const transform = fft(values);
+            assert.ok(transform.every(entry => entry instanceof Complex));
+            const expected = naiveDft(values);
+            assertAllClose(transform.map(entry => entry.real), expected.map(([re]) => re), 1e-9);
+            assertAllClose(transform.map(entry => entry.imaginary), expected.map(([, im]) => im), 1e-9);
+        });
+    });
+
+    it('is inverted by inverseFft', () => {
+        const values = [1, 2, 3, 4, 5, 6, 7];
+        const restored = inverseFft(fft(values));
+        assertAllClose(restored.map(entry => entry.real), values, 1e-12);
+        assertAllClose(restored.map(entry => entry.imaginary), values.map(() => 0), 1e-12);
+    });
+});